@@ -0,0 +1,23 @@
+// Shared brand identity for customer-facing artifacts.
+//
+// Consumed by services/emailService.js (renderTransactionalEmail) and
+// services/reportPdfService.js so emails and exported documents carry the
+// same name, colours and support contact. Loads dotenv itself because ESM
+// hoists imports above server.js's own dotenv.config() call.
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3002";
+
+export const BRAND_NAME = process.env.BRAND_NAME || "Optiverifi";
+export const BRAND_TAGLINE =
+  process.env.BRAND_TAGLINE || "AI-powered supplier matching";
+export const BRAND_PRIMARY = process.env.BRAND_PRIMARY_COLOR || "#2563eb"; // blue-600
+export const BRAND_PRIMARY_DARK =
+  process.env.BRAND_PRIMARY_DARK_COLOR || "#1d4ed8"; // blue-700
+export const EMAIL_LOGO_URL =
+  process.env.EMAIL_LOGO_URL || `${FRONTEND_URL}/logo.jpg`;
+export const SUPPORT_EMAIL =
+  process.env.SUPPORT_EMAIL || "support@optiverifi.com";
@@ -13,6 +13,7 @@ const REQUIRED = [
   "JWT_SECRET",
   "TOKEN_SECRET",
   "COOKIE_SECRET",
+  "FILE_URL_SECRET",
   "STRIPE_SECRET_KEY",
   "STRIPE_WEBHOOK_SECRET",
   "RESEND_API_KEY",
@@ -31,6 +32,7 @@ const MIN_LEN_SIGNING_KEYS = new Set([
   "JWT_SECRET",
   "TOKEN_SECRET",
   "COOKIE_SECRET",
+  "FILE_URL_SECRET",
 ]);
 
 export function validateEnv() {
@@ -12,12 +12,110 @@ import {
   MAX_FAILED_LOGINS,
   LOCKOUT_DURATION_MS,
 } from "../../services/passwordPolicy.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resolveTwoFactorToken,
+  signTwoFactorToken,
+  twoFactorStatus,
+  verifySecondFactor,
+} from "../../services/twoFactorService.js";
+import {
+  createSession,
+  formatSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+  SESSION_IDLE_TTL_MS,
+} from "../../services/sessionService.js";
 
 // Generic error for the login flow — never tell the caller WHY auth failed
 // (no-such-admin vs wrong-password vs locked-out vs inactive). The only
 // non-generic state surfaced to the client is the response status code.
 const GENERIC_LOGIN_ERROR = "Invalid credentials";
 
+// Refresh cookie: only sent to /api/admin/auth, never cross-site
+const REFRESH_COOKIE = "ad-refresh";
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/admin/auth",
+});
+
+const clearSessionCookies = (res) => {
+  res.clearCookie("ad-token");
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+/**
+ * Set the access (ad-token) and refresh cookies for a session.
+ * @returns {string} the access JWT
+ */
+function setSessionCookies(res, admin, session, refreshToken) {
+  // H-4: pass the full admin doc so tokenVersion is embedded in the JWT.
+  const token = generateAdminToken(admin, session._id);
+
+  // Short-lived like the JWT; the refresh cookie renews it.
+  res.cookie("ad-token", token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: SESSION_IDLE_TTL_MS,
+  });
+  return token;
+}
+
+/**
+ * Record a Session and set the session and CSRF cookies for a fully
+ * authenticated admin.
+ * @param {string} method - how the login completed (Session.method)
+ * @returns {Promise<Object>} response data: token, csrfToken, user
+ */
+async function issueAdminSession(req, res, admin, method) {
+  const { session, refreshToken } = await createSession("Admin", admin, req, method);
+  const token = setSessionCookies(res, admin, session, refreshToken);
+
+  // M-6: issue a CSRF token (double-submit cookie). The cookie itself is
+  // not httpOnly so the admin frontend JS can read it and echo the value
+  // as `X-CSRF-Token` on mutating requests. We also include the value in
+  // the response body for non-browser callers (Postman, scripts) that
+  // prefer to keep state out of cookie jars.
+  const csrfToken = generateCsrfToken();
+  setCsrfCookie(res, csrfToken);
+
+  return {
+    token,
+    csrfToken,
+    user: {
+      id: admin._id,
+      email: admin.email,
+      role: admin.role,
+    },
+  };
+}
+
+// H-5: count a failed password or second-factor attempt toward lockout.
+async function recordFailedAttempt(admin) {
+  admin.failedLoginCount = (admin.failedLoginCount || 0) + 1;
+  if (admin.failedLoginCount >= MAX_FAILED_LOGINS) {
+    admin.lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
+  }
+  await admin.save();
+}
+
+const isLocked = (admin) =>
+  Boolean(admin.lockedUntil && admin.lockedUntil.getTime() > Date.now());
+
 /**
  * Login admin
  *
@@ -28,7 +126,11 @@ const GENERIC_LOGIN_ERROR = "Invalid credentials";
  *  - M-12: silent bcrypt rehash on successful login if cost factor is below
  *    the current target (Admin.needsRehash()).
  *  - H-4: pass the full admin doc to generateAdminToken so the JWT embeds
- *    tokenVersion (v) for revocation. Cookie maxAge matches JWT lifetime (7d).
+ *    tokenVersion (v) for revocation. The access token is short-lived;
+ *    POST /refresh renews it with the rotating refresh cookie.
+ *  - 2FA: with two-factor on, the password only earns a challenge token
+ *    for POST /2fa/verify. Super admins without 2FA get a setup challenge
+ *    and must enroll (POST /2fa/setup, /2fa/enable) before a session.
  */
 export const loginAdmin = async (req, res) => {
   try {
@@ -87,60 +189,55 @@ export const loginAdmin = async (req, res) => {
     const isMatch = await admin.comparePassword(password);
     if (!isMatch) {
       // H-5: track failed attempts and lock after MAX_FAILED_LOGINS.
-      admin.failedLoginCount = (admin.failedLoginCount || 0) + 1;
-      if (admin.failedLoginCount >= MAX_FAILED_LOGINS) {
-        admin.lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
-      }
-      await admin.save();
+      await recordFailedAttempt(admin);
       return res.status(401).json({
         success: false,
         message: GENERIC_LOGIN_ERROR,
       });
     }
 
-    // Successful login — reset lockout state.
-    admin.failedLoginCount = 0;
-    admin.lockedUntil = undefined;
-
     // M-12: silent bcrypt rehash. If the stored hash uses fewer rounds than
     // the current target, re-hash by reassigning the plaintext (the pre-save
     // hook handles the rest).
     if (typeof admin.needsRehash === "function" && admin.needsRehash()) {
       admin.password = password;
     }
-    await admin.save();
 
-    // H-4: pass the full admin doc so tokenVersion is embedded in the JWT.
-    const token = generateAdminToken(admin);
+    // 2FA: the lockout counter is only reset once the second factor checks
+    // out, so code guesses can't be spread across password re-entries.
+    if (admin.twoFactor?.enabled) {
+      await admin.save();
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorToken(admin, "admin", "login"),
+        },
+      });
+    }
 
-    // Set cookie (admin token). H-4: 7 days, matches JWT expiresIn.
-    res.cookie("ad-token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    // Successful login — reset lockout state.
+    admin.failedLoginCount = 0;
+    admin.lockedUntil = undefined;
+    await admin.save();
 
-    // M-6: issue a CSRF token (double-submit cookie). The cookie itself is
-    // not httpOnly so the admin frontend JS can read it and echo the value
-    // as `X-CSRF-Token` on mutating requests. We also include the value in
-    // the response body for non-browser callers (Postman, scripts) that
-    // prefer to keep state out of cookie jars.
-    const csrfToken = generateCsrfToken();
-    setCsrfCookie(res, csrfToken);
+    // 2FA is mandatory for super admins: enroll before getting a session.
+    if (admin.role === "superAdmin") {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication must be set up",
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: signTwoFactorToken(admin, "admin", "setup"),
+        },
+      });
+    }
 
     res.json({
       success: true,
       message: "Login successful",
-      data: {
-        token,
-        csrfToken,
-        user: {
-          id: admin._id,
-          email: admin.email,
-          role: admin.role,
-        },
-      },
+      data: await issueAdminSession(req, res, admin, "password"),
     });
   } catch (error) {
     console.error("Error logging in admin:", error);
@@ -155,26 +252,25 @@ export const loginAdmin = async (req, res) => {
 /**
  * Logout admin
  *
- * H-4: bumps tokenVersion BEFORE clearing the cookie so any other live
- * sessions (other tabs, leaked tokens) are immediately revoked at the next
- * authenticateAdmin() call.
+ * Ends this device's Session only (authenticateAdmin resolved it); other
+ * devices are signed out from the session list.
  */
 export const logoutAdmin = async (req, res) => {
   try {
-    if (req.admin && req.admin._id) {
-      // Re-fetch a writable doc — req.admin came in via .select("-password")
-      // and we want to be defensive about modifying it.
-      const admin = await Admin.findById(req.admin._id);
-      if (admin) {
-        admin.tokenVersion = (admin.tokenVersion || 0) + 1;
-        await admin.save();
-      }
+    if (req.admin && req.sessionId) {
+      await revokeSession(
+        "Admin",
+        req.admin._id,
+        req.sessionId,
+        { type: "self", id: req.admin._id },
+        "logout"
+      );
     }
   } catch (e) {
-    // Don't fail logout on a token-bump error — still clear cookie.
-    console.error("Error bumping tokenVersion on admin logout:", e);
+    // Don't fail logout on a revocation error — still clear cookie.
+    console.error("Error revoking session on admin logout:", e);
   }
-  res.clearCookie("ad-token");
+  clearSessionCookies(res);
   // M-6: clear the CSRF cookie alongside the auth cookie so the next login
   // starts from a clean slate (otherwise a stale `ad-csrf` would linger
   // until its 7d maxAge expired).
@@ -200,6 +296,7 @@ export const getCurrentAdmin = async (req, res) => {
           email: admin.email,
           role: admin.role,
           isActive: admin.isActive,
+          twoFactor: twoFactorStatus(admin),
         },
       },
     });
@@ -273,7 +370,7 @@ export const changeAdminPassword = async (req, res) => {
     // Clear the cookie so the calling session must re-login. Other live
     // sessions are revoked by the tokenVersion bump above on their next
     // authenticateAdmin() call.
-    res.clearCookie("ad-token");
+    clearSessionCookies(res);
     // M-6: clear CSRF cookie too — it is bound to the (now-invalidated)
     // session and the next login will issue a fresh one.
     clearCsrfCookie(res);
@@ -291,3 +388,426 @@ export const changeAdminPassword = async (req, res) => {
     });
   }
 };
+
+/**
+ * Second login step: trade the challenge token from loginAdmin and a code
+ * (or a recovery code) for a session.
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export const verifyAdminTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    const resolved = await resolveTwoFactorToken(
+      Admin,
+      challengeToken,
+      "admin",
+      ["login"],
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!resolved || !resolved.account.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge",
+      });
+    }
+    const admin = resolved.account;
+
+    if (isLocked(admin)) {
+      return res.status(401).json({
+        success: false,
+        message: GENERIC_LOGIN_ERROR,
+      });
+    }
+
+    const result = await verifySecondFactor(Admin, admin, {
+      code,
+      recoveryCode,
+    });
+    if (!result.ok) {
+      await recordFailedAttempt(admin);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    admin.failedLoginCount = 0;
+    admin.lockedUntil = undefined;
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        ...(await issueAdminSession(req, res, admin, "two_factor")),
+        ...(result.method === "recovery_code" && {
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying admin two-factor code:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment: returns the secret and an otpauth:// URL for the
+ * authenticator app (render it as a QR code). Signed-in admins, or super
+ * admins holding a setup challenge from login.
+ */
+export const setupAdminTwoFactor = async (req, res) => {
+  try {
+    if (req.admin.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await beginEnrollment(Admin, req.admin),
+    });
+  } catch (error) {
+    console.error("Error starting admin two-factor setup:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a first code. Returns the recovery codes (shown
+ * once). When enrolling from a login setup challenge, also signs in.
+ * Body: { code, challengeToken? }
+ */
+export const enableAdminTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (admin.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { recoveryCodes, error } = await completeEnrollment(
+      Admin,
+      admin,
+      req.body?.code
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        recoveryCodes,
+        ...(req.twoFactorSetupChallenge &&
+          (await issueAdminSession(req, res, admin, "two_factor"))),
+      },
+    });
+  } catch (error) {
+    console.error("Error enabling admin two-factor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Turn 2FA off. Needs the password and a current code; not allowed for
+ * super admins, for whom it is mandatory.
+ * Body: { password, code } or { password, recoveryCode }
+ */
+export const disableAdminTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (req.admin.role === "superAdmin") {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for super admins",
+      });
+    }
+
+    const admin = await Admin.findById(req.admin._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const passwordOk = password ? await admin.comparePassword(password) : false;
+    const factor = passwordOk
+      ? await verifySecondFactor(Admin, admin, { code, recoveryCode })
+      : { ok: false };
+    if (!factor.ok) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or verification code",
+      });
+    }
+
+    await disableTwoFactor(Admin, admin);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Error disabling admin two-factor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working). Body: { code }
+ */
+export const regenerateAdminRecoveryCodes = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    const factor = await verifySecondFactor(Admin, admin, {
+      code: req.body?.code,
+    });
+    if (!factor.ok) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: await regenerateRecoveryCodes(Admin, admin) },
+    });
+  } catch (error) {
+    console.error("Error regenerating admin recovery codes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Step-up: confirm a fresh code to get a short-lived token for sensitive
+ * actions (sent as X-Step-Up-Token; see middleware/twoFactor.js).
+ * Failures count toward the login lockout.
+ * Body: { code } or { recoveryCode }
+ */
+export const stepUpAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+        twoFactorSetupRequired: true,
+      });
+    }
+    if (isLocked(admin)) {
+      return res.status(429).json({
+        success: false,
+        message: "Too many failed attempts; try again later",
+      });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    const factor = await verifySecondFactor(Admin, admin, {
+      code,
+      recoveryCode,
+    });
+    if (!factor.ok) {
+      await recordFailedAttempt(admin);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+    if (admin.failedLoginCount) {
+      admin.failedLoginCount = 0;
+      await admin.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        stepUpToken: signTwoFactorToken(admin, "admin", "step_up"),
+        expiresIn: 300,
+      },
+    });
+  } catch (error) {
+    console.error("Error in admin step-up:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Trade the refresh cookie for a new access token (and a rotated refresh
+ * token). Call when an API request answers 401 "Token expired". Replaying
+ * an already-rotated refresh token revokes the session. Re-issues the CSRF
+ * cookie if it has gone missing.
+ */
+export const refreshAdminSession = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(
+      "Admin",
+      req.cookies?.[REFRESH_COOKIE],
+      req
+    );
+    if (result.error) {
+      // 409: a concurrent refresh won; keep the cookies it set
+      if (result.status !== 409) clearSessionCookies(res);
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const token = setSessionCookies(
+      res,
+      result.account,
+      result.session,
+      result.refreshToken
+    );
+    let csrfToken = req.cookies?.["ad-csrf"];
+    if (!csrfToken) {
+      csrfToken = generateCsrfToken();
+      setCsrfCookie(res, csrfToken);
+    }
+
+    res.json({
+      success: true,
+      message: "Session refreshed",
+      data: {
+        token,
+        csrfToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      },
+    });
+  } catch (error) {
+    console.error("Error refreshing admin session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ========== Sessions (signed-in devices) ==========
+
+/**
+ * List the admin's signed-in devices; `current` marks this one.
+ */
+export const getAdminSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions("Admin", req.admin);
+    res.json({
+      success: true,
+      data: sessions.map((s) => formatSession(s, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Error listing admin sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sign out one of the admin's devices. Ending the current session also
+ * clears the cookies.
+ */
+export const endAdminSession = async (req, res) => {
+  try {
+    const session = /^[a-f0-9]{24}$/.test(req.params.sessionId)
+      ? await revokeSession("Admin", req.admin._id, req.params.sessionId, {
+          type: "self",
+          id: req.admin._id,
+        })
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (String(session._id) === req.sessionId) {
+      clearSessionCookies(res);
+      clearCsrfCookie(res);
+    }
+    res.json({
+      success: true,
+      message: "Session ended",
+    });
+  } catch (error) {
+    console.error("Error ending admin session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sign out every other device of the admin, keeping this one.
+ */
+export const endOtherAdminSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions("Admin", req.admin._id, {
+      exceptSid: req.sessionId,
+      revokedBy: { type: "self", id: req.admin._id },
+    });
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session(s)`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Error ending other admin sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
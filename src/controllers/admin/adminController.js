@@ -4,6 +4,23 @@ import Feedback from "../../models/customer/Feedback.js";
 import Supplier from "../../models/admin/Supplier.js";
 import Payment from "../../models/customer/Payment.js";
 import ManagedService from "../../models/customer/ManagedService.js";
+import mongoose from "mongoose";
+import { getSlaStats } from "../../services/slaService.js";
+import { getAdminWorkloads } from "../../services/managedServiceAssignmentService.js";
+import { getPurchasedCredits } from "../../services/creditService.js";
+import { currencyDecimals, roundMoney } from "../../services/fxService.js";
+import {
+  formatSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+} from "../../services/sessionService.js";
+import {
+  STRIPE_REFUND_REASONS,
+  getRefundableAmount,
+  isStripeConfigured,
+  issueRefund,
+} from "../../services/refundService.js";
 
 /**
  * Middleware to check admin access
@@ -23,7 +40,8 @@ export const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Middleware to check super admin access
+ * Middleware to check super admin access. (authenticateAdmin has already
+ * turned away super admins without 2FA.)
  */
 export const requireSuperAdmin = (req, res, next) => {
   if (req.admin && req.admin.role === "superAdmin") {
@@ -153,6 +171,89 @@ export const updateUser = async (req, res) => {
   }
 };
 
+/**
+ * List a customer's signed-in devices
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+    const user = await User.findById(req.params.id).select("email tokenVersion");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await listSessions("User", user);
+    res.json({
+      success: true,
+      data: {
+        user: { id: user._id, email: user.email },
+        sessions: sessions.map((s) => formatSession(s)),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting user sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sign a customer out of one device (:sessionId) or all of them
+ */
+export const endUserSessions = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+    const revokedBy = { type: "admin", id: req.admin._id };
+
+    if (sessionId) {
+      const session = mongoose.Types.ObjectId.isValid(sessionId)
+        ? await revokeSession("User", id, sessionId, revokedBy)
+        : null;
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+      return res.json({
+        success: true,
+        message: "Session ended",
+      });
+    }
+
+    const revoked = await revokeAllSessions("User", id, { revokedBy });
+    res.json({
+      success: true,
+      message: `Ended ${revoked} session(s)`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Error ending user sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Get all admins
  */
@@ -283,7 +384,13 @@ export const updateAdmin = async (req, res) => {
       req.admin && req.admin._id && id === req.admin._id.toString();
 
     // M-7: explicit field whitelist. Anything outside this set is dropped.
-    const ALLOWED_FIELDS = ["email", "password", "isActive", "role"];
+    const ALLOWED_FIELDS = [
+      "email",
+      "password",
+      "isActive",
+      "role",
+      "acceptsAssignments",
+    ];
     const incoming = req.body || {};
     const unknownFields = Object.keys(incoming).filter(
       (k) => !ALLOWED_FIELDS.includes(k)
@@ -330,6 +437,17 @@ export const updateAdmin = async (req, res) => {
       updateData.password = incoming.password;
     }
 
+    // Opt in/out of managed service auto-assignment
+    if (incoming.acceptsAssignments !== undefined) {
+      if (typeof incoming.acceptsAssignments !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "acceptsAssignments must be a boolean",
+        });
+      }
+      updateData.acceptsAssignments = incoming.acceptsAssignments;
+    }
+
     if (incoming.isActive !== undefined) {
       // M-7: prevent deactivating yourself (would lock you out mid-session).
       if (isSelf && incoming.isActive === false) {
@@ -378,6 +496,8 @@ export const updateAdmin = async (req, res) => {
     if (updateData.role !== undefined) admin.role = updateData.role;
     if (updateData.isActive !== undefined)
       admin.isActive = updateData.isActive;
+    if (updateData.acceptsAssignments !== undefined)
+      admin.acceptsAssignments = updateData.acceptsAssignments;
     if (updateData.password !== undefined) {
       admin.password = updateData.password; // pre-save hook hashes
       // H-4: bump tokenVersion so existing sessions for this admin are revoked.
@@ -394,6 +514,7 @@ export const updateAdmin = async (req, res) => {
         email: admin.email,
         role: admin.role,
         isActive: admin.isActive,
+        acceptsAssignments: admin.acceptsAssignments,
       },
     });
   } catch (error) {
@@ -464,6 +585,13 @@ export const deleteAdmin = async (req, res) => {
   }
 };
 
+// Refund state shared by the transaction list and detail views
+const refundFields = (payment) => ({
+  status: payment.status,
+  amountRefunded: payment.amountRefunded || 0,
+  refundedAt: payment.refundedAt || null,
+});
+
 /**
  * Get a single transaction by ID (admin - no ownership check)
  */
@@ -474,7 +602,7 @@ export const getTransactionByIdAdmin = async (req, res) => {
     // Find the payment record
     const payment = await Payment.findOne({
       _id: transactionId,
-      status: "succeeded",
+      status: { $in: ["succeeded", "refunded"] },
     })
       .populate({
         path: "requestId",
@@ -514,7 +642,7 @@ export const getTransactionByIdAdmin = async (req, res) => {
         },
       };
     } else if (payment.planType === "extra_credit") {
-      const quantity = Math.floor(payment.amount / 10);
+      const quantity = await getPurchasedCredits(payment);
       receipt = {
         id: payment._id,
         type: "top_up",
@@ -573,7 +701,12 @@ export const getTransactionByIdAdmin = async (req, res) => {
 
     res.json({
       success: true,
-      data: receipt,
+      data: {
+        ...receipt,
+        ...refundFields(payment),
+        refundableAmount: getRefundableAmount(payment),
+        refunds: payment.refunds || [],
+      },
     });
   } catch (error) {
     console.error("Error fetching transaction by ID:", error);
@@ -585,6 +718,136 @@ export const getTransactionByIdAdmin = async (req, res) => {
   }
 };
 
+/**
+ * Refund a transaction in Stripe, fully or partially (super admin only)
+ *
+ * Body: { amount?, reason?, note?, creditsToReverse?, relockReport? }
+ *   amount defaults to everything still refundable. Top-up credits bought
+ *   with the refunded amount are reversed and a fully refunded report
+ *   purchase is re-locked unless creditsToReverse / relockReport say
+ *   otherwise. The customer is emailed a refund receipt.
+ */
+export const refundTransactionAdmin = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { reason, note, creditsToReverse, relockReport } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
+
+    if (!isStripeConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: "Stripe is not configured",
+      });
+    }
+
+    const payment = await Payment.findOne({
+      _id: transactionId,
+      status: "succeeded",
+    });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found or already fully refunded",
+      });
+    }
+    if (!payment.stripePaymentIntentId && !payment.stripeSessionId) {
+      return res.status(400).json({
+        success: false,
+        message: "This transaction was not paid through Stripe",
+      });
+    }
+
+    // Amounts are in the payment's currency; zero-decimal currencies such
+    // as JPY can't be refunded in fractions.
+    const refundable = getRefundableAmount(payment);
+    const decimals = currencyDecimals(payment.currency);
+    const amount =
+      req.body.amount === undefined ? refundable : Number(req.body.amount);
+    if (
+      !Number.isFinite(amount) ||
+      amount <= 0 ||
+      Math.abs(roundMoney(amount, payment.currency) - amount) > 1e-9 ||
+      amount > refundable
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `amount must be greater than 0 and at most ${refundable.toFixed(decimals)} ${(payment.currency || "usd").toUpperCase()}, with at most ${decimals} decimal places`,
+      });
+    }
+    if (reason !== undefined && !STRIPE_REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${STRIPE_REFUND_REASONS.join(", ")}`,
+      });
+    }
+    if (
+      creditsToReverse !== undefined &&
+      (!Number.isInteger(creditsToReverse) || creditsToReverse < 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "creditsToReverse must be a non-negative integer",
+      });
+    }
+    if (relockReport !== undefined && typeof relockReport !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "relockReport must be a boolean",
+      });
+    }
+
+    const result = await issueRefund(payment, {
+      amount,
+      reason,
+      note: typeof note === "string" ? note.slice(0, 500) : undefined,
+      issuedBy: req.admin._id,
+      creditsToReverse,
+      relockReport,
+    });
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: "No Stripe payment found for this transaction",
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        result.payment.status === "refunded"
+          ? "Transaction fully refunded"
+          : "Partial refund issued",
+      data: {
+        id: result.payment._id,
+        amount: result.payment.amount,
+        ...refundFields(result.payment),
+        refundableAmount: getRefundableAmount(result.payment),
+        refund: result.refund,
+      },
+    });
+  } catch (error) {
+    // Stripe rejected the refund (e.g. charge disputed or already refunded)
+    if (error.type === "StripeInvalidRequestError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error refunding transaction:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Get all transactions from all users (for admin)
  */
@@ -596,9 +859,9 @@ export const getAllTransactionsAdmin = async (req, res) => {
 
     const receipts = [];
 
-    // Get all succeeded payments
+    // Get all succeeded (and refunded) payments
     const allPayments = await Payment.find({
-      status: "succeeded",
+      status: { $in: ["succeeded", "refunded"] },
     })
       .populate({
         path: "requestId",
@@ -621,6 +884,7 @@ export const getAllTransactionsAdmin = async (req, res) => {
           createdAt: payment.createdAt,
           paymentMethod: payment.stripePaymentIntentId ? "stripe" : "credits",
           email: payment.email,
+          ...refundFields(payment),
           service: {
             id: managedService?._id,
             itemName: managedService?.itemName,
@@ -628,7 +892,7 @@ export const getAllTransactionsAdmin = async (req, res) => {
           },
         });
       } else if (payment.planType === "extra_credit") {
-        const quantity = Math.floor(payment.amount / 10);
+        const quantity = await getPurchasedCredits(payment);
         receipts.push({
           id: payment._id,
           type: "top_up",
@@ -639,6 +903,7 @@ export const getAllTransactionsAdmin = async (req, res) => {
           createdAt: payment.createdAt,
           paymentMethod: payment.stripePaymentIntentId ? "stripe" : "credits",
           email: payment.email,
+          ...refundFields(payment),
           credits: quantity,
           description: `Top-up: ${quantity} credit${quantity > 1 ? 's' : ''}`,
         });
@@ -656,6 +921,7 @@ export const getAllTransactionsAdmin = async (req, res) => {
             createdAt: payment.createdAt,
             paymentMethod: payment.stripePaymentIntentId ? "stripe" : "credits",
             email: payment.email,
+            ...refundFields(payment),
             service: {
               id: payment.requestId,
               itemName: managedService?.itemName,
@@ -673,6 +939,7 @@ export const getAllTransactionsAdmin = async (req, res) => {
             createdAt: payment.createdAt,
             paymentMethod: payment.stripePaymentIntentId ? "stripe" : "credits",
             email: payment.email,
+            ...refundFields(payment),
             request: {
               id: payment.requestId?._id || payment.requestId,
               name: payment.requestId?.name,
@@ -723,14 +990,28 @@ export const getDashboardStats = async (req, res) => {
       totalSuppliers,
       totalFeedback,
       newFeedback,
+      slaByAdmin,
+      slaByUrgency,
+      workload,
     ] = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ subscriptionStatus: "active" }),
       Supplier.countDocuments({ isActive: true }),
       Feedback.countDocuments(),
       Feedback.countDocuments({ status: "new" }),
+      getSlaStats("assignedAdmin"),
+      getSlaStats("urgency"),
+      getAdminWorkloads(),
     ]);
 
+    // Managed service SLA compliance (services/slaService.js)
+    const slaAdmins = await Admin.find({
+      _id: { $in: slaByAdmin.map((row) => row.assignedAdmin).filter(Boolean) },
+    }).select("email");
+    const adminEmails = new Map(
+      slaAdmins.map((admin) => [String(admin._id), admin.email])
+    );
+
     res.json({
       success: true,
       data: {
@@ -739,6 +1020,17 @@ export const getDashboardStats = async (req, res) => {
         totalSuppliers,
         totalFeedback,
         newFeedback,
+        sla: {
+          byAdmin: slaByAdmin.map((row) => ({
+            ...row,
+            adminEmail: row.assignedAdmin
+              ? adminEmails.get(String(row.assignedAdmin)) || null
+              : null,
+          })),
+          byUrgency: slaByUrgency,
+        },
+        // Managed service assignment (services/managedServiceAssignmentService.js)
+        workload,
       },
     });
   } catch (error) {
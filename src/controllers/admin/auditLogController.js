@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import AuditLog from "../../models/admin/AuditLog.js";
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Search the admin audit log (Super Admin only). Newest first.
+ *
+ * Filters: actor (admin id or email), action (exact, or a prefix such as
+ * "supplier." when it ends with a dot), targetModel, targetId, requestId,
+ * from / to (ISO dates, inclusive).
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const { actor, action, targetModel, targetId, requestId, from, to } =
+      req.query;
+    const query = {};
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        query["actor.admin"] = actor;
+      } else {
+        query["actor.email"] = actor.toLowerCase().trim();
+      }
+    }
+    if (action) {
+      query.action = action.endsWith(".")
+        ? { $regex: `^${escapeRegex(action)}` }
+        : action;
+    }
+    if (targetModel) query["target.model"] = targetModel;
+    if (targetId) query["target.id"] = targetId;
+    if (requestId) query.requestId = requestId;
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if (
+        (fromDate && isNaN(fromDate.getTime())) ||
+        (toDate && isNaN(toDate.getTime()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "from and to must be valid dates",
+        });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,181 @@
+import multer from "multer";
+import FxRate from "../../models/admin/FxRate.js";
+import {
+  FX_PIVOT_CURRENCY,
+  getBaseCurrency,
+  normalizeCurrency,
+  parseFxRatesFile,
+  saveFxRates,
+  invalidateFxRates,
+} from "../../services/fxService.js";
+
+// Rate files are tiny; keep them in memory
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith(".csv") || name.endsWith(".json")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only CSV and JSON files are allowed."), false);
+    }
+  },
+  limits: { fileSize: 1024 * 1024 }, // 1MB limit
+});
+
+/**
+ * List the FX rate table (any admin). Rates are units per 1 USD.
+ */
+export const getFxRates = async (req, res) => {
+  try {
+    const [rates, baseCurrency] = await Promise.all([
+      FxRate.find().sort({ currency: 1 }).populate("updatedBy", "name email"),
+      getBaseCurrency(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pivotCurrency: FX_PIVOT_CURRENCY,
+        baseCurrency,
+        rates,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching FX rates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Set one currency's rate (Super Admin only). Body: { rate, asOf? }
+ */
+export const upsertFxRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!currency || currency === FX_PIVOT_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be a 3-letter ISO code other than ${FX_PIVOT_CURRENCY}`,
+      });
+    }
+
+    const rate = Number(req.body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Rate must be a positive number",
+      });
+    }
+
+    let asOf;
+    if (req.body.asOf) {
+      asOf = new Date(req.body.asOf);
+      if (isNaN(asOf.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "asOf must be a valid date",
+        });
+      }
+    }
+
+    await saveFxRates(
+      { [currency]: rate },
+      { source: "manual", updatedBy: req.admin._id, asOf }
+    );
+    const fxRate = await FxRate.findOne({ currency });
+
+    res.json({
+      success: true,
+      message: `${currency} rate updated`,
+      data: fxRate,
+    });
+  } catch (error) {
+    console.error("Error updating FX rate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove a currency from the table (Super Admin only). Records already
+ * priced in it keep their stored amounts; new conversions will fail.
+ */
+export const deleteFxRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    const deleted = currency ? await FxRate.findOneAndDelete({ currency }) : null;
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "FX rate not found",
+      });
+    }
+    invalidateFxRates();
+
+    res.json({
+      success: true,
+      message: `${currency} rate removed`,
+    });
+  } catch (error) {
+    console.error("Error deleting FX rate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Import rates from an uploaded CSV or JSON file (Super Admin only). See
+ * parseFxRatesFile for the formats. Currencies not in the file are left
+ * untouched.
+ */
+export const importFxRates = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const { rates, asOf, error } = parseFxRatesFile(
+      req.file.buffer.toString("utf8"),
+      req.file.originalname
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const imported = await saveFxRates(rates, {
+      source: "import",
+      updatedBy: req.admin._id,
+      asOf,
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${imported} FX rate${imported === 1 ? "" : "s"}`,
+      data: { imported, currencies: Object.keys(rates).sort(), rates },
+    });
+  } catch (error) {
+    console.error("Error importing FX rates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import Job, { JOB_STATUSES, JOB_TYPES } from "../../models/common/Job.js";
+import { requeueJob } from "../../services/jobQueue.js";
+
+/**
+ * List background jobs (Admin). Defaults to the dead-letter queue.
+ */
+export const getJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { status = "dead", type, requestId } = req.query;
+    const query = {};
+    if (status !== "all") {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be "all" or one of: ${JOB_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+    if (type && JOB_TYPES.includes(type)) query.type = type;
+    if (requestId && mongoose.Types.ObjectId.isValid(requestId)) {
+      query.requestId = requestId;
+    }
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      Job.countDocuments(query),
+      Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Requeue a dead or failed job with a fresh attempt budget (Admin)
+ */
+export const retryJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const job = await requeueJob(id);
+    if (!job) {
+      const exists = await Job.exists({ _id: id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "Only dead or failed jobs can be retried"
+          : "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: job._id.equals(id)
+        ? "Job requeued"
+        : "A live job for the same work already exists",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error retrying job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
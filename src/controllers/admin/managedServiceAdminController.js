@@ -1,5 +1,38 @@
+import mongoose from "mongoose";
 import ManagedService from "../../models/customer/ManagedService.js";
+import Supplier from "../../models/admin/Supplier.js";
+import SystemSettings from "../../models/admin/SystemSettings.js";
 import { enrichManagedServices, enrichManagedService } from "../../utils/managedServiceUtils.js";
+import {
+  linkUploads,
+  managedServiceUploadUrls,
+} from "../../utils/uploadUtils.js";
+import {
+  convertAmount,
+  fxSnapshot,
+  getFxRates,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundMoney,
+} from "../../services/fxService.js";
+import {
+  buildComparisonWorkbook,
+  compareQuotes,
+  parseWeightsParam,
+  resolveWeights,
+} from "../../services/quoteComparisonService.js";
+import { getThread } from "../../services/managedServiceMessageService.js";
+import {
+  MAX_STAGE_NOTE_LENGTH,
+  STAGE_TRANSITIONS,
+  transitionStage,
+} from "../../services/managedServiceStageService.js";
+import {
+  OPEN_STATUSES,
+  assignManagedService,
+  autoAssignUnassigned,
+  getAdminWorkloads,
+} from "../../services/managedServiceAssignmentService.js";
 // import { sendEmail } from "../../services/emailService.js"; // Will integrate later
 
 /**
@@ -11,11 +44,28 @@ export const getAllRequests = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const { status, stage } = req.query;
+    const { status, stage, assignedTo, open } = req.query;
     const query = {};
 
     if (status) query.status = status;
     if (stage) query.stage = stage;
+    // Open work only (in progress or waiting on the customer)
+    if (open === "true" && !status) query.status = { $in: OPEN_STATUSES };
+
+    // Queues: ?assignedTo=me | unassigned | <adminId>
+    if (assignedTo === "me") {
+      query.assignedAdmin = req.admin._id;
+    } else if (assignedTo === "unassigned") {
+      query.assignedAdmin = null;
+    } else if (assignedTo) {
+      if (!mongoose.isValidObjectId(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: "assignedTo must be me, unassigned or an admin id",
+        });
+      }
+      query.assignedAdmin = assignedTo;
+    }
 
     const [requests, total] = await Promise.all([
       ManagedService.find(query)
@@ -67,6 +117,9 @@ export const getRequestDetails = async (req, res) => {
 
     // Enrich request with days left calculation
     const enrichedRequest = await enrichManagedService(request);
+    const thread = await getThread(request._id, "Admin");
+    enrichedRequest.messages = thread.messages;
+    enrichedRequest.unreadMessages = thread.unread;
 
     res.json({
       success: true,
@@ -83,13 +136,25 @@ export const getRequestDetails = async (req, res) => {
 
 /**
  * Update Request Stage (Move workflow forward)
+ * Body: { stage?, note?, adminNotes? }. `stage` must be a transition the
+ * workflow allows (services/managedServiceStageService.js); `note` goes on
+ * the customer timeline, `adminNotes` stays internal.
  */
 export const updateStage = async (req, res) => {
   try {
     const { id } = req.params;
-    const { stage, adminNotes } = req.body;
+    const { stage, note, adminNotes } = req.body;
+
+    if (note !== undefined && note !== null) {
+      if (typeof note !== "string" || note.length > MAX_STAGE_NOTE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `note must be a string of at most ${MAX_STAGE_NOTE_LENGTH} characters`,
+        });
+      }
+    }
 
-    const request = await ManagedService.findById(id);
+    let request = await ManagedService.findById(id);
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -97,20 +162,29 @@ export const updateStage = async (req, res) => {
       });
     }
 
-    // Update fields
-    if (stage) request.stage = stage;
-    if (adminNotes) request.adminNotes = adminNotes;
-
-    // Auto-update status based on stage
-    if (stage === "report_ready") {
-      request.status = "action_required"; // Needs customer to pay/view
-    } else if (stage === "final_report") {
-      request.status = "completed";
-    } else {
-      request.status = "in_progress";
+    if (stage) {
+      const result = await transitionStage(request, stage, {
+        source: "admin",
+        changedBy: req.admin._id,
+        note: note?.trim(),
+      });
+      if (result.error) {
+        return res.status(409).json({
+          success: false,
+          message: result.error,
+          data: {
+            stage: request.stage,
+            allowedStages: STAGE_TRANSITIONS[request.stage] || [],
+          },
+        });
+      }
+      request = result.request;
     }
 
-    await request.save();
+    if (adminNotes) {
+      request.adminNotes = adminNotes;
+      await request.save();
+    }
 
     // TODO: Trigger email notification to user about stage change via Resend
 
@@ -128,13 +202,48 @@ export const updateStage = async (req, res) => {
   }
 };
 
+/**
+ * Record savings on a request. `savings` is in `quoteCurrency` (the
+ * supplier's currency); savingsAmount and the fee are stored in the
+ * service's billing currency, using the percentage locked at creation.
+ */
+const applySavings = (request, savings, quoteCurrency, rates) => {
+  const billingCurrency = request.currency || "USD";
+  if (savings > 0) {
+    request.savingsAmount = convertAmount(
+      savings,
+      quoteCurrency,
+      billingCurrency,
+      rates
+    );
+    request.savingsFx =
+      quoteCurrency === billingCurrency
+        ? undefined
+        : fxSnapshot(quoteCurrency, billingCurrency, rates);
+    request.savingsFeeAmount = roundMoney(
+      request.savingsAmount * (request.savingsFeePercentage / 100),
+      billingCurrency
+    );
+    request.savingsFeeStatus = "pending";
+  } else {
+    request.savingsAmount = 0;
+    request.savingsFx = undefined;
+    request.savingsFeeAmount = 0;
+    request.savingsFeeStatus = "not_applicable";
+  }
+};
+
 /**
  * Update Negotiated Pricing & Suppliers (Admin Step)
+ *
+ * originalPrice / negotiatedPrice are in `priceCurrency` (default: the
+ * service's billing currency).
  */
 export const updateQuotes = async (req, res) => {
   try {
     const { id } = req.params;
-    const { originalPrice, negotiatedPrice, suppliers } = req.body;
+    const { originalPrice, negotiatedPrice, priceCurrency, suppliers } =
+      req.body;
 
     const request = await ManagedService.findById(id);
     if (!request) {
@@ -144,27 +253,44 @@ export const updateQuotes = async (req, res) => {
       });
     }
 
+    const rates = await getFxRates();
+    if (
+      priceCurrency !== undefined &&
+      !isSupportedCurrency(priceCurrency, rates)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${priceCurrency}`,
+      });
+    }
+    const unsupportedSupplier = (suppliers || []).find(
+      (s) => s.currency && !isSupportedCurrency(s.currency, rates)
+    );
+    if (unsupportedSupplier) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${unsupportedSupplier.currency}`,
+      });
+    }
+
     // Update financials
+    if (priceCurrency !== undefined) {
+      request.priceCurrency = normalizeCurrency(priceCurrency);
+    }
     if (originalPrice !== undefined) request.originalPrice = originalPrice;
     if (negotiatedPrice !== undefined) {
       request.negotiatedPrice = negotiatedPrice;
 
       // Calculate Savings Fee
-      if (
+      applySavings(
+        request,
         request.originalPrice &&
-        request.negotiatedPrice < request.originalPrice
-      ) {
-        const savings = request.originalPrice - request.negotiatedPrice;
-        request.savingsAmount = savings;
-        // Use the percentage locked at creation time
-        request.savingsFeeAmount =
-          savings * (request.savingsFeePercentage / 100);
-        request.savingsFeeStatus = "pending";
-      } else {
-        request.savingsAmount = 0;
-        request.savingsFeeAmount = 0;
-        request.savingsFeeStatus = "not_applicable";
-      }
+          request.negotiatedPrice < request.originalPrice
+          ? request.originalPrice - request.negotiatedPrice
+          : 0,
+        request.priceCurrency || request.currency || "USD",
+        rates
+      );
     }
 
     // Update suppliers list
@@ -206,6 +332,22 @@ export const saveReport = async (req, res) => {
 
     // Calculate savings fee based on recommended supplier
     if (finalReport && finalReport.supplierDetails) {
+      // Quotes without a currency are in the service's billing currency
+      const rates = await getFxRates();
+      finalReport.supplierDetails = finalReport.supplierDetails.map((s) => ({
+        ...s,
+        currency: normalizeCurrency(s.currency) || request.currency || "USD",
+      }));
+      const unsupported = finalReport.supplierDetails.find(
+        (s) => !isSupportedCurrency(s.currency, rates)
+      );
+      if (unsupported) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported currency: ${unsupported.currency}`,
+        });
+      }
+
       const recommendedSupplier = finalReport.supplierDetails.find(
         (s) => s.isRecommended
       );
@@ -214,23 +356,21 @@ export const saveReport = async (req, res) => {
         const quoteAmount = recommendedSupplier.quoteAmount || 0;
         const negotiatedAmount = recommendedSupplier.negotiatedAmount || 0;
 
-        // Calculate savings: Quote Amount - Negotiated Amount
-        if (negotiatedAmount > 0 && quoteAmount > negotiatedAmount) {
-          const savings = quoteAmount - negotiatedAmount;
-          request.savingsAmount = savings;
-          // Use the percentage locked at creation time
-          request.savingsFeeAmount =
-            savings * (request.savingsFeePercentage / 100);
-          request.savingsFeeStatus = "pending";
-          // Update negotiated price for backward compatibility
-          request.negotiatedPrice = negotiatedAmount;
-        } else {
-          // No savings if negotiated >= quote or no negotiation
-          request.savingsAmount = 0;
-          request.savingsFeeAmount = 0;
-          request.savingsFeeStatus = "not_applicable";
-          request.negotiatedPrice = negotiatedAmount || quoteAmount;
-        }
+        // Calculate savings: Quote Amount - Negotiated Amount. No savings if
+        // negotiated >= quote or no negotiation.
+        const hasSavings =
+          negotiatedAmount > 0 && quoteAmount > negotiatedAmount;
+        applySavings(
+          request,
+          hasSavings ? quoteAmount - negotiatedAmount : 0,
+          recommendedSupplier.currency,
+          rates
+        );
+        // Update negotiated price for backward compatibility
+        request.negotiatedPrice = hasSavings
+          ? negotiatedAmount
+          : negotiatedAmount || quoteAmount;
+        request.priceCurrency = recommendedSupplier.currency;
       }
     }
 
@@ -245,6 +385,16 @@ export const saveReport = async (req, res) => {
 
     await request.save();
 
+    // C-6 follow-up: attach the supplier documents referenced by the report
+    // to this request so the customer passes the /api/files ACL.
+    if (finalReport) {
+      await linkUploads(managedServiceUploadUrls(request), {
+        relatedType: "ManagedService",
+        relatedId: request._id,
+        context: "final_report_document",
+      });
+    }
+
     res.json({
       success: true,
       message: "Report saved successfully",
@@ -259,3 +409,200 @@ export const saveReport = async (req, res) => {
     });
   }
 };
+
+/**
+ * Load a request and build its quote comparison. Weights come from
+ * SystemSettings.quoteComparisonWeights, overridable per call with
+ * `?weights=cost:50,leadTime:20,...`.
+ * @returns {Promise<{ request?, comparison?, status?, message? }>}
+ */
+async function loadQuoteComparison(req) {
+  const request = await ManagedService.findById(req.params.id).lean();
+  if (!request) return { status: 404, message: "Request not found" };
+
+  const settings = await SystemSettings.findOne({ key: "pricing_config" })
+    .select("quoteComparisonWeights savingsFeePercentage")
+    .lean();
+  const weights = resolveWeights(
+    parseWeightsParam(req.query.weights),
+    settings?.quoteComparisonWeights
+  );
+  if (weights.error) return { status: 400, message: weights.error };
+
+  const supplierIds = (request.finalReport?.supplierDetails || [])
+    .map((s) => s.supplierId)
+    .filter(Boolean);
+  const suppliers = supplierIds.length
+    ? await Supplier.find({ _id: { $in: supplierIds } })
+        .select("certifications verified riskFlags")
+        .lean()
+    : [];
+
+  const comparison = compareQuotes(request, {
+    weights: weights.value,
+    rates: await getFxRates(),
+    suppliersById: new Map(suppliers.map((s) => [String(s._id), s])),
+    savingsFeePercentage:
+      request.savingsFeePercentage ?? settings?.savingsFeePercentage ?? 8,
+  });
+  return { request, comparison };
+}
+
+/**
+ * Ranked side-by-side comparison of the request's quotes, with a suggested
+ * recommendation and its projected negotiatedPrice / savings.
+ */
+export const getQuoteComparison = async (req, res) => {
+  try {
+    const { comparison, status, message } = await loadQuoteComparison(req);
+    if (!comparison) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    console.error("Error comparing quotes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * The same comparison as an XLSX download.
+ */
+export const exportQuoteComparison = async (req, res) => {
+  try {
+    const { request, comparison, status, message } =
+      await loadQuoteComparison(req);
+    if (!comparison) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const xlsx = await buildComparisonWorkbook(comparison, request);
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="quote-comparison-${request._id}.xlsx"`
+    );
+    res.setHeader("Content-Length", xlsx.length);
+    res.send(xlsx);
+  } catch (error) {
+    console.error("Error exporting quote comparison:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Assign, reassign or unassign a request.
+ * Body: { adminId (null to unassign), reason }. Any admin can claim an
+ * unassigned request for themselves, and the assigned admin can hand theirs
+ * on; everything else is super admin only. Taking a request off an admin
+ * needs a reason.
+ */
+export const assignRequest = async (req, res) => {
+  try {
+    const { adminId = null, reason } = req.body || {};
+
+    const request = await ManagedService.findById(req.params.id).select(
+      "assignedAdmin status"
+    );
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (["completed", "cancelled"].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Request is ${request.status}`,
+      });
+    }
+
+    const self = String(req.admin._id);
+    const claiming = !request.assignedAdmin && String(adminId) === self;
+    const handingOff = String(request.assignedAdmin) === self;
+    if (req.admin.role !== "superAdmin" && !claiming && !handingOff) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only super admins can assign requests they don't hold to others",
+      });
+    }
+
+    const result = await assignManagedService(request, adminId, {
+      assignedBy: req.admin._id,
+      reason,
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: adminId ? "Request assigned" : "Request unassigned",
+      data: result.request,
+    });
+  } catch (error) {
+    console.error("Error assigning managed service:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Auto-assign open, paid requests that have no admin (super admin).
+ */
+export const autoAssignRequests = async (req, res) => {
+  try {
+    const assigned = await autoAssignUnassigned();
+
+    res.json({
+      success: true,
+      message: `${assigned} request(s) assigned`,
+      data: { assigned },
+    });
+  } catch (error) {
+    console.error("Error auto-assigning managed services:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Open workload per admin and the unassigned backlog.
+ */
+export const getWorkload = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getAdminWorkloads(),
+    });
+  } catch (error) {
+    console.error("Error getting admin workload:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,122 @@
+import ManagedService from "../../models/customer/ManagedService.js";
+import {
+  adminCanMessage,
+  getThread,
+  markThreadRead,
+  postMessage,
+} from "../../services/managedServiceMessageService.js";
+
+// Admin side of the managed service message thread
+// (services/managedServiceMessageService.js). Any admin can read; posting
+// and read receipts belong to the assigned admin (or any admin while the
+// request is unassigned, and super admins always).
+
+/**
+ * The thread and the number of customer messages not yet read.
+ */
+export const getMessages = async (req, res) => {
+  try {
+    const request = await ManagedService.findById(req.params.id).select("_id");
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getThread(request._id, "Admin"),
+    });
+  } catch (error) {
+    console.error("Error getting managed service messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Message the customer. Body: { body, attachments? }.
+ */
+export const sendMessage = async (req, res) => {
+  try {
+    const request = await ManagedService.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (!adminCanMessage(req.admin, request)) {
+      return res.status(403).json({
+        success: false,
+        message: "This request is assigned to another admin",
+      });
+    }
+
+    const { message, error } = await postMessage(
+      request,
+      { type: "Admin", id: req.admin._id, email: req.admin.email },
+      req.body || {}
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Error sending managed service message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Mark the customer's messages as read.
+ */
+export const markMessagesRead = async (req, res) => {
+  try {
+    const request = await ManagedService.findById(req.params.id).select(
+      "assignedAdmin"
+    );
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (!adminCanMessage(req.admin, request)) {
+      return res.status(403).json({
+        success: false,
+        message: "This request is assigned to another admin",
+      });
+    }
+
+    const marked = await markThreadRead(request._id, "Admin");
+
+    res.json({
+      success: true,
+      data: { marked },
+    });
+  } catch (error) {
+    console.error("Error marking managed service messages read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
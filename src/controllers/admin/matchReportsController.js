@@ -3,6 +3,10 @@ import BuyerRequest from "../../models/customer/BuyerRequest.js";
 import Payment from "../../models/customer/Payment.js";
 import CreditTransaction from "../../models/customer/CreditTransaction.js";
 import mongoose from "mongoose";
+import {
+  renderMatchReportPdf,
+  matchReportPdfFilename,
+} from "../../services/reportPdfService.js";
 
 /**
  * Get all match reports (Admin)
@@ -180,6 +184,56 @@ export const getMatchReportDetails = async (req, res) => {
   }
 };
 
+/**
+ * Export match report as PDF (Admin)
+ * Renders the customer-facing document — below-threshold suppliers are
+ * filtered out exactly as the buyer would see them.
+ */
+export const exportMatchReportPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const matchReport = await MatchReport.findOne({ requestId: id })
+      .populate("requestId")
+      .populate("fullReport.suppliers.supplierId")
+      .populate("scoredSuppliers.supplierId");
+
+    if (!matchReport || !matchReport.requestId) {
+      return res.status(404).json({
+        success: false,
+        message: "Match report not found",
+      });
+    }
+
+    if (!(matchReport.fullReport?.suppliers || []).length) {
+      return res.status(409).json({
+        success: false,
+        message: "Match report has no suppliers to export",
+      });
+    }
+
+    const pdf = await renderMatchReportPdf({
+      buyerRequest: matchReport.requestId,
+      matchReport,
+      exportedBy: req.admin?.email,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${matchReportPdfFilename(matchReport.requestId)}"`
+    );
+    res.setHeader("Content-Length", pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error exporting match report PDF:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 /**
  * Update match report (Admin can improve AI results)
  */
@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import ManagedService from "../../models/customer/ManagedService.js";
+import RfqInvitation from "../../models/customer/RfqInvitation.js";
+import Supplier from "../../models/admin/Supplier.js";
+import { sendRfqInvitationEmail } from "../../services/emailService.js";
+import {
+  DEFAULT_RFQ_RESPONSE_DAYS,
+  advanceManagedServiceStage,
+  buildRfqPackage,
+  generateRfqToken,
+  rfqResponseUrl,
+} from "../../services/rfqService.js";
+
+// RFQ distribution for managed services. Admins pick suppliers; each gets an
+// emailed link to the public quote form (controllers/common/rfqController.js)
+// and responses land in the request's finalReport.supplierDetails.
+
+const MAX_SUPPLIERS_PER_SEND = 50;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const CLOSED_STATUSES = ["pending_payment", "completed", "cancelled"];
+
+/**
+ * List the RFQ invitations sent for a managed service, with any quotes.
+ */
+export const getRfqInvitations = async (req, res) => {
+  try {
+    const invitations = await RfqInvitation.find({
+      managedService: req.params.id,
+    })
+      .select("-tokenHash")
+      .populate("sentBy", "name email")
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching RFQ invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Send the RFQ package to the selected suppliers.
+ *
+ * Body: { supplierIds, responseDeadline?, instructions? }. Suppliers already
+ * invited get a fresh link and the updated package; their quote (if any) is
+ * kept. Moves the request to supplier_outreach.
+ */
+export const sendRfq = async (req, res) => {
+  try {
+    const { supplierIds, responseDeadline, instructions } = req.body;
+
+    if (
+      !Array.isArray(supplierIds) ||
+      supplierIds.length === 0 ||
+      supplierIds.length > MAX_SUPPLIERS_PER_SEND ||
+      !supplierIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `supplierIds must be a list of 1-${MAX_SUPPLIERS_PER_SEND} supplier IDs`,
+      });
+    }
+
+    const deadline = responseDeadline
+      ? new Date(responseDeadline)
+      : new Date(Date.now() + DEFAULT_RFQ_RESPONSE_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "responseDeadline must be a future date",
+      });
+    }
+
+    if (
+      instructions !== undefined &&
+      (typeof instructions !== "string" ||
+        instructions.length > MAX_INSTRUCTIONS_LENGTH)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `instructions must be a string of ${MAX_INSTRUCTIONS_LENGTH} characters or less`,
+      });
+    }
+
+    const request = await ManagedService.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (CLOSED_STATUSES.includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot send RFQs for a request that is ${request.status}`,
+      });
+    }
+
+    const rfqPackage = buildRfqPackage(request, instructions?.trim());
+    const suppliers = await Supplier.find({
+      _id: { $in: [...new Set(supplierIds.map(String))] },
+      isActive: true,
+    }).select("name email");
+
+    const sent = [];
+    const skipped = supplierIds
+      .filter((id) => !suppliers.some((s) => s._id.equals(id)))
+      .map((id) => ({ supplierId: id, reason: "Supplier not found or inactive" }));
+
+    for (const supplier of suppliers) {
+      if (!supplier.email) {
+        skipped.push({
+          supplierId: supplier._id,
+          supplierName: supplier.name,
+          reason: "Supplier has no email address",
+        });
+        continue;
+      }
+
+      const { token, tokenHash } = generateRfqToken();
+      const now = new Date();
+      const invitation = await RfqInvitation.findOneAndUpdate(
+        {
+          managedService: request._id,
+          supplier: supplier._id,
+          status: { $ne: "revoked" },
+        },
+        {
+          $set: {
+            supplierName: supplier.name,
+            email: supplier.email,
+            tokenHash,
+            package: rfqPackage,
+            responseDeadline: deadline,
+            sentBy: req.admin._id,
+            sentAt: now,
+          },
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      try {
+        await sendRfqInvitationEmail({
+          email: supplier.email,
+          supplierName: supplier.name,
+          itemName: rfqPackage.itemName,
+          quantity: rfqPackage.quantity,
+          responseDeadline: deadline,
+          responseUrl: rfqResponseUrl(token),
+        });
+        sent.push(invitation);
+      } catch (emailError) {
+        // Invitation is kept; sending again issues a new link
+        skipped.push({
+          supplierId: supplier._id,
+          supplierName: supplier.name,
+          reason: "Email could not be sent",
+        });
+      }
+    }
+
+    if (sent.length > 0) {
+      await advanceManagedServiceStage(
+        request._id,
+        ["review", "rfq_prep"],
+        "supplier_outreach",
+        { changedBy: req.admin._id, note: "RFQ sent to suppliers" }
+      );
+    }
+
+    const data = {
+      sent: sent.map((invitation) => {
+        const { tokenHash, ...rest } = invitation.toObject();
+        return rest;
+      }),
+      skipped,
+    };
+
+    res.status(sent.length > 0 ? 200 : 400).json({
+      success: sent.length > 0,
+      message:
+        sent.length > 0
+          ? `RFQ sent to ${sent.length} supplier${sent.length === 1 ? "" : "s"}`
+          : "RFQ was not sent to any supplier",
+      data,
+    });
+  } catch (error) {
+    console.error("Error sending RFQ:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Audit target for revocations: the invitation itself.
+ */
+export const findRfqInvitation = (req) => ({
+  _id: req.params.invitationId,
+  managedService: req.params.id,
+});
+
+/**
+ * Revoke an invitation. Its link stops working; a quote already copied into
+ * the final report stays there.
+ */
+export const revokeRfqInvitation = async (req, res) => {
+  try {
+    const invitation = await RfqInvitation.findOneAndUpdate(
+      { ...findRfqInvitation(req), status: { $ne: "revoked" } },
+      { $set: { status: "revoked" } },
+      { new: true }
+    ).select("-tokenHash");
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "RFQ invitation not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "RFQ invitation revoked",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Error revoking RFQ invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,4 +1,14 @@
 import SystemSettings from "../../models/admin/SystemSettings.js";
+import {
+  getFxRates,
+  isSupportedCurrency,
+  normalizeCurrency,
+} from "../../services/fxService.js";
+import {
+  QUOTE_CRITERIA,
+  resolveWeights,
+} from "../../services/quoteComparisonService.js";
+import { ASSIGNMENT_STRATEGIES } from "../../services/managedServiceAssignmentService.js";
 
 /**
  * Get current system settings (pricing)
@@ -63,6 +73,9 @@ export const updateSettings = async (req, res) => {
       extraCreditPrice,
       gradePrices,
       urgencyFees,
+      currency,
+      quoteComparisonWeights,
+      assignmentStrategy,
     } = req.body;
 
     const updateData = {
@@ -75,6 +88,65 @@ export const updateSettings = async (req, res) => {
     if (extraCreditPrice !== undefined)
       updateData.extraCreditPrice = extraCreditPrice;
 
+    // Base currency of the price list. Prices are not converted when it
+    // changes — update them in the same request.
+    if (currency !== undefined) {
+      const rates = await getFxRates();
+      if (!isSupportedCurrency(currency, rates)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported currency: ${currency}. Add an FX rate first.`,
+        });
+      }
+      updateData.currency = normalizeCurrency(currency);
+    }
+
+    // Quote comparison weights (services/quoteComparisonService.js). Partial
+    // updates keep the other criteria.
+    if (quoteComparisonWeights !== undefined) {
+      if (
+        !quoteComparisonWeights ||
+        typeof quoteComparisonWeights !== "object" ||
+        Array.isArray(quoteComparisonWeights)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "quoteComparisonWeights must be an object",
+        });
+      }
+      const current = await SystemSettings.findOne({ key: "pricing_config" })
+        .select("quoteComparisonWeights")
+        .lean();
+      const weights = resolveWeights(
+        quoteComparisonWeights,
+        current?.quoteComparisonWeights
+      );
+      if (weights.error) {
+        return res.status(400).json({
+          success: false,
+          message: weights.error,
+        });
+      }
+      for (const key of QUOTE_CRITERIA) {
+        if (quoteComparisonWeights[key] !== undefined) {
+          updateData[`quoteComparisonWeights.${key}`] = Number(
+            quoteComparisonWeights[key]
+          );
+        }
+      }
+    }
+
+    // Managed service auto-assignment (services/managedServiceAssignmentService.js)
+    if (assignmentStrategy !== undefined) {
+      if (!ASSIGNMENT_STRATEGIES.includes(assignmentStrategy)) {
+        return res.status(400).json({
+          success: false,
+          message: `assignmentStrategy must be one of: ${ASSIGNMENT_STRATEGIES.join(", ")}`,
+        });
+      }
+      updateData.assignmentStrategy = assignmentStrategy;
+    }
+
     // Handle gradePrices (convert object to Map)
     if (gradePrices !== undefined) {
       if (typeof gradePrices === "object" && !Array.isArray(gradePrices)) {
@@ -0,0 +1,153 @@
+import Supplier from "../../models/admin/Supplier.js";
+import SupplierProfileEdit from "../../models/admin/SupplierProfileEdit.js";
+
+// Review queue for supplier self-service edits
+// (controllers/common/supplierPortalController.js).
+
+/**
+ * List supplier edits. Defaults to the pending queue, oldest first.
+ */
+export const getSupplierEdits = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const status = req.query.status || "pending";
+    const query = status === "all" ? {} : { status };
+    if (req.query.supplierId) query.supplier = req.query.supplierId;
+
+    const [edits, total] = await Promise.all([
+      SupplierProfileEdit.find(query)
+        .populate("reviewedBy", "name email")
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      SupplierProfileEdit.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        edits,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching supplier edits:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Claim a pending edit for review. Sends the error response itself and
+ * returns null when the edit doesn't exist or was already reviewed.
+ */
+async function claimPendingEdit(req, res, status) {
+  const edit = await SupplierProfileEdit.findOneAndUpdate(
+    { _id: req.params.id, status: "pending" },
+    {
+      $set: {
+        status,
+        reviewedBy: req.admin._id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note ? String(req.body.note).trim() : undefined,
+      },
+    },
+    { new: true }
+  );
+  if (!edit) {
+    const exists = await SupplierProfileEdit.exists({ _id: req.params.id });
+    res.status(exists ? 409 : 404).json({
+      success: false,
+      message: exists
+        ? "This edit has already been reviewed"
+        : "Supplier edit not found",
+    });
+    return null;
+  }
+  return edit;
+}
+
+/**
+ * Audit target for approvals: the Supplier the edit changes.
+ */
+export const findEditedSupplier = async (req) => {
+  const edit = await SupplierProfileEdit.findById(req.params.id).select("supplier");
+  return edit ? { _id: edit.supplier } : null;
+};
+
+/**
+ * Apply an edit to the live supplier record and mark it verified this year.
+ */
+export const approveSupplierEdit = async (req, res) => {
+  try {
+    const pending = await SupplierProfileEdit.findOne({
+      _id: req.params.id,
+      status: "pending",
+    }).select("supplier");
+    if (pending && !(await Supplier.exists({ _id: pending.supplier }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier no longer exists",
+      });
+    }
+
+    const edit = await claimPendingEdit(req, res, "approved");
+    if (!edit) return;
+
+    const { changes = {} } = edit.toObject();
+
+    // findOneAndUpdate so the MOQ normalization hook runs on minOrderQuantity
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id: edit.supplier },
+      { $set: { ...changes, lastVerifiedDate: new Date().getFullYear() } },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: "Supplier edit approved",
+      data: { edit, supplier },
+    });
+  } catch (error) {
+    console.error("Error approving supplier edit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Reject an edit. `note` is shown to the supplier.
+ */
+export const rejectSupplierEdit = async (req, res) => {
+  try {
+    const edit = await claimPendingEdit(req, res, "rejected");
+    if (!edit) return;
+
+    res.json({
+      success: true,
+      message: "Supplier edit rejected",
+      data: edit,
+    });
+  } catch (error) {
+    console.error("Error rejecting supplier edit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
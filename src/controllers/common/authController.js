@@ -3,8 +3,14 @@ import User from "../../models/common/User.js";
 import BuyerRequest from "../../models/customer/BuyerRequest.js";
 import Payment from "../../models/customer/Payment.js";
 import { generateToken } from "../../middleware/auth.js";
-import { verifyToken } from "../../services/tokenService.js";
-import { sendVerificationEmail } from "../../services/emailService.js";
+import {
+  generateToken as generateTokenService,
+  verifyToken,
+} from "../../services/tokenService.js";
+import {
+  sendMagicLinkEmail,
+  sendVerificationEmail,
+} from "../../services/emailService.js";
 import {
   COMMON_PASSWORDS,
   validatePasswordStrength,
@@ -12,8 +18,108 @@ import {
   MAX_FAILED_LOGINS,
   LOCKOUT_DURATION_MS,
 } from "../../services/passwordPolicy.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor as removeTwoFactor,
+  regenerateRecoveryCodes,
+  resolveTwoFactorToken,
+  signTwoFactorToken,
+  twoFactorStatus,
+  verifySecondFactor,
+} from "../../services/twoFactorService.js";
+import { findEnforcedConnection } from "../../services/ssoService.js";
+import {
+  createSession,
+  formatSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  rotateRefreshToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+  SESSION_IDLE_TTL_MS,
+} from "../../services/sessionService.js";
 
 const GENERIC_LOGIN_ERROR = "Invalid credentials";
+const MAGIC_LINK_SENT_MESSAGE =
+  "If an account exists with this email, a sign-in link has been sent";
+const INVALID_MAGIC_LINK = "Invalid or expired sign-in link";
+// One sign-in email per account per minute, so the endpoint can't flood an inbox
+const MAGIC_LINK_RESEND_MS = 60 * 1000;
+
+// Refresh cookie: only sent to /api/auth (refresh and logout), never cross-site
+const REFRESH_COOKIE = "cd-refresh";
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/auth",
+});
+
+const clearSessionCookies = (res) => {
+  res.clearCookie("cd-token");
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+/**
+ * Set the access (cd-token) and refresh cookies for a session.
+ * @returns {string} the access JWT
+ */
+function setSessionCookies(res, user, session, refreshToken) {
+  // Generate JWT token (H-4: pass full user so tokenVersion is embedded)
+  const token = generateToken(user, session._id);
+
+  res.cookie("cd-token", token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: SESSION_IDLE_TTL_MS,
+  });
+  return token;
+}
+
+/**
+ * Record a Session and set the session cookies for a fully authenticated
+ * user. Also used by the SSO callback.
+ * @param {string} method - how the login completed (Session.method)
+ * @returns {Promise<string>} the access JWT
+ */
+export async function issueUserSession(req, res, user, method) {
+  const { session, refreshToken } = await createSession("User", user, req, method);
+  return setSessionCookies(res, user, session, refreshToken);
+}
+
+// H-5: count a failed password or second-factor attempt toward lockout.
+async function recordFailedAttempt(user) {
+  user.failedLoginCount = (user.failedLoginCount || 0) + 1;
+  if (user.failedLoginCount >= MAX_FAILED_LOGINS) {
+    user.lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
+  }
+  await user.save();
+}
+
+// 2FA: what login and password creation return instead of a session when
+// the account has two-factor on (finish at POST /api/auth/2fa/verify).
+const twoFactorChallenge = (user) => ({
+  twoFactorRequired: true,
+  challengeToken: signTwoFactorToken(user, "user", "login"),
+});
+
+// SSO: answer for password logins on a domain whose organization enforces
+// single sign-on; the frontend follows loginUrl instead.
+const ssoRequiredResponse = (res, email) =>
+  res.status(403).json({
+    success: false,
+    message: "Your organization requires single sign-on",
+    ssoRequired: true,
+    loginUrl: `/api/auth/sso/login?email=${encodeURIComponent(email)}`,
+  });
 
 // Helper to sync payments for a user (blocking)
 // Exported for use in emergency session endpoint
@@ -130,23 +236,16 @@ export const syncPaymentsForUser = async (user) => {
               payment.requestId
             ) {
               try {
-                const ManagedService = (
-                  await import("../../models/customer/ManagedService.js")
-                ).default;
-                await ManagedService.findOneAndUpdate(
-                  {
-                    _id: payment.requestId,
-                    serviceFeeStatus: { $ne: "paid" },
-                  },
-                  {
-                    $set: {
-                      serviceFeeStatus: "paid",
-                      status: "in_progress",
-                      stage: "review",
-                      serviceFeePaidAt: payment.paidAt || new Date(),
-                    },
-                  }
+                const { markServiceFeePaid } = await import(
+                  "../../services/managedServiceStageService.js"
+                );
+                const { scheduleAutoAssignment } = await import(
+                  "../../services/managedServiceAssignmentService.js"
                 );
+                const paidService = await markServiceFeePaid(payment.requestId, {
+                  paidAt: payment.paidAt,
+                });
+                if (paidService) scheduleAutoAssignment(paidService._id);
                 console.log(
                   `[sync] Updated ManagedService ${payment.requestId} serviceFeeStatus to paid`
                 );
@@ -315,6 +414,12 @@ export const syncPaymentsForUser = async (user) => {
               const ManagedService = (
                 await import("../../models/customer/ManagedService.js")
               ).default;
+              const { applyServiceFeePaidStage } = await import(
+                "../../services/managedServiceStageService.js"
+              );
+              const { scheduleAutoAssignment } = await import(
+                "../../services/managedServiceAssignmentService.js"
+              );
               const managedService = await ManagedService.findById(
                 payment.requestId
               );
@@ -326,12 +431,11 @@ export const syncPaymentsForUser = async (user) => {
                 managedService.serviceFeePaymentId =
                   payment.stripePaymentIntentId;
                 managedService.serviceFeePaidAt = new Date();
-                // Set to 'submitted' instead of 'review' as per user request
-                managedService.status = "in_progress";
-                managedService.stage = "submitted";
+                applyServiceFeePaidStage(managedService);
                 await managedService.save();
+                scheduleAutoAssignment(managedService._id);
                 console.log(
-                  `[sync] Updated managed service ${payment.requestId} status to submitted`
+                  `[sync] Updated managed service ${payment.requestId} status to ${managedService.status}`
                 );
               }
             }
@@ -492,6 +596,10 @@ export const createPassword = async (req, res) => {
       });
     }
 
+    if (await findEnforcedConnection(email)) {
+      return ssoRequiredResponse(res, email.toLowerCase().trim());
+    }
+
     // Find or create user
     let user = await User.findOne({ email: email.toLowerCase().trim() });
     if (!user) {
@@ -689,16 +797,16 @@ export const createPassword = async (req, res) => {
     user.lockedUntil = undefined;
     await user.save();
 
-    // Generate JWT token (H-4: pass full user so tokenVersion is embedded)
-    const jwtToken = generateToken(user);
+    // 2FA: a verification link proves the mailbox, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: "Password created. Two-factor authentication required",
+        data: twoFactorChallenge(user),
+      });
+    }
 
-    // Set cookie (customer token)
-    res.cookie("cd-token", jwtToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // H-4: 7 days (was 30)
-    });
+    const jwtToken = await issueUserSession(req, res, user, "password_setup");
 
     res.json({
       success: true,
@@ -737,6 +845,10 @@ export const login = async (req, res) => {
 
     const userEmail = String(email).toLowerCase().trim();
 
+    // Domain-level policy, so answering before the lookup leaks no accounts
+    if (await findEnforcedConnection(userEmail)) {
+      return ssoRequiredResponse(res, userEmail);
+    }
 
     const user = await User.findOne({ email: userEmail });
 
@@ -781,47 +893,248 @@ export const login = async (req, res) => {
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       // H-5: track failed attempts and lock after MAX_FAILED_LOGINS.
-      user.failedLoginCount = (user.failedLoginCount || 0) + 1;
-      if (user.failedLoginCount >= MAX_FAILED_LOGINS) {
-        user.lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
-      }
-      await user.save();
+      await recordFailedAttempt(user);
       return res.status(401).json({
         success: false,
         message: GENERIC_LOGIN_ERROR,
       });
     }
 
-    // Successful login — reset lockout state.
-    user.failedLoginCount = 0;
-    user.lockedUntil = undefined;
-
   
     if (typeof user.needsRehash === "function" && user.needsRehash()) {
       user.password = password;
     }
+
+    // 2FA: lockout state is only reset once the second factor checks out,
+    // so code guesses can't be spread across password re-entries.
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: twoFactorChallenge(user),
+      });
+    }
+
+    // Successful login — reset lockout state.
+    user.failedLoginCount = 0;
+    user.lockedUntil = undefined;
     await user.save();
 
     // Automatically sync payments (BLOCKING)
     // This ensures subscriptions and payments are up-to-date BEFORE sending response
     await syncPaymentsForUser(user);
 
-    // Generate JWT token (H-4: pass full user so tokenVersion is embedded)
-    const token = generateToken(user);
+    const token = await issueUserSession(req, res, user, "password");
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        token,
+        user: {
+          id: user._id,
+          email: user.email,
+          subscriptionStatus: user.subscriptionStatus,
+          subscriptionPlan: user.subscriptionPlan,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Email a passwordless sign-in link (tokenService "magicLink": 15 minutes,
+ * single use). For buyers who came in through the one-time payment flow
+ * and never set a password; works for any customer account.
+ *
+ * Same response whether or not the account exists. Locked accounts get no
+ * link, and a resend within MAGIC_LINK_RESEND_MS is dropped.
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const userEmail = String(email).toLowerCase().trim();
+
+    // Domain-level policy, as in login
+    if (await findEnforcedConnection(userEmail)) {
+      return ssoRequiredResponse(res, userEmail);
+    }
+
+    const user = await User.findOne({ email: userEmail }).select(
+      "_id email lockedUntil"
+    );
+    if (user && !(user.lockedUntil?.getTime() > Date.now())) {
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { "magicLink.sentAt": null },
+            {
+              "magicLink.sentAt": {
+                $lt: new Date(Date.now() - MAGIC_LINK_RESEND_MS),
+              },
+            },
+          ],
+        },
+        { $set: { "magicLink.sentAt": new Date() } }
+      );
 
+      if (claimed.modifiedCount > 0) {
+        // requestId binds the link to this account, not just the address
+        const token = generateTokenService(
+          user.email,
+          user._id.toString(),
+          "magicLink"
+        );
+        try {
+          await sendMagicLinkEmail({ email: user.email, token });
+        } catch (emailError) {
+          // Logged in emailService; the response stays generic either way
+        }
+      }
+    }
 
-    res.cookie("cd-token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // H-4: 7 days (was 30)
+    res.json({
+      success: true,
+      message: MAGIC_LINK_SENT_MESSAGE,
     });
+  } catch (error) {
+    console.error("Error sending magic link:", error);
+    // Still return success to prevent email enumeration
+    res.json({
+      success: true,
+      message: MAGIC_LINK_SENT_MESSAGE,
+    });
+  }
+};
+
+/**
+ * Exchange a sign-in link for a session: { email, token }. The dashboard's
+ * /login/magic-link page posts the link's query here.
+ *
+ * Same protections as login: the H-5 lockout (bad tokens count as failed
+ * attempts), SSO enforcement and the 2FA challenge. Links are single-use:
+ * one issued before the account's last magic-link sign-in is rejected.
+ */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { email, token } = req.body;
+
+    if (!email || !token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Email and token are required",
+      });
+    }
+
+    const userEmail = String(email).toLowerCase().trim();
+
+    // Enforcement may have been switched on after the link was sent
+    if (await findEnforcedConnection(userEmail)) {
+      return ssoRequiredResponse(res, userEmail);
+    }
+
+    const user = await User.findOne({ email: userEmail });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_MAGIC_LINK,
+      });
+    }
+
+    // H-5: lockout enforcement — reject before checking the token.
+    if (user.lockedUntil && user.lockedUntil.getTime() > Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_MAGIC_LINK,
+      });
+    }
+
+    const verification = verifyToken(
+      token,
+      userEmail,
+      user._id.toString(),
+      "magicLink"
+    );
+    if (!verification.valid) {
+      await recordFailedAttempt(user);
+      return res.status(400).json({
+        success: false,
+        message: INVALID_MAGIC_LINK,
+      });
+    }
+
+    // Spend the link: the conditional update lets only one of two
+    // concurrent clicks through
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "magicLink.usedAt": null },
+          {
+            "magicLink.usedAt": {
+              $lt: new Date(verification.payload.issuedAt),
+            },
+          },
+        ],
+      },
+      { $set: { "magicLink.usedAt": new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_MAGIC_LINK,
+      });
+    }
+
+    // The link proves the address, like the verification email does
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationTokenExpiry = undefined;
+    }
+
+    // 2FA: lockout state is only reset once the second factor checks out
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: twoFactorChallenge(user),
+      });
+    }
+
+    // Successful login — reset lockout state.
+    user.failedLoginCount = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    // Automatically sync payments (BLOCKING), as in login
+    await syncPaymentsForUser(user);
+
+    const sessionToken = await issueUserSession(req, res, user, "magic_link");
 
     res.json({
       success: true,
       message: "Login successful",
       data: {
-        token,
+        token: sessionToken,
         user: {
           id: user._id,
           email: user.email,
@@ -831,7 +1144,7 @@ export const login = async (req, res) => {
       },
     });
   } catch (error) {
-    console.error("Error logging in:", error);
+    console.error("Error verifying magic link:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -843,26 +1156,28 @@ export const login = async (req, res) => {
 /**
  * Logout user
  *
- * H-4: bumps tokenVersion BEFORE clearing the cookie so any other live
- * sessions (other tabs, leaked tokens) are immediately revoked at the next
- * authenticate() call.
+ * Ends this device's Session only; other devices stay signed in (see
+ * endOtherSessions). Mounted behind optionalAuth, which resolves the session;
+ * once the access token has expired, the refresh cookie identifies it.
  */
 export const logout = async (req, res) => {
   try {
-    if (req.user && req.user._id) {
-      // Re-fetch a writable doc — req.user came in via .select("-password")
-      // and may be a lean projection.
-      const user = await User.findById(req.user._id);
-      if (user) {
-        user.tokenVersion = (user.tokenVersion || 0) + 1;
-        await user.save();
-      }
+    if (req.user && req.sessionId) {
+      await revokeSession(
+        "User",
+        req.user._id,
+        req.sessionId,
+        { type: "self", id: req.user._id },
+        "logout"
+      );
+    } else if (req.cookies?.[REFRESH_COOKIE]) {
+      await revokeSessionByRefreshToken("User", req.cookies[REFRESH_COOKIE]);
     }
   } catch (e) {
-    // Don't fail logout on a token-bump error — still clear cookie.
-    console.error("Error bumping tokenVersion on logout:", e);
+    // Don't fail logout on a revocation error — still clear cookie.
+    console.error("Error revoking session on logout:", e);
   }
-  res.clearCookie("cd-token");
+  clearSessionCookies(res);
   res.clearCookie("token");
   res.json({
     success: true,
@@ -891,6 +1206,7 @@ export const getCurrentUser = async (req, res) => {
           subscriptionExpiresAt: user.subscriptionExpiresAt,
           matchCredits: user.matchCredits || 0, // Add matchCredits here
           requests: user.requests,
+          twoFactor: twoFactorStatus(user),
         },
       },
     });
@@ -1203,3 +1519,353 @@ export const emergencySessionSync = async (req, res) => {
     });
   }
 };
+
+/**
+ * Second login step: trade the challenge token from login (or password
+ * creation) and a code or recovery code for a session.
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    const resolved = await resolveTwoFactorToken(
+      User,
+      challengeToken,
+      "user",
+      ["login"],
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge",
+      });
+    }
+    const user = resolved.account;
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > Date.now()) {
+      return res.status(401).json({
+        success: false,
+        message: GENERIC_LOGIN_ERROR,
+      });
+    }
+
+    const result = await verifySecondFactor(User, user, {
+      code,
+      recoveryCode,
+    });
+    if (!result.ok) {
+      await recordFailedAttempt(user);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    user.failedLoginCount = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    await syncPaymentsForUser(user);
+    const token = await issueUserSession(req, res, user, "two_factor");
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        token,
+        user: {
+          id: user._id,
+          email: user.email,
+          subscriptionStatus: user.subscriptionStatus,
+          subscriptionPlan: user.subscriptionPlan,
+        },
+        ...(result.method === "recovery_code" && {
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying two-factor code:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Start optional 2FA enrollment: returns the secret and an otpauth:// URL
+ * for the authenticator app.
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await beginEnrollment(User, req.user),
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a first code. Returns the recovery codes, shown
+ * once. Body: { code }
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { recoveryCodes, error } = await completeEnrollment(
+      User,
+      user,
+      req.body?.code
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Turn 2FA off. Needs the password and a current code (or recovery code).
+ * Body: { password, code } or { password, recoveryCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    const user = await User.findById(req.user._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const passwordOk =
+      password && user.password ? await user.comparePassword(password) : false;
+    const factor = passwordOk
+      ? await verifySecondFactor(User, user, { code, recoveryCode })
+      : { ok: false };
+    if (!factor.ok) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or verification code",
+      });
+    }
+
+    await removeTwoFactor(User, user);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Error disabling two-factor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working). Body: { code }
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    const factor = await verifySecondFactor(User, user, {
+      code: req.body?.code,
+    });
+    if (!factor.ok) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: await regenerateRecoveryCodes(User, user) },
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Trade the refresh cookie for a new access token (and a rotated refresh
+ * token). Call when an API request answers 401 "Token expired". Replaying
+ * an already-rotated refresh token revokes the session.
+ */
+export const refreshSession = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(
+      "User",
+      req.cookies?.[REFRESH_COOKIE],
+      req
+    );
+    if (result.error) {
+      // 409: a concurrent refresh won; keep the cookies it set
+      if (result.status !== 409) clearSessionCookies(res);
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const token = setSessionCookies(
+      res,
+      result.account,
+      result.session,
+      result.refreshToken
+    );
+    res.json({
+      success: true,
+      message: "Session refreshed",
+      data: {
+        token,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      },
+    });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ========== Sessions (signed-in devices) ==========
+
+/**
+ * List the caller's signed-in devices; `current` marks this one.
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions("User", req.user);
+    res.json({
+      success: true,
+      data: sessions.map((s) => formatSession(s, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sign out one device. Ending the current session also clears the cookie.
+ */
+export const endSession = async (req, res) => {
+  try {
+    const session = /^[a-f0-9]{24}$/.test(req.params.sessionId)
+      ? await revokeSession("User", req.user._id, req.params.sessionId, {
+          type: "self",
+          id: req.user._id,
+        })
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (String(session._id) === req.sessionId) {
+      clearSessionCookies(res);
+    }
+    res.json({
+      success: true,
+      message: "Session ended",
+    });
+  } catch (error) {
+    console.error("Error ending session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sign out every other device, keeping this one.
+ */
+export const endOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions("User", req.user._id, {
+      exceptSid: req.sessionId,
+      revokedBy: { type: "self", id: req.user._id },
+    });
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session(s)`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Error ending other sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import Job from "../../models/common/Job.js";
+import BuyerRequest from "../../models/customer/BuyerRequest.js";
+import { sharesOrganization } from "../../services/organizationService.js";
+
+/**
+ * Public view of a job for pollers. Errors are summarized, never echoed raw
+ * outside development (they can contain upstream API details).
+ */
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  requestId: job.requestId || null,
+  matchReportId: job.matchReportId || null,
+  result: job.result ?? null,
+  error:
+    job.lastError && ["failed", "dead"].includes(job.status)
+      ? process.env.NODE_ENV === "development"
+        ? job.lastError
+        : "Job failed"
+      : null,
+  nextRunAt: job.status === "queued" ? job.runAt : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+});
+
+/**
+ * Whether the caller may poll `job`. Jobs started by a signed-in user are
+ * visible to that user and anyone who can see the underlying request
+ * (owner by email or organization). Jobs from anonymous intake submissions
+ * carry no PII beyond what GET /api/matches/:id/preview already serves by
+ * request id, so they're readable by id.
+ */
+const canViewJob = async (job, user) => {
+  if (!job.requestedBy) return true;
+  if (!user) return false;
+  if (job.requestedBy.equals(user._id)) return true;
+  if (!job.requestId) return false;
+
+  const request = await BuyerRequest.findById(job.requestId).select(
+    "email organizationId"
+  );
+  if (!request) return false;
+  const email = (user.email || "").toLowerCase().trim();
+  return request.email === email || sharesOrganization(user, request);
+};
+
+/**
+ * Poll a background job (GET /api/jobs/:id)
+ */
+export const getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = mongoose.Types.ObjectId.isValid(id)
+      ? await Job.findById(id)
+      : null;
+
+    if (!job || !(await canViewJob(job, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    // Pollers should never see a cached status.
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      success: true,
+      data: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
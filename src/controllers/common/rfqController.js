@@ -0,0 +1,264 @@
+import ManagedService from "../../models/customer/ManagedService.js";
+import RfqInvitation from "../../models/customer/RfqInvitation.js";
+import Supplier from "../../models/admin/Supplier.js";
+import Upload from "../../models/common/Upload.js";
+import { removeStoredDocuments } from "../../middleware/documentUpload.js";
+import {
+  getFxRates,
+  isSupportedCurrency,
+  normalizeCurrency,
+} from "../../services/fxService.js";
+import {
+  advanceManagedServiceStage,
+  hashRfqToken,
+  recordSupplierQuote,
+} from "../../services/rfqService.js";
+
+// Public RFQ response form. The token in the URL is the supplier's only
+// credential (see controllers/admin/rfqAdminController.js for sending).
+
+export const MAX_QUOTE_ATTACHMENTS = 5;
+const TEXT_LIMITS = { leadTime: 200, minimumOrderQuantity: 200, notes: 2000 };
+const CLOSED_REQUEST_STATUSES = ["completed", "cancelled"];
+
+const toPublicRfq = (invitation) => ({
+  supplierName: invitation.supplierName,
+  package: invitation.package,
+  responseDeadline: invitation.responseDeadline,
+  status: invitation.status,
+  isOpen: invitation.responseDeadline > new Date(),
+  quote: invitation.respondedAt ? invitation.quote : null,
+  respondedAt: invitation.respondedAt,
+});
+
+/**
+ * Resolve `:token` to its invitation (req.rfqInvitation). Unknown and
+ * revoked links get the same 404.
+ */
+export const loadRfqInvitation = async (req, res, next) => {
+  try {
+    const invitation = await RfqInvitation.findOne({
+      tokenHash: hashRfqToken(req.params.token),
+    });
+    if (!invitation || invitation.status === "revoked") {
+      return res.status(404).json({
+        success: false,
+        message: "RFQ not found",
+      });
+    }
+    req.rfqInvitation = invitation;
+    next();
+  } catch (error) {
+    console.error("Error loading RFQ invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Reject submissions after the deadline or once the request has closed.
+ * Runs before the upload so nothing is stored for a closed RFQ.
+ */
+export const requireOpenRfq = async (req, res, next) => {
+  try {
+    const invitation = req.rfqInvitation;
+    const request = await ManagedService.findById(
+      invitation.managedService
+    ).select("status");
+    if (
+      invitation.responseDeadline <= new Date() ||
+      !request ||
+      CLOSED_REQUEST_STATUSES.includes(request.status)
+    ) {
+      return res.status(410).json({
+        success: false,
+        message: "This RFQ is closed to new quotes",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking RFQ status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * The RFQ package and the supplier's current quote. First view is recorded.
+ */
+export const getRfq = async (req, res) => {
+  try {
+    const invitation = req.rfqInvitation;
+    if (invitation.status === "sent") {
+      invitation.status = "viewed";
+      invitation.viewedAt = new Date();
+      await RfqInvitation.updateOne(
+        { _id: invitation._id, status: "sent" },
+        { $set: { status: "viewed", viewedAt: invitation.viewedAt } }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: toPublicRfq(invitation),
+    });
+  } catch (error) {
+    console.error("Error fetching RFQ:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Validate a quote form body.
+ * @returns {Promise<{ value?: Object, error?: string }>}
+ */
+async function parseQuote(body, defaultCurrency) {
+  const price = Number(body.price);
+  if (
+    body.price === undefined ||
+    body.price === "" ||
+    !Number.isFinite(price) ||
+    price <= 0
+  ) {
+    return { error: "price must be a positive number" };
+  }
+
+  let shippingCost;
+  if (body.shippingCost !== undefined && body.shippingCost !== "") {
+    shippingCost = Number(body.shippingCost);
+    if (!Number.isFinite(shippingCost) || shippingCost < 0) {
+      return { error: "shippingCost must be a non-negative number" };
+    }
+  }
+
+  const currency = normalizeCurrency(body.currency) || defaultCurrency;
+  if (!isSupportedCurrency(currency, await getFxRates())) {
+    return { error: `Unsupported currency: ${currency}` };
+  }
+
+  const text = {};
+  for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+    const raw = body[field];
+    if (raw !== undefined && typeof raw !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    const value = (raw || "").trim();
+    if (value.length > max) {
+      return { error: `${field} must be ${max} characters or less` };
+    }
+    text[field] = value || undefined;
+  }
+  if (!text.leadTime) {
+    return { error: "leadTime is required" };
+  }
+
+  return { value: { price, shippingCost, currency, ...text } };
+}
+
+/**
+ * Submit (or revise) a quote: price, shipping, currency, lead time, MOQ,
+ * notes and up to MAX_QUOTE_ATTACHMENTS files (multipart field
+ * `attachments`). The quote is copied into the managed service's finalReport.supplierDetails and the
+ * request moves to collecting_quotes.
+ */
+export const submitQuote = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const invitation = req.rfqInvitation;
+    const parsed = await parseQuote(
+      req.body || {},
+      invitation.package?.currency || "USD"
+    );
+    if (parsed.error) {
+      await removeStoredDocuments(files).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const supplier = await Supplier.findById(invitation.supplier).select(
+      "name city country"
+    );
+    if (!supplier) {
+      await removeStoredDocuments(files).catch(() => {});
+      return res.status(404).json({
+        success: false,
+        message: "RFQ not found",
+      });
+    }
+
+    // Same per-file ACL as every other upload: linked to the request, so
+    // admins and the customer can open them from the report.
+    await Promise.all(
+      files.map((file) =>
+        Upload.create({
+          filename: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          storageDriver: file.storageDriver,
+          ownerType: "Supplier",
+          owner: supplier._id,
+          relatedType: "ManagedService",
+          relatedId: invitation.managedService,
+          context: "rfq_quote_document",
+        })
+      )
+    );
+    const attachments = files.map((file) => ({
+      fileName: file.originalname,
+      type: file.mimetype,
+      url: `/api/files/${file.filename}`,
+    }));
+
+    const quote = parsed.value;
+    await recordSupplierQuote(
+      invitation.managedService,
+      supplier,
+      quote,
+      attachments.map((a) => ({ name: "Supplier quote", ...a })),
+      invitation.email
+    );
+
+    invitation.set({
+      status: "responded",
+      respondedAt: new Date(),
+      quote: {
+        ...quote,
+        attachments: [...(invitation.quote?.attachments || []), ...attachments],
+      },
+    });
+    await invitation.save();
+
+    await advanceManagedServiceStage(
+      invitation.managedService,
+      ["rfq_prep", "supplier_outreach"],
+      "collecting_quotes",
+      { note: "First supplier quote received" }
+    );
+
+    res.json({
+      success: true,
+      message: "Quote submitted",
+      data: toPublicRfq(invitation),
+    });
+  } catch (error) {
+    console.error("Error submitting RFQ quote:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,157 @@
+import {
+  SSO_STATE_COOKIE,
+  SSO_STATE_TTL_MS,
+  beginSsoLogin,
+  completeSsoLogin,
+  findConnectionForEmail,
+  readSsoState,
+} from "../../services/ssoService.js";
+import { signTwoFactorToken } from "../../services/twoFactorService.js";
+import { issueUserSession, syncPaymentsForUser } from "./authController.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const dashboardUrl = () =>
+  (process.env.CUSTOMER_DASHBOARD_URL || "http://localhost:3004").replace(/\/$/, "");
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // lax: the IdP redirects back with a top-level GET
+  sameSite: "lax",
+  path: "/api/auth/sso",
+});
+
+// Only same-site paths, so the callback can't be used as an open redirect
+const safeReturnTo = (value) =>
+  typeof value === "string" &&
+  value.length <= 500 &&
+  value.startsWith("/") &&
+  !value.startsWith("//") &&
+  !/[\\\u0000-\u001f]/.test(value)
+    ? value
+    : null;
+
+// Browser-facing failures go back to the dashboard login page with a code
+// the frontend can explain.
+const redirectWithError = (res, code) =>
+  res.redirect(`${dashboardUrl()}/login?ssoError=${encodeURIComponent(code)}`);
+
+const ERROR_CODES = {
+  401: "token_invalid",
+  403: "not_allowed",
+  404: "not_configured",
+  409: "account_conflict",
+};
+
+/**
+ * Does this email sign in with SSO? Lets the login page swap the password
+ * field for a "Continue with SSO" button.
+ */
+export const discoverSso = async (req, res) => {
+  try {
+    const email =
+      typeof req.body.email === "string" ? req.body.email.toLowerCase().trim() : "";
+    if (!EMAIL_RE.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email is required",
+      });
+    }
+
+    const connection = await findConnectionForEmail(email);
+    res.json({
+      success: true,
+      data: {
+        sso: Boolean(connection),
+        enforced: Boolean(connection?.enforced),
+        loginUrl: connection
+          ? `/api/auth/sso/login?email=${encodeURIComponent(email)}`
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error discovering SSO:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Start SSO: redirect to the identity provider of the email's organization.
+ * Query: email, returnTo (dashboard path to land on afterwards).
+ */
+export const startSsoLogin = async (req, res) => {
+  try {
+    const email =
+      typeof req.query.email === "string" ? req.query.email.toLowerCase().trim() : "";
+    if (!EMAIL_RE.test(email)) return redirectWithError(res, "invalid_email");
+
+    const connection = await findConnectionForEmail(email);
+    if (!connection) return redirectWithError(res, "not_configured");
+
+    const { url, stateToken } = await beginSsoLogin(connection, {
+      email,
+      returnTo: safeReturnTo(req.query.returnTo),
+    });
+    res.cookie(SSO_STATE_COOKIE, stateToken, {
+      ...stateCookieOptions(),
+      maxAge: SSO_STATE_TTL_MS,
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error("Error starting SSO login:", error);
+    redirectWithError(res, "provider_unavailable");
+  }
+};
+
+/**
+ * IdP redirect target. Issues the session (or a 2FA challenge when the
+ * account has two-factor on) and sends the browser back to the dashboard.
+ */
+export const ssoCallback = async (req, res) => {
+  try {
+    const stateToken = req.cookies?.[SSO_STATE_COOKIE];
+    res.clearCookie(SSO_STATE_COOKIE, stateCookieOptions());
+
+    if (req.query.error) {
+      console.warn(`[SSO] Identity provider returned error: ${req.query.error}`);
+      return redirectWithError(res, "idp_error");
+    }
+
+    const decodedState = readSsoState(stateToken, req.query.state);
+    if (!decodedState) return redirectWithError(res, "invalid_state");
+
+    const result = await completeSsoLogin(decodedState, req.query.code);
+    if (result.error) {
+      console.warn(`[SSO] Login rejected: ${result.error}`);
+      return redirectWithError(res, ERROR_CODES[result.status] || "login_failed");
+    }
+    const { user } = result;
+
+    // 2FA: the IdP vouches for the identity, but the account's own second
+    // factor still applies. Fragment, so the token stays out of server logs.
+    if (user.twoFactor?.enabled) {
+      return res.redirect(
+        `${dashboardUrl()}/login#twoFactorChallenge=${encodeURIComponent(
+          signTwoFactorToken(user, "user", "login")
+        )}`
+      );
+    }
+
+    try {
+      await syncPaymentsForUser(user);
+    } catch (syncError) {
+      console.error("Error syncing payments after SSO login:", syncError);
+    }
+
+    await issueUserSession(req, res, user, "sso");
+    res.redirect(`${dashboardUrl()}${result.returnTo || "/"}`);
+  } catch (error) {
+    console.error("Error completing SSO login:", error);
+    redirectWithError(res, "login_failed");
+  }
+};
@@ -0,0 +1,361 @@
+import mongoose from "mongoose";
+import Supplier from "../../models/admin/Supplier.js";
+import SupplierProfileEdit, {
+  SUPPLIER_EDITABLE_FIELDS,
+} from "../../models/admin/SupplierProfileEdit.js";
+import {
+  generateToken as generateTokenService,
+  verifyToken,
+} from "../../services/tokenService.js";
+import { sendSupplierClaimEmail } from "../../services/emailService.js";
+import {
+  SUPPLIER_COOKIE,
+  SUPPLIER_SESSION_MS,
+  generateSupplierToken,
+} from "../../middleware/supplierAuth.js";
+
+// Supplier self-service portal. Suppliers sign in with a magic link sent to
+// the email on their Supplier record, then propose changes to the fields in
+// SUPPLIER_EDITABLE_FIELDS. Proposals wait in the admin review queue
+// (controllers/admin/supplierProfileEditController.js) and only reach the
+// live record once approved.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_PROFILES_PER_EMAIL = 10;
+const LIST_LIMITS = { items: 50, itemLength: 200 };
+const TEXT_LIMITS = { leadTime: 200, minOrderQuantity: 200, positioning: 500 };
+
+const CLAIM_LINK_SENT_MESSAGE =
+  "If that email is on a supplier profile, we've sent a sign-in link.";
+
+const portalUrl = () =>
+  process.env.SUPPLIER_PORTAL_URL ||
+  process.env.FRONTEND_URL ||
+  "http://localhost:3002";
+
+// What a supplier sees of its own record — no internal notes or risk data
+const toPortalProfile = (supplier) => ({
+  id: supplier._id,
+  supplierNumber: supplier.supplierNumber,
+  name: supplier.name,
+  category: supplier.category,
+  subCategory: supplier.subCategory,
+  country: supplier.country,
+  stateRegion: supplier.stateRegion,
+  city: supplier.city,
+  contactName: supplier.contactName,
+  email: supplier.email,
+  phone: supplier.phone,
+  website: supplier.website,
+  capabilities: supplier.capabilities,
+  certifications: supplier.certifications,
+  leadTime: supplier.leadTime,
+  minOrderQuantity: supplier.minOrderQuantity,
+  positioning: supplier.positioning,
+  verified: supplier.verified,
+  lastVerifiedDate: supplier.lastVerifiedDate,
+  claimedAt: supplier.portal?.claimedAt,
+});
+
+/**
+ * Accepts an array of strings or a comma-separated string.
+ * @returns {{ value?: string[], error?: string }}
+ */
+function parseList(field, raw) {
+  const items = Array.isArray(raw)
+    ? raw
+    : typeof raw === "string"
+      ? raw.split(",")
+      : null;
+  if (!items) return { error: `${field} must be a list of strings` };
+
+  const value = [];
+  for (const item of items) {
+    if (typeof item !== "string") {
+      return { error: `${field} must be a list of strings` };
+    }
+    const trimmed = item.trim();
+    if (!trimmed) continue;
+    if (trimmed.length > LIST_LIMITS.itemLength) {
+      return {
+        error: `Each ${field} entry must be ${LIST_LIMITS.itemLength} characters or less`,
+      };
+    }
+    if (!value.includes(trimmed)) value.push(trimmed);
+  }
+  if (value.length > LIST_LIMITS.items) {
+    return { error: `${field} can have at most ${LIST_LIMITS.items} entries` };
+  }
+  return { value };
+}
+
+/**
+ * Email sign-in links for every active supplier profile listing this
+ * address. Always answers the same way so the endpoint can't be used to
+ * discover which addresses are on file.
+ */
+export const requestClaimLink = async (req, res) => {
+  try {
+    const email = String(req.body.email || "").toLowerCase().trim();
+    if (!EMAIL_RE.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid email address",
+      });
+    }
+
+    const suppliers = await Supplier.find({ email, isActive: true })
+      .select("name email")
+      .limit(MAX_PROFILES_PER_EMAIL);
+
+    if (suppliers.length > 0) {
+      const links = suppliers.map((supplier) => {
+        const token = generateTokenService(
+          email,
+          supplier._id.toString(),
+          "supplierClaim"
+        );
+        return {
+          name: supplier.name,
+          url: `${portalUrl()}/supplier-portal/claim?supplier=${supplier._id}&token=${token}`,
+        };
+      });
+
+      try {
+        await sendSupplierClaimEmail({ email, links });
+      } catch (emailError) {
+        // Logged in emailService; the response stays generic either way
+      }
+    }
+
+    res.json({
+      success: true,
+      message: CLAIM_LINK_SENT_MESSAGE,
+    });
+  } catch (error) {
+    console.error("Error sending supplier claim link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Exchange a magic link for a portal session. The first successful sign-in
+ * claims the profile. Links are single-use: one issued before the latest
+ * sign-in is rejected.
+ */
+export const verifyClaimLink = async (req, res) => {
+  try {
+    const { supplierId, token } = req.body;
+    if (!supplierId || !token || !mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Supplier ID and token are required",
+      });
+    }
+
+    const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+    const verification =
+      supplier?.email &&
+      verifyToken(token, supplier.email, supplierId, "supplierClaim");
+    const lastLoginAt = supplier?.portal?.lastLoginAt?.getTime() || 0;
+    if (!verification?.valid || verification.payload.issuedAt <= lastLoginAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    const now = new Date();
+    const portalUpdate = { "portal.lastLoginAt": now };
+    if (!supplier.portal?.claimedAt) portalUpdate["portal.claimedAt"] = now;
+    // updateOne: no need to re-run the profile hooks for a login stamp
+    await Supplier.updateOne({ _id: supplier._id }, { $set: portalUpdate });
+    supplier.set(portalUpdate);
+
+    const sessionToken = generateSupplierToken(supplier);
+    res.cookie(SUPPLIER_COOKIE, sessionToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "lax",
+      maxAge: SUPPLIER_SESSION_MS,
+    });
+
+    res.json({
+      success: true,
+      message: "Signed in",
+      data: {
+        token: sessionToken,
+        supplier: toPortalProfile(supplier),
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying supplier claim link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * End the portal session and revoke any other live ones.
+ */
+export const logoutSupplier = async (req, res) => {
+  try {
+    await Supplier.updateOne(
+      { _id: req.supplier._id },
+      { $inc: { "portal.tokenVersion": 1 } }
+    );
+  } catch (error) {
+    // Don't fail logout on a token-bump error — still clear cookie.
+    console.error("Error bumping supplier tokenVersion on logout:", error);
+  }
+  res.clearCookie(SUPPLIER_COOKIE);
+  res.json({
+    success: true,
+    message: "Logged out successfully",
+  });
+};
+
+/**
+ * The signed-in supplier's live profile and any edit awaiting review.
+ */
+export const getMyProfile = async (req, res) => {
+  try {
+    const pendingEdit = await SupplierProfileEdit.findOne({
+      supplier: req.supplier._id,
+      status: "pending",
+    }).select("changes previous status createdAt");
+
+    res.json({
+      success: true,
+      data: {
+        supplier: toPortalProfile(req.supplier),
+        editableFields: SUPPLIER_EDITABLE_FIELDS,
+        pendingEdit,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching supplier portal profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Propose changes to the editable fields. Only fields that differ from the
+ * live record are kept. Replaces (supersedes) an edit still pending review.
+ */
+export const submitProfileEdit = async (req, res) => {
+  try {
+    const supplier = req.supplier;
+    const changes = {};
+    const previous = {};
+
+    for (const field of SUPPLIER_EDITABLE_FIELDS) {
+      const raw = req.body[field];
+      if (raw === undefined) continue;
+
+      let value;
+      if (field === "capabilities" || field === "certifications") {
+        const parsed = parseList(field, raw);
+        if (parsed.error) {
+          return res.status(400).json({
+            success: false,
+            message: parsed.error,
+          });
+        }
+        value = parsed.value;
+      } else {
+        if (raw !== null && typeof raw !== "string") {
+          return res.status(400).json({
+            success: false,
+            message: `${field} must be a string`,
+          });
+        }
+        value = (raw || "").trim();
+        if (value.length > TEXT_LIMITS[field]) {
+          return res.status(400).json({
+            success: false,
+            message: `${field} must be ${TEXT_LIMITS[field]} characters or less`,
+          });
+        }
+      }
+
+      const current = supplier[field];
+      const currentPlain = Array.isArray(current)
+        ? [...current]
+        : current || "";
+      if (JSON.stringify(currentPlain) !== JSON.stringify(value)) {
+        changes[field] = value;
+        previous[field] = currentPlain;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes to submit",
+      });
+    }
+
+    await SupplierProfileEdit.updateMany(
+      { supplier: supplier._id, status: "pending" },
+      { $set: { status: "superseded" } }
+    );
+
+    const edit = await SupplierProfileEdit.create({
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      supplierNumber: supplier.supplierNumber,
+      submittedByEmail: supplier.email,
+      changes,
+      previous,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Changes submitted for review",
+      data: edit,
+    });
+  } catch (error) {
+    console.error("Error submitting supplier profile edit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * The supplier's edit history, newest first.
+ */
+export const getMyEdits = async (req, res) => {
+  try {
+    const edits = await SupplierProfileEdit.find({ supplier: req.supplier._id })
+      .select("-reviewedBy")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: edits,
+    });
+  } catch (error) {
+    console.error("Error fetching supplier profile edits:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
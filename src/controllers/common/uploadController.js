@@ -1,8 +1,37 @@
-import path from "path";
+import mongoose from "mongoose";
+import Upload from "../../models/common/Upload.js";
+import ManagedService from "../../models/customer/ManagedService.js";
+import Feedback from "../../models/customer/Feedback.js";
+import { userOwnsManagedService } from "../../utils/managedServiceUtils.js";
+import { getStorage } from "../../services/storageService.js";
+
+const RELATED_TYPES = ["ManagedService", "Feedback"];
+
+async function removeUploadedFile(file) {
+  if (!file?.filename || !file.storageDriver) return;
+  const driver = await getStorage(file.storageDriver);
+  await driver.remove(file.filename);
+}
+
+/**
+ * Check that the uploader may attach files to the requested entity.
+ * Admins may attach to anything that exists; customers only to their own.
+ */
+async function canLinkTo(relatedType, relatedId, { user, admin }) {
+  if (relatedType === "ManagedService") {
+    const ms = await ManagedService.findById(relatedId).select("userId email");
+    if (!ms) return false;
+    return user ? userOwnsManagedService(user, ms) : Boolean(admin);
+  }
+  const feedback = await Feedback.findById(relatedId).select("userId");
+  if (!feedback) return false;
+  return user ? Boolean(feedback.userId?.equals(user._id)) : Boolean(admin);
+}
 
 /**
  * Upload a single document (PDF or image)
- * Returns the file path that can be served by the frontend
+ * Records an Upload (owner + optional linked entity) so /api/files can
+ * enforce a per-file ACL, and returns the path the frontend stores.
  */
 export const uploadDocument = async (req, res) => {
   try {
@@ -13,7 +42,49 @@ export const uploadDocument = async (req, res) => {
       });
     }
 
-    const { originalname, mimetype, filename } = req.file;
+    const { originalname, mimetype, filename, size } = req.file;
+    const { relatedType, relatedId } = req.body || {};
+
+    if (relatedType || relatedId) {
+      if (
+        !RELATED_TYPES.includes(relatedType) ||
+        !mongoose.Types.ObjectId.isValid(relatedId)
+      ) {
+        await removeUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: "Invalid relatedType or relatedId",
+        });
+      }
+      const allowed = await canLinkTo(relatedType, relatedId, {
+        user: req.user,
+        admin: req.admin,
+      });
+      if (!allowed) {
+        await removeUploadedFile(req.file);
+        return res.status(404).json({
+          success: false,
+          message: `${relatedType} not found`,
+        });
+      }
+    }
+
+    const owner = req.user || req.admin;
+    await Upload.create({
+      filename,
+      originalName: originalname,
+      mimeType: mimetype,
+      size,
+      storageDriver: req.file.storageDriver,
+      ownerType: req.user ? "User" : "Admin",
+      owner: owner._id,
+      ...(relatedType && { relatedType, relatedId }),
+      context: req.user
+        ? relatedType === "Feedback"
+          ? "feedback_attachment"
+          : "attachment"
+        : "final_report_document",
+    });
 
     // Return the file information
     res.json({
@@ -27,6 +98,7 @@ export const uploadDocument = async (req, res) => {
     });
   } catch (error) {
     console.error("Error uploading document:", error);
+    await removeUploadedFile(req.file).catch(() => {});
     res.status(500).json({
       success: false,
       message: "Failed to upload document",
@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import ApiKey, { API_KEY_SCOPES } from "../../models/common/ApiKey.js";
+import {
+  generateApiKey,
+  MAX_ACTIVE_KEYS_PER_USER,
+} from "../../services/apiKeyService.js";
+
+const MAX_EXPIRY_DAYS = 365;
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * List the caller's API keys (never includes the secret)
+ */
+export const listApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: keys.map(formatApiKey),
+    });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create an API key. The plaintext key is returned once, in this response
+ * only — it is stored hashed and cannot be recovered later.
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Key name is required",
+      });
+    }
+
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((s) => !API_KEY_SCOPES.includes(s))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`,
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys. Revoke one first.`,
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now — it won't be shown again.",
+      data: {
+        ...formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Revoke an API key. Revoked keys stay listed (with revokedAt) so the
+ * dashboard can show when an integration was cut off.
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: id, user: req.user._id });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked",
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
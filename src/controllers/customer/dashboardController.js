@@ -8,6 +8,46 @@ import Stripe from "stripe";
 // a paid buyer opens their report. Same helper used by getFullReport in
 // matchController — see MATCHING_REDESIGN_SPEC.md §5.4.
 import { maybeFireCall2 } from "./matchController.js";
+import { waitForJob } from "../../services/jobQueue.js";
+import {
+  getMembership,
+  canSpendCredits,
+  resolveCreditAccount,
+  ownershipFilter,
+} from "../../services/organizationService.js";
+import {
+  renderMatchReportPdf,
+  matchReportPdfFilename,
+} from "../../services/reportPdfService.js";
+
+// How long a PDF export waits for a queued Call 2 job before exporting with
+// the Call 1 reasons instead.
+const PDF_CALL2_WAIT_MS = 30 * 1000;
+
+/**
+ * Whether the report for this request was bought: a succeeded payment that
+ * no refund re-locked, or a credit spent on it since the last re-lock.
+ * "completed" alone doesn't prove it for AI-scored reports — that is also
+ * the scored preview awaiting unlock, and what a full refund returns to.
+ */
+async function hasPurchasedReport(requestId, matchReport) {
+  const [payment, creditUse] = await Promise.all([
+    Payment.exists({
+      requestId,
+      status: "succeeded",
+      "refunds.reportRelocked": { $ne: true },
+    }),
+    CreditTransaction.exists({
+      requestId,
+      transactionType: "deducted",
+      reason: { $in: ["match_generation", "unlock_request"] },
+      ...(matchReport.relockedAt && {
+        createdAt: { $gt: matchReport.relockedAt },
+      }),
+    }),
+  ]);
+  return Boolean(payment || creditUse);
+}
 
 // Initialize Stripe only if valid key is provided
 const getStripeInstance = () => {
@@ -155,9 +195,10 @@ export const getUserRequests = async (req, res) => {
     // BUT current logic gets payments first, which implies only paid requests are fetched.
 
     // NEW LOGIC: Fetch ALL BuyerRequests for this user, then attach status/payment info.
-    const allBuyerRequests = await BuyerRequest.find({ email: userEmail }).sort(
-      { createdAt: -1 }
-    );
+    // Organizations: includes every request stamped with the user's team.
+    const allBuyerRequests = await BuyerRequest.find(
+      ownershipFilter(user)
+    ).sort({ createdAt: -1 });
 
     // Get Request IDs
     const requestIds = allBuyerRequests.map((r) => r._id);
@@ -167,18 +208,26 @@ export const getUserRequests = async (req, res) => {
       requestId: { $in: requestIds },
     });
 
-    // Fetch related payments (succeeded only to check paid status)
+    // Fetch related payments (succeeded only to check paid status). Team
+    // members see a request as paid whoever on the team paid for it.
     const succeededPayments = await Payment.find({
-      email: {
-        $regex: new RegExp(
-          `^${userEmail.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
-          "i"
-        ),
-      },
+      ...(user.organizationId
+        ? {}
+        : {
+            email: {
+              $regex: new RegExp(
+                `^${userEmail.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+                "i"
+              ),
+            },
+          }),
       status: "succeeded",
       requestId: { $in: requestIds },
     });
 
+    // Organizations: plan status comes from the shared credit pool.
+    const creditAccount = await resolveCreditAccount(user);
+
     // Format response
     const allRequests = allBuyerRequests.map((request) => {
       const report = matchReports.find(
@@ -202,9 +251,9 @@ export const getUserRequests = async (req, res) => {
 
       // Check if user has active subscription
       const hasActiveSubscription =
-        user.subscriptionStatus === "active" &&
-        (!user.subscriptionExpiresAt ||
-          new Date(user.subscriptionExpiresAt) > new Date());
+        creditAccount.subscriptionStatus === "active" &&
+        (!creditAccount.subscriptionExpiresAt ||
+          new Date(creditAccount.subscriptionExpiresAt) > new Date());
 
       if (report) {
         matchScore = report.preview?.matchScore || 0;
@@ -227,6 +276,7 @@ export const getUserRequests = async (req, res) => {
         subCategory: request.subCategory ?? request.subcategory,
         description: request.description,
         quantity: request.quantity,
+        lineItemCount: request.lineItems?.length || 0,
         budget: request.budget,
         timeline: request.timeline,
         location: request.location,
@@ -236,6 +286,7 @@ export const getUserRequests = async (req, res) => {
         matchReportStatus, // 'pending', 'completed', 'unlocked', or null
         planType: payment?.planType,
         paidAt: payment?.paidAt,
+        submittedBy: request.email,
         createdAt: request.createdAt,
       };
     });
@@ -254,8 +305,8 @@ export const getUserRequests = async (req, res) => {
           total,
           pages: Math.ceil(total / limit),
         },
-        subscriptionPlan: user.subscriptionPlan,
-        subscriptionStatus: user.subscriptionStatus,
+        subscriptionPlan: creditAccount.subscriptionPlan,
+        subscriptionStatus: creditAccount.subscriptionStatus,
       },
     });
   } catch (error) {
@@ -278,8 +329,11 @@ export const unlockRequest = async (req, res) => {
     const BuyerRequest = (await import("../../models/customer/BuyerRequest.js"))
       .default;
 
-    // Check request ownership
-    const request = await BuyerRequest.findOne({ _id: id, email: user.email });
+    // Check request ownership (own or shared with the user's organization)
+    const request = await BuyerRequest.findOne({
+      _id: id,
+      ...ownershipFilter(user),
+    });
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -287,6 +341,14 @@ export const unlockRequest = async (req, res) => {
       });
     }
 
+    const membership = await getMembership(user);
+    if (!canSpendCredits(membership)) {
+      return res.status(403).json({
+        success: false,
+        message: "Viewers cannot unlock reports. Ask a team member to unlock it.",
+      });
+    }
+
     // Check match report
     const matchReport = await MatchReport.findOne({ requestId: id });
     if (!matchReport) {
@@ -303,8 +365,9 @@ export const unlockRequest = async (req, res) => {
       });
     }
 
-    // Check credits
-    if (!user.matchCredits || user.matchCredits < 1) {
+    // Check credits — team members draw on the organization's shared pool
+    const creditAccount = await resolveCreditAccount(user);
+    if (!creditAccount.matchCredits || creditAccount.matchCredits < 1) {
       return res.status(400).json({
         success: false,
         message: "Insufficient match credits",
@@ -313,25 +376,26 @@ export const unlockRequest = async (req, res) => {
     }
 
     // Decrement credits and unlock
-    const creditsBefore = user.matchCredits;
-    user.matchCredits -= 1;
-    await user.save();
+    const creditsBefore = creditAccount.matchCredits;
+    creditAccount.matchCredits -= 1;
+    await creditAccount.save();
 
     // Create credit transaction record for audit
     const CreditTransaction = (
       await import("../../models/customer/CreditTransaction.js")
     ).default;
     await CreditTransaction.create({
-      userId: user._id,
+      userId: creditAccount._id,
       requestId: id,
       matchReportId: matchReport._id,
-      email: user.email,
+      email: creditAccount.email,
       creditsUsed: 1,
       creditsBefore,
-      creditsAfter: user.matchCredits,
+      creditsAfter: creditAccount.matchCredits,
       transactionType: "deducted",
       reason: "unlock_request",
       notes: "Credit used to unlock request",
+      performedBy: user._id,
     });
 
     matchReport.status = "unlocked";
@@ -341,7 +405,7 @@ export const unlockRequest = async (req, res) => {
     res.json({
       success: true,
       message: "Request unlocked successfully",
-      creditsRemaining: user.matchCredits,
+      creditsRemaining: creditAccount.matchCredits,
     });
   } catch (error) {
     console.error("Error unlocking request:", error);
@@ -363,8 +427,11 @@ export const getRequestDetails = async (req, res) => {
     const BuyerRequest = (await import("../../models/customer/BuyerRequest.js"))
       .default;
 
-    // First check if the request belongs to the user
-    const request = await BuyerRequest.findOne({ _id: id, email: user.email });
+    // First check if the request belongs to the user (or their organization)
+    const request = await BuyerRequest.findOne({
+      _id: id,
+      ...ownershipFilter(user),
+    });
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -391,7 +458,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -423,7 +492,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description || matchReport.preview?.summary,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -458,7 +529,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description || matchReport.preview?.summary,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -480,29 +553,26 @@ export const getRequestDetails = async (req, res) => {
     }
 
     // Check access:
-    // 1. If report is completed (AI matching done)
+    // 1. If a legacy report is completed (generated after payment)
     // 2. OR if report is unlocked (after payment, waiting for AI matching)
-    // 3. OR if payment exists (legacy/fallback)
+    // 3. OR if the report was bought (payment or credit; hasPurchasedReport)
     //
     // Matching redesign: when AI Call 1 already scored the report (status
-    // 'completed' / 'paid' / 'unlocked' with scoringMeta.call1.method === 'ai'),
-    // the matches are already in scoredSuppliers / fullReport.suppliers. We
+    // 'paid' / 'unlocked' with scoringMeta.call1.method === 'ai'), the
+    // matches are already in scoredSuppliers / fullReport.suppliers. We
     // grant hasAccess immediately and skip the legacy "still unlocked, needs
-    // generate-match" branch — Call 2 (prose) fires lazily below.
+    // generate-match" branch — Call 2 (prose) fires lazily below. An
+    // AI-scored 'completed' report is only a preview until bought.
     const wasAiScored = matchReport.scoringMeta?.call1?.method === "ai";
     let hasAccess =
-      matchReport.status === "completed" ||
+      (matchReport.status === "completed" && !wasAiScored) ||
       (wasAiScored && ["paid", "unlocked"].includes(matchReport.status));
     let isUnlocked = matchReport.status === "unlocked" && !wasAiScored;
     let isPending = matchReport.status === "pending";
 
     if (!hasAccess) {
-      const payment = await Payment.findOne({
-        email: user.email,
-        requestId: id,
-        status: "succeeded",
-      });
-      if (payment) {
+      // Ownership was verified above; any teammate's purchase counts.
+      if (await hasPurchasedReport(id, matchReport)) {
         // If payment exists and report is unlocked, user can generate AI match
         if (isUnlocked) {
           hasAccess = false; // Still locked, but show generate button
@@ -524,7 +594,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description || matchReport.preview?.summary,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -555,7 +627,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description || matchReport.preview.summary,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -586,7 +660,9 @@ export const getRequestDetails = async (req, res) => {
             description: request.description || matchReport.preview.summary,
             unitPrice: request.unitPrice,
             totalAmount: request.totalAmount,
+            currency: request.currency || "USD",
             quantity: request.quantity,
+            lineItems: request.lineItems || [],
             timeline: request.timeline,
             location: request.location,
             requirements: request.requirements,
@@ -608,15 +684,16 @@ export const getRequestDetails = async (req, res) => {
     // Matching redesign: lazy-fire Call 2 here so the customer frontend
     // doesn't need a separate /generate-match call. If the report was
     // AI-scored at Call 1, the buyer has paid, and prose hasn't been
-    // generated yet, this fires Call 2 synchronously and persists. No-op
-    // for legacy rule-based reports or reports that already have prose.
+    // generated yet, this queues a Call 2 job (see explanationsJob in the
+    // response; re-fetch once it finishes). No-op for legacy rule-based
+    // reports or reports that already have prose.
+    let explanationsJob = null;
     try {
-      await maybeFireCall2(matchReport);
+      explanationsJob = await maybeFireCall2(matchReport);
     } catch (err) {
-      console.error("[dashboard] lazy Call 2 fire failed:", err.message);
-      // Continue — Call 2 fallback to template explanations happens inside
-      // maybeFireCall2; even if THAT fails, we still return the matchReport
-      // data with whatever prose is currently there.
+      console.error("[dashboard] lazy Call 2 queue failed:", err.message);
+      // Continue — we still return the matchReport data with whatever prose
+      // is currently there (Call 1 reasons as placeholders).
     }
 
     // Format suppliers with all available fields.
@@ -692,6 +769,9 @@ export const getRequestDetails = async (req, res) => {
         reason: scored?.reason ?? null,
         meetsMoq: scored?.meetsMoq ?? null,
         meetsCompliance: scored?.meetsCompliance ?? null,
+        coveredLines: scored?.coveredLines?.length
+          ? scored.coveredLines
+          : item.coveredLines || [],
         whyTheyMatch: item.whyTheyMatch,
         aiExplanation: item.aiExplanation,
         strengths: item.strengths || [],
@@ -710,7 +790,9 @@ export const getRequestDetails = async (req, res) => {
           description: request.description || matchReport.preview.summary,
           unitPrice: request.unitPrice,
           totalAmount: request.totalAmount,
+          currency: request.currency || "USD",
           quantity: request.quantity,
+          lineItems: request.lineItems || [],
           timeline: request.timeline,
           location: request.location,
           requirements: request.requirements,
@@ -725,6 +807,9 @@ export const getRequestDetails = async (req, res) => {
         status: matchReport.status,
         matchReportStatus: matchReport.status,
         generatedAt: matchReport.fullReport.generatedAt,
+        explanationsJob: explanationsJob
+          ? { id: explanationsJob._id, status: explanationsJob.status }
+          : null,
       },
     });
   } catch (error) {
@@ -737,12 +822,109 @@ export const getRequestDetails = async (req, res) => {
   }
 };
 
+/**
+ * Download the unlocked match report as a PDF.
+ * Same ownership and access rules as getRequestDetails: the report must be
+ * scored and paid for; locked/pending/failed reports return 403/409.
+ */
+export const exportRequestReportPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const request = await BuyerRequest.findOne({
+      _id: id,
+      ...ownershipFilter(user),
+    });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+
+    const loadMatchReport = () =>
+      MatchReport.findOne({ requestId: id })
+        .populate("fullReport.suppliers.supplierId")
+        .populate("scoredSuppliers.supplierId");
+    let matchReport = await loadMatchReport();
+
+    if (
+      !matchReport ||
+      ["pending", "scoring", "failed", "no_matches"].includes(
+        matchReport.status
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "Match report is not ready for export",
+      });
+    }
+
+    const wasAiScored = matchReport.scoringMeta?.call1?.method === "ai";
+    // Same rules as getRequestDetails
+    let hasAccess =
+      (matchReport.status === "completed" && !wasAiScored) ||
+      (wasAiScored && ["paid", "unlocked"].includes(matchReport.status));
+
+    // Legacy unlocked reports still need generate-match before they have
+    // suppliers to export, so a payment alone isn't enough for those.
+    if (!hasAccess && !(matchReport.status === "unlocked" && !wasAiScored)) {
+      hasAccess = await hasPurchasedReport(id, matchReport);
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: "Unlock this report to download it",
+      });
+    }
+
+    // Make sure the exported copy carries the prose explanations, not the
+    // pre-Call-2 placeholders: queue Call 2 if needed and wait (bounded) for
+    // it. On timeout we export with the Call 1 reasons rather than fail.
+    try {
+      const job = await maybeFireCall2(matchReport);
+      if (job) {
+        await waitForJob(job._id, { timeoutMs: PDF_CALL2_WAIT_MS });
+        matchReport = await loadMatchReport();
+      }
+    } catch (err) {
+      console.error("[dashboard] lazy Call 2 fire failed:", err.message);
+    }
+
+    const pdf = await renderMatchReportPdf({
+      buyerRequest: request,
+      matchReport,
+      exportedBy: user.email,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${matchReportPdfFilename(request)}"`
+    );
+    res.setHeader("Content-Length", pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error exporting report PDF:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Check subscription status
  */
 export const getSubscriptionStatus = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    // Organizations: report the shared pool, not the member's own balance.
+    const member = await User.findById(req.user._id);
+    const user = await resolveCreditAccount(member);
+    const membership = await getMembership(member);
 
     // Check if subscription has expired and update if needed
     if (
@@ -761,6 +943,13 @@ export const getSubscriptionStatus = async (req, res) => {
         planType: user.subscriptionPlan || null,
         subscriptionExpiresAt: user.subscriptionExpiresAt || null,
         matchCredits: user.matchCredits || 0, // Ensure matchCredits is returned
+        organization: membership
+          ? {
+              id: membership.organization._id,
+              name: membership.organization.name,
+              role: membership.role,
+            }
+          : null,
       },
     });
   } catch (error) {
@@ -783,15 +972,18 @@ export const getCreditTransactions = async (req, res) => {
 
     const user = await User.findById(req.user._id);
 
-    // Get credit transactions for this user
-    const transactions = await CreditTransaction.find({ userId: user._id })
+    // Get credit transactions for this user (whole team for organizations)
+    const filter = user.organizationId
+      ? { organizationId: user.organizationId }
+      : { userId: user._id };
+    const transactions = await CreditTransaction.find(filter)
       .populate("requestId", "name category")
       .populate("matchReportId", "status")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await CreditTransaction.countDocuments({ userId: user._id });
+    const total = await CreditTransaction.countDocuments(filter);
 
     res.json({
       success: true,
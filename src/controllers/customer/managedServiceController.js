@@ -3,6 +3,8 @@ import SystemSettings from "../../models/admin/SystemSettings.js";
 import {
   enrichManagedService,
   enrichManagedServices,
+  userOwnsManagedService,
+  userCanViewManagedService,
 } from "../../utils/managedServiceUtils.js";
 import Category from "../../models/admin/Category.js";
 import User from "../../models/common/User.js";
@@ -12,6 +14,18 @@ import {
   sendManagedServiceReceiptEmail,
 } from "../../services/emailService.js";
 import { generateToken as generateTokenService } from "../../services/tokenService.js";
+import {
+  convertAmount,
+  fxSnapshot,
+  getFxRates,
+  isSupportedCurrency,
+  normalizeCurrency,
+  toMinorUnits,
+  toStripeCurrency,
+} from "../../services/fxService.js";
+import { getThread } from "../../services/managedServiceMessageService.js";
+import { applyServiceFeePaidStage } from "../../services/managedServiceStageService.js";
+import { scheduleAutoAssignment } from "../../services/managedServiceAssignmentService.js";
 import Stripe from "stripe";
 
 // M-14 — Anonymous public-form abuse mitigation (defense-in-depth alongside
@@ -71,6 +85,8 @@ const MS_USER_FIELDS = [
   "specifications",
   "budget",
   "deadline",
+  // Billing currency — read at creation only; the fee is locked in it
+  "currency",
 ];
 
 // Admin-only fields. Listed for documentation/grep value. Customer routes in
@@ -109,24 +125,6 @@ function pickFields(body, fields) {
   return out;
 }
 
-// C-7 + H-3 — Ownership check for managed service records. Returns true if
-// the authenticated user (req.user) owns the record. When req.user is unset,
-// returns false (caller decides whether anonymous access is acceptable for
-// the route — most routes here MUST require auth).
-// TODO(H-7): drop email fallback once userId is required on every record.
-function userOwnsManagedService(reqUser, ms) {
-  if (!reqUser || !ms) return false;
-  const ownsByUserId =
-    ms.userId && reqUser._id && ms.userId.equals?.(reqUser._id);
-  const ownsByEmail =
-    !ms.userId &&
-    ms.email &&
-    reqUser.email &&
-    ms.email.toLowerCase().trim() ===
-      reqUser.email.toLowerCase().trim();
-  return Boolean(ownsByUserId || ownsByEmail);
-}
-
 /**
  * Calculate managed service price based on category grade and urgency
  * Uses settings from database for grade prices and urgency fees
@@ -175,6 +173,36 @@ const calculateManagedServicePrice = (categoryGrade, urgency, settings) => {
   };
 };
 
+/**
+ * Price the service fee in the customer's billing currency. The price list
+ * (grade prices, urgency fees) is in the platform base currency
+ * (SystemSettings.currency); the converted fee is locked at creation.
+ *
+ * @returns {{ currency, serviceFeeAmount, serviceFeeFx } | { error }}
+ */
+const priceInBillingCurrency = async (totalPrice, requestedCurrency, settings) => {
+  const baseCurrency = normalizeCurrency(settings?.currency) || "USD";
+  const rates = await getFxRates();
+  const currency = requestedCurrency
+    ? normalizeCurrency(requestedCurrency)
+    : baseCurrency;
+  if (!currency || !isSupportedCurrency(currency, rates)) {
+    return {
+      error: `Unsupported currency. Supported: ${Object.keys(rates)
+        .sort()
+        .join(", ")}`,
+    };
+  }
+  return {
+    currency,
+    serviceFeeAmount: convertAmount(totalPrice, baseCurrency, currency, rates),
+    serviceFeeFx:
+      currency === baseCurrency
+        ? undefined
+        : fxSnapshot(baseCurrency, currency, rates),
+  };
+};
+
 // Initialize Stripe
 const getStripeInstance = () => {
   const stripeKey = process.env.STRIPE_SECRET_KEY;
@@ -264,6 +292,18 @@ export const initiateRequest = async (req, res) => {
       settings
     );
 
+    const pricing = await priceInBillingCurrency(
+      priceCalculation.totalPrice,
+      userFields.currency,
+      settings
+    );
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+      });
+    }
+
     // Create the request record. userId/email come from req.user (server-side
     // identity); status + stage are server-set initial values.
     const request = await ManagedService.create({
@@ -291,7 +331,9 @@ export const initiateRequest = async (req, res) => {
               .toISOString()
               .split("T")[0]
           : undefined),
-      serviceFeeAmount: priceCalculation.totalPrice,
+      currency: pricing.currency,
+      serviceFeeAmount: pricing.serviceFeeAmount,
+      serviceFeeFx: pricing.serviceFeeFx,
       savingsFeePercentage: settings.savingsFeePercentage, // Lock in the % at time of creation
       status: "pending_payment",
       stage: "payment_pending",
@@ -302,6 +344,7 @@ export const initiateRequest = async (req, res) => {
       data: {
         requestId: request._id,
         serviceFeeAmount: request.serviceFeeAmount,
+        currency: request.currency,
         savingsFeePercentage: request.savingsFeePercentage,
         priceBreakdown: priceCalculation.breakdown,
       },
@@ -371,6 +414,10 @@ export const getUserRequests = async (req, res) => {
         },
       ],
     };
+    // Organizations: include requests shared with the user's team.
+    if (req.user.organizationId) {
+      query.$or.push({ organizationId: req.user.organizationId });
+    }
 
     console.log(`[getUserRequests] Query:`, JSON.stringify(query, null, 2));
 
@@ -550,6 +597,18 @@ export const initiatePublicRequest = async (req, res) => {
       });
     }
 
+    const pricing = await priceInBillingCurrency(
+      priceCalculation.totalPrice,
+      userFields.currency,
+      settings
+    );
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+      });
+    }
+
     // Create the request record (userId will be null if user doesn't exist yet)
     const request = await ManagedService.create({
       userId: null, // Always null for public submissions
@@ -576,7 +635,9 @@ export const initiatePublicRequest = async (req, res) => {
               .toISOString()
               .split("T")[0]
           : undefined),
-      serviceFeeAmount: priceCalculation.totalPrice,
+      currency: pricing.currency,
+      serviceFeeAmount: pricing.serviceFeeAmount,
+      serviceFeeFx: pricing.serviceFeeFx,
       savingsFeePercentage: settings.savingsFeePercentage,
       status: "pending_payment",
       stage: "payment_pending",
@@ -587,6 +648,7 @@ export const initiatePublicRequest = async (req, res) => {
       data: {
         requestId: request._id,
         serviceFeeAmount: request.serviceFeeAmount,
+        currency: request.currency,
         savingsFeePercentage: request.savingsFeePercentage,
         priceBreakdown: priceCalculation.breakdown,
       },
@@ -646,7 +708,8 @@ export const createSavingsFeePaymentSession = async (req, res) => {
       });
     }
 
-    // Server-derived amount (cents). Never trust req.body.amount.
+    // Server-derived amount (Stripe minor units, in the service's billing
+    // currency). Never trust req.body.amount.
     if (
       typeof request.savingsFeeAmount !== "number" ||
       !(request.savingsFeeAmount > 0)
@@ -656,7 +719,7 @@ export const createSavingsFeePaymentSession = async (req, res) => {
         message: "Savings fee amount is not set on this request",
       });
     }
-    const unitAmountCents = Math.round(request.savingsFeeAmount * 100);
+    const unitAmount = toMinorUnits(request.savingsFeeAmount, request.currency);
 
     // Check if already paid
     if (request.savingsFeeStatus === "paid") {
@@ -703,16 +766,17 @@ export const createSavingsFeePaymentSession = async (req, res) => {
       line_items: [
         {
           price_data: {
-            currency: "usd",
+            currency: toStripeCurrency(request.currency),
             product_data: {
               name: "Managed Sourcing Savings Fee",
               description: `Savings fee (${
                 request.savingsFeePercentage
-              }% of $${request.savingsAmount.toFixed(2)} savings) for ${
-                request.category
-              } sourcing request`,
+              }% of ${request.savingsAmount.toLocaleString("en-US", {
+                style: "currency",
+                currency: request.currency || "USD",
+              })} savings) for ${request.category} sourcing request`,
             },
-            unit_amount: unitAmountCents, // Server-derived from DB
+            unit_amount: unitAmount, // Server-derived from DB
           },
           quantity: 1,
         },
@@ -802,7 +866,8 @@ export const createPaymentSession = async (req, res) => {
     }
 
     // Server-derived amount: ALWAYS read from DB. Any req.body.amount is
-    // silently ignored. unit_amount is in cents per Stripe API.
+    // silently ignored. unit_amount is in the billing currency's minor unit
+    // (cents, except zero-decimal currencies) per Stripe API.
     if (
       typeof request.serviceFeeAmount !== "number" ||
       !(request.serviceFeeAmount > 0)
@@ -812,7 +877,7 @@ export const createPaymentSession = async (req, res) => {
         message: "Service fee amount is not set on this request",
       });
     }
-    const unitAmountCents = Math.round(request.serviceFeeAmount * 100);
+    const unitAmount = toMinorUnits(request.serviceFeeAmount, request.currency);
 
     // Check if already paid
     if (request.serviceFeeStatus === "paid") {
@@ -933,12 +998,12 @@ export const createPaymentSession = async (req, res) => {
       line_items: [
         {
           price_data: {
-            currency: "usd",
+            currency: toStripeCurrency(request.currency),
             product_data: {
               name: "Managed Sourcing Service Fee",
               description: `Service fee for ${request.category} sourcing request`,
             },
-            unit_amount: unitAmountCents, // Server-derived from DB
+            unit_amount: unitAmount, // Server-derived from DB
           },
           quantity: 1,
         },
@@ -964,7 +1029,8 @@ export const createPaymentSession = async (req, res) => {
     if (pendingPayment) {
       pendingPayment.stripeSessionId = session.id;
       pendingPayment.email = effectiveEmail;
-      pendingPayment.amount = unitAmountCents / 100;
+      pendingPayment.amount = request.serviceFeeAmount;
+      pendingPayment.currency = toStripeCurrency(request.currency);
       if (session.payment_intent && typeof session.payment_intent === "string") {
         pendingPayment.stripePaymentIntentId = session.payment_intent;
       }
@@ -974,8 +1040,8 @@ export const createPaymentSession = async (req, res) => {
         requestId: request._id,
         matchReportId: null,
         email: effectiveEmail,
-        amount: unitAmountCents / 100,
-        currency: "usd",
+        amount: request.serviceFeeAmount,
+        currency: toStripeCurrency(request.currency),
         planType: "managed_service",
         status: "pending",
         stripeSessionId: session.id,
@@ -1100,8 +1166,7 @@ export const syncPaymentStatus = async (req, res) => {
           managedService.serviceFeeStatus = "paid";
           managedService.serviceFeePaymentId = session.payment_intent;
           managedService.serviceFeePaidAt = new Date();
-          managedService.status = "in_progress";
-          managedService.stage = "review";
+          applyServiceFeePaidStage(managedService);
 
           if (!managedService.userId) {
             managedService.userId = req.user._id;
@@ -1114,6 +1179,8 @@ export const syncPaymentStatus = async (req, res) => {
           );
 
           if (isFirstPaymentConfirmation) {
+            scheduleAutoAssignment(managedService._id);
+
             // Upsert the Payment record so the transaction appears in history
             // immediately on return from Stripe, without waiting for a webhook.
             // Check by BOTH stripeSessionId and requestId+succeeded so we don't
@@ -1146,7 +1213,7 @@ export const syncPaymentStatus = async (req, res) => {
                 requestId: managedService._id,
                 email: req.user.email.toLowerCase(),
                 amount: managedService.serviceFeeAmount || 0,
-                currency: "usd",
+                currency: toStripeCurrency(managedService.currency),
                 planType: "managed_service",
                 status: "succeeded",
                 stripePaymentIntentId: session.payment_intent,
@@ -1339,6 +1406,9 @@ export const getRequestDetails = async (req, res) => {
             ),
           },
         },
+        ...(req.user.organizationId
+          ? [{ organizationId: req.user.organizationId }]
+          : []),
       ],
     });
 
@@ -1350,15 +1420,17 @@ export const getRequestDetails = async (req, res) => {
     }
 
     // Defense-in-depth ownership check on top of the find filter.
+    // Organizations: teammates get read access too.
     // TODO(H-7): drop email fallback once userId is required.
-    if (!userOwnsManagedService(req.user, request)) {
+    if (!userCanViewManagedService(req.user, request)) {
       return res.status(403).json({ success: false, message: "Forbidden" });
     }
 
-    // Link to user if not already linked
+    // Link to user if not already linked (never re-parent a teammate's request)
     if (
-      !request.userId ||
-      request.userId.toString() !== req.user._id.toString()
+      userOwnsManagedService(req.user, request) &&
+      (!request.userId ||
+        request.userId.toString() !== req.user._id.toString())
     ) {
       request.userId = req.user._id;
       await request.save();
@@ -1366,6 +1438,9 @@ export const getRequestDetails = async (req, res) => {
 
     // Enrich request with days left calculation
     const enrichedRequest = await enrichManagedService(request);
+    const thread = await getThread(request._id, "User");
+    enrichedRequest.messages = thread.messages;
+    enrichedRequest.unreadMessages = thread.unread;
 
     res.json({
       success: true,
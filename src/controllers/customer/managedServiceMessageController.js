@@ -0,0 +1,130 @@
+import ManagedService from "../../models/customer/ManagedService.js";
+import {
+  userCanViewManagedService,
+  userOwnsManagedService,
+} from "../../utils/managedServiceUtils.js";
+import {
+  getThread,
+  markThreadRead,
+  postMessage,
+} from "../../services/managedServiceMessageService.js";
+
+// Customer side of the managed service message thread
+// (services/managedServiceMessageService.js). Teammates can read; only the
+// requester posts and marks messages read.
+
+async function findViewableRequest(req) {
+  const request = await ManagedService.findById(req.params.id);
+  return request && userCanViewManagedService(req.user, request)
+    ? request
+    : null;
+}
+
+/**
+ * The thread and the number of admin messages not yet read.
+ */
+export const getMessages = async (req, res) => {
+  try {
+    const request = await findViewableRequest(req);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getThread(request._id, "User"),
+    });
+  } catch (error) {
+    console.error("Error getting managed service messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Send a message to the admin team. Body: { body, attachments? } where
+ * attachments are files from POST /api/upload.
+ */
+export const sendMessage = async (req, res) => {
+  try {
+    const request = await findViewableRequest(req);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (!userOwnsManagedService(req.user, request)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+    if (request.status === "cancelled") {
+      return res.status(409).json({
+        success: false,
+        message: "This request has been cancelled",
+      });
+    }
+
+    const { message, error } = await postMessage(
+      request,
+      { type: "User", id: req.user._id, email: req.user.email },
+      req.body || {}
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Error sending managed service message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Mark the admin team's messages as read (read receipts on their side).
+ */
+export const markMessagesRead = async (req, res) => {
+  try {
+    const request = await findViewableRequest(req);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+    if (!userOwnsManagedService(req.user, request)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const marked = await markThreadRead(request._id, "User");
+
+    res.json({
+      success: true,
+      data: { marked },
+    });
+  } catch (error) {
+    console.error("Error marking managed service messages read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
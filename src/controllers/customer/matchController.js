@@ -2,13 +2,14 @@ import BuyerRequest from "../../models/customer/BuyerRequest.js";
 import Supplier from "../../models/admin/Supplier.js";
 import MatchReport from "../../models/customer/MatchReport.js";
 import {
-  passesHardFilter,
   calculatePreviewScore,
   // calculateHybridScore — DISABLED. Single rule-based score (calculatePreviewScore)
   // is now used everywhere so preview and post-payment match numbers always agree.
   generateWhyTheyMatch,
   generateRequestSummary,
   generateTemplateExplanation,
+  getRequestQuantity,
+  getSupplierMoq,
 } from "../../services/aiService.js";
 import {
   scoreCandidatesBatch,
@@ -16,6 +17,10 @@ import {
   checkCostCap,
 } from "../../services/aiScoringService.js";
 import { verifyToken } from "../../services/tokenService.js";
+import { retrieveCandidateSuppliers } from "../../services/supplierRetrievalService.js";
+import { enqueueJob, PermanentJobError } from "../../services/jobQueue.js";
+import { meetsMinimumOrder } from "../../utils/quantityParser.js";
+import { getRequestLines, hasLineItems } from "../../utils/lineItems.js";
 
 // Matching redesign feature flag — see MATCHING_REDESIGN_SPEC.md.
 // MATCH_SCORER=ai   → use the new AI scoring pipeline (Call 1 at request
@@ -26,6 +31,24 @@ const MATCH_THRESHOLD = parseInt(
   process.env.MATCH_THRESHOLD_DEFAULT || "80",
   10
 );
+// Queue retry budgets for AI jobs (services/jobQueue.js). Each attempt
+// already retries OpenAI internally (withRetry), so keep these small.
+const MATCH_SCORING_MAX_ATTEMPTS = 3;
+const CALL2_MAX_ATTEMPTS = 3;
+
+/**
+ * Candidates for the rule-based paths (processMatching, getPreview,
+ * generateAIMatch): the same semantic shortlist runMatchScoringJob sends to
+ * Call 1, so suppliers filed under an adjacent category are scored there
+ * too. Category agreement is a boost, here and in calculatePreviewScore.
+ */
+async function shortlistSuppliers(buyerRequest, allSuppliers) {
+  const { candidates } = await retrieveCandidateSuppliers(
+    buyerRequest,
+    allSuppliers
+  );
+  return candidates.map((c) => c.supplier);
+}
 
 // Process request and match suppliers
 export const processMatching = async (req, res) => {
@@ -71,7 +94,18 @@ export const processMatching = async (req, res) => {
 
     if (req.user) {
       const User = (await import("../../models/common/User.js")).default;
-      user = await User.findById(req.user._id);
+      const {
+        getMembership,
+        canSpendCredits,
+        resolveCreditAccount,
+      } = await import("../../services/organizationService.js");
+      const member = await User.findById(req.user._id);
+
+      // Organizations: plan + credits come from the team's shared pool;
+      // viewers never spend credits, so they always get the preview path.
+      if (member && canSpendCredits(await getMembership(member))) {
+        user = await resolveCreditAccount(member);
+      }
 
       if (user) {
         hasActivePlan =
@@ -82,7 +116,7 @@ export const processMatching = async (req, res) => {
       }
     }
 
-    // Load all active suppliers and apply hard filter (category + subCategory)
+    // Load all active suppliers and shortlist them by semantic retrieval
     const allSuppliers = await Supplier.find({ isActive: true });
     if (allSuppliers.length === 0) {
       return res.status(404).json({
@@ -92,24 +126,13 @@ export const processMatching = async (req, res) => {
     }
 
     const reqSubCategory = buyerRequest.subCategory ?? buyerRequest.subcategory;
-    if (process.env.NODE_ENV === "development") {
-      console.log(`\n[HARD FILTER] Request category: "${buyerRequest.category}"${reqSubCategory ? ` | subCategory: "${reqSubCategory}"` : ""}`);
-      console.log(`[HARD FILTER] Checking ${allSuppliers.length} active suppliers...`);
-    }
-    const filteredSuppliers = allSuppliers.filter((supplier) =>
-      passesHardFilter(buyerRequest, supplier)
-    );
-    if (process.env.NODE_ENV === "development") {
-      console.log(`[HARD FILTER] ${filteredSuppliers.length} passed, ${allSuppliers.length - filteredSuppliers.length} excluded\n`);
-    }
+    const filteredSuppliers = await shortlistSuppliers(buyerRequest, allSuppliers);
 
     if (filteredSuppliers.length === 0) {
       return res.status(404).json({
         success: false,
         message:
-          "No suppliers found matching your category" +
-          (reqSubCategory ? " and subcategory" : "") +
-          ". Try broadening your selection.",
+          "No suppliers found matching your request. Try broadening your description.",
       });
     }
 
@@ -118,17 +141,22 @@ export const processMatching = async (req, res) => {
       if (process.env.NODE_ENV === "development") {
         console.log(`\n${"─".repeat(60)}`);
         console.log(`[PREVIEW SCORING] Request: "${buyerRequest.name}" | Category: ${buyerRequest.category}${reqSubCategory ? ` > ${reqSubCategory}` : ""}`);
-        console.log(`Scoring ${filteredSuppliers.length} category-matched suppliers (rule-based, no AI)`);
+        console.log(`Scoring ${filteredSuppliers.length} shortlisted suppliers (rule-based, no AI)`);
         console.log(`─────────────────────────────────────────────────────────`);
       }
 
       const suppliersWithScores = filteredSuppliers.map((supplier) => {
         const result = calculatePreviewScore(buyerRequest, supplier);
-        return { supplier, matchScore: result.score, factors: result.factors };
+        return {
+          supplier,
+          matchScore: result.score,
+          factors: result.factors,
+          coveredLines: result.coveredLines,
+        };
       });
 
       suppliersWithScores.sort((a, b) => b.matchScore - a.matchScore);
-      // Take top 5 regardless of score — passing the hard filter is the quality gate
+      // Take top 5 regardless of score — the retrieval shortlist is the quality gate
       const topSuppliers = suppliersWithScores.slice(0, 5);
 
       const previewSupplier = topSuppliers[0].supplier;
@@ -138,11 +166,11 @@ export const processMatching = async (req, res) => {
 
       if (process.env.NODE_ENV === "development") {
         console.log(`─────────────────────────────────────────────────────────`);
-        console.log(`[PREVIEW RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} category-matched suppliers:`);
+        console.log(`[PREVIEW RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} shortlisted suppliers:`);
         topSuppliers.forEach((s, i) =>
           console.log(`  #${i + 1} ${s.supplier.name} — ${s.matchScore}/100`)
         );
-        console.log(`  Total in category: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
+        console.log(`  Total shortlisted: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
         console.log(`${"─".repeat(60)}\n`);
       }
 
@@ -164,6 +192,7 @@ export const processMatching = async (req, res) => {
             supplierId: item.supplier._id,
             matchScore: item.matchScore,
             ranking: index + 1,
+            coveredLines: item.coveredLines,
             whyTheyMatch: item.factors.join(", "),
             aiExplanation: generateTemplateExplanation(
               buyerRequest,
@@ -224,6 +253,7 @@ export const processMatching = async (req, res) => {
         transactionType: "deducted",
         reason: "match_generation",
         notes: "Credit used for hybrid AI match generation",
+        performedBy: req.user._id,
       });
 
       if (process.env.NODE_ENV === "development") {
@@ -236,7 +266,7 @@ export const processMatching = async (req, res) => {
     if (process.env.NODE_ENV === "development") {
       console.log(`\n${"─".repeat(60)}`);
       console.log(`[FULL MATCH] Request: "${buyerRequest.name}" | Category: ${buyerRequest.category}${reqSubCategory ? ` > ${reqSubCategory}` : ""}`);
-      console.log(`Scoring ${filteredSuppliers.length} category-matched suppliers (rule-based score + AI prose)`);
+      console.log(`Scoring ${filteredSuppliers.length} shortlisted suppliers (rule-based score + AI prose)`);
       console.log(`─────────────────────────────────────────────────────────`);
     }
 
@@ -244,7 +274,12 @@ export const processMatching = async (req, res) => {
     // to compute the number — only to write the explanations below.
     const suppliersWithScores = filteredSuppliers.map((supplier) => {
       const result = calculatePreviewScore(buyerRequest, supplier);
-      return { supplier, matchScore: result.score, factors: result.factors };
+      return {
+        supplier,
+        matchScore: result.score,
+        factors: result.factors,
+        coveredLines: result.coveredLines,
+      };
     });
 
     // Previously: const suppliersWithScores = await Promise.all(
@@ -264,11 +299,11 @@ export const processMatching = async (req, res) => {
 
     if (process.env.NODE_ENV === "development") {
       console.log(`─────────────────────────────────────────────────────────`);
-      console.log(`[FULL MATCH RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} category-matched suppliers:`);
+      console.log(`[FULL MATCH RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} shortlisted suppliers:`);
       topSuppliers.forEach((s, i) =>
         console.log(`  #${i + 1} ${s.supplier.name} — ${s.matchScore}/100`)
       );
-      console.log(`  Total in category: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
+      console.log(`  Total shortlisted: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
       console.log(`${"─".repeat(60)}\n`);
       console.log(`📝 Generating request summary and supplier explanations...`);
     }
@@ -286,6 +321,7 @@ export const processMatching = async (req, res) => {
             supplierId: item.supplier._id,
             matchScore: item.matchScore,
             ranking: index + 1,
+            coveredLines: item.coveredLines,
             whyTheyMatch: explanation,
             aiExplanation: explanation,
             strengths: [],
@@ -378,11 +414,12 @@ export const getPreview = async (req, res) => {
         });
       }
 
-      const filteredSuppliers = allSuppliers.filter((supplier) =>
-        passesHardFilter(buyerRequest, supplier)
+      const filteredSuppliers = await shortlistSuppliers(
+        buyerRequest,
+        allSuppliers
       );
 
-      // Crash-guard: if nothing passes the hard filter, persist a stub
+      // Crash-guard: if retrieval shortlists nobody, persist a stub
       // no_matches report so the rest of this handler doesn't dereference
       // an empty array (previously crashed at topSuppliers[0].supplier).
       if (filteredSuppliers.length === 0) {
@@ -410,6 +447,7 @@ export const getPreview = async (req, res) => {
             supplier,
             matchScore: result.score,
             factors: result.factors,
+            coveredLines: result.coveredLines,
           };
         });
 
@@ -441,6 +479,7 @@ export const getPreview = async (req, res) => {
               supplierId: item.supplier._id,
               matchScore: item.matchScore,
               ranking: index + 1,
+              coveredLines: item.coveredLines,
               whyTheyMatch: item.factors.join(", "),
               aiExplanation: generateTemplateExplanation(
                 buyerRequest,
@@ -543,6 +582,10 @@ export const getPreview = async (req, res) => {
         reason: scored?.reason ?? null,
         meetsMoq: scored?.meetsMoq ?? null,
         meetsCompliance: scored?.meetsCompliance ?? null,
+        // Multi-line requests: 1-based line numbers this supplier covers
+        coveredLines: scored?.coveredLines?.length
+          ? scored.coveredLines
+          : entry.coveredLines || [],
       };
     }).filter(Boolean);
 
@@ -572,7 +615,9 @@ export const getPreview = async (req, res) => {
                 buyerRequest.subCategory ?? buyerRequest.subcategory ?? "",
               unitPrice: buyerRequest.unitPrice,
               totalAmount: buyerRequest.totalAmount,
+              currency: buyerRequest.currency || "USD",
               quantity: buyerRequest.quantity,
+              lineItems: buyerRequest.lineItems || [],
               description: buyerRequest.description,
               timeline: buyerRequest.timeline,
               location: buyerRequest.location,
@@ -668,7 +713,7 @@ export const generateAIMatch = async (req, res) => {
       });
     }
 
-    // Apply hard filter (category + subcategory) then hybrid score with Groq AI
+    // Shortlist by semantic retrieval, then score with the rule-based scorer
     const allSuppliers = await Supplier.find({ isActive: true });
 
     if (allSuppliers.length === 0) {
@@ -678,25 +723,20 @@ export const generateAIMatch = async (req, res) => {
       });
     }
 
-    const filteredSuppliers = allSuppliers.filter((supplier) =>
-      passesHardFilter(buyerRequest, supplier)
-    );
+    const filteredSuppliers = await shortlistSuppliers(buyerRequest, allSuppliers);
 
     const postPaymentSubCategory = buyerRequest.subCategory ?? buyerRequest.subcategory;
     if (filteredSuppliers.length === 0) {
       return res.status(404).json({
         success: false,
-        message:
-          "No suppliers found matching your category" +
-          (postPaymentSubCategory ? " and subcategory" : "") +
-          ".",
+        message: "No suppliers found matching your request.",
       });
     }
 
     if (process.env.NODE_ENV === "development") {
       console.log(`\n${"─".repeat(60)}`);
       console.log(`[POST-PAYMENT MATCH] Request: "${buyerRequest.name}" | Category: ${buyerRequest.category}${postPaymentSubCategory ? ` > ${postPaymentSubCategory}` : ""}`);
-      console.log(`Scoring ${filteredSuppliers.length} category-matched suppliers (rule-based score + AI prose)`);
+      console.log(`Scoring ${filteredSuppliers.length} shortlisted suppliers (rule-based score + AI prose)`);
       console.log(`─────────────────────────────────────────────────────────`);
     }
 
@@ -704,7 +744,12 @@ export const generateAIMatch = async (req, res) => {
     // number the user already saw on the public preview.
     const suppliersWithScores = filteredSuppliers.map((supplier) => {
       const result = calculatePreviewScore(buyerRequest, supplier);
-      return { supplier, matchScore: result.score, factors: result.factors };
+      return {
+        supplier,
+        matchScore: result.score,
+        factors: result.factors,
+        coveredLines: result.coveredLines,
+      };
     });
 
     // Previously: const suppliersWithScores = await Promise.all(
@@ -724,11 +769,11 @@ export const generateAIMatch = async (req, res) => {
 
     if (process.env.NODE_ENV === "development") {
       console.log(`─────────────────────────────────────────────────────────`);
-      console.log(`[POST-PAYMENT RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} category-matched suppliers:`);
+      console.log(`[POST-PAYMENT RESULTS] Top ${topSuppliers.length} of ${filteredSuppliers.length} shortlisted suppliers:`);
       topSuppliers.forEach((s, i) =>
         console.log(`  #${i + 1} ${s.supplier.name} — ${s.matchScore}/100`)
       );
-      console.log(`  Total in category: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
+      console.log(`  Total shortlisted: ${filteredSuppliers.length} | Average score: ${averageScore}/100`);
       console.log(`${"─".repeat(60)}\n`);
       console.log(`📝 Generating request summary and supplier explanations...`);
     }
@@ -746,6 +791,7 @@ export const generateAIMatch = async (req, res) => {
             supplierId: item.supplier._id,
             matchScore: item.matchScore,
             ranking: index + 1,
+            coveredLines: item.coveredLines,
             whyTheyMatch: explanation,
             aiExplanation: explanation,
             strengths: [],
@@ -847,6 +893,26 @@ export const getFullReport = async (req, res) => {
             "Invalid or expired access link. Please check your email for a valid link.",
         });
       }
+    } else if (req.user) {
+      // Signed-in caller (personal API key or dashboard session): must own
+      // the request or share its organization.
+      const { sharesOrganization } = await import(
+        "../../services/organizationService.js"
+      );
+      const buyerRequest = await BuyerRequest.findById(id).select(
+        "email organizationId"
+      );
+      const userEmail = (req.user.email || "").toLowerCase().trim();
+      if (
+        !buyerRequest ||
+        (buyerRequest.email !== userEmail &&
+          !sharesOrganization(req.user, buyerRequest))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Match report not found",
+        });
+      }
     } else {
       // If no token provided, still allow access (for direct URL access during development/testing)
       // In production, you might want to require token for all access
@@ -861,10 +927,12 @@ export const getFullReport = async (req, res) => {
 
     // Lazy Call 2 firing: if AI scored the report at Call 1 time, and the
     // buyer has paid (status: paid|unlocked), and prose hasn't been generated
-    // yet, fire Call 2 now and persist. See MATCHING_REDESIGN_SPEC.md §5.4.
+    // yet, queue Call 2. See MATCHING_REDESIGN_SPEC.md §5.4. Until the job
+    // finishes, suppliers carry the Call 1 reason as whyTheyMatch; clients
+    // can poll explanationsJob and re-fetch.
     // MUST run AFTER auth checks above so an unauthenticated request can't
     // trigger paid AI calls (security audit H1).
-    await maybeFireCall2(matchReport);
+    const explanationsJob = await maybeFireCall2(matchReport);
 
     // Return full report with all supplier details — but only those above
     // the match threshold. Defense-in-depth filter per MATCHING_REDESIGN_SPEC.md
@@ -903,6 +971,9 @@ export const getFullReport = async (req, res) => {
         reason: scored?.reason ?? null,
         meetsMoq: scored?.meetsMoq ?? null,
         meetsCompliance: scored?.meetsCompliance ?? null,
+        coveredLines: scored?.coveredLines?.length
+          ? scored.coveredLines
+          : item.coveredLines || [],
         whyTheyMatch: item.whyTheyMatch,
         aiExplanation: item.aiExplanation,
         strengths: item.strengths || [],
@@ -917,6 +988,9 @@ export const getFullReport = async (req, res) => {
         preview: matchReport.preview,
         suppliers: fullSuppliers,
         generatedAt: matchReport.fullReport.generatedAt,
+        explanationsJob: explanationsJob
+          ? { id: explanationsJob._id, status: explanationsJob.status }
+          : null,
       },
     });
   } catch (error) {
@@ -935,26 +1009,21 @@ export const getFullReport = async (req, res) => {
 
 const isDevMatchAi = process.env.NODE_ENV === "development";
 
-// Concurrency guard for the lazy Call 2 fire (security audit C2).
-// Key: matchReportId. Value: in-flight Promise. SINGLE-INSTANCE ONLY —
-// for multi-instance deployment, replace with a Redis SETNX or a
-// findOneAndUpdate-based DB lock. Today's deployment is single-instance,
-// so this is sufficient to prevent same-process double-billing.
-const call2InFlight = new Map();
-
-function parseQuantityNumberLocal(text) {
-  if (!text) return null;
-  const m = String(text).match(/\d[\d,]*/);
-  return m ? parseInt(m[0].replace(/,/g, ""), 10) : null;
-}
-
-function checkMoqBoolean(buyerRequest, supplier) {
-  if (!supplier.minOrderQuantity) return true;
-  if (!buyerRequest.quantity) return true;
-  const supplierMoq = parseQuantityNumberLocal(supplier.minOrderQuantity);
-  const buyerQty = parseQuantityNumberLocal(buyerRequest.quantity);
-  if (supplierMoq === null || buyerQty === null) return true;
-  return buyerQty >= supplierMoq;
+// Benefit of the doubt (true) when either side is missing or the units can't
+// be compared, e.g. pallets vs pieces. Multi-line requests check every
+// covered line (all lines when coverage is unknown).
+function checkMoqBoolean(buyerRequest, supplier, coveredLines) {
+  const moq = getSupplierMoq(supplier);
+  if (hasLineItems(buyerRequest)) {
+    const lines = getRequestLines(buyerRequest).filter(
+      (line) => !coveredLines?.length || coveredLines.includes(line.lineNumber)
+    );
+    return lines.every(
+      (line) => meetsMinimumOrder(getRequestQuantity(line), moq) ?? true
+    );
+  }
+  const meets = meetsMinimumOrder(getRequestQuantity(buyerRequest), moq);
+  return meets ?? true;
 }
 
 function checkComplianceBoolean(buyerRequest, supplier) {
@@ -971,14 +1040,14 @@ async function processMatchingAi(req, res) {
   try {
     const { id } = req.params;
 
-    const buyerRequest = await BuyerRequest.findById(id);
+    const buyerRequest = await BuyerRequest.findById(id).select("_id");
     if (!buyerRequest) {
       return res
         .status(404)
         .json({ success: false, message: "Request not found" });
     }
 
-    let matchReport = await MatchReport.findOne({ requestId: id });
+    const matchReport = await MatchReport.findOne({ requestId: id });
 
     // Idempotent: if already completed (or no_matches), return existing.
     if (
@@ -996,291 +1065,361 @@ async function processMatchingAi(req, res) {
       });
     }
 
-    const allSuppliers = await Supplier.find({ isActive: true });
-    if (allSuppliers.length === 0) {
-      return res
-        .status(404)
-        .json({ success: false, message: "No suppliers available in database" });
-    }
-
-    // Matching redesign: subCategory is now a SOFT signal handled by AI
-    // scoring, not a hard gate. Buyers often pick a granular subCategory
-    // (e.g. "Print, Imaging & IT Services") that no supplier is filed under,
-    // even when generalist IT suppliers (CDW, SHI) credibly cover the request.
-    // We let AI judge fit across all supplier fields including internalNotes.
-    const reqCat = String(buyerRequest.category || "")
-      .toLowerCase()
-      .trim();
-    const filteredSuppliers = allSuppliers.filter((s) => {
-      const supCat = String(s.category || "").toLowerCase().trim();
-      return reqCat && supCat && reqCat === supCat;
-    });
-    const reqSubCategory =
-      buyerRequest.subCategory ?? buyerRequest.subcategory;
-    if (isDevMatchAi && reqSubCategory) {
-      console.log(
-        `[AI MATCH] subCategory "${reqSubCategory}" not enforced as hard filter — letting AI judge fit across capabilities/internalNotes`
-      );
-    }
-    if (filteredSuppliers.length === 0) {
-      // Zero suppliers in the buyer's category at all → persist a no_matches
-      // report so the frontend can render the managed-services CTA via the
-      // standard no_matches flow (not a 404 / generic error).
-      const fallbackSummary =
-        `${buyerRequest.name || "Request"} in ${buyerRequest.category} — ` +
-        "no suppliers in our network for this category.";
-      const noMatchesData = {
-        status: "no_matches",
-        requestSummary: fallbackSummary.substring(0, 240),
-        scoredSuppliers: [],
-        scoringMeta: {
-          call1: {
-            method: "rule_fallback",
-            scoredAt: new Date(),
-            candidateCount: 0,
-            thresholdUsed: MATCH_THRESHOLD,
-          },
-        },
-        preview: {
-          summary: fallbackSummary.substring(0, 200),
-          category: buyerRequest.category,
-          matchedCount: 0,
-          matchScore: 0,
-        },
-        fullReport: { suppliers: [], generatedAt: new Date() },
-      };
-      if (!matchReport) {
-        matchReport = new MatchReport({
-          requestId: id,
-          email: buyerRequest.email,
-          ...noMatchesData,
-        });
-      } else {
-        Object.assign(matchReport, noMatchesData);
+    // Call 1 runs on the job queue so it survives restarts/deploys and isn't
+    // bound to this HTTP request. One live scoring job per request: repeat
+    // calls (double-clicks, retries) get the same job back.
+    const job = await enqueueJob(
+      "match_scoring",
+      { requestId: id },
+      {
+        dedupeKey: `match_scoring:${id}`,
+        maxAttempts: MATCH_SCORING_MAX_ATTEMPTS,
+        requestedBy: req.user?._id,
+        requestId: id,
+        matchReportId: matchReport?._id,
       }
-      await matchReport.save();
-      return res.json({
-        success: true,
-        message: "No suppliers in our network for this category.",
-        data: {
-          requestId: id,
-          matchReportId: matchReport._id,
-          status: "no_matches",
-          candidateCount: 0,
-          matchedCount: 0,
-          requestSummary: noMatchesData.requestSummary,
-          suggestedAction: "managed_services",
-        },
-      });
-    }
-
-    if (isDevMatchAi) {
-      console.log(`\n${"─".repeat(60)}`);
-      console.log(
-        `[AI MATCH] Request: "${buyerRequest.name}" | Category: ${buyerRequest.category}${reqSubCategory ? ` > ${reqSubCategory}` : ""}`
-      );
-      console.log(
-        `Scoring ${filteredSuppliers.length} category-matched suppliers via AI Call 1`
-      );
-    }
-
-    // Cost cap check — hard cap means we cannot use AI for the rest of
-    // the day. Surface as a failure (NOT silent rule-based fallback —
-    // rule-based has the 85-point floor bug we set out to fix).
-    const capCheck = await checkCostCap();
-    if (capCheck.status === "hard") {
-      console.warn(
-        `[AI MATCH] Hard cost cap exceeded ($${capCheck.dailyTotal.toFixed(2)}); returning failed status`
-      );
-      return persistFailedMatchReport(
-        req,
-        res,
-        buyerRequest,
-        matchReport,
-        "cost_cap_exceeded",
-        `Daily AI spending cap reached ($${capCheck.dailyTotal.toFixed(2)}).`,
-        filteredSuppliers.length
-      );
-    }
+    );
 
-    // Try Call 1 with internal retries (scoreCandidatesBatch wraps the
-    // OpenAI call in withRetry). If it still fails after retries, surface
-    // as failed — do NOT fall through to rule-based scoring, which would
-    // return misleading 85+ floor scores for irrelevant suppliers.
-    let aiResult = null;
-    try {
-      aiResult = await scoreCandidatesBatch(buyerRequest, filteredSuppliers);
-    } catch (err) {
-      console.error(
-        `[AI MATCH] Call 1 failed after retries — returning failed status:`,
-        err.message
-      );
-      return persistFailedMatchReport(
-        req,
-        res,
-        buyerRequest,
-        matchReport,
-        "ai_unavailable",
-        err.message,
-        filteredSuppliers.length
-      );
-    }
+    return res.status(202).json({
+      success: true,
+      message: "Matching started. Poll the job for the result.",
+      data: {
+        requestId: id,
+        jobId: job._id,
+        jobStatus: job.status,
+        pollUrl: `/api/jobs/${job._id}`,
+      },
+    });
+  } catch (error) {
+    console.error("[processMatchingAi] Unexpected error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
 
-    // AI succeeded — build scoredSuppliers
-    const suppliersById = new Map(
-      filteredSuppliers.map((s) => [s._id.toString(), s])
-    );
+/**
+ * Job handler for "match_scoring" (AI Call 1). Runs on a queue worker (see
+ * jobs/index.js); the return value becomes the job result served by
+ * GET /api/jobs/:id. Throws to retry; PermanentJobError when retrying can't
+ * help.
+ */
+export async function runMatchScoringJob(job) {
+  const id = job.payload.requestId;
 
-    const scored = aiResult.scores
-      .map((score) => {
-        const supplier = suppliersById.get(score.supplier_id);
-        if (!supplier) return null;
-        return {
-          supplierId: supplier._id,
-          fitScore: score.fit_score,
-          reason: score.reason,
-          meetsMoq: checkMoqBoolean(buyerRequest, supplier),
-          meetsCompliance: checkComplianceBoolean(buyerRequest, supplier),
-          scoringMethod: "ai",
-          whyTheyMatch: null,
-          strengths: [],
-          concerns: [],
-          // explanationMethod unset until Call 2 fires
-        };
-      })
-      .filter(Boolean)
-      .sort((a, b) => b.fitScore - a.fitScore);
+  const buyerRequest = await BuyerRequest.findById(id);
+  if (!buyerRequest) {
+    throw new PermanentJobError("Request not found");
+  }
 
-    scored.forEach((s, i) => {
-      s.ranking = i + 1;
-    });
+  let matchReport = await MatchReport.findOne({ requestId: id });
 
-    const matched = scored.filter((s) => s.fitScore >= MATCH_THRESHOLD);
-    const matchedCount = matched.length;
+  // At-least-once delivery: a retried or reclaimed job may find the work
+  // already done.
+  if (
+    matchReport &&
+    ["completed", "no_matches"].includes(matchReport.status)
+  ) {
+    return {
+      message: "Match report already generated",
+      data: {
+        requestId: id,
+        matchReportId: matchReport._id,
+        status: matchReport.status,
+        preview: matchReport.preview,
+      },
+    };
+  }
 
-    if (isDevMatchAi) {
-      console.log(
-        `[AI MATCH] Scored ${scored.length} suppliers; ${matchedCount} above threshold ${MATCH_THRESHOLD}`
-      );
-      scored.slice(0, 5).forEach((s, i) => {
-        const sup = suppliersById.get(s.supplierId.toString());
-        console.log(
-          `  #${i + 1} ${sup.name} — ${s.fitScore}/100 — ${String(s.reason).substring(0, 80)}`
-        );
-      });
-      console.log(`${"─".repeat(60)}\n`);
-    }
+  const allSuppliers = await Supplier.find({ isActive: true });
+  if (allSuppliers.length === 0) {
+    throw new PermanentJobError("No suppliers available in database");
+  }
 
-    const reportData = {
-      requestSummary: aiResult.requestSummary,
-      scoredSuppliers: scored,
+  // Semantic retrieval replaces the exact-category gate: rank every active
+  // supplier by embedding similarity to the request (category/subCategory
+  // agreement is only a boost) and send the top N to Call 1. Suppliers
+  // filed under a sibling category still get scored when their profile
+  // covers the request; the AI judges actual fit.
+  const retrieval = await retrieveCandidateSuppliers(
+    buyerRequest,
+    allSuppliers
+  );
+  const filteredSuppliers = retrieval.candidates.map((c) => c.supplier);
+  const retrievalMeta = {
+    method: retrieval.method,
+    model: retrieval.model,
+    poolSize: retrieval.poolSize,
+    candidateCount: filteredSuppliers.length,
+    categoryMatchCount: retrieval.candidates.filter((c) => c.categoryMatch)
+      .length,
+  };
+  const reqSubCategory =
+    buyerRequest.subCategory ?? buyerRequest.subcategory;
+  if (filteredSuppliers.length === 0) {
+    // Nothing in the network resembles the request → persist a no_matches
+    // report so the frontend can render the managed-services CTA via the
+    // standard no_matches flow (not a 404 / generic error).
+    const fallbackSummary =
+      `${buyerRequest.name || "Request"} in ${buyerRequest.category} — ` +
+      "no suppliers in our network for this category.";
+    const noMatchesData = {
+      status: "no_matches",
+      requestSummary: fallbackSummary.substring(0, 240),
+      scoredSuppliers: [],
       scoringMeta: {
         call1: {
-          method: "ai",
-          modelVersion: aiResult.usage.modelVersion,
-          tokensIn: aiResult.usage.tokensIn,
-          tokensOut: aiResult.usage.tokensOut,
-          costUsdEstimate: aiResult.usage.costUsdEstimate,
+          method: "rule_fallback",
           scoredAt: new Date(),
+          candidateCount: 0,
           thresholdUsed: MATCH_THRESHOLD,
-          candidateCount: filteredSuppliers.length,
         },
+        retrieval: retrievalMeta,
       },
-      status: matchedCount === 0 ? "no_matches" : "completed",
-    };
-
-    // Back-compat: also populate legacy preview/fullReport so existing
-    // frontend reads continue to work during rollout. New endpoints should
-    // read from scoredSuppliers directly.
-    if (matchedCount > 0) {
-      const topMatched = matched.slice(0, 5);
-      const previewTop = matched[0];
-      const averageScore = Math.round(
-        topMatched.reduce((sum, s) => sum + s.fitScore, 0) /
-          topMatched.length
-      );
-
-      reportData.preview = {
-        summary: aiResult.requestSummary,
-        category: buyerRequest.category,
-        matchedCount,
-        matchScore: averageScore,
-        previewSupplier: previewTop.supplierId,
-      };
-      reportData.fullReport = {
-        suppliers: topMatched.map((m) => ({
-          supplierId: m.supplierId,
-          matchScore: m.fitScore,
-          ranking: m.ranking,
-          whyTheyMatch: m.reason, // enriched by Call 2 on first /full GET
-          aiExplanation: m.reason,
-          strengths: [],
-          concerns: [],
-        })),
-        generatedAt: new Date(),
-      };
-    } else {
-      reportData.preview = {
-        summary: aiResult.requestSummary,
+      preview: {
+        summary: fallbackSummary.substring(0, 200),
         category: buyerRequest.category,
         matchedCount: 0,
         matchScore: 0,
-      };
-      reportData.fullReport = { suppliers: [], generatedAt: new Date() };
-    }
-
+      },
+      fullReport: { suppliers: [], generatedAt: new Date() },
+    };
     if (!matchReport) {
       matchReport = new MatchReport({
         requestId: id,
         email: buyerRequest.email,
-        ...reportData,
+        ...noMatchesData,
       });
     } else {
-      Object.assign(matchReport, reportData);
+      Object.assign(matchReport, noMatchesData);
     }
     await matchReport.save();
+    return {
+      message: "No suppliers in our network for this category.",
+      data: {
+        requestId: id,
+        matchReportId: matchReport._id,
+        status: "no_matches",
+        candidateCount: 0,
+        matchedCount: 0,
+        requestSummary: noMatchesData.requestSummary,
+        suggestedAction: "managed_services",
+      },
+    };
+  }
 
-    if (matchedCount === 0) {
-      return res.json({
-        success: true,
-        message: "No strong matches found in our network.",
-        data: {
-          requestId: id,
-          matchReportId: matchReport._id,
-          status: "no_matches",
-          candidateCount: filteredSuppliers.length,
-          matchedCount: 0,
-          requestSummary: aiResult.requestSummary,
-          suggestedAction: "managed_services",
-        },
-      });
+  if (isDevMatchAi) {
+    console.log(`\n${"─".repeat(60)}`);
+    console.log(
+      `[AI MATCH] Request: "${buyerRequest.name}" | Category: ${buyerRequest.category}${reqSubCategory ? ` > ${reqSubCategory}` : ""}`
+    );
+    console.log(
+      `Scoring ${filteredSuppliers.length} retrieved suppliers (${retrievalMeta.categoryMatchCount} in category) via AI Call 1`
+    );
+  }
+
+  // Cost cap check — hard cap means we cannot use AI for the rest of
+  // the day. Surface as a failure (NOT silent rule-based fallback —
+  // rule-based has the 85-point floor bug we set out to fix).
+  const capCheck = await checkCostCap();
+  if (capCheck.status === "hard") {
+    console.warn(
+      `[AI MATCH] Hard cost cap exceeded ($${capCheck.dailyTotal.toFixed(2)}); marking report failed`
+    );
+    // Not retried: the cap holds for the rest of the day.
+    const reasonMessage = `Daily AI spending cap reached ($${capCheck.dailyTotal.toFixed(2)}).`;
+    const failure = await persistFailedMatchReport(
+      buyerRequest,
+      matchReport,
+      "cost_cap_exceeded",
+      reasonMessage,
+      filteredSuppliers.length
+    );
+    throw new PermanentJobError(reasonMessage, failure);
+  }
+
+  // Try Call 1 with internal retries (scoreCandidatesBatch wraps the
+  // OpenAI call in withRetry). If it still fails, let the job retry and
+  // eventually surface as failed — do NOT fall through to rule-based scoring, which would
+  // return misleading 85+ floor scores for irrelevant suppliers.
+  let aiResult = null;
+  try {
+    aiResult = await scoreCandidatesBatch(buyerRequest, filteredSuppliers);
+  } catch (err) {
+    // Retried by the queue with backoff. Only when the job's attempts are
+    // exhausted (→ dead) do we persist the failed report that the frontend
+    // renders with a Retry button.
+    if (job.attempts < job.maxAttempts) {
+      console.warn(
+        `[AI MATCH] Call 1 failed (attempt ${job.attempts}/${job.maxAttempts}); job will retry:`,
+        err.message
+      );
+      throw err;
     }
+    console.error(
+      `[AI MATCH] Call 1 failed on final attempt — marking report failed:`,
+      err.message
+    );
+    err.result = await persistFailedMatchReport(
+      buyerRequest,
+      matchReport,
+      "ai_unavailable",
+      err.message,
+      filteredSuppliers.length
+    );
+    throw err;
+  }
 
-    return res.json({
-      success: true,
-      message: "Preview match generated. Unlock to see full supplier details.",
+  // AI succeeded — build scoredSuppliers
+  const suppliersById = new Map(
+    filteredSuppliers.map((s) => [s._id.toString(), s])
+  );
+
+  const scored = aiResult.scores
+    .map((score) => {
+      const supplier = suppliersById.get(score.supplier_id);
+      if (!supplier) return null;
+      return {
+        supplierId: supplier._id,
+        fitScore: score.fit_score,
+        reason: score.reason,
+        coveredLines: score.covered_lines,
+        meetsMoq: checkMoqBoolean(buyerRequest, supplier, score.covered_lines),
+        meetsCompliance: checkComplianceBoolean(buyerRequest, supplier),
+        scoringMethod: "ai",
+        whyTheyMatch: null,
+        strengths: [],
+        concerns: [],
+        // explanationMethod unset until Call 2 fires
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.fitScore - a.fitScore);
+
+  scored.forEach((s, i) => {
+    s.ranking = i + 1;
+  });
+
+  const matched = scored.filter((s) => s.fitScore >= MATCH_THRESHOLD);
+  const matchedCount = matched.length;
+
+  if (isDevMatchAi) {
+    console.log(
+      `[AI MATCH] Scored ${scored.length} suppliers; ${matchedCount} above threshold ${MATCH_THRESHOLD}`
+    );
+    scored.slice(0, 5).forEach((s, i) => {
+      const sup = suppliersById.get(s.supplierId.toString());
+      console.log(
+        `  #${i + 1} ${sup.name} — ${s.fitScore}/100 — ${String(s.reason).substring(0, 80)}`
+      );
+    });
+    console.log(`${"─".repeat(60)}\n`);
+  }
+
+  const reportData = {
+    requestSummary: aiResult.requestSummary,
+    scoredSuppliers: scored,
+    scoringMeta: {
+      call1: {
+        method: "ai",
+        modelVersion: aiResult.usage.modelVersion,
+        tokensIn: aiResult.usage.tokensIn,
+        tokensOut: aiResult.usage.tokensOut,
+        costUsdEstimate: aiResult.usage.costUsdEstimate,
+        scoredAt: new Date(),
+        thresholdUsed: MATCH_THRESHOLD,
+        candidateCount: filteredSuppliers.length,
+      },
+      retrieval: retrievalMeta,
+    },
+    status: matchedCount === 0 ? "no_matches" : "completed",
+  };
+
+  // Back-compat: also populate legacy preview/fullReport so existing
+  // frontend reads continue to work during rollout. New endpoints should
+  // read from scoredSuppliers directly.
+  if (matchedCount > 0) {
+    const topMatched = matched.slice(0, 5);
+    const previewTop = matched[0];
+    const averageScore = Math.round(
+      topMatched.reduce((sum, s) => sum + s.fitScore, 0) /
+        topMatched.length
+    );
+
+    reportData.preview = {
+      summary: aiResult.requestSummary,
+      category: buyerRequest.category,
+      matchedCount,
+      matchScore: averageScore,
+      previewSupplier: previewTop.supplierId,
+    };
+    reportData.fullReport = {
+      suppliers: topMatched.map((m) => ({
+        supplierId: m.supplierId,
+        matchScore: m.fitScore,
+        ranking: m.ranking,
+        coveredLines: m.coveredLines,
+        whyTheyMatch: m.reason, // enriched by Call 2 on first /full GET
+        aiExplanation: m.reason,
+        strengths: [],
+        concerns: [],
+      })),
+      generatedAt: new Date(),
+    };
+  } else {
+    reportData.preview = {
+      summary: aiResult.requestSummary,
+      category: buyerRequest.category,
+      matchedCount: 0,
+      matchScore: 0,
+    };
+    reportData.fullReport = { suppliers: [], generatedAt: new Date() };
+  }
+
+  if (!matchReport) {
+    matchReport = new MatchReport({
+      requestId: id,
+      email: buyerRequest.email,
+      ...reportData,
+    });
+  } else {
+    Object.assign(matchReport, reportData);
+  }
+  await matchReport.save();
+
+  if (matchedCount === 0) {
+    return {
+      message: "No strong matches found in our network.",
       data: {
         requestId: id,
         matchReportId: matchReport._id,
-        isUnlocked: false,
-        preview: {
-          summary: matchReport.preview.summary,
-          category: matchReport.preview.category,
-          matchedCount: matchReport.preview.matchedCount,
-          matchScore: matchReport.preview.matchScore,
-          message: "Preview ready! Unlock to see full details.",
-        },
+        status: "no_matches",
+        candidateCount: filteredSuppliers.length,
+        matchedCount: 0,
+        requestSummary: aiResult.requestSummary,
+        suggestedAction: "managed_services",
       },
-    });
-  } catch (error) {
-    console.error("[processMatchingAi] Unexpected error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+    };
   }
+
+  return {
+    message: "Preview match generated. Unlock to see full supplier details.",
+    data: {
+      requestId: id,
+      matchReportId: matchReport._id,
+      isUnlocked: false,
+      preview: {
+        summary: matchReport.preview.summary,
+        category: matchReport.preview.category,
+        matchedCount: matchReport.preview.matchedCount,
+        matchScore: matchReport.preview.matchScore,
+        message: "Preview ready! Unlock to see full details.",
+      },
+    },
+  };
 }
 
 /**
@@ -1288,51 +1427,69 @@ async function processMatchingAi(req, res) {
  * payment, IF the report was AI-scored at Call 1 time AND prose hasn't
  * been generated yet. See MATCHING_REDESIGN_SPEC.md §5.4.
  *
- * Mutates the matchReport in place and saves on success or template-fallback.
- * Returns silently on no-op (already populated, wrong status, not AI-scored).
+ * Queues a "match_explanations" job rather than running inline. The job is
+ * keyed on the match report, so concurrent views (and multiple instances)
+ * share one job instead of paying for duplicate Call 2s — this replaces the
+ * old in-process call2InFlight map, which lost work on restart.
+ *
+ * @returns {Promise<Object|null>} The live job, or null when no Call 2 is
+ *   needed (already populated, wrong status, not AI-scored).
  */
 export async function maybeFireCall2(matchReport) {
-  if (MATCH_SCORER !== "ai") return;
-  // Concurrency guard (security audit C2). If another request is already
-  // firing Call 2 for this report, wait for it and return — don't fire a
-  // duplicate. Caller's matchReport instance will be stale after this, but
-  // the DB has the fresh data and the next request will see it.
-  const _lockId = matchReport._id.toString();
-  if (call2InFlight.has(_lockId)) {
-    if (isDevMatchAi) {
-      console.log(
-        `[AI MATCH /full] Call 2 already in flight for ${_lockId}; awaiting and returning`
-      );
-    }
-    try {
-      await call2InFlight.get(_lockId);
-    } catch (_) {
-      /* swallow — the in-flight call's error is logged by its own owner */
+  if (MATCH_SCORER !== "ai") return null;
+  if (!needsCall2(matchReport)) return null;
+  return enqueueJob(
+    "match_explanations",
+    { matchReportId: matchReport._id },
+    {
+      dedupeKey: `match_explanations:${matchReport._id}`,
+      maxAttempts: CALL2_MAX_ATTEMPTS,
+      requestId: matchReport.requestId,
+      matchReportId: matchReport._id,
     }
-    return;
-  }
-  const _work = doMaybeFireCall2(matchReport);
-  call2InFlight.set(_lockId, _work);
-  try {
-    await _work;
-  } finally {
-    call2InFlight.delete(_lockId);
-  }
+  );
 }
 
-async function doMaybeFireCall2(matchReport) {
+function needsCall2(matchReport) {
   const wasAiScored = matchReport.scoringMeta?.call1?.method === "ai";
   const hasAccessOrPaid = ["paid", "unlocked", "completed"].includes(
     matchReport.status
   );
-  if (!wasAiScored || !hasAccessOrPaid) return;
+  if (!wasAiScored || !hasAccessOrPaid) return false;
+
+  const matched = (matchReport.scoredSuppliers || []).filter(
+    (s) => s.fitScore >= MATCH_THRESHOLD
+  );
+  return matched.some((s) => !s.whyTheyMatch);
+}
+
+/**
+ * Job handler for "match_explanations" (AI Call 2). Loads a fresh,
+ * populated copy of the report; re-checks whether prose is still missing so
+ * a duplicate or reclaimed job is a no-op.
+ */
+export async function runCall2Job(job) {
+  const matchReport = await MatchReport.findById(job.payload.matchReportId)
+    .populate("scoredSuppliers.supplierId")
+    .populate("fullReport.suppliers.supplierId");
+  if (!matchReport) {
+    throw new PermanentJobError("Match report not found");
+  }
+
+  await doMaybeFireCall2(matchReport);
+
+  return {
+    matchReportId: matchReport._id,
+    explanationMethod: matchReport.scoringMeta?.call2?.method || null,
+  };
+}
 
-  const scoredSuppliers = matchReport.scoredSuppliers || [];
-  const matched = scoredSuppliers.filter((s) => s.fitScore >= MATCH_THRESHOLD);
-  if (matched.length === 0) return;
+async function doMaybeFireCall2(matchReport) {
+  if (!needsCall2(matchReport)) return;
 
-  const needsCall2 = matched.some((s) => !s.whyTheyMatch);
-  if (!needsCall2) return;
+  const matched = matchReport.scoredSuppliers.filter(
+    (s) => s.fitScore >= MATCH_THRESHOLD
+  );
 
   // Build payload — requires Supplier docs populated on scoredSuppliers.
   const matchedForCall2 = matched
@@ -1486,11 +1643,12 @@ async function doMaybeFireCall2(matchReport) {
 }
 
 /**
- * Persist a failed match report and return a clean failure response.
+ * Persist a failed match report and return the failure details stored as
+ * the job result.
  *
  * Used when:
- *  - AI Call 1 throws after exhausting retries (transient errors give up,
- *    or permanent errors like 4xx from OpenAI)
+ *  - AI Call 1 still throws on the scoring job's final attempt (transient
+ *    errors give up, or permanent errors like 4xx from OpenAI)
  *  - Daily hard cost cap has been tripped
  *
  * IMPORTANT: We deliberately do NOT silently fall back to rule-based
@@ -1503,8 +1661,6 @@ async function doMaybeFireCall2(matchReport) {
  * reasonMessage: human-readable error from the underlying failure
  */
 async function persistFailedMatchReport(
-  req,
-  res,
   buyerRequest,
   matchReport,
   reasonCode,
@@ -1535,7 +1691,7 @@ async function persistFailedMatchReport(
 
   if (!matchReport) {
     matchReport = new MatchReport({
-      requestId: req.params.id,
+      requestId: buyerRequest._id,
       email: buyerRequest.email,
       ...failureData,
     });
@@ -1544,13 +1700,12 @@ async function persistFailedMatchReport(
   }
   await matchReport.save();
 
-  // 503 (Service Unavailable) for AI/cost-cap failures so the frontend can
-  // treat it as a retryable error rather than a permanent one.
-  return res.status(503).json({
-    success: false,
+  // Shape matches the old 503 body so the frontend's retry state keeps
+  // working off the job result.
+  return {
     message: "We couldn't generate matches right now. Please retry shortly.",
     data: {
-      requestId: req.params.id,
+      requestId: buyerRequest._id,
       matchReportId: matchReport._id,
       status: "failed",
       failureReason: reasonCode,
@@ -1559,7 +1714,7 @@ async function persistFailedMatchReport(
       candidateCount: candidateCount ?? 0,
       suggestedAction: "retry",
     },
-  });
+  };
 }
 
 /**
@@ -1579,7 +1734,12 @@ async function runRuleBasedFallback(
 ) {
   const suppliersWithScores = filteredSuppliers.map((supplier) => {
     const result = calculatePreviewScore(buyerRequest, supplier);
-    return { supplier, matchScore: result.score, factors: result.factors };
+    return {
+      supplier,
+      matchScore: result.score,
+      factors: result.factors,
+      coveredLines: result.coveredLines,
+    };
   });
 
   suppliersWithScores.sort((a, b) => b.matchScore - a.matchScore);
@@ -1600,7 +1760,8 @@ async function runRuleBasedFallback(
     ranking: i + 1,
     fitScore: item.matchScore,
     reason: (item.factors || []).join(", "),
-    meetsMoq: checkMoqBoolean(buyerRequest, item.supplier),
+    coveredLines: item.coveredLines,
+    meetsMoq: checkMoqBoolean(buyerRequest, item.supplier, item.coveredLines),
     meetsCompliance: checkComplianceBoolean(buyerRequest, item.supplier),
     scoringMethod: "ai_fallback_rule",
     whyTheyMatch: null,
@@ -1632,6 +1793,7 @@ async function runRuleBasedFallback(
         supplierId: item.supplier._id,
         matchScore: item.matchScore,
         ranking: index + 1,
+        coveredLines: item.coveredLines,
         whyTheyMatch: (item.factors || []).join(", "),
         aiExplanation: generateTemplateExplanation(
           buyerRequest,
@@ -0,0 +1,671 @@
+import mongoose from "mongoose";
+import Organization, {
+  ORGANIZATION_ROLES,
+} from "../../models/common/Organization.js";
+import User from "../../models/common/User.js";
+import { sendOrganizationInvitationEmail } from "../../services/emailService.js";
+import {
+  generateToken as generateTokenService,
+  verifyToken,
+} from "../../services/tokenService.js";
+import SsoConnection from "../../models/common/SsoConnection.js";
+import {
+  applySsoSettings,
+  formatSsoConnection,
+  verifySsoDomain as verifySsoDomainRecord,
+} from "../../services/ssoService.js";
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches tokenService orgInvite
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Load the caller's organization. Sends the error response itself and
+ * returns null when the caller has no team or lacks `ownerOnly` rights.
+ */
+async function loadOwnOrganization(req, res, { ownerOnly = false } = {}) {
+  if (!req.user.organizationId) {
+    res.status(404).json({
+      success: false,
+      message: "You are not a member of an organization",
+    });
+    return null;
+  }
+  const organization = await Organization.findById(req.user.organizationId);
+  const role = organization?.roleOf(req.user._id);
+  if (!organization || !role) {
+    res.status(404).json({
+      success: false,
+      message: "You are not a member of an organization",
+    });
+    return null;
+  }
+  if (ownerOnly && role !== "owner") {
+    res.status(403).json({
+      success: false,
+      message: "Only the organization owner can do this",
+    });
+    return null;
+  }
+  return { organization, role };
+}
+
+async function formatOrganization(organization, role) {
+  await organization.populate("members.user", "email");
+  const creditAccount = await User.findById(organization.owner).select(
+    "matchCredits subscriptionStatus subscriptionPlan subscriptionExpiresAt"
+  );
+  const now = new Date();
+  return {
+    id: organization._id,
+    name: organization.name,
+    role,
+    owner: organization.owner,
+    members: organization.members.map((m) => ({
+      userId: m.user?._id || m.user,
+      email: m.user?.email || null,
+      role: m.role,
+      joinedAt: m.joinedAt,
+    })),
+    // Only owners manage invitations; everyone else just sees the roster.
+    invitations:
+      role === "owner"
+        ? organization.invitations
+            .filter((i) => !i.acceptedAt && i.expiresAt > now)
+            .map((i) => ({
+              id: i._id,
+              email: i.email,
+              role: i.role,
+              expiresAt: i.expiresAt,
+              createdAt: i.createdAt,
+            }))
+        : undefined,
+    creditPool: {
+      matchCredits: creditAccount?.matchCredits || 0,
+      subscriptionStatus: creditAccount?.subscriptionStatus || "none",
+      planType: creditAccount?.subscriptionPlan || null,
+      subscriptionExpiresAt: creditAccount?.subscriptionExpiresAt || null,
+    },
+    createdAt: organization.createdAt,
+  };
+}
+
+/**
+ * Create an organization. The caller becomes its owner and their
+ * subscription/credits become the team's shared pool.
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const user = req.user;
+
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization name is required",
+      });
+    }
+
+    if (user.organizationId) {
+      return res.status(409).json({
+        success: false,
+        message: "You already belong to an organization",
+      });
+    }
+
+    const organization = await Organization.create({
+      name: name.trim(),
+      owner: user._id,
+      members: [{ user: user._id, role: "owner" }],
+    });
+
+    await User.findByIdAndUpdate(user._id, {
+      organizationId: organization._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: await formatOrganization(organization, "owner"),
+    });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get the caller's organization, members and shared credit pool
+ */
+export const getMyOrganization = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res);
+    if (!loaded) return;
+
+    res.json({
+      success: true,
+      data: await formatOrganization(loaded.organization, loaded.role),
+    });
+  } catch (error) {
+    console.error("Error getting organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Rename the organization (owner only)
+ */
+export const updateOrganization = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+
+    const { name } = req.body;
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization name is required",
+      });
+    }
+
+    loaded.organization.name = name.trim();
+    await loaded.organization.save();
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      data: await formatOrganization(loaded.organization, loaded.role),
+    });
+  } catch (error) {
+    console.error("Error updating organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Invite someone by email (owner only)
+ */
+export const inviteMember = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+    const { organization } = loaded;
+
+    const email = (req.body.email || "").toLowerCase().trim();
+    const role = req.body.role || "member";
+
+    if (!EMAIL_RE.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid email address",
+      });
+    }
+    if (!["member", "viewer"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'member' or 'viewer'",
+      });
+    }
+
+    const existingUser = await User.findOne({ email }).select(
+      "organizationId"
+    );
+    if (existingUser?.organizationId) {
+      return res.status(409).json({
+        success: false,
+        message: existingUser.organizationId.equals(organization._id)
+          ? "This person is already a member of your organization"
+          : "This person already belongs to another organization",
+      });
+    }
+
+    // Re-inviting replaces any outstanding invitation for the same address.
+    organization.invitations = organization.invitations.filter(
+      (i) => i.acceptedAt || i.email !== email
+    );
+    organization.invitations.push({
+      email,
+      role,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    });
+    await organization.save();
+    const invitation = organization.invitations[organization.invitations.length - 1];
+
+    const inviteToken = generateTokenService(
+      email,
+      invitation._id.toString(),
+      "orgInvite"
+    );
+
+    try {
+      await sendOrganizationInvitationEmail({
+        email,
+        organizationName: organization.name,
+        inviterEmail: req.user.email,
+        role,
+        inviteToken,
+        organizationId: organization._id.toString(),
+        invitationId: invitation._id.toString(),
+      });
+    } catch (emailError) {
+      console.error("Error sending invitation email:", emailError);
+      return res.status(502).json({
+        success: false,
+        message: "Invitation saved but the email could not be sent. Try again.",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error inviting member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Revoke an outstanding invitation (owner only)
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+    const { organization } = loaded;
+
+    const invitation = organization.invitations.id(req.params.invitationId);
+    if (!invitation || invitation.acceptedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+    });
+  } catch (error) {
+    console.error("Error revoking invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Accept an invitation. The signed-in account's email must match the
+ * invited address; the token is single-use (acceptedAt).
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { organizationId, invitationId, token } = req.body;
+    const user = req.user;
+
+    if (
+      !token ||
+      !mongoose.Types.ObjectId.isValid(organizationId) ||
+      !mongoose.Types.ObjectId.isValid(invitationId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation link",
+      });
+    }
+
+    const verification = verifyToken(token, user.email, invitationId, "orgInvite");
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const invitation = organization?.invitations.id(invitationId);
+    if (
+      !invitation ||
+      invitation.acceptedAt ||
+      invitation.expiresAt < new Date() ||
+      invitation.email !== user.email.toLowerCase().trim()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    if (user.organizationId) {
+      return res.status(409).json({
+        success: false,
+        message: user.organizationId.equals(organization._id)
+          ? "You are already a member of this organization"
+          : "Leave your current organization before joining another",
+      });
+    }
+
+    invitation.acceptedAt = new Date();
+    organization.members.push({ user: user._id, role: invitation.role });
+    await organization.save();
+
+    // Personal credits stay on the member's own account; while in the team
+    // they draw on the shared pool instead (organizationService).
+    await User.findByIdAndUpdate(user._id, {
+      organizationId: organization._id,
+    });
+
+    res.json({
+      success: true,
+      message: `You have joined ${organization.name}`,
+      data: await formatOrganization(organization, invitation.role),
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Change a member's role (owner only). Ownership can't be reassigned here.
+ */
+export const updateMemberRole = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+    const { organization } = loaded;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    if (!ORGANIZATION_ROLES.includes(role) || role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'member' or 'viewer'",
+      });
+    }
+
+    const member = organization.members.find((m) =>
+      m.user.equals(req.params.userId)
+    );
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed",
+      });
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: "Member role updated",
+      data: await formatOrganization(organization, loaded.role),
+    });
+  } catch (error) {
+    console.error("Error updating member role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove a member (owner), or leave the organization (any non-owner member
+ * passing their own userId).
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res);
+    if (!loaded) return;
+    const { organization, role } = loaded;
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    const isSelf = req.user._id.equals(userId);
+    if (!isSelf && role !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the organization owner can do this",
+      });
+    }
+
+    const member = organization.members.find((m) => m.user.equals(userId));
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The owner cannot leave or be removed from the organization",
+      });
+    }
+
+    organization.members = organization.members.filter(
+      (m) => !m.user.equals(userId)
+    );
+    await organization.save();
+    await User.findByIdAndUpdate(userId, { organizationId: null });
+
+    // Records stamped with the organization stay with the team; the former
+    // member keeps access to the ones submitted under their own email.
+    res.json({
+      success: true,
+      message: isSelf ? "You have left the organization" : "Member removed",
+    });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// ========== Single sign-on (owner only) ==========
+
+/**
+ * Get the organization's SSO connection (null when none is set up)
+ */
+export const getSsoConnection = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+
+    const connection = await SsoConnection.findOne({
+      organization: loaded.organization._id,
+    });
+    res.json({
+      success: true,
+      data: connection ? formatSsoConnection(connection) : null,
+    });
+  } catch (error) {
+    console.error("Error getting SSO connection:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create or update the SSO connection: { issuer, clientId, clientSecret,
+ * scopes, domains, enabled, enforced, defaultRole }. New domains need DNS
+ * verification before they route logins.
+ */
+export const updateSsoConnection = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+    const { organization } = loaded;
+
+    const connection =
+      (await SsoConnection.findOne({ organization: organization._id })) ||
+      new SsoConnection({ organization: organization._id, createdBy: req.user._id });
+    const isNew = connection.isNew;
+
+    const result = await applySsoSettings(connection, req.body || {});
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+    await connection.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: "SSO settings saved",
+      data: formatSsoConnection(connection),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((e) => e.message)
+          .join(", "),
+      });
+    }
+    console.error("Error updating SSO connection:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Check a domain's DNS TXT record: { domain }
+ */
+export const verifySsoDomain = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+
+    const connection = await SsoConnection.findOne({
+      organization: loaded.organization._id,
+    });
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: "SSO is not set up for this organization",
+      });
+    }
+
+    const result = await verifySsoDomainRecord(connection, req.body?.domain);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Domain verified",
+      data: formatSsoConnection(result.connection),
+    });
+  } catch (error) {
+    console.error("Error verifying SSO domain:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove the SSO connection. Provisioned users keep their accounts and
+ * sign in with a password (via forgot-password) from then on.
+ */
+export const deleteSsoConnection = async (req, res) => {
+  try {
+    const loaded = await loadOwnOrganization(req, res, { ownerOnly: true });
+    if (!loaded) return;
+
+    const connection = await SsoConnection.findOneAndDelete({
+      organization: loaded.organization._id,
+    });
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: "SSO is not set up for this organization",
+      });
+    }
+    await User.updateMany(
+      { "sso.connection": connection._id },
+      { $unset: { sso: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: "SSO connection removed",
+    });
+  } catch (error) {
+    console.error("Error deleting SSO connection:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -12,6 +12,21 @@ import {
   sendInternalMatchNotification,
 } from "../../services/emailService.js";
 import { generateToken as generateTokenService } from "../../services/tokenService.js";
+import { resolveCreditAccount } from "../../services/organizationService.js";
+import { syncRefundsFromStripe } from "../../services/refundService.js";
+import { getPurchasedCredits } from "../../services/creditService.js";
+import {
+  convertAmount,
+  fromMinorUnits,
+  getBaseCurrency,
+  getFxRates,
+  isSupportedCurrency,
+  normalizeCurrency,
+  toMinorUnits,
+  toStripeCurrency,
+} from "../../services/fxService.js";
+import { applyServiceFeePaidStage } from "../../services/managedServiceStageService.js";
+import { scheduleAutoAssignment } from "../../services/managedServiceAssignmentService.js";
 
 // Initialize Stripe only if valid key is provided
 const getStripeInstance = () => {
@@ -356,6 +371,29 @@ export const createCheckoutSession = async (req, res) => {
       });
     }
 
+    // Charge in the customer's currency: an explicit `currency`, else the
+    // buyer request's, else the price-list currency. Plan prices (cents in
+    // the base currency) are converted at the current rate.
+    const [baseCurrency, fxRates] = await Promise.all([
+      getBaseCurrency(),
+      getFxRates(),
+    ]);
+    const chargeCurrency = req.body.currency
+      ? normalizeCurrency(req.body.currency)
+      : ownedBuyerRequest?.currency || baseCurrency;
+    if (!chargeCurrency || !isSupportedCurrency(chargeCurrency, fxRates)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency. Supported: ${Object.keys(fxRates)
+          .sort()
+          .join(", ")}`,
+      });
+    }
+    const unitAmount = toMinorUnits(
+      convertAmount(plan.amount / 100, baseCurrency, chargeCurrency, fxRates),
+      chargeCurrency
+    );
+
     // Determine redirect URL
     // If verified, go to request details with success param (or billing for top-up)
     // If not verified, go to check-email
@@ -478,7 +516,7 @@ export const createCheckoutSession = async (req, res) => {
       sessionParams.line_items = [
         {
           price_data: {
-            currency: "usd",
+            currency: toStripeCurrency(chargeCurrency),
             product_data: {
               name: plan.name,
               description: "Unlimited supplier match requests",
@@ -486,7 +524,7 @@ export const createCheckoutSession = async (req, res) => {
             recurring: {
               interval: plan.recurring,
             },
-            unit_amount: plan.amount,
+            unit_amount: unitAmount,
           },
           quantity: 1,
         },
@@ -501,7 +539,7 @@ export const createCheckoutSession = async (req, res) => {
       sessionParams.line_items = [
         {
           price_data: {
-            currency: "usd",
+            currency: toStripeCurrency(chargeCurrency),
             product_data: {
               name:
                 planType === "extra_credit" && paymentQuantity > 1
@@ -514,7 +552,7 @@ export const createCheckoutSession = async (req, res) => {
                     } to your balance`
                   : "Unlock full supplier match report",
             },
-            unit_amount: plan.amount,
+            unit_amount: unitAmount,
           },
           quantity: paymentQuantity,
         },
@@ -532,7 +570,10 @@ export const createCheckoutSession = async (req, res) => {
       // Calculate total amount (for extra_credit with quantity)
       const paymentQuantity =
         planType === "extra_credit" && quantity ? parseInt(quantity) : 1;
-      const totalAmount = (plan.amount * paymentQuantity) / 100; // Convert cents to dollars
+      const totalAmount = fromMinorUnits(
+        unitAmount * paymentQuantity,
+        chargeCurrency
+      );
 
       // Create payment record for mock payment
       const payment = new Payment({
@@ -540,6 +581,9 @@ export const createCheckoutSession = async (req, res) => {
         matchReportId: matchReport?._id || null,
         email: email || matchReport?.email || email,
         amount: totalAmount,
+        currency: toStripeCurrency(chargeCurrency),
+        creditQuantity:
+          planType === "extra_credit" ? paymentQuantity : undefined,
         planType,
         status: "pending",
       });
@@ -561,6 +605,7 @@ export const createCheckoutSession = async (req, res) => {
         const User = (await import("../../models/common/User.js")).default;
         let user = await User.findOne({ email: userEmail });
         if (user) {
+          user = await resolveCreditAccount(user);
           const creditsBefore = user.matchCredits || 0;
           user.matchCredits = creditsBefore + paymentQuantity;
           await user.save();
@@ -682,7 +727,7 @@ export const createCheckoutSession = async (req, res) => {
     // Calculate total amount (for extra_credit with quantity)
     const paymentQuantity =
       planType === "extra_credit" && quantity ? parseInt(quantity) : 1;
-    const totalAmount = (plan.amount * paymentQuantity) / 100; // Convert cents to dollars
+    const totalAmount = fromMinorUnits(unitAmount * paymentQuantity, chargeCurrency);
 
     // Create payment record
     const payment = new Payment({
@@ -690,6 +735,8 @@ export const createCheckoutSession = async (req, res) => {
       matchReportId: matchReport?._id || null,
       email: (email || matchReport?.email || email).toLowerCase().trim(),
       amount: totalAmount, // Total amount including quantity
+      currency: toStripeCurrency(chargeCurrency),
+      creditQuantity: planType === "extra_credit" ? paymentQuantity : undefined,
       planType,
       status: "pending",
       stripeSessionId: session.id, // Save session ID for syncing
@@ -901,9 +948,9 @@ export const handleWebhook = async (req, res) => {
         managedService.serviceFeeStatus = "paid";
         managedService.serviceFeePaymentId = session.payment_intent;
         managedService.serviceFeePaidAt = new Date();
-        managedService.status = "in_progress";
-        managedService.stage = "review"; // First step after payment - admin review
+        applyServiceFeePaidStage(managedService); // First step after payment - admin review
         await managedService.save();
+        scheduleAutoAssignment(managedService._id);
         console.log(
           `[Webhook] Successfully updated managed service ${managedService._id}. Status: ${managedService.status}, Stage: ${managedService.stage}`
         );
@@ -958,7 +1005,7 @@ export const handleWebhook = async (req, res) => {
               matchReportId: null,
               email: customerEmail,
               amount: managedService.serviceFeeAmount || 0,
-              currency: "usd",
+              currency: toStripeCurrency(managedService.currency),
               planType: "managed_service",
               status: "succeeded",
               stripePaymentIntentId: session.payment_intent,
@@ -1139,7 +1186,7 @@ export const handleWebhook = async (req, res) => {
             matchReportId: null,
             email: customerEmail,
             amount: managedService.savingsFeeAmount || 0,
-            currency: "usd",
+            currency: toStripeCurrency(managedService.currency),
             planType: "managed_service_savings_fee",
             status: "succeeded",
             stripePaymentIntentId: session.payment_intent,
@@ -1296,7 +1343,11 @@ export const handleWebhook = async (req, res) => {
               email: (session.customer_email || session.metadata.email || "")
                 .toLowerCase()
                 .trim(),
-              amount: session.amount_total / 100, // Convert cents to dollars
+              amount: fromMinorUnits(session.amount_total, session.currency),
+              currency: session.currency,
+              creditQuantity: session.metadata?.quantity
+                ? parseInt(session.metadata.quantity)
+                : undefined,
               planType: "extra_credit",
               status: "pending",
               stripeSessionId: session.id,
@@ -1351,7 +1402,10 @@ export const handleWebhook = async (req, res) => {
                 )
                   .toLowerCase()
                   .trim(),
-                amount: session.amount_total ? session.amount_total / 100 : 0,
+                amount: session.amount_total
+                  ? fromMinorUnits(session.amount_total, session.currency)
+                  : 0,
+                currency: session.currency,
                 planType: session.metadata?.planType || "one-time",
                 status: "succeeded",
                 stripePaymentIntentId: paymentIntentId,
@@ -1459,18 +1513,14 @@ export const handleWebhook = async (req, res) => {
                 });
               }
 
-              // Get quantity from metadata if available, otherwise calculate from amount
-              const quantityFromMetadata = session.metadata?.quantity
-                ? parseInt(session.metadata.quantity)
-                : null;
-              const creditsToAdd =
-                quantityFromMetadata || Math.floor(payment.amount / 10); // $10 per credit
+              user = await resolveCreditAccount(user);
+
+              const creditsToAdd = await getPurchasedCredits(
+                payment,
+                session.metadata?.quantity
+              );
               console.log(
-                `[Webhook] Adding ${creditsToAdd} credit(s) to user ${
-                  user._id
-                } (from metadata: ${quantityFromMetadata}, calculated: ${Math.floor(
-                  payment.amount / 10
-                )})`
+                `[Webhook] Adding ${creditsToAdd} credit(s) to user ${user._id} (payment creditQuantity: ${payment.creditQuantity}, metadata: ${session.metadata?.quantity})`
               );
               const creditsBefore = user.matchCredits || 0;
               user.matchCredits = creditsBefore + creditsToAdd;
@@ -1946,7 +1996,7 @@ export const handleWebhook = async (req, res) => {
             try {
               const BuyerRequestModel = (await import("../../models/customer/BuyerRequest.js")).default;
               buyerReqForNotification = await BuyerRequestModel.findById(payment.requestId).select(
-                "name category subCategory quantity unitPrice timeline location requirements description email"
+                "name category subCategory quantity unitPrice currency lineItems timeline location requirements description email"
               );
               if (buyerReqForNotification) {
                 receiptItemName = buyerReqForNotification.name || null;
@@ -2005,6 +2055,19 @@ export const handleWebhook = async (req, res) => {
           }
         }
       }
+    } else if (event.type === "charge.refunded") {
+      // Refunds issued from the admin console are already recorded (this is
+      // a no-op for them); refunds issued in the Stripe dashboard are
+      // recorded, reversed and receipted here.
+      const charge = event.data.object;
+      const paymentIntentId =
+        typeof charge.payment_intent === "string"
+          ? charge.payment_intent
+          : charge.payment_intent?.id;
+      const recorded = await syncRefundsFromStripe(paymentIntentId);
+      console.log(
+        `[Webhook] charge.refunded for ${charge.id}: ${recorded} new refund(s) recorded`
+      );
     } else if (event.type === "payment_intent.succeeded") {
       const paymentIntent = event.data.object;
       // Handle successful payment
@@ -2180,12 +2243,12 @@ export const syncPaymentStatus = async (req, res) => {
                   });
                 }
 
-                // Get quantity from metadata if available, otherwise calculate from amount
-                const quantityFromMetadata = session.metadata?.quantity
-                  ? parseInt(session.metadata.quantity)
-                  : null;
-                const creditsToAdd =
-                  quantityFromMetadata || Math.floor(payment.amount / 10); // $10 per credit
+                creditUser = await resolveCreditAccount(creditUser);
+
+                const creditsToAdd = await getPurchasedCredits(
+                  payment,
+                  session.metadata?.quantity
+                );
                 console.log(
                   `[syncPaymentStatus] Adding ${creditsToAdd} credit(s) to user ${creditUser._id}`
                 );
@@ -2733,7 +2796,8 @@ export const syncUserPayments = async (req, res) => {
               const userEmail = payment.email.toLowerCase().trim();
               let user = await User.findOne({ email: userEmail });
               if (user) {
-                const creditsToAdd = Math.floor(payment.amount / 10); // $10 per credit
+                user = await resolveCreditAccount(user);
+                const creditsToAdd = await getPurchasedCredits(payment);
                 user.matchCredits = (user.matchCredits || 0) + creditsToAdd;
                 await user.save();
                 console.log(
@@ -2775,11 +2839,11 @@ export const syncUserPayments = async (req, res) => {
                 const userEmail = payment.email.toLowerCase().trim();
                 let creditUser = await User.findOne({ email: userEmail });
                 if (creditUser) {
-                  const quantityFromMetadata = session.metadata?.quantity
-                    ? parseInt(session.metadata.quantity)
-                    : null;
-                  const creditsToAdd =
-                    quantityFromMetadata || Math.floor(payment.amount / 10);
+                  creditUser = await resolveCreditAccount(creditUser);
+                  const creditsToAdd = await getPurchasedCredits(
+                    payment,
+                    session.metadata?.quantity
+                  );
                   const creditsBefore = creditUser.matchCredits || 0;
                   creditUser.matchCredits = creditsBefore + creditsToAdd;
                   await creditUser.save();
@@ -2933,11 +2997,11 @@ export const syncUserPayments = async (req, res) => {
               const userEmail = payment.email.toLowerCase().trim();
               let creditUser = await User.findOne({ email: userEmail });
               if (creditUser) {
-                const quantityFromMetadata = matchingSession.metadata?.quantity
-                  ? parseInt(matchingSession.metadata.quantity)
-                  : null;
-                const creditsToAdd =
-                  quantityFromMetadata || Math.floor(payment.amount / 10);
+                creditUser = await resolveCreditAccount(creditUser);
+                const creditsToAdd = await getPurchasedCredits(
+                  payment,
+                  matchingSession.metadata?.quantity
+                );
                 creditUser.matchCredits =
                   (creditUser.matchCredits || 0) + creditsToAdd;
                 await creditUser.save();
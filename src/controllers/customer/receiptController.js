@@ -4,6 +4,7 @@ import MatchReport from "../../models/customer/MatchReport.js";
 import BuyerRequest from "../../models/customer/BuyerRequest.js";
 import User from "../../models/common/User.js";
 import Stripe from "stripe";
+import { getPurchasedCredits } from "../../services/creditService.js";
 
 // Initialize Stripe only if valid key is provided
 const getStripeInstance = () => {
@@ -167,7 +168,7 @@ export const getManagedServiceReceipt = async (req, res) => {
       id: managedService._id,
       type: "managed_service",
       amount: managedService.serviceFeeAmount,
-      currency: "usd",
+      currency: (managedService.currency || "USD").toLowerCase(),
       paidAt: managedService.serviceFeePaidAt || managedService.createdAt,
       createdAt: managedService.createdAt,
       service: {
@@ -255,7 +256,7 @@ export const getManagedServiceSavingsFeeReceipt = async (req, res) => {
       id: payment._id,
       type: "managed_service_savings_fee",
       amount: managedService.savingsFeeAmount,
-      currency: "usd",
+      currency: (managedService.currency || "USD").toLowerCase(),
       paidAt: managedService.savingsFeePaidAt || payment.paidAt,
       createdAt: payment.createdAt,
       service: {
@@ -377,7 +378,7 @@ export const getReceiptById = async (req, res) => {
         stripe: stripeDetails,
       };
     } else if (payment.planType === "extra_credit") {
-      const quantity = Math.floor(payment.amount / 10);
+      const quantity = await getPurchasedCredits(payment);
       receipt = {
         id: payment._id,
         type: "top_up",
@@ -566,6 +567,14 @@ export const getAllReceipts = async (req, res) => {
     const mrMap = Object.fromEntries(
       matchReports.map((m) => [m._id.toString(), m])
     );
+    // Top-up credit counts; legacy rows need the FX table, so resolve them here
+    const creditsByPayment = new Map(
+      await Promise.all(
+        allPayments
+          .filter((p) => p.planType === "extra_credit")
+          .map(async (p) => [p._id.toString(), await getPurchasedCredits(p)])
+      )
+    );
 
     // 5. Build receipts using in-memory maps — no more per-payment DB calls
     const receipts = allPayments.map((payment) => {
@@ -592,7 +601,7 @@ export const getAllReceipts = async (req, res) => {
       }
 
       if (payment.planType === "extra_credit") {
-        const quantity = Math.floor(payment.amount / 10);
+        const quantity = creditsByPayment.get(payment._id.toString());
         return {
           id: payment._id,
           type: "top_up",
@@ -1,5 +1,20 @@
 import BuyerRequest from "../../models/customer/BuyerRequest.js";
 import User from "../../models/common/User.js";
+import { sharesOrganization } from "../../services/organizationService.js";
+import {
+  calculateLineItemsTotal,
+  calculateLineTotal,
+  parseLineItems,
+  parsePrice,
+} from "../../utils/lineItems.js";
+import {
+  convertAmount,
+  getBaseCurrency,
+  getFxRates,
+  getRate,
+  isSupportedCurrency,
+  normalizeCurrency,
+} from "../../services/fxService.js";
 
 // M-14 — Anonymous public-form abuse mitigation (defense-in-depth alongside
 // the express-rate-limit middleware applied at server.js).
@@ -100,18 +115,51 @@ export const createRequest = async (req, res) => {
     } = req.body;
     const subCategory = req.body.subCategory ?? req.body.subcategory;
 
+    // Multi-line requests (bill of materials): each line carries its own
+    // category / quantity / target unit price; name and category default
+    // from the first line.
+    let lineItems;
+    if (req.body.lineItems !== undefined && req.body.lineItems !== null) {
+      const parsed = parseLineItems(req.body.lineItems, {
+        category,
+        subCategory,
+      });
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      lineItems = parsed.lineItems;
+    }
+    const requestName =
+      name ||
+      (lineItems
+        ? `${lineItems[0].name}${
+            lineItems.length > 1 ? ` + ${lineItems.length - 1} more` : ""
+          }`.slice(0, 200)
+        : undefined);
+    const requestCategory = category || lineItems?.[0].category;
+
     // Use authenticated user's email if available, otherwise use body email
     const userEmail = req.user?.email || email;
 
     // Validate required fields
-    if (!name || !category || !unitPrice || !userEmail) {
+    if (
+      !requestName ||
+      !requestCategory ||
+      (!lineItems && !unitPrice) ||
+      !userEmail
+    ) {
       return res.status(400).json({
         success: false,
-        message: "Name, category, unit price, and email are required",
+        message: lineItems
+          ? "Line items and email are required"
+          : "Name, category, unit price, and email are required",
         missing: {
-          name: !name,
-          category: !category,
-          unitPrice: !unitPrice,
+          name: !requestName,
+          category: !requestCategory,
+          unitPrice: !lineItems && !unitPrice,
           email: !userEmail,
         },
       });
@@ -141,36 +189,58 @@ export const createRequest = async (req, res) => {
       }
     }
 
-    // Parse unit price (remove $ if present, handle commas)
-    const unitPriceNum = parseFloat(String(unitPrice).replace(/[$,]/g, ""));
-    if (isNaN(unitPriceNum) || unitPriceNum <= 0) {
+    // Parse unit price (remove $ if present, handle commas) and calculate
+    // total amount — across lines for multi-line requests
+    let unitPriceNum;
+    let totalAmount;
+    if (lineItems) {
+      totalAmount = calculateLineItemsTotal(lineItems);
+    } else {
+      unitPriceNum = parsePrice(unitPrice);
+      if (!unitPriceNum) {
+        return res.status(400).json({
+          success: false,
+          message: "Unit price must be a valid positive number",
+        });
+      }
+      totalAmount = calculateLineTotal(unitPriceNum, quantity);
+    }
+
+    // Prices are in the buyer's currency (default: the platform base
+    // currency); the total is also stored in the base currency so budgets
+    // can be compared across requests.
+    const [baseCurrency, fxRates] = await Promise.all([
+      getBaseCurrency(),
+      getFxRates(),
+    ]);
+    const currency = req.body.currency
+      ? normalizeCurrency(req.body.currency)
+      : baseCurrency;
+    if (!currency || !isSupportedCurrency(currency, fxRates)) {
       return res.status(400).json({
         success: false,
-        message: "Unit price must be a valid positive number",
+        message: `Unsupported currency. Supported: ${Object.keys(fxRates)
+          .sort()
+          .join(", ")}`,
       });
     }
 
-    // Parse quantity and calculate total amount
-    let totalAmount = unitPriceNum;
-    if (quantity) {
-      // Extract number from quantity string (e.g., "1000 units" -> 1000)
-      const quantityMatch = String(quantity).match(/(\d+(?:[.,]\d+)?)/);
-      if (quantityMatch) {
-        const quantityNum = parseFloat(quantityMatch[1].replace(/,/g, ""));
-        if (!isNaN(quantityNum) && quantityNum > 0) {
-          totalAmount = unitPriceNum * quantityNum;
-        }
-      }
-    }
-
     // Create new buyer request
     const buyerRequest = new BuyerRequest({
-      name,
-      category,
-      subCategory: subCategory || undefined,
+      name: requestName,
+      category: requestCategory,
+      subCategory:
+        (category ? subCategory : lineItems?.[0].subCategory) || undefined,
       unitPrice: unitPriceNum,
       totalAmount,
-      quantity,
+      currency,
+      totalAmountBase: {
+        amount: convertAmount(totalAmount, currency, baseCurrency, fxRates),
+        currency: baseCurrency,
+        rate: getRate(currency, baseCurrency, fxRates),
+      },
+      quantity: lineItems ? undefined : quantity,
+      lineItems,
       description,
       timeline,
       location,
@@ -178,7 +248,9 @@ export const createRequest = async (req, res) => {
       email: userEmail.trim(),
       status: "pending",
       // Keep budget for backward compatibility (deprecated)
-      budget: budget || `$${totalAmount.toLocaleString()}`,
+      budget:
+        budget ||
+        `${currency === "USD" ? "$" : `${currency} `}${totalAmount.toLocaleString()}`,
     });
 
     await buyerRequest.save();
@@ -189,6 +261,8 @@ export const createRequest = async (req, res) => {
       data: {
         id: buyerRequest._id,
         category: buyerRequest.category,
+        currency: buyerRequest.currency,
+        lineItemCount: buyerRequest.lineItems?.length || 0,
         status: buyerRequest.status,
         createdAt: buyerRequest.createdAt,
       },
@@ -231,11 +305,14 @@ export const getRequestById = async (req, res) => {
     // 1) If the BuyerRequest has a userId (post H-7 migration), ObjectId equality
     //    is the source of truth.
     // 2) Otherwise fall back to case-insensitive trimmed email comparison.
+    // 3) Organizations: teammates may read requests stamped with their org.
     // TODO(H-7): once userId is backfilled and required, drop the email fallback.
     const reqUserEmail = (req.user.email || "").toLowerCase().trim();
     const recordEmail = (buyerRequest.email || "").toLowerCase().trim();
 
-    if (buyerRequest.userId) {
+    if (sharesOrganization(req.user, buyerRequest)) {
+      // Shared with the caller's team — allowed.
+    } else if (buyerRequest.userId) {
       if (!buyerRequest.userId.equals(req.user._id)) {
         console.warn(
           `[getRequestById] Ownership denied (userId mismatch): user=${req.user._id} request=${id}`
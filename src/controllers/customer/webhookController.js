@@ -0,0 +1,413 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import WebhookEndpoint, {
+  WEBHOOK_EVENTS,
+} from "../../models/customer/WebhookEndpoint.js";
+import WebhookDelivery from "../../models/customer/WebhookDelivery.js";
+import {
+  enqueueDelivery,
+  generateWebhookSecret,
+  validateWebhookUrl,
+} from "../../services/webhookService.js";
+
+const MAX_ENDPOINTS_PER_USER = 10;
+
+const formatEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description || null,
+  events: endpoint.events,
+  active: endpoint.active,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt,
+});
+
+const formatDelivery = (delivery, { detail = false } = {}) => ({
+  id: delivery._id,
+  endpointId: delivery.endpoint,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  status: delivery.status,
+  attemptCount: delivery.attemptCount,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt || null,
+  lastResponseStatus:
+    delivery.attempts[delivery.attempts.length - 1]?.responseStatus ?? null,
+  redeliveryOf: delivery.redeliveryOf || null,
+  createdAt: delivery.createdAt,
+  ...(detail
+    ? { payload: delivery.payload, attempts: delivery.attempts }
+    : {}),
+});
+
+const validateEvents = (events) =>
+  Array.isArray(events) &&
+  events.length > 0 &&
+  events.every((e) => WEBHOOK_EVENTS.includes(e));
+
+const eventsError = () =>
+  `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`;
+
+/**
+ * Load one of the caller's endpoints. Sends the 404 itself and returns null
+ * when it doesn't exist or belongs to someone else.
+ */
+async function loadOwnEndpoint(req, res) {
+  const { id } = req.params;
+  const endpoint = mongoose.Types.ObjectId.isValid(id)
+    ? await WebhookEndpoint.findOne({ _id: id, user: req.user._id })
+    : null;
+  if (!endpoint) {
+    res.status(404).json({
+      success: false,
+      message: "Webhook endpoint not found",
+    });
+    return null;
+  }
+  return endpoint;
+}
+
+/**
+ * Load one of the caller's deliveries (404 handling as above).
+ */
+async function loadOwnDelivery(req, res) {
+  const { deliveryId } = req.params;
+  const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, user: req.user._id })
+    : null;
+  if (!delivery) {
+    res.status(404).json({
+      success: false,
+      message: "Delivery not found",
+    });
+    return null;
+  }
+  return delivery;
+}
+
+/**
+ * List the caller's webhook endpoints
+ */
+export const listWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        endpoints: endpoints.map(formatEndpoint),
+        availableEvents: WEBHOOK_EVENTS,
+      },
+    });
+  } catch (error) {
+    console.error("Error listing webhook endpoints:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Register an endpoint. The signing secret is returned once, here and on
+ * rotation only.
+ */
+export const createWebhookEndpoint = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ success: false, message: urlError });
+    }
+    if (!validateEvents(events)) {
+      return res.status(400).json({ success: false, message: eventsError() });
+    }
+
+    const count = await WebhookEndpoint.countDocuments({ user: req.user._id });
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints`,
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({
+      user: req.user._id,
+      url,
+      description,
+      events: [...new Set(events)],
+      secret,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        "Webhook endpoint created. Copy the signing secret now — it won't be shown again.",
+      data: {
+        ...formatEndpoint(endpoint),
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating webhook endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update url, events, description or active flag
+ */
+export const updateWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await loadOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { url, events, description, active } = req.body;
+
+    if (url !== undefined) {
+      const urlError = validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ success: false, message: urlError });
+      }
+      endpoint.url = url;
+    }
+    if (events !== undefined) {
+      if (!validateEvents(events)) {
+        return res
+          .status(400)
+          .json({ success: false, message: eventsError() });
+      }
+      endpoint.events = [...new Set(events)];
+    }
+    if (description !== undefined) endpoint.description = description;
+    if (active !== undefined) endpoint.active = Boolean(active);
+
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint updated",
+      data: formatEndpoint(endpoint),
+    });
+  } catch (error) {
+    console.error("Error updating webhook endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete an endpoint. Pending retries are cancelled; the delivery log is
+ * kept.
+ */
+export const deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await loadOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    await WebhookDelivery.updateMany(
+      { endpoint: endpoint._id, status: "pending" },
+      { $set: { status: "failed", nextAttemptAt: null } }
+    );
+    await endpoint.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting webhook endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replace the signing secret. The old secret stops working immediately.
+ */
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await loadOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const secret = generateWebhookSecret();
+    endpoint.secret = secret;
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: "Signing secret rotated",
+      data: {
+        ...formatEndpoint(endpoint),
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Send a `ping` event so the customer can check their receiver
+ */
+export const pingWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await loadOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const delivery = await enqueueDelivery(endpoint, {
+      id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      type: "ping",
+      createdAt: new Date().toISOString(),
+      data: { endpointId: endpoint._id },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Ping queued",
+      data: formatDelivery(delivery),
+    });
+  } catch (error) {
+    console.error("Error pinging webhook endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delivery log for one endpoint (newest first)
+ */
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await loadOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { endpoint: endpoint._id };
+    if (["pending", "succeeded", "failed"].includes(status)) {
+      query.status = status;
+    }
+    if (typeof event === "string" && event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map((d) => formatDelivery(d)),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error listing webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * One delivery with its payload and every attempt
+ */
+export const getWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await loadOwnDelivery(req, res);
+    if (!delivery) return;
+
+    res.json({
+      success: true,
+      data: formatDelivery(delivery, { detail: true }),
+    });
+  } catch (error) {
+    console.error("Error fetching webhook delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Manual redelivery: sends the same event (same eventId and payload) again
+ * as a new delivery with a fresh retry schedule.
+ */
+export const redeliverWebhook = async (req, res) => {
+  try {
+    const original = await loadOwnDelivery(req, res);
+    if (!original) return;
+
+    const endpoint = await WebhookEndpoint.findOne({
+      _id: original.endpoint,
+      user: req.user._id,
+    });
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook endpoint no longer exists",
+      });
+    }
+    if (!endpoint.active) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook endpoint is disabled. Enable it before redelivering.",
+      });
+    }
+
+    const delivery = await enqueueDelivery(endpoint, original.payload, {
+      redeliveryOf: original._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Redelivery queued",
+      data: formatDelivery(delivery),
+    });
+  } catch (error) {
+    console.error("Error redelivering webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
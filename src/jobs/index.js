@@ -0,0 +1,15 @@
+// Job handler registry. Importing this module registers every background
+// job type with services/jobQueue.js; both server.js and worker.js import it
+// before calling startJobWorker().
+
+import { registerJobHandler } from "../services/jobQueue.js";
+import {
+  runMatchScoringJob,
+  runCall2Job,
+} from "../controllers/customer/matchController.js";
+
+// AI Call 1 — score category candidates for a buyer request
+registerJobHandler("match_scoring", runMatchScoringJob);
+
+// AI Call 2 — prose explanations for matched suppliers (lazy, after payment)
+registerJobHandler("match_explanations", runCall2Job);
@@ -1,5 +1,9 @@
 import jwt from "jsonwebtoken";
 import Admin from "../models/admin/Admin.js";
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  resolveSession,
+} from "../services/sessionService.js";
 
 // ========== C-2: fail-closed secret resolution ==========
 const KNOWN_DEFAULTS = new Set([
@@ -29,9 +33,12 @@ function requireSecret(name) {
 const JWT_SECRET = requireSecret("JWT_SECRET");
 
 /**
- * Verify JWT token from cookie for admin
+ * Verify JWT token from cookie for admin. With `enforceTwoFactor`, super
+ * admins who haven't enrolled in 2FA are refused: login already sends them
+ * to enrollment, this covers sessions from before they enrolled or were
+ * promoted.
  */
-export const authenticateAdmin = async (req, res, next) => {
+const verifyAdmin = (enforceTwoFactor) => async (req, res, next) => {
   try {
     // Get token from cookie (admin token)
     const token =
@@ -91,8 +98,30 @@ export const authenticateAdmin = async (req, res, next) => {
       });
     }
 
+    // The login's Session must still be live
+    const session = await resolveSession("Admin", admin, decoded.sid, req);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session expired or revoked",
+      });
+    }
+
+    if (
+      enforceTwoFactor &&
+      admin.role === "superAdmin" &&
+      !admin.twoFactor?.enabled
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Set up two-factor authentication to continue",
+        twoFactorSetupRequired: true,
+      });
+    }
+
     // Attach admin to request
     req.admin = admin;
+    req.sessionId = String(session._id);
     req.user = admin; // For compatibility with existing code
     next();
   } catch (error) {
@@ -115,13 +144,22 @@ export const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+export const authenticateAdmin = verifyAdmin(true);
+
+/**
+ * authenticateAdmin for the routes a super admin without 2FA still needs:
+ * enrolling (/2fa/setup, /2fa/enable), /me, /csrf and /logout.
+ */
+export const authenticateAdminPendingTwoFactor = verifyAdmin(false);
+
 /**
  * Generate JWT token for admin
  *
  * H-4: accepts the full admin object so `tokenVersion` is embedded.
  * Legacy callers passing a string adminId still work and sign with v=0.
+ * `sessionId` is the Session created for this login.
  */
-export const generateAdminToken = (adminOrId) => {
+export const generateAdminToken = (adminOrId, sessionId) => {
   let adminId;
   let v = 0;
   if (adminOrId && typeof adminOrId === "object") {
@@ -130,8 +168,71 @@ export const generateAdminToken = (adminOrId) => {
   } else {
     adminId = String(adminOrId);
   }
-  // H-4: reduced lifetime from 30d → 7d
-  return jwt.sign({ adminId, v }, JWT_SECRET, {
-    expiresIn: "7d",
+  // Short-lived access token (H-4 was 7d); the session lives on through
+  // its refresh token (services/sessionService.js)
+  return jwt.sign({ adminId, v, sid: sessionId && String(sessionId) }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
   });
 };
+
+/**
+ * Optional admin authentication - doesn't fail if no token
+ *
+ * Used by routes shared between customers and admins (/api/files,
+ * /api/upload). Unlike authenticateAdmin this sets only `req.admin` — never
+ * `req.user` — so the customer principal resolved by optionalAuth isn't
+ * clobbered.
+ */
+export const optionalAdminAuth = async (req, res, next) => {
+  try {
+    const token =
+      req.cookies?.["ad-token"] ||
+      req.headers?.authorization?.replace("Bearer ", "");
+
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        if (decoded.adminId && !decoded.userId) {
+          const admin = await Admin.findById(decoded.adminId).select(
+            "-password"
+          );
+          if (admin && admin.isActive) {
+            // H-4: enforce tokenVersion match here too
+            const tokenV = typeof decoded.v === "number" ? decoded.v : 0;
+            const adminV =
+              typeof admin.tokenVersion === "number" ? admin.tokenVersion : 0;
+            const session =
+              tokenV === adminV &&
+              (await resolveSession("Admin", admin, decoded.sid, req));
+            // Same 2FA rule for super admins as authenticateAdmin
+            const twoFactorMissing =
+              admin.role === "superAdmin" && !admin.twoFactor?.enabled;
+            if (session && !twoFactorMissing) {
+              req.admin = admin;
+            }
+          }
+        }
+      } catch (error) {
+        // Continue without admin if token is invalid
+      }
+    }
+    next();
+  } catch (error) {
+    // Continue without admin if token is invalid
+    next();
+  }
+};
+
+/**
+ * Require a customer OR an admin. Mount after optionalAuth and
+ * optionalAdminAuth.
+ */
+export const requireUserOrAdmin = (req, res, next) => {
+  if (!req.user && !req.admin) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required",
+    });
+  }
+  next();
+};
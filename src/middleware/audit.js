@@ -0,0 +1,173 @@
+// Admin audit trail — route middleware that writes an AuditLog entry for
+// every successful admin mutation.
+//
+// Mount it per route, after authentication and the role check:
+//
+//   router.put("/suppliers/:id", requireAdmin,
+//     auditAdmin("supplier.update", { model: "Supplier" }), updateSupplier);
+//
+// It snapshots the target before the handler runs, captures the JSON
+// response, and once the response has been sent with a 2xx/3xx status
+// re-reads the target and records the changed fields. Writing the entry
+// never delays or fails the admin's request; failures are logged.
+
+import mongoose from "mongoose";
+import AuditLog from "../models/admin/AuditLog.js";
+
+// Never persisted into the audit trail (the fact that they changed is).
+const SECRET_KEY = /password|secret|keyHash|tokenHash|tokenVersion|token$|recoveryCodes/i;
+const IGNORED_PATHS = new Set(["__v", "updatedAt", "createdAt"]);
+// Targetless actions (bulk imports) keep their response data only if small.
+const MAX_METADATA_CHARS = 20000;
+
+const byParam = (param) => (req) =>
+  req.params[param] ? { _id: req.params[param] } : null;
+
+const defaultCreatedId = (body) => body?.data?._id || body?.data?.id || null;
+
+// Plain JSON (ObjectIds → strings, Dates → ISO) with secrets masked
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(value));
+  const redact = (node) => {
+    if (Array.isArray(node)) return node.map(redact);
+    if (node && typeof node === "object") {
+      return Object.fromEntries(
+        Object.entries(node).map(([k, v]) => [
+          k,
+          SECRET_KEY.test(k) ? "[REDACTED]" : redact(v),
+        ])
+      );
+    }
+    return node;
+  };
+  return redact(plain);
+}
+
+// { "a.b": leaf } — arrays are compared as whole values
+function flatten(node, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(node || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_PATHS.has(key)) continue;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Changed paths between two snapshots (either may be null for create /
+ * delete).
+ */
+export function diffSnapshots(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const was = a[path] ?? null;
+    const now = b[path] ?? null;
+    if (JSON.stringify(was) !== JSON.stringify(now)) {
+      changes.push({ path, before: was, after: now });
+    }
+  }
+  return changes;
+}
+
+function getClientIp(req) {
+  return (
+    req.ip ||
+    req.connection?.remoteAddress ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+/**
+ * @param {string} action - "<resource>.<verb>", e.g. "supplier.update"
+ * @param {Object} [opts]
+ * @param {string} [opts.model] - Mongoose model name of the target
+ * @param {(req) => Object|null|Promise<Object|null>} [opts.find] - Filter
+ *   for the target; defaults to `{ _id: req.params.id }`
+ * @param {(body) => any} [opts.createdId] - Id of a newly created target,
+ *   read from the JSON response; defaults to body.data._id / body.data.id
+ */
+export const auditAdmin = (action, opts = {}) => {
+  const { model, find = byParam("id"), createdId = defaultCreatedId } = opts;
+
+  return async (req, res, next) => {
+    const Model = model ? mongoose.model(model) : null;
+    let filter = null;
+    let before = null;
+
+    if (Model) {
+      try {
+        filter = await find(req);
+        if (filter) before = normalize(await Model.findOne(filter).lean());
+      } catch (error) {
+        // e.g. malformed id — the handler will reject the request itself
+        filter = null;
+      }
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return;
+      record().catch((error) =>
+        console.error(`Error writing audit log (${action}):`, error)
+      );
+    });
+
+    async function record() {
+      let after = null;
+      if (Model) {
+        // Creates have no "before"; find the new document from the response.
+        const newId = before ? null : createdId(responseBody);
+        const afterFilter = newId ? { _id: newId } : filter;
+        if (afterFilter) {
+          after = normalize(await Model.findOne(afterFilter).lean());
+        }
+      }
+
+      const targetId = after?._id || before?._id || null;
+      const metadata = {
+        params: Object.keys(req.params).length ? req.params : undefined,
+        message: responseBody?.message,
+      };
+      if (!Model && responseBody?.data !== undefined) {
+        const data = normalize(responseBody.data);
+        if (JSON.stringify(data).length <= MAX_METADATA_CHARS) {
+          metadata.result = data;
+        }
+      }
+
+      await AuditLog.create({
+        actor: {
+          admin: req.admin._id,
+          email: req.admin.email,
+          role: req.admin.role,
+        },
+        action,
+        target: Model ? { model, id: targetId } : undefined,
+        changes: Model ? diffSnapshots(before, after) : [],
+        metadata,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: getClientIp(req),
+        userAgent: req.headers["user-agent"],
+        requestId: req.requestId,
+      });
+    }
+
+    next();
+  };
+};
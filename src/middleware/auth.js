@@ -1,5 +1,13 @@
 import jwt from "jsonwebtoken";
 import User from "../models/common/User.js";
+import {
+  getPresentedApiKey,
+  resolveApiKey,
+} from "../services/apiKeyService.js";
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  resolveSession,
+} from "../services/sessionService.js";
 
 // ========== C-2: fail-closed secret resolution ==========
 const KNOWN_DEFAULTS = new Set([
@@ -28,11 +36,67 @@ function requireSecret(name) {
 
 const JWT_SECRET = requireSecret("JWT_SECRET");
 
+// ========== Personal API keys ==========
+// API keys are opt-in per route: mount `apiKeyScope(scope)` in front of
+// `authenticate`/`optionalAuth` to accept a key carrying that scope. Routes
+// without it reject keys outright, so a leaked key can't reach account,
+// billing or key-management endpoints.
+
+/**
+ * Declare the API key scope a route requires. Must run before
+ * `authenticate`/`optionalAuth`; has no effect on cookie/JWT sessions.
+ */
+export const apiKeyScope = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
 /**
- * Verify JWT token from cookie
+ * Authenticate a request that presented an API key. Sends the error response
+ * itself and returns false on failure.
+ */
+const authenticateApiKey = async (req, res, rawKey) => {
+  if (!req.apiKeyScope) {
+    res.status(403).json({
+      success: false,
+      message: "API keys are not accepted on this endpoint",
+    });
+    return false;
+  }
+
+  const resolved = await resolveApiKey(rawKey, req.ip);
+  if (!resolved) {
+    res.status(401).json({
+      success: false,
+      message: "Invalid or revoked API key",
+    });
+    return false;
+  }
+
+  if (!resolved.apiKey.scopes.includes(req.apiKeyScope)) {
+    res.status(403).json({
+      success: false,
+      message: `API key is missing the "${req.apiKeyScope}" scope`,
+    });
+    return false;
+  }
+
+  req.user = resolved.user;
+  req.apiKey = resolved.apiKey;
+  return true;
+};
+
+/**
+ * Verify JWT token from cookie, or an API key on routes that accept one
  */
 export const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getPresentedApiKey(req);
+    if (apiKey) {
+      if (await authenticateApiKey(req, res, apiKey)) next();
+      return;
+    }
+
     // Get token from cookie (customer token)
     const token =
       req.cookies?.["cd-token"] ||
@@ -76,7 +140,8 @@ export const authenticate = async (req, res, next) => {
 
     // H-4: Token revocation via tokenVersion
     // If the token's version doesn't match the current user version, it has been revoked
-    // (e.g. via logout, password reset, or password creation).
+    // (e.g. via password reset or password creation). Logout ends only its
+    // own session, checked below.
     const tokenV = typeof decoded.v === "number" ? decoded.v : 0;
     const userV = typeof user.tokenVersion === "number" ? user.tokenVersion : 0;
     if (tokenV !== userV) {
@@ -86,8 +151,19 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // The login's Session must still be live (signed out devices are revoked
+    // individually; see services/sessionService.js)
+    const session = await resolveSession("User", user, decoded.sid, req);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session expired or revoked",
+      });
+    }
+
     // Attach user to request
     req.user = user;
+    req.sessionId = String(session._id);
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -115,12 +191,13 @@ export const authenticate = async (req, res, next) => {
  * H-4: accepts the full user object so the current `tokenVersion` is embedded
  * in the signed payload. This enables server-side revocation.
  *
+ * `sessionId` is the Session created for this login; authenticate()
+ * rejects tokens without a live one.
+ *
  * Backwards-compatibility: legacy callers may still pass a string userId.
- * In that case we sign with v=0 (matches the schema default) so existing
- * accounts keep working until the next logout/password change bumps the
- * version.
+ * In that case we sign with v=0 (matches the schema default).
  */
-export const generateToken = (userOrId) => {
+export const generateToken = (userOrId, sessionId) => {
   let userId;
   let v = 0;
   if (userOrId && typeof userOrId === "object") {
@@ -129,17 +206,26 @@ export const generateToken = (userOrId) => {
   } else {
     userId = String(userOrId);
   }
-  // H-4: reduced lifetime from 30d → 7d
-  return jwt.sign({ userId, v }, JWT_SECRET, {
-    expiresIn: "7d",
+  // Short-lived access token (H-4 was 7d); the session lives on through
+  // its refresh token (services/sessionService.js)
+  return jwt.sign({ userId, v, sid: sessionId && String(sessionId) }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
   });
 };
 
 /**
- * Optional authentication - doesn't fail if no token
+ * Optional authentication - doesn't fail if no token. A presented API key is
+ * still verified: callers sending one expect to act as its owner, so a bad
+ * key is a 401 rather than a silent anonymous request.
  */
 export const optionalAuth = async (req, res, next) => {
   try {
+    const apiKey = getPresentedApiKey(req);
+    if (apiKey) {
+      if (await authenticateApiKey(req, res, apiKey)) next();
+      return;
+    }
+
     // Get token from cookie (customer token) or Authorization header
     const token =
       req.cookies?.["cd-token"] ||
@@ -156,8 +242,12 @@ export const optionalAuth = async (req, res, next) => {
             const tokenV = typeof decoded.v === "number" ? decoded.v : 0;
             const userV =
               typeof user.tokenVersion === "number" ? user.tokenVersion : 0;
-            if (tokenV === userV) {
+            const session =
+              tokenV === userV &&
+              (await resolveSession("User", user, decoded.sid, req));
+            if (session) {
               req.user = user;
+              req.sessionId = String(session._id);
             }
           }
         }
@@ -45,7 +45,7 @@ export function setCsrfCookie(res, token) {
     httpOnly: false,
     secure: process.env.NODE_ENV === "production",
     sameSite: "strict",
-    maxAge: 7 * 24 * 60 * 60 * 1000, // matches ad-token JWT lifetime (7d)
+    maxAge: 7 * 24 * 60 * 60 * 1000, // matches the session idle lifetime (7d)
     path: "/",
   });
 }
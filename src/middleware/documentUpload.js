@@ -0,0 +1,179 @@
+import multer from "multer";
+import crypto from "crypto";
+import { getStorage } from "../services/storageService.js";
+
+// Shared document upload pipeline (PDFs and raster images, 5MB): multer
+// buffers the file, storeDocuments checks its magic bytes and writes it to
+// the storage driver. Used by POST /api/upload and the RFQ quote form.
+
+// Configure multer for file uploads. Files are buffered in memory (5MB cap
+// below) and handed to the storage driver once validated, so the same route
+// works for local disk and S3-compatible backends (services/storageService.js).
+const storage = multer.memoryStorage();
+
+// Plan ref: M-2 — cryptographically random storage key.
+// Format: timestamp-randomhex-sanitizedOriginalName
+function generateStorageKey(originalname) {
+  const timestamp = Date.now();
+  const random = crypto.randomBytes(16).toString("hex");
+  const sanitizedName = (originalname || "file").replace(/[^a-zA-Z0-9.-]/g, "_");
+  return `${timestamp}-${random}-${sanitizedName}`;
+}
+
+const fileFilter = (req, file, cb) => {
+  // Plan ref: M-10 — reject SVG explicitly (stored-XSS vector) even if mime
+  // mapping or extension would otherwise admit it.
+  const ext = (file.originalname || "").toLowerCase();
+  if (
+    file.mimetype === "image/svg+xml" ||
+    ext.endsWith(".svg") ||
+    ext.endsWith(".svgz")
+  ) {
+    return cb(new Error("File type image/svg+xml not allowed"), false);
+  }
+
+  // Only allow PDFs and (raster) images
+  const allowedMimes = [
+    "application/pdf",
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+  ];
+
+  if (allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type ${file.mimetype} not allowed`), false);
+  }
+};
+
+export const documentUpload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+  },
+});
+
+// Plan ref: M-10 — magic-byte validation. The mimetype reported by multer is
+// taken from the upload's headers/extension and is fully client-controlled, so
+// we must verify the actual file contents.
+//
+// We check the first bytes of the in-memory buffer against a small inline
+// lookup table before anything is written to storage. No new dependency
+// needed.
+function validateMagic(buf, mimetype) {
+  if (!buf || buf.length < 4) return false;
+
+  switch (mimetype) {
+    case "application/pdf":
+      // %PDF-
+      return (
+        buf[0] === 0x25 &&
+        buf[1] === 0x50 &&
+        buf[2] === 0x44 &&
+        buf[3] === 0x46 &&
+        buf[4] === 0x2d
+      );
+    case "image/png":
+      // 89 50 4E 47 0D 0A 1A 0A
+      return (
+        buf.length >= 8 &&
+        buf[0] === 0x89 &&
+        buf[1] === 0x50 &&
+        buf[2] === 0x4e &&
+        buf[3] === 0x47 &&
+        buf[4] === 0x0d &&
+        buf[5] === 0x0a &&
+        buf[6] === 0x1a &&
+        buf[7] === 0x0a
+      );
+    case "image/jpeg":
+      // FF D8 FF
+      return buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff;
+    case "image/gif":
+      // "GIF87a" or "GIF89a"
+      return (
+        buf.length >= 6 &&
+        buf[0] === 0x47 &&
+        buf[1] === 0x49 &&
+        buf[2] === 0x46 &&
+        buf[3] === 0x38 &&
+        (buf[4] === 0x37 || buf[4] === 0x39) &&
+        buf[5] === 0x61
+      );
+    case "image/webp":
+      // "RIFF" .... "WEBP"
+      return (
+        buf.length >= 12 &&
+        buf[0] === 0x52 &&
+        buf[1] === 0x49 &&
+        buf[2] === 0x46 &&
+        buf[3] === 0x46 &&
+        buf[8] === 0x57 &&
+        buf[9] === 0x45 &&
+        buf[10] === 0x42 &&
+        buf[11] === 0x50
+      );
+    default:
+      return false;
+  }
+}
+
+
+async function storeFile(file) {
+  const driver = await getStorage();
+  const key = generateStorageKey(file.originalname);
+  await driver.put(key, file.buffer, { contentType: file.mimetype });
+  file.filename = key;
+  file.storageDriver = driver.name;
+  file.buffer = undefined;
+}
+
+/**
+ * Magic-byte gate + storage write for `req.file` / `req.files`. Nothing
+ * reaches storage until every file's content matches its declared type.
+ * Afterwards each file carries `filename` (storage key) and `storageDriver`.
+ */
+export const storeDocuments = async (req, res, next) => {
+  const files = req.file ? [req.file] : req.files || [];
+  if (files.length === 0) return next();
+
+  for (const file of files) {
+    if (!validateMagic(file.buffer.subarray(0, 16), file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: "File content does not match its declared type",
+      });
+    }
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      await storeFile(file);
+      stored.push(file);
+    }
+    return next();
+  } catch (err) {
+    console.error("Error writing upload to storage:", err);
+    await removeStoredDocuments(stored).catch(() => {});
+    return res.status(500).json({
+      success: false,
+      message: "Failed to upload document",
+    });
+  }
+};
+
+/**
+ * Delete files written by storeDocuments (e.g. when the handler rejects the
+ * request after the upload).
+ */
+export const removeStoredDocuments = async (files) => {
+  for (const file of files || []) {
+    if (!file?.filename || !file.storageDriver) continue;
+    const driver = await getStorage(file.storageDriver);
+    await driver.remove(file.filename);
+  }
+};
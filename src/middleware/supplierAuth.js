@@ -0,0 +1,110 @@
+import jwt from "jsonwebtoken";
+import Supplier from "../models/admin/Supplier.js";
+
+// ========== C-2: fail-closed secret resolution ==========
+const KNOWN_DEFAULTS = new Set([
+  "your-jwt-secret-key-change-in-production",
+  "your-secret-key-change-in-production",
+  "change-me",
+  "secret",
+  "jwt-secret",
+]);
+
+function requireSecret(name) {
+  const v = process.env[name];
+  if (!v || v.length < 32 || KNOWN_DEFAULTS.has(v)) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `[SECURITY] ${name} must be set to a strong (>=32 char) non-default secret in production`
+      );
+    }
+    console.warn(
+      `⚠️  [SECURITY] ${name} is missing/weak/default — failing closed in non-production mode is OFF, but DEPLOY WILL FAIL. Set ${name} to a strong random value.`
+    );
+    return v || `dev-only-insecure-${name}-${Date.now()}`;
+  }
+  return v;
+}
+
+const JWT_SECRET = requireSecret("JWT_SECRET");
+
+export const SUPPLIER_COOKIE = "sp-token";
+export const SUPPLIER_SESSION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Sign a supplier portal session. The supplier's portal.tokenVersion is
+ * embedded so logout can revoke it (same scheme as customer tokens, H-4).
+ */
+export const generateSupplierToken = (supplier) =>
+  jwt.sign(
+    {
+      supplierId: supplier._id.toString(),
+      v: supplier.portal?.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: "7d" }
+  );
+
+/**
+ * Verify a supplier portal session (cookie or Bearer). Sets req.supplier.
+ */
+export const authenticateSupplier = async (req, res, next) => {
+  try {
+    const token =
+      req.cookies?.[SUPPLIER_COOKIE] ||
+      req.headers?.authorization?.replace("Bearer ", "");
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Customer and admin tokens are signed with the same secret
+    if (!decoded.supplierId || decoded.userId || decoded.adminId) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token format",
+      });
+    }
+
+    const supplier = await Supplier.findById(decoded.supplierId);
+    if (!supplier || !supplier.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const tokenV = typeof decoded.v === "number" ? decoded.v : 0;
+    if (tokenV !== (supplier.portal?.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token revoked",
+      });
+    }
+
+    req.supplier = supplier;
+    next();
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token expired",
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Authentication error",
+    });
+  }
+};
@@ -0,0 +1,84 @@
+import Admin from "../models/admin/Admin.js";
+import { authenticateAdminPendingTwoFactor } from "./adminAuth.js";
+import { requireCsrf } from "./csrf.js";
+import { resolveTwoFactorToken } from "../services/twoFactorService.js";
+
+/**
+ * Step-up for sensitive admin actions. Mount after authenticateAdmin.
+ *
+ * The admin confirms a fresh code at POST /api/admin/auth/2fa/step-up and
+ * sends the returned token as `X-Step-Up-Token` (valid 5 minutes, bound to
+ * this admin and session version). Without it the route answers 403 with
+ * `stepUpRequired` (or `twoFactorSetupRequired` if 2FA is off) so the
+ * frontend knows to prompt and retry.
+ */
+export const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.admin?.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Set up two-factor authentication to perform this action",
+        twoFactorSetupRequired: true,
+      });
+    }
+
+    const resolved = await resolveTwoFactorToken(
+      Admin,
+      req.headers["x-step-up-token"],
+      "admin",
+      ["step_up"]
+    );
+    if (!resolved || !resolved.account._id.equals(req.admin._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Confirm with your two-factor code to perform this action",
+        stepUpRequired: true,
+      });
+    }
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Authentication error",
+    });
+  }
+};
+
+/**
+ * Authenticate 2FA enrollment requests: either a signed-in admin (session
+ * cookie + CSRF, as on other mutations) or a super admin mid-login holding a
+ * "setup" challenge token in the body (no session, so no CSRF cookie yet).
+ * Sets req.admin, and req.twoFactorSetupChallenge for the latter.
+ */
+export const authenticateAdminTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return authenticateAdminPendingTwoFactor(req, res, () =>
+      requireCsrf(req, res, next)
+    );
+  }
+
+  try {
+    const resolved = await resolveTwoFactorToken(
+      Admin,
+      challengeToken,
+      "admin",
+      ["setup"],
+      "-password"
+    );
+    if (!resolved || !resolved.account.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge",
+      });
+    }
+    req.admin = resolved.account;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Authentication error",
+    });
+  }
+};
@@ -28,6 +28,11 @@ const AdminSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Included in managed service auto-assignment
+    acceptsAssignments: {
+      type: Boolean,
+      default: true,
+    },
     // H-4: token revocation via version field — bumped on logout / password change
     tokenVersion: {
       type: Number,
@@ -42,6 +47,21 @@ const AdminSchema = new mongoose.Schema(
     lockedUntil: {
       type: Date,
     },
+    // Two-factor authentication (services/twoFactorService.js). Secrets are
+    // AES-GCM encrypted; recovery codes stored as SHA-256 hashes.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Awaiting confirmation with a first code
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date, _id: false }],
+        select: false,
+      },
+      // Last TOTP time step accepted (replay protection)
+      lastUsedStep: { type: Number },
+      enabledAt: { type: Date },
+    },
   },
   {
     timestamps: true,
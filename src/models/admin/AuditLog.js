@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Append-only record of one admin write (middleware/audit.js). Entries are
+// never updated or deleted by the application: every update/delete path on
+// the model throws, and save() only works for new documents.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        required: true,
+      },
+      // Denormalized so the entry stays readable after the admin is deleted
+      email: { type: String },
+      role: { type: String },
+    },
+    // e.g. "supplier.update", "match_report.update", "settings.update"
+    action: {
+      type: String,
+      required: true,
+    },
+    target: {
+      model: { type: String },
+      id: { type: String },
+    },
+    // Changed fields only, as dotted paths. Secrets are redacted.
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // Extra context: route params, response message, bulk-import results
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    method: { type: String },
+    path: { type: String },
+    statusCode: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String },
+    // X-Request-Id (middleware/requestId.js), for log correlation
+    requestId: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ "actor.admin": 1, createdAt: -1 });
+AuditLogSchema.index({ "target.model": 1, "target.id": 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+const rejectMutation = function () {
+  throw new Error("AuditLog entries are append-only");
+};
+
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  rejectMutation
+);
+AuditLogSchema.pre("deleteOne", { document: true, query: false }, rejectMutation);
+
+export default mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// One exchange rate per currency, quoted against USD (services/fxService.js).
+// USD itself has no document; its rate is always 1.
+const FxRateSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code, e.g. "EUR"
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
+    // Units of `currency` per 1 USD (EUR ≈ 0.92, CNY ≈ 7.1)
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, "Rate must be positive"],
+    },
+    // When the rate was quoted (from the import file, or the time of a manual
+    // edit)
+    asOf: {
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import"],
+      default: "manual",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model("FxRate", FxRateSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { QUANTITY_UNITS, parseQuantity } from "../../utils/quantityParser.js";
 
 const SupplierSchema = new mongoose.Schema(
   {
@@ -88,6 +89,13 @@ const SupplierSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // `minOrderQuantity` parsed into normalized units (see
+    // utils/quantityParser.js); kept in sync by the hooks below.
+    minOrderQuantityNormalized: {
+      min: { type: Number },
+      max: { type: Number },
+      unit: { type: String, enum: [...QUANTITY_UNITS, null] },
+    },
     leadTime: {
       type: String,
       trim: true,
@@ -133,10 +141,42 @@ const SupplierSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Supplier self-service portal (controllers/common/supplierPortalController.js).
+    // Suppliers sign in with a magic link sent to `email`; their edits go
+    // through SupplierProfileEdit review before reaching this record.
+    portal: {
+      claimedAt: { type: Date },
+      lastLoginAt: { type: Date },
+      // Bumped on logout to revoke outstanding portal sessions
+      tokenVersion: { type: Number, default: 0 },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Covers create, save and insertMany (bulk upload validates each document).
+SupplierSchema.pre("validate", function () {
+  if (this.isNew || this.isModified("minOrderQuantity")) {
+    this.minOrderQuantityNormalized =
+      parseQuantity(this.minOrderQuantity) || undefined;
+  }
+});
+
+// updateSupplier goes through findByIdAndUpdate, which skips document hooks.
+SupplierSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+  if (!("minOrderQuantity" in target)) return;
+  const parsed = parseQuantity(target.minOrderQuantity);
+  if (parsed) {
+    target.minOrderQuantityNormalized = parsed;
+  } else {
+    delete target.minOrderQuantityNormalized;
+    update.$unset = { ...update.$unset, minOrderQuantityNormalized: "" };
+  }
+  this.setUpdate(update);
+});
+
 export default mongoose.model("Supplier", SupplierSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Cached OpenAI embedding of a supplier's profile text, used by
+// services/supplierRetrievalService.js to shortlist candidates before AI
+// scoring. `textHash` is the hash of the text that was embedded; when an
+// admin edits the supplier the hash no longer matches and the vector is
+// recomputed on the next retrieval. Local (no API key) vectors are cheap and
+// corpus-dependent, so they are never stored.
+const SupplierEmbeddingSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    textHash: {
+      type: String,
+      required: true,
+    },
+    vector: {
+      type: [Number],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SupplierEmbeddingSchema.index({ supplier: 1, model: 1 }, { unique: true });
+
+export default mongoose.model("SupplierEmbedding", SupplierEmbeddingSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Fields a supplier may edit from the self-service portal. Everything else
+// on the Supplier record stays admin-maintained.
+export const SUPPLIER_EDITABLE_FIELDS = [
+  "capabilities",
+  "certifications",
+  "leadTime",
+  "minOrderQuantity",
+  "positioning",
+];
+
+// A supplier's proposed profile change, held for admin review. Approval
+// copies `changes` onto the live Supplier and bumps its lastVerifiedDate.
+// A supplier has at most one pending edit; a new submission supersedes it.
+const SupplierProfileEditSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+      index: true,
+    },
+    // Denormalized for the review queue
+    supplierName: { type: String },
+    supplierNumber: { type: String },
+    submittedByEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    // Only the fields being changed
+    changes: {
+      capabilities: { type: [String], default: undefined },
+      certifications: { type: [String], default: undefined },
+      leadTime: { type: String, trim: true },
+      minOrderQuantity: { type: String, trim: true },
+      positioning: { type: String, trim: true },
+    },
+    // The live values of the changed fields at submission, for the diff view
+    previous: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "superseded"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    reviewedAt: { type: Date },
+    // Shown to the supplier, e.g. why an edit was rejected
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Review note must be 1000 characters or less"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SupplierProfileEditSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("SupplierProfileEdit", SupplierProfileEditSchema);
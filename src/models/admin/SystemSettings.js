@@ -39,10 +39,33 @@ const SystemSettingsSchema = new mongoose.Schema(
       type: Number,
       default: 10, // $10 per credit (top-up)
     },
+    // Base currency of the prices above. Buyer budgets are normalized to it
+    // and managed-service fees converted from it (services/fxService.js).
     currency: {
       type: String,
       default: "USD",
     },
+    // Relative weights for the managed-service quote comparison
+    // (services/quoteComparisonService.js). Any non-negative numbers; they
+    // are normalized to sum to 1.
+    quoteComparisonWeights: {
+      cost: { type: Number, default: 40, min: 0 },
+      leadTime: { type: Number, default: 25, min: 0 },
+      moqFit: { type: Number, default: 15, min: 0 },
+      compliance: { type: Number, default: 20, min: 0 },
+    },
+    // Who gets a managed service when its service fee is paid
+    // (services/managedServiceAssignmentService.js)
+    assignmentStrategy: {
+      type: String,
+      enum: ["least_loaded", "round_robin", "off"],
+      default: "least_loaded",
+    },
+    // Round-robin cursor
+    lastAutoAssignedAdmin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// Personal API key for server-to-server access (ERP integrations etc.).
+// Only a SHA-256 hash of the secret is stored; the plaintext is shown once at
+// creation. Keys act as their owner and are limited to `scopes`
+// (see middleware/auth.js#apiKeyScope and services/apiKeyService.js).
+//
+// Scopes:
+//   requests:write — create buyer requests, run matching, unlock with credits
+//   reports:read   — read requests and match reports (JSON and PDF)
+//   credits:read   — read subscription status and credit transactions
+export const API_KEY_SCOPES = ["requests:write", "reports:read", "credits:read"];
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [80, "Name must be 80 characters or less"],
+    },
+    // Public, non-secret part of the key (e.g. "sai_1a2b3c4d") so users can
+    // tell keys apart in the dashboard and in logs.
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * True while the key can still authenticate.
+ */
+ApiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return false;
+  return true;
+};
+
+export default mongoose.model("ApiKey", ApiKeySchema);
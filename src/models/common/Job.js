@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+
+// Durable background job (services/jobQueue.js). Survives restarts and
+// deploys; any API or worker process can pick it up.
+//
+// Lifecycle:
+//   queued → running → succeeded
+//                    → queued   (retryable error; runAt pushed out by backoff)
+//                    → failed   (PermanentJobError — retrying can't help)
+//                    → dead     (maxAttempts exhausted; dead-letter, kept for
+//                                inspection and manual requeue)
+// A running job holds a lease (lockedUntil) that its worker renews while it
+// works. If the worker dies, the lease expires and another worker reclaims it.
+export const JOB_TYPES = ["match_scoring", "match_explanations"];
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "dead"];
+
+const JobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    // Caller-supplied key identifying the unit of work (e.g. one Call 2 per
+    // match report). `activeKey` mirrors it while the job is queued or
+    // running and is unset once it finishes, so the unique index allows at
+    // most one live job per key across all instances.
+    dedupeKey: {
+      type: String,
+    },
+    activeKey: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    // Handler return value (or failure details), exposed to pollers
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+    },
+    errorLog: [
+      {
+        attempt: Number,
+        message: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Who asked for the work — used to authorize GET /api/jobs/:id.
+    // Null for anonymous intake submissions.
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BuyerRequest",
+    },
+    matchReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MatchReport",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+
+export default mongoose.model("Job", JobSchema);
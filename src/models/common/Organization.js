@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// Team account. Members see each other's BuyerRequests, MatchReports,
+// ManagedServices and CreditTransactions, and draw on one credit pool — the
+// owner's subscription and matchCredits (see services/organizationService.js).
+//
+// Roles:
+//   owner  — billing account for the pool; manages members and invitations
+//   member — full access; can unlock reports and spend pool credits
+//   viewer — read-only; can open reports the team already unlocked
+export const ORGANIZATION_ROLES = ["owner", "member", "viewer"];
+
+const OrganizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [120, "Name must be 120 characters or less"],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ORGANIZATION_ROLES,
+          default: "member",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    invitations: [
+      {
+        email: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
+        },
+        role: {
+          type: String,
+          enum: ["member", "viewer"],
+          default: "member",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        expiresAt: {
+          type: Date,
+          required: true,
+        },
+        acceptedAt: {
+          type: Date,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OrganizationSchema.index({ "members.user": 1 });
+OrganizationSchema.index({ "invitations.email": 1 });
+
+/**
+ * Role of `userId` in this organization, or null if not a member.
+ */
+OrganizationSchema.methods.roleOf = function (userId) {
+  if (!userId) return null;
+  const m = this.members.find((x) => x.user?.equals?.(userId));
+  return m ? m.role : null;
+};
+
+export default mongoose.model("Organization", OrganizationSchema);
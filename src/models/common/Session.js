@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// A signed-in device for a customer or an admin (services/sessionService.js).
+// Created at login; the short-lived access JWT carries its id (`sid`) and
+// the auth middleware rejects tokens whose session was revoked or has
+// expired. The session is also a refresh-token family: each refresh rotates
+// the token, and replaying a rotated one revokes the session.
+// `tokenVersion` bumps (password change/reset) still end every session.
+const SessionSchema = new mongoose.Schema(
+  {
+    principalType: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    principal: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "principalType",
+      required: true,
+    },
+    // Account tokenVersion at login; older sessions are dead after a bump
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // How the login was completed
+    method: {
+      type: String,
+      enum: ["password", "password_setup", "two_factor", "sso", "magic_link"],
+      default: "password",
+    },
+    // e.g. "Chrome on macOS", parsed from userAgent
+    device: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: { type: String },
+    // SHA-256 of the current refresh token
+    refreshTokenHash: { type: String, select: false },
+    // The token it replaced, tolerated briefly for concurrent refreshes
+    previousRefreshTokenHash: { type: String, select: false },
+    // Rotated-out tokens (latest MAX_ROTATED_HASHES, most recent last);
+    // presenting one is reuse
+    rotatedRefreshTokenHashes: { type: [String], select: false },
+    rotatedAt: { type: Date },
+    // Idle limit, pushed forward by each refresh (capped at an absolute
+    // lifetime); MongoDB drops the document afterwards
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: { type: Date },
+    revokedBy: {
+      type: {
+        type: String,
+        enum: ["self", "admin", "system"],
+      },
+      id: { type: mongoose.Schema.Types.ObjectId },
+    },
+    revokeReason: {
+      type: String,
+      enum: ["logout", "revoked", "refresh_token_reuse"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ principalType: 1, principal: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", SessionSchema);
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// An organization's single sign-on connection (services/ssoService.js).
+// Customers whose email domain matches one of the verified `domains` sign
+// in through the organization's identity provider and are provisioned into
+// the organization on first login.
+//
+// Only OpenID Connect is supported; `protocol` leaves room for SAML.
+const SsoConnectionSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      unique: true,
+    },
+    protocol: {
+      type: String,
+      enum: ["oidc"],
+      default: "oidc",
+    },
+    // Email domains routed to this connection. A domain only takes effect
+    // once verified (DNS TXT record), so nobody can claim someone else's.
+    domains: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
+        },
+        verificationToken: { type: String, required: true },
+        verifiedAt: { type: Date },
+        _id: false,
+      },
+    ],
+    oidc: {
+      issuer: { type: String, trim: true, required: true },
+      clientId: { type: String, trim: true, required: true },
+      // Sent to the token endpoint, so kept in clear; never returned by the API
+      clientSecret: { type: String, select: false },
+      scopes: { type: String, default: "openid email profile" },
+      // From the issuer's discovery document, refreshed at login
+      authorizationEndpoint: { type: String },
+      tokenEndpoint: { type: String },
+      jwksUri: { type: String },
+      discoveredAt: { type: Date },
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Block password login for users on the connection's domains
+    enforced: {
+      type: Boolean,
+      default: false,
+    },
+    // Role for users provisioned just in time
+    defaultRole: {
+      type: String,
+      enum: ["member", "viewer"],
+      default: "member",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SsoConnectionSchema.index({ "domains.name": 1 });
+
+export default mongoose.model("SsoConnection", SsoConnectionSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// Plan ref: C-6 follow-up — one record per file written by POST /api/upload.
+// GET /api/files/:filename looks the file up here and only serves it to the
+// owner, an admin, or the customer on the linked ManagedService/Feedback.
+const UploadSchema = new mongoose.Schema(
+  {
+    // Name on disk (timestamp-randomhex-sanitizedOriginalName). This is what
+    // appears in `/api/files/<filename>` URLs.
+    filename: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+    },
+    // Backend holding the bytes (services/storageService.js). Lets a
+    // deployment switch STORAGE_DRIVER without orphaning older files.
+    storageDriver: {
+      type: String,
+      enum: ["local", "s3"],
+      default: "local",
+    },
+    // Uploader — customers and admins both upload (attachments vs. final
+    // report supplier documents); suppliers attach files to RFQ quotes.
+    ownerType: {
+      type: String,
+      enum: ["User", "Admin", "Supplier"],
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerType",
+      required: true,
+    },
+    // Entity the file belongs to. Optional at upload time; linked later when
+    // the referencing record is saved (see utils/uploadUtils.js).
+    relatedType: {
+      type: String,
+      enum: ["ManagedService", "Feedback"],
+    },
+    relatedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "relatedType",
+    },
+    context: {
+      type: String,
+      enum: [
+        "attachment",
+        "feedback_attachment",
+        "final_report_document",
+        "rfq_quote_document",
+        "message_attachment",
+      ],
+      default: "attachment",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+UploadSchema.index({ relatedType: 1, relatedId: 1 });
+UploadSchema.index({ ownerType: 1, owner: 1, createdAt: -1 });
+
+export default mongoose.model("Upload", UploadSchema);
@@ -71,6 +71,13 @@ const UserSchema = new mongoose.Schema(
         ref: "BuyerRequest",
       },
     ],
+    // Team account (Organization) — at most one. Membership role lives on
+    // Organization.members.
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     // H-4: token revocation via version field — bumped on logout / password change
     tokenVersion: {
       type: Number,
@@ -84,12 +91,49 @@ const UserSchema = new mongoose.Schema(
     lockedUntil: {
       type: Date,
     },
+    // Passwordless sign-in links: a link issued before `usedAt` is spent;
+    // `sentAt` throttles resends
+    magicLink: {
+      sentAt: { type: Date },
+      usedAt: { type: Date },
+    },
+    // Two-factor authentication (services/twoFactorService.js). Secrets are
+    // AES-GCM encrypted; recovery codes stored as SHA-256 hashes.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Awaiting confirmation with a first code
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date, _id: false }],
+        select: false,
+      },
+      // Last TOTP time step accepted (replay protection)
+      lastUsedStep: { type: Number },
+      enabledAt: { type: Date },
+    },
+    // Single sign-on identity (services/ssoService.js): the organization's
+    // connection and the IdP's stable subject for this user.
+    sso: {
+      connection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SsoConnection",
+      },
+      subject: { type: String },
+      linkedAt: { type: Date },
+      lastLoginAt: { type: Date },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+UserSchema.index(
+  { "sso.connection": 1, "sso.subject": 1 },
+  { unique: true, partialFilterExpression: { "sso.subject": { $exists: true } } }
+);
+
 // Hash password before saving
 UserSchema.pre("save", async function () {
   // Skip if password is not modified or doesn't exist
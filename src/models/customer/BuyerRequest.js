@@ -1,4 +1,50 @@
 import mongoose from "mongoose";
+import { QUANTITY_UNITS, parseQuantity } from "../../utils/quantityParser.js";
+
+const structuredQuantity = {
+  min: { type: Number },
+  max: { type: Number },
+  unit: { type: String, enum: [...QUANTITY_UNITS, null] },
+};
+
+// One line of a multi-line request (utils/lineItems.js). Category defaults
+// to the request's category when the buyer doesn't set one per line.
+const LineItemSchema = new mongoose.Schema({
+  lineNumber: {
+    type: Number,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Line item name is required"],
+    trim: true,
+    maxlength: [200, "Line item name must be 200 characters or less"],
+  },
+  category: {
+    type: String,
+    required: [true, "Line item category is required"],
+    trim: true,
+  },
+  subCategory: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: String,
+    trim: true,
+  },
+  quantityNormalized: structuredQuantity,
+  // Target unit price; optional per line
+  unitPrice: {
+    type: Number,
+    min: [0, "Line item unit price must be positive"],
+  },
+  specs: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Line item specs must be 1000 characters or less"],
+  },
+});
 
 const BuyerRequestSchema = new mongoose.Schema(
   {
@@ -23,18 +69,49 @@ const BuyerRequestSchema = new mongoose.Schema(
       trim: true,
       select: true,
     },
+    // Single-item requests only; multi-line requests price each line.
     unitPrice: {
       type: Number,
-      required: [true, "Unit price is required"],
+      required: [
+        function () {
+          return !this.lineItems?.length;
+        },
+        "Unit price is required",
+      ],
     },
     totalAmount: {
       type: Number,
-      // Calculated field - will be set before save
+      // Calculated field - will be set before save (summed across lines for
+      // multi-line requests)
+    },
+    // ISO 4217 code for unitPrice, totalAmount and line unit prices
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
+    // totalAmount converted to the platform base currency at submission
+    // (services/fxService.js), so budgets in different currencies compare
+    totalAmountBase: {
+      amount: { type: Number },
+      currency: { type: String },
+      rate: { type: Number },
     },
     quantity: {
       type: String,
       trim: true,
     },
+    // `quantity` parsed into normalized units (see utils/quantityParser.js);
+    // kept in sync by the pre-validate hook below. max is null for "500+".
+    quantityNormalized: structuredQuantity,
+    // Bill of materials. Empty for single-item requests, which use the
+    // top-level name / quantity / unitPrice instead.
+    lineItems: {
+      type: [LineItemSchema],
+      default: undefined,
+    },
     description: {
       type: String,
       trim: true,
@@ -67,6 +144,13 @@ const BuyerRequestSchema = new mongoose.Schema(
       enum: ["pending", "processing", "completed", "pending_payment"],
       default: "pending",
     },
+    // Team account this record belongs to (Organization). Stamped on create
+    // by the pre-save hook below; null for personal accounts.
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     // Keep budget for backward compatibility (deprecated)
     budget: {
       type: String,
@@ -78,4 +162,26 @@ const BuyerRequestSchema = new mongoose.Schema(
   }
 );
 
+BuyerRequestSchema.pre("validate", function () {
+  if (this.isNew || this.isModified("quantity")) {
+    this.quantityNormalized = parseQuantity(this.quantity) || undefined;
+  }
+  if (this.isNew || this.isModified("lineItems")) {
+    for (const line of this.lineItems || []) {
+      line.quantityNormalized = parseQuantity(line.quantity) || undefined;
+    }
+  }
+});
+
+// Organizations: requests are submitted by email (often anonymously), so
+// resolve the submitter's team from their account, if they have one.
+BuyerRequestSchema.pre("save", async function () {
+  if (!this.isNew || this.organizationId || !this.email) return;
+  const user = await mongoose
+    .model("User")
+    .findOne({ email: this.email })
+    .select("organizationId");
+  if (user?.organizationId) this.organizationId = user.organizationId;
+});
+
 export default mongoose.model("BuyerRequest", BuyerRequestSchema);
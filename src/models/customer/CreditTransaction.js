@@ -42,6 +42,7 @@ const CreditTransactionSchema = new mongoose.Schema(
         "deducted", // Credit was used/deducted
         "added", // Credit was added (e.g., from payment)
         "expired", // Credit expired (future use)
+        "reversed", // Credit taken back because its payment was refunded
       ],
       default: "deducted",
     },
@@ -53,6 +54,7 @@ const CreditTransactionSchema = new mongoose.Schema(
         "subscription_allocation", // Credits added from subscription
         "top_up", // Credits added from top-up payment
         "rollover", // Credits rolled over from previous period
+        "refund", // Credits reversed after a payment refund
       ],
       required: true,
     },
@@ -60,6 +62,23 @@ const CreditTransactionSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Set on refund reversals: the refunded payment
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    // Organizations: `userId` is the account whose balance moved (the team
+    // owner for pooled credits); this records the member who triggered it.
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Team account this record belongs to (Organization). Stamped on create
+    // by the pre-save hook below; null for personal accounts.
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
   },
   {
     timestamps: true,
@@ -70,5 +89,16 @@ const CreditTransactionSchema = new mongoose.Schema(
 CreditTransactionSchema.index({ userId: 1, createdAt: -1 });
 CreditTransactionSchema.index({ requestId: 1 });
 CreditTransactionSchema.index({ email: 1, createdAt: -1 });
+CreditTransactionSchema.index({ organizationId: 1, createdAt: -1 });
+
+// Organizations: inherit the team of the account whose balance moved.
+CreditTransactionSchema.pre("save", async function () {
+  if (!this.isNew || this.organizationId || !this.userId) return;
+  const user = await mongoose
+    .model("User")
+    .findById(this.userId)
+    .select("organizationId");
+  if (user?.organizationId) this.organizationId = user.organizationId;
+});
 
 export default mongoose.model("CreditTransaction", CreditTransactionSchema);
@@ -13,6 +13,13 @@ const ManagedServiceSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Team account this request belongs to (Organization). Stamped on create
+    // by the pre-save hook below; null for personal accounts.
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
 
     // Request Details
     itemName: {
@@ -110,6 +117,28 @@ const ManagedServiceSchema = new mongoose.Schema(
       ],
       default: "payment_pending",
     },
+    // Every stage transition, oldest first (services/managedServiceStageService.js).
+    // Rendered on the customer timeline, so `note` is customer-facing.
+    stageHistory: [
+      {
+        from: { type: String },
+        to: { type: String, required: true },
+        status: { type: String },
+        // "admin" — changedBy is set; "payment" / "rfq" — automatic
+        source: {
+          type: String,
+          enum: ["admin", "payment", "rfq"],
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+        },
+        note: { type: String, maxlength: 1000 },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
 
     // Admin Notes & Internal Tracking
     adminNotes: {
@@ -119,12 +148,78 @@ const ManagedServiceSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
     },
+    assignedAt: {
+      type: Date,
+    },
+    // Every assignment change, oldest first
+    // (services/managedServiceAssignmentService.js)
+    assignmentHistory: [
+      {
+        admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }, // null = unassigned
+        previousAdmin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+        // "auto" — round-robin / least-loaded when the service fee was paid
+        source: { type: String, enum: ["auto", "manual"], required: true },
+        assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+        reason: { type: String, maxlength: 500 },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    // SLA against the urgency tier's duration (services/slaService.js).
+    // Maintained by the SLA scheduler while the request is in progress.
+    sla: {
+      state: {
+        type: String,
+        enum: ["on_track", "at_risk", "breached"],
+      },
+      deadline: { type: Date },
+      evaluatedAt: { type: Date },
+      atRiskAt: { type: Date },
+      breachedAt: { type: Date },
+      // Alerts sent and breaches recorded, oldest first
+      events: [
+        {
+          type: {
+            type: String,
+            enum: ["at_risk", "breached"],
+          },
+          at: { type: Date },
+          deadline: { type: Date },
+          stage: { type: String },
+          assignedAdmin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+          },
+          notified: [{ type: String }],
+          _id: false,
+        },
+      ],
+    },
+
+    // Billing currency (ISO 4217) for the service fee, savingsAmount and the
+    // savings fee. Chosen by the customer at creation; defaults to the
+    // platform base currency.
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
 
     // Financials - Upfront Service Fee
     serviceFeeAmount: {
       type: Number,
       required: true, // e.g., 199
     },
+    // Base-currency price list → billing currency, when they differ
+    serviceFeeFx: {
+      from: { type: String },
+      to: { type: String },
+      rate: { type: Number },
+      at: { type: Date },
+    },
     serviceFeeStatus: {
       type: String,
       enum: ["pending", "paid", "failed"],
@@ -149,8 +244,22 @@ const ManagedServiceSchema = new mongoose.Schema(
     negotiatedPrice: {
       type: Number, // Best price found by admin
     },
+    // Currency of originalPrice / negotiatedPrice (the supplier's quote
+    // currency); defaults to the billing currency
+    priceCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
     savingsAmount: {
-      type: Number, // original - negotiated
+      type: Number, // original - negotiated, in the billing currency
+    },
+    // Quote currency → billing currency used for savingsAmount, when they differ
+    savingsFx: {
+      from: { type: String },
+      to: { type: String },
+      rate: { type: Number },
+      at: { type: Date },
     },
     savingsFeePercentage: {
       type: Number, // Snapshot of the % at time of calculation (e.g., 8)
@@ -176,6 +285,10 @@ const ManagedServiceSchema = new mongoose.Schema(
         name: String,
         location: String,
         price: Number,
+        currency: { type: String, uppercase: true, trim: true },
+        // Landed-cost extras, in `currency`
+        shippingCost: Number,
+        dutiesCost: Number,
         leadTime: String,
         moq: String,
         notes: String,
@@ -199,6 +312,9 @@ const ManagedServiceSchema = new mongoose.Schema(
             quoteAmount: { type: Number },
             negotiatedAmount: { type: Number },
             currency: { type: String, default: "USD" },
+            // Landed-cost extras on top of the quote, in `currency`
+            shippingCost: { type: Number },
+            dutiesCost: { type: Number },
             leadTime: { type: String },
             minimumOrderQuantity: { type: String },
             notes: { type: String },
@@ -230,4 +346,22 @@ const ManagedServiceSchema = new mongoose.Schema(
   }
 );
 
+ManagedServiceSchema.index({ status: 1, "sla.state": 1 });
+ManagedServiceSchema.index({ assignedAdmin: 1, status: 1 });
+
+// Organizations: inherit the requester's team. Public submissions have no
+// userId yet, so fall back to an existing account with the same email.
+ManagedServiceSchema.pre("save", async function () {
+  if (!this.isNew || this.organizationId) return;
+  const User = mongoose.model("User");
+  const user = this.userId
+    ? await User.findById(this.userId).select("organizationId")
+    : this.email
+    ? await User.findOne({ email: this.email.toLowerCase().trim() }).select(
+        "organizationId"
+      )
+    : null;
+  if (user?.organizationId) this.organizationId = user.organizationId;
+});
+
 export default mongoose.model("ManagedService", ManagedServiceSchema);
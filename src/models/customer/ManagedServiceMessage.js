@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// One message in a managed service's thread between the customer and the
+// admin team. Read receipts are per side: a customer message is read once an
+// admin opens the thread, and vice versa.
+const ManagedServiceMessageSchema = new mongoose.Schema(
+  {
+    managedService: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ManagedService",
+      required: true,
+    },
+    senderType: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "senderType",
+      required: true,
+    },
+    // Denormalized so the thread renders without populating either model
+    senderEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Message must be 5000 characters or less"],
+    },
+    // `/api/files/<name>` uploads, linked to the managed service
+    attachments: [
+      {
+        name: { type: String },
+        fileName: { type: String },
+        type: { type: String },
+        url: { type: String },
+        _id: false,
+      },
+    ],
+    // Set when the other side first reads the message
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ManagedServiceMessageSchema.index({ managedService: 1, createdAt: 1 });
+
+export default mongoose.model(
+  "ManagedServiceMessage",
+  ManagedServiceMessageSchema
+);
@@ -48,6 +48,8 @@ const MatchReportSchema = new mongoose.Schema(
         reason: { type: String, maxlength: 280 },
         meetsMoq: Boolean,
         meetsCompliance: Boolean,
+        // Multi-line requests: 1-based line numbers the supplier covers
+        coveredLines: [Number],
         scoringMethod: {
           type: String,
           enum: ["ai", "ai_fallback_rule"],
@@ -73,6 +75,14 @@ const MatchReportSchema = new mongoose.Schema(
         thresholdUsed: Number,
         candidateCount: Number,
       },
+      // Semantic shortlist that fed Call 1 (supplierRetrievalService.js)
+      retrieval: {
+        method: { type: String, enum: ["openai", "local"] },
+        model: String,
+        poolSize: Number,
+        candidateCount: Number,
+        categoryMatchCount: Number,
+      },
       call2: {
         method: { type: String, enum: ["ai", "template_fallback"] },
         modelVersion: String,
@@ -105,6 +115,7 @@ const MatchReportSchema = new mongoose.Schema(
           },
           matchScore: Number,
           ranking: Number,
+          coveredLines: [Number],
           whyTheyMatch: String,
           aiExplanation: String,
           strengths: [String],
@@ -133,6 +144,11 @@ const MatchReportSchema = new mongoose.Schema(
     unlockedAt: {
       type: Date,
     },
+    // Last time a refund put the report back behind the paywall
+    // (services/refundService.js); credit uses before it no longer count
+    relockedAt: {
+      type: Date,
+    },
     manuallyEdited: {
       type: Boolean,
       default: false,
@@ -148,6 +164,13 @@ const MatchReportSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Team account this record belongs to (Organization). Stamped on create
+    // by the pre-save hook below; null for personal accounts.
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -158,6 +181,48 @@ const MatchReportSchema = new mongoose.Schema(
 MatchReportSchema.index({ "scoringMeta.call1.scoredAt": -1 });
 MatchReportSchema.index({ "scoringMeta.call2.generatedAt": -1 });
 
+// Organizations: a report inherits the team of its BuyerRequest.
+MatchReportSchema.pre("save", async function () {
+  if (!this.isNew || this.organizationId || !this.requestId) return;
+  const request = await mongoose
+    .model("BuyerRequest")
+    .findById(this.requestId)
+    .select("organizationId");
+  if (request?.organizationId) this.organizationId = request.organizationId;
+});
+
+// Outbound webhooks: status is set from many places (matching, Stripe
+// webhook, payment sync, credit unlock), so lifecycle events are emitted here
+// rather than at each call site. Only fires on an actual status transition.
+MatchReportSchema.pre("save", function () {
+  this.$locals.statusChanged = this.isNew || this.isModified("status");
+});
+
+MatchReportSchema.post("save", function (doc) {
+  if (!doc.$locals.statusChanged) return;
+  let event = null;
+  if (doc.status === "completed" || doc.status === "no_matches") {
+    event = "match_report.completed";
+  } else if (doc.status === "unlocked") {
+    event = "match_report.unlocked";
+  }
+  if (!event) return;
+
+  import("../../services/webhookService.js").then(({ emitWebhookEvent }) =>
+    emitWebhookEvent(
+      event,
+      { email: doc.email, organizationId: doc.organizationId },
+      {
+        requestId: doc.requestId,
+        matchReportId: doc._id,
+        status: doc.status,
+        matchedCount: doc.preview?.matchedCount ?? 0,
+        requestSummary: doc.requestSummary || doc.preview?.summary || null,
+      }
+    )
+  );
+});
+
 // Defense-in-depth: when a MatchReport doc is serialized via res.json(), strip
 // scoredSuppliers and scoringMeta so an accidental direct serialization
 // doesn't leak below-threshold suppliers or cost telemetry to customers.
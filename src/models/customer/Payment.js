@@ -38,10 +38,15 @@ const PaymentSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Lower-case ISO code the payment was charged in (services/fxService.js)
     currency: {
       type: String,
       default: "usd",
     },
+    // extra_credit: number of credits bought
+    creditQuantity: {
+      type: Number,
+    },
     planType: {
       type: String,
       enum: [
@@ -59,16 +64,76 @@ const PaymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "succeeded", "failed", "canceled"],
+      // "refunded" only once the full amount is refunded; a partially
+      // refunded payment stays "succeeded" with amountRefunded > 0.
+      enum: ["pending", "succeeded", "failed", "canceled", "refunded"],
       default: "pending",
     },
     paidAt: {
       type: Date,
     },
+    // Refunds (services/refundService.js). Same unit as `amount`.
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refundedAt: {
+      type: Date,
+    },
+    refunds: [
+      {
+        stripeRefundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        // Stripe reason: duplicate | fraudulent | requested_by_customer
+        reason: { type: String },
+        note: { type: String, trim: true, maxlength: 500 },
+        // "admin" = issued from the admin console; "stripe" = issued in the
+        // Stripe dashboard and picked up from the charge.refunded webhook
+        source: { type: String, enum: ["admin", "stripe"], required: true },
+        issuedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+        },
+        creditsReversed: { type: Number, default: 0 },
+        reportRelocked: { type: Boolean, default: false },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+// charge.refunded webhook lookups
+PaymentSchema.index({ stripePaymentIntentId: 1 });
+
+// Outbound webhooks: payments are marked succeeded from the Stripe webhook
+// and several sync paths, so `payment.succeeded` is emitted here on the
+// transition rather than at each call site.
+PaymentSchema.pre("save", function () {
+  this.$locals.becameSucceeded =
+    this.status === "succeeded" &&
+    (this.isNew || this.isModified("status"));
+});
+
+PaymentSchema.post("save", function (doc) {
+  if (!doc.$locals.becameSucceeded) return;
+  import("../../services/webhookService.js").then(({ emitWebhookEvent }) =>
+    emitWebhookEvent(
+      "payment.succeeded",
+      { email: doc.email },
+      {
+        paymentId: doc._id,
+        amount: doc.amount,
+        currency: doc.currency,
+        planType: doc.planType,
+        requestId: doc.requestId || null,
+        matchReportId: doc.matchReportId || null,
+        paidAt: doc.paidAt || doc.updatedAt,
+      }
+    )
+  );
+});
+
 export default mongoose.model("Payment", PaymentSchema);
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// One supplier's invitation to quote on a managed service. The RFQ package
+// is a snapshot of the request taken when the invitation is sent, so later
+// edits to the ManagedService don't change what the supplier was asked to
+// price. The supplier's response link carries a random token; only its
+// SHA-256 hash is stored.
+const RfqInvitationSchema = new mongoose.Schema(
+  {
+    managedService: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ManagedService",
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    // Denormalized at send time
+    supplierName: { type: String },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // What the supplier sees. No customer identity.
+    package: {
+      itemName: { type: String },
+      category: { type: String },
+      subCategory: { type: String },
+      quantity: { type: String },
+      description: { type: String },
+      deliveryLocation: { type: String },
+      complianceLevel: { type: String },
+      deadline: { type: String },
+      currency: { type: String }, // Preferred quote currency
+      instructions: { type: String }, // Admin note to suppliers
+    },
+    responseDeadline: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "viewed", "responded", "revoked"],
+      default: "sent",
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    sentAt: { type: Date },
+    viewedAt: { type: Date },
+    respondedAt: { type: Date },
+    // Latest submission. Also copied into the managed service's
+    // finalReport.supplierDetails.
+    quote: {
+      price: { type: Number },
+      shippingCost: { type: Number },
+      currency: { type: String, uppercase: true, trim: true },
+      leadTime: { type: String },
+      minimumOrderQuantity: { type: String },
+      notes: { type: String },
+      attachments: [
+        {
+          fileName: { type: String },
+          type: { type: String },
+          url: { type: String },
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RfqInvitationSchema.index({ managedService: 1, supplier: 1 });
+
+export default mongoose.model("RfqInvitation", RfqInvitationSchema);
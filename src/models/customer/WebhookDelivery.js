@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// One event sent (or being sent) to one WebhookEndpoint, with a log of every
+// HTTP attempt. Pending deliveries are retried with backoff by the worker in
+// services/webhookService.js; a manual redelivery creates a new record
+// carrying the same eventId so receivers can de-duplicate.
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    // Endpoint owner, denormalized so the delivery log can be listed per user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Exact JSON body that is signed and POSTed
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: [
+      {
+        attemptedAt: { type: Date, default: Date.now },
+        responseStatus: { type: Number, default: null },
+        // Truncated response body, for debugging receivers
+        responseBody: { type: String, default: null },
+        error: { type: String, default: null },
+        durationMs: { type: Number },
+      },
+    ],
+    deliveredAt: {
+      type: Date,
+    },
+    // Set on manual redelivery: the delivery this one was copied from
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", WebhookDeliverySchema);
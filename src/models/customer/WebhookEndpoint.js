@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Customer-registered URL that receives signed lifecycle events
+// (services/webhookService.js). An endpoint receives events for every record
+// its owner can see — their own and, for team accounts, their organization's.
+export const WEBHOOK_EVENTS = [
+  "match_report.completed",
+  "match_report.unlocked",
+  "managed_service.stage_changed",
+  "managed_service.report_ready",
+  "payment.succeeded",
+];
+
+const WebhookEndpointSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: [true, "Endpoint URL is required"],
+      trim: true,
+      maxlength: [2048, "URL is too long"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description must be 200 characters or less"],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    // HMAC-SHA256 signing secret. Needed in clear to sign payloads, so it is
+    // excluded from queries by default and only returned on create/rotate.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookEndpointSchema.index({ user: 1, active: 1, events: 1 });
+
+export default mongoose.model("WebhookEndpoint", WebhookEndpointSchema);
@@ -1,11 +1,15 @@
 import express from "express";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
+import { requireStepUp } from "../../middleware/twoFactor.js";
 import {
   requireAdmin,
   requireSuperAdmin,
   getUsers,
   updateUser,
+  getUserSessions,
+  endUserSessions,
   getAdmins,
   createAdmin,
   updateAdmin,
@@ -13,6 +17,7 @@ import {
   getDashboardStats,
   getAllTransactionsAdmin,
   getTransactionByIdAdmin,
+  refundTransactionAdmin,
 } from "../../controllers/admin/adminController.js";
 import {
   getSuppliers,
@@ -25,6 +30,14 @@ import {
   upload,
 } from "../../controllers/admin/supplierController.js";
 import { getAllFeedback, updateFeedbackStatus, replyToFeedback } from "../../controllers/admin/feedbackController.js";
+import { getJobs, retryJob } from "../../controllers/admin/jobsController.js";
+import { getAuditLog } from "../../controllers/admin/auditLogController.js";
+import {
+  getSupplierEdits,
+  approveSupplierEdit,
+  rejectSupplierEdit,
+  findEditedSupplier,
+} from "../../controllers/admin/supplierProfileEditController.js";
 
 const router = express.Router();
 
@@ -40,29 +53,59 @@ router.get("/stats", requireAdmin, getDashboardStats);
 // Transactions (all users)
 router.get("/transactions", requireAdmin, getAllTransactionsAdmin);
 router.get("/transactions/:transactionId", requireAdmin, getTransactionByIdAdmin);
+router.post(
+  "/transactions/:transactionId/refund",
+  requireSuperAdmin,
+  auditAdmin("transaction.refund", { model: "Payment", find: (req) => ({ _id: req.params.transactionId }) }),
+  refundTransactionAdmin
+);
 
 // Suppliers
 router.get("/suppliers", requireAdmin, getSuppliers);
 router.get("/suppliers/:id", requireAdmin, getSupplierById);
-router.post("/suppliers", requireAdmin, createSupplier);
-router.post("/suppliers/bulk-upload", requireAdmin, upload.single("file"), bulkUploadSuppliers);
-router.put("/suppliers/:id", requireAdmin, updateSupplier);
-router.patch("/suppliers/:id/toggle-status", requireAdmin, toggleSupplierStatus);
-router.delete("/suppliers/:id", requireAdmin, deleteSupplier);
+router.post("/suppliers", requireAdmin, auditAdmin("supplier.create", { model: "Supplier" }), createSupplier);
+router.post("/suppliers/bulk-upload", requireAdmin, auditAdmin("supplier.bulk_upload"), upload.single("file"), bulkUploadSuppliers);
+router.put("/suppliers/:id", requireAdmin, auditAdmin("supplier.update", { model: "Supplier" }), updateSupplier);
+router.patch("/suppliers/:id/toggle-status", requireAdmin, auditAdmin("supplier.toggle_status", { model: "Supplier" }), toggleSupplierStatus);
+router.delete("/suppliers/:id", requireAdmin, auditAdmin("supplier.delete", { model: "Supplier" }), deleteSupplier);
+
+// Supplier self-service edits awaiting review. Approvals are audited against
+// the Supplier they change.
+router.get("/supplier-edits", requireAdmin, getSupplierEdits);
+router.post("/supplier-edits/:id/approve", requireAdmin, auditAdmin("supplier_edit.approve", { model: "Supplier", find: findEditedSupplier }), approveSupplierEdit);
+router.post("/supplier-edits/:id/reject", requireAdmin, auditAdmin("supplier_edit.reject", { model: "SupplierProfileEdit" }), rejectSupplierEdit);
 
 // Feedback
 router.get("/feedback", requireAdmin, getAllFeedback);
-router.put("/feedback/:id", requireAdmin, updateFeedbackStatus);
-router.post("/feedback/:id/reply", requireAdmin, replyToFeedback);
+router.put("/feedback/:id", requireAdmin, auditAdmin("feedback.update", { model: "Feedback" }), updateFeedbackStatus);
+router.post("/feedback/:id/reply", requireAdmin, auditAdmin("feedback.reply", { model: "Feedback" }), replyToFeedback);
 
 // Users
 router.get("/users", requireAdmin, getUsers);
-router.put("/users/:id", requireAdmin, updateUser);
+router.put("/users/:id", requireAdmin, auditAdmin("user.update", { model: "User" }), updateUser);
+router.get("/users/:id/sessions", requireAdmin, getUserSessions);
+router.delete("/users/:id/sessions", requireAdmin, auditAdmin("user.end_sessions"), endUserSessions);
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  requireAdmin,
+  auditAdmin("user.end_session", {
+    model: "Session",
+    find: (req) => ({ _id: req.params.sessionId, principal: req.params.id }),
+  }),
+  endUserSessions
+);
 
 // Admin management (super admin only)
 router.get("/admins", requireAdmin, getAdmins);
-router.post("/admins", requireSuperAdmin, createAdmin);
-router.put("/admins/:id", requireSuperAdmin, updateAdmin);
-router.delete("/admins/:id", requireSuperAdmin, deleteAdmin);
+router.post("/admins", requireSuperAdmin, auditAdmin("admin.create", { model: "Admin" }), createAdmin);
+router.put("/admins/:id", requireSuperAdmin, auditAdmin("admin.update", { model: "Admin" }), updateAdmin);
+router.delete("/admins/:id", requireSuperAdmin, requireStepUp, auditAdmin("admin.delete", { model: "Admin" }), deleteAdmin);
+
+// Background jobs (AI scoring / Call 2) — dead-letter inspection and retry
+router.get("/jobs", requireAdmin, getJobs);
+router.post("/jobs/:id/retry", requireAdmin, auditAdmin("job.retry", { model: "Job" }), retryJob);
+
+// Admin audit log (read-only; entries are written by middleware/audit.js)
+router.get("/audit-log", requireSuperAdmin, getAuditLog);
 
 export default router;
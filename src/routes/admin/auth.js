@@ -4,9 +4,24 @@ import {
   logoutAdmin,
   getCurrentAdmin,
   changeAdminPassword,
+  verifyAdminTwoFactor,
+  setupAdminTwoFactor,
+  enableAdminTwoFactor,
+  disableAdminTwoFactor,
+  regenerateAdminRecoveryCodes,
+  stepUpAdmin,
+  refreshAdminSession,
+  getAdminSessions,
+  endAdminSession,
+  endOtherAdminSessions,
 } from "../../controllers/admin/adminAuthController.js";
-import { authenticateAdmin } from "../../middleware/adminAuth.js";
+import {
+  authenticateAdmin,
+  authenticateAdminPendingTwoFactor,
+} from "../../middleware/adminAuth.js";
 import { requireCsrf, issueCsrfHandler } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
+import { authenticateAdminTwoFactorSetup } from "../../middleware/twoFactor.js";
 
 const router = express.Router();
 
@@ -16,27 +31,109 @@ const router = express.Router();
 // response sets the `ad-csrf` cookie for use on subsequent mutations.
 router.post("/login", loginAdmin);
 
-// POST /api/admin/auth/logout - Logout admin
+// POST /api/admin/auth/refresh - New access token from the refresh cookie (rotates it)
+// No CSRF: like /login it works without a live access token, and the
+// refresh cookie is SameSite=strict and scoped to /api/admin/auth.
+router.post("/refresh", refreshAdminSession);
+
+// POST /api/admin/auth/logout - Logout admin (ends this session only)
 // CSRF protected: a logout forged from another origin would be a (mild)
 // nuisance attack but it's still a state-changing operation.
-router.post("/logout", authenticateAdmin, requireCsrf, logoutAdmin);
+router.post(
+  "/logout",
+  authenticateAdminPendingTwoFactor,
+  requireCsrf,
+  logoutAdmin
+);
 
 // GET /api/admin/auth/me - Get current admin
-router.get("/me", authenticateAdmin, getCurrentAdmin);
+router.get("/me", authenticateAdminPendingTwoFactor, getCurrentAdmin);
 
 // GET /api/admin/auth/csrf - Issue/refresh a CSRF token (M-6).
 // Lets the frontend recover from a missing/expired `ad-csrf` cookie without
 // forcing the admin to re-authenticate. Authentication is still required so
 // only logged-in admins can mint tokens.
-router.get("/csrf", authenticateAdmin, issueCsrfHandler);
+router.get("/csrf", authenticateAdminPendingTwoFactor, issueCsrfHandler);
 
 // PUT /api/admin/auth/change-password - Change admin password
 router.put(
   "/change-password",
   authenticateAdmin,
   requireCsrf,
+  auditAdmin("admin.change_password", {
+    model: "Admin",
+    find: (req) => ({ _id: req.admin._id }),
+  }),
   changeAdminPassword
 );
 
-export default router;
+// ---- Two-factor authentication (services/twoFactorService.js) ----
+const auditSelf = (action) =>
+  auditAdmin(action, {
+    model: "Admin",
+    find: (req) => ({ _id: req.admin._id }),
+  });
+
+// POST /api/admin/auth/2fa/verify - Second login step: { challengeToken, code | recoveryCode }
+// No CSRF: like /login, the caller has no session yet.
+router.post("/2fa/verify", verifyAdminTwoFactor);
+
+// POST /api/admin/auth/2fa/setup - Start enrollment (session, or a setup challengeToken from /login)
+router.post("/2fa/setup", authenticateAdminTwoFactorSetup, setupAdminTwoFactor);
+
+// POST /api/admin/auth/2fa/enable - Confirm enrollment with a first code; returns recovery codes
+router.post(
+  "/2fa/enable",
+  authenticateAdminTwoFactorSetup,
+  auditSelf("admin.enable_2fa"),
+  enableAdminTwoFactor
+);
+
+// POST /api/admin/auth/2fa/disable - { password, code } (not for super admins)
+router.post(
+  "/2fa/disable",
+  authenticateAdmin,
+  requireCsrf,
+  auditSelf("admin.disable_2fa"),
+  disableAdminTwoFactor
+);
+
+// POST /api/admin/auth/2fa/recovery-codes - Replace recovery codes: { code }
+router.post(
+  "/2fa/recovery-codes",
+  authenticateAdmin,
+  requireCsrf,
+  auditSelf("admin.regenerate_recovery_codes"),
+  regenerateAdminRecoveryCodes
+);
+
+// POST /api/admin/auth/2fa/step-up - Fresh code → X-Step-Up-Token for sensitive actions
+router.post("/2fa/step-up", authenticateAdmin, requireCsrf, stepUpAdmin);
 
+// ---- Signed-in devices (services/sessionService.js) ----
+
+// GET /api/admin/auth/sessions - List sessions (device, IP, created, last seen)
+router.get("/sessions", authenticateAdmin, getAdminSessions);
+
+// DELETE /api/admin/auth/sessions - Sign out every other device
+router.delete(
+  "/sessions",
+  authenticateAdmin,
+  requireCsrf,
+  auditAdmin("admin.end_other_sessions"),
+  endOtherAdminSessions
+);
+
+// DELETE /api/admin/auth/sessions/:sessionId - Sign out one device
+router.delete(
+  "/sessions/:sessionId",
+  authenticateAdmin,
+  requireCsrf,
+  auditAdmin("admin.end_session", {
+    model: "Session",
+    find: (req) => ({ _id: req.params.sessionId, principal: req.admin._id }),
+  }),
+  endAdminSession
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
 import {
   getAllCategories,
   getCategoryById,
@@ -25,31 +26,31 @@ router.use(requireCsrf);
 router.get("/", getAllCategories);
 
 // POST /api/admin/categories - Create a new category
-router.post("/", createCategory);
+router.post("/", auditAdmin("category.create", { model: "Category" }), createCategory);
 
 // GET /api/admin/categories/:id - Get a single category with subcategories
 router.get("/:id", getCategoryById);
 
 // PUT /api/admin/categories/:id - Update a category
-router.put("/:id", updateCategory);
+router.put("/:id", auditAdmin("category.update", { model: "Category" }), updateCategory);
 
 // DELETE /api/admin/categories/:id - Delete a category
-router.delete("/:id", deleteCategory);
+router.delete("/:id", auditAdmin("category.delete", { model: "Category" }), deleteCategory);
 
 // GET /api/admin/categories/:id/subcategories - Get subcategories (admin)
 router.get("/:id/subcategories", getSubcategories);
 
 // POST /api/admin/categories/:id/subcategories - Add a subcategory
-router.post("/:id/subcategories", addSubcategory);
+router.post("/:id/subcategories", auditAdmin("subcategory.create", { model: "Category" }), addSubcategory);
 
 // PUT /api/admin/categories/:id/subcategories/:subId - Update a subcategory
-router.put("/:id/subcategories/:subId", updateSubcategory);
+router.put("/:id/subcategories/:subId", auditAdmin("subcategory.update", { model: "Category" }), updateSubcategory);
 
 // DELETE /api/admin/categories/:id/subcategories/:subId - Delete a subcategory
-router.delete("/:id/subcategories/:subId", deleteSubcategory);
+router.delete("/:id/subcategories/:subId", auditAdmin("subcategory.delete", { model: "Category" }), deleteSubcategory);
 
 // POST /api/admin/categories/:id/subcategories/bulk-upload - Bulk upload subcategories
-router.post("/:id/subcategories/bulk-upload", upload.single("file"), bulkUploadSubcategories);
+router.post("/:id/subcategories/bulk-upload", auditAdmin("subcategory.bulk_upload", { model: "Category" }), upload.single("file"), bulkUploadSubcategories);
 
 export default router;
 
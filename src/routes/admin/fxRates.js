@@ -0,0 +1,57 @@
+import express from "express";
+import {
+  getFxRates,
+  upsertFxRate,
+  deleteFxRate,
+  importFxRates,
+  upload,
+} from "../../controllers/admin/fxRateController.js";
+import { authenticateAdmin } from "../../middleware/adminAuth.js";
+import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
+import {
+  requireAdmin,
+  requireSuperAdmin,
+} from "../../controllers/admin/adminController.js";
+
+const router = express.Router();
+
+// M-6: CSRF check applied AFTER auth + role check; safe methods bypass it.
+router.use(authenticateAdmin);
+router.use(requireAdmin);
+
+const byCurrency = (req) =>
+  req.params.currency ? { currency: req.params.currency.toUpperCase() } : null;
+
+// GET /api/admin/fx-rates - Rate table (any admin)
+router.get("/", getFxRates);
+
+// POST /api/admin/fx-rates/import - Import a CSV/JSON rate file
+router.post(
+  "/import",
+  requireSuperAdmin,
+  requireCsrf,
+  auditAdmin("fx_rate.import"),
+  upload.single("file"),
+  importFxRates
+);
+
+// PUT /api/admin/fx-rates/:currency - Set one rate
+router.put(
+  "/:currency",
+  requireSuperAdmin,
+  requireCsrf,
+  auditAdmin("fx_rate.update", { model: "FxRate", find: byCurrency }),
+  upsertFxRate
+);
+
+// DELETE /api/admin/fx-rates/:currency - Remove a currency
+router.delete(
+  "/:currency",
+  requireSuperAdmin,
+  requireCsrf,
+  auditAdmin("fx_rate.delete", { model: "FxRate", find: byCurrency }),
+  deleteFxRate
+);
+
+export default router;
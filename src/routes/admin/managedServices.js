@@ -1,13 +1,31 @@
 import express from "express";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
 import {
   getAllRequests,
   getRequestDetails,
   updateStage,
   updateQuotes,
   saveReport,
+  getQuoteComparison,
+  exportQuoteComparison,
+  assignRequest,
+  autoAssignRequests,
+  getWorkload,
 } from "../../controllers/admin/managedServiceAdminController.js";
+import { requireSuperAdmin } from "../../controllers/admin/adminController.js";
+import {
+  getRfqInvitations,
+  sendRfq,
+  findRfqInvitation,
+  revokeRfqInvitation,
+} from "../../controllers/admin/rfqAdminController.js";
+import {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+} from "../../controllers/admin/managedServiceMessageAdminController.js";
 
 const router = express.Router();
 
@@ -16,18 +34,57 @@ router.use(authenticateAdmin);
 router.use(requireCsrf);
 
 // GET /api/admin/managed-services - List all requests
+// (`?assignedTo=me|unassigned|<adminId>&open=true` for queues)
 router.get("/", getAllRequests);
 
+// GET /api/admin/managed-services/workload - Open requests per admin
+router.get("/workload", getWorkload);
+
+// POST /api/admin/managed-services/auto-assign - Assign the unassigned backlog
+router.post("/auto-assign", requireSuperAdmin, auditAdmin("managed_service.auto_assign"), autoAssignRequests);
+
+// GET /api/admin/managed-services/:id/comparison - Ranked quote matrix
+// (`?weights=cost:50,leadTime:20,moqFit:10,compliance:20` overrides settings)
+router.get("/:id/comparison", getQuoteComparison);
+
+// GET /api/admin/managed-services/:id/comparison/export - Same, as XLSX
+router.get("/:id/comparison/export", exportQuoteComparison);
+
 // GET /api/admin/managed-services/:id - Get details
 router.get("/:id", getRequestDetails);
 
+// PUT /api/admin/managed-services/:id/assignment - Assign / reassign (with reason) / unassign
+router.put("/:id/assignment", auditAdmin("managed_service.assign", { model: "ManagedService" }), assignRequest);
+
 // PATCH /api/admin/managed-services/:id/stage - Move workflow stage
-router.patch("/:id/stage", updateStage);
+router.patch("/:id/stage", auditAdmin("managed_service.update_stage", { model: "ManagedService" }), updateStage);
 
 // PATCH /api/admin/managed-services/:id/quotes - Input quotes & financials
-router.patch("/:id/quotes", updateQuotes);
+router.patch("/:id/quotes", auditAdmin("managed_service.update_quotes", { model: "ManagedService" }), updateQuotes);
 
 // POST /api/admin/managed-services/:id/report - Save final report
-router.post("/:id/report", saveReport);
+router.post("/:id/report", auditAdmin("managed_service.save_report", { model: "ManagedService" }), saveReport);
+
+// GET /api/admin/managed-services/:id/rfq - RFQ invitations and quotes
+router.get("/:id/rfq", getRfqInvitations);
+
+// POST /api/admin/managed-services/:id/rfq - Send the RFQ to suppliers
+router.post("/:id/rfq", auditAdmin("managed_service.send_rfq", { model: "ManagedService" }), sendRfq);
+
+// POST /api/admin/managed-services/:id/rfq/:invitationId/revoke - Disable a supplier's link
+router.post(
+  "/:id/rfq/:invitationId/revoke",
+  auditAdmin("managed_service.revoke_rfq", { model: "RfqInvitation", find: findRfqInvitation }),
+  revokeRfqInvitation
+);
+
+// GET /api/admin/managed-services/:id/messages - Thread with the customer
+router.get("/:id/messages", getMessages);
+
+// POST /api/admin/managed-services/:id/messages - Message the customer
+router.post("/:id/messages", auditAdmin("managed_service.send_message", { model: "ManagedService" }), sendMessage);
+
+// POST /api/admin/managed-services/:id/messages/read - Mark customer messages read
+router.post("/:id/messages/read", markMessagesRead);
 
 export default router;
@@ -1,9 +1,11 @@
 import express from "express";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
 import {
   getAllMatchReports,
   getMatchReportDetails,
+  exportMatchReportPdf,
   updateMatchReport,
 } from "../../controllers/admin/matchReportsController.js";
 
@@ -19,8 +21,18 @@ router.get("/", getAllMatchReports);
 // GET /api/admin/match-reports/:id - Get single match report details
 router.get("/:id", getMatchReportDetails);
 
+// GET /api/admin/match-reports/:id/pdf - Download match report as PDF
+router.get("/:id/pdf", exportMatchReportPdf);
+
 // PUT /api/admin/match-reports/:id - Update match report
-router.put("/:id", updateMatchReport);
+router.put(
+  "/:id",
+  auditAdmin("match_report.update", {
+    model: "MatchReport",
+    find: (req) => ({ requestId: req.params.id }),
+  }),
+  updateMatchReport
+);
 
 export default router;
 
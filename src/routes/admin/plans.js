@@ -8,6 +8,7 @@ import {
 } from "../../controllers/admin/planController.js";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
 import { requireAdmin } from "../../controllers/admin/adminController.js";
 
 const router = express.Router();
@@ -25,13 +26,13 @@ router.get("/", getPlans);
 router.get("/:id", getPlanById);
 
 // POST /api/admin/plans - Create new plan
-router.post("/", createPlan);
+router.post("/", auditAdmin("plan.create", { model: "Plan" }), createPlan);
 
 // PUT /api/admin/plans/:id - Update plan
-router.put("/:id", updatePlan);
+router.put("/:id", auditAdmin("plan.update", { model: "Plan" }), updatePlan);
 
 // DELETE /api/admin/plans/:id - Delete plan
-router.delete("/:id", deletePlan);
+router.delete("/:id", auditAdmin("plan.delete", { model: "Plan" }), deletePlan);
 
 export default router;
 
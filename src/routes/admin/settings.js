@@ -1,8 +1,10 @@
 import express from "express";
 import { authenticateAdmin } from "../../middleware/adminAuth.js";
 import { requireCsrf } from "../../middleware/csrf.js";
+import { auditAdmin } from "../../middleware/audit.js";
 import { getSettings, updateSettings } from "../../controllers/admin/settingsController.js";
 import { requireSuperAdmin } from "../../controllers/admin/adminController.js";
+import { requireStepUp } from "../../middleware/twoFactor.js";
 
 const router = express.Router();
 
@@ -11,7 +13,19 @@ router.get("/", authenticateAdmin, getSettings);
 
 // Update settings (only super admin can update pricing).
 // M-6: CSRF double-submit applied AFTER authentication and the role check.
-router.put("/", authenticateAdmin, requireSuperAdmin, requireCsrf, updateSettings);
+// Step-up: a fresh 2FA confirmation (X-Step-Up-Token) is required.
+router.put(
+  "/",
+  authenticateAdmin,
+  requireSuperAdmin,
+  requireCsrf,
+  requireStepUp,
+  auditAdmin("settings.update", {
+    model: "SystemSettings",
+    find: () => ({ key: "pricing_config" }),
+  }),
+  updateSettings
+);
 
 export default router;
 
@@ -4,12 +4,28 @@ import {
   resendVerification,
   createPassword,
   login,
+  requestMagicLink,
+  verifyMagicLink,
   logout,
   getCurrentUser,
   forgotPassword,
   resetPassword,
   emergencySessionSync,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  refreshSession,
+  getSessions,
+  endSession,
+  endOtherSessions,
 } from "../../controllers/common/authController.js";
+import {
+  discoverSso,
+  startSsoLogin,
+  ssoCallback,
+} from "../../controllers/common/ssoController.js";
 import { authenticate, optionalAuth } from "../../middleware/auth.js";
 
 const router = express.Router();
@@ -28,8 +44,17 @@ router.post("/create-password", createPassword);
 // POST /api/auth/login - Login user
 router.post("/login", login);
 
-// POST /api/auth/logout - Logout user
-router.post("/logout", logout);
+// POST /api/auth/magic-link - Email a passwordless sign-in link: { email }
+router.post("/magic-link", requestMagicLink);
+
+// POST /api/auth/magic-link/verify - Sign in with the link: { email, token }
+router.post("/magic-link/verify", verifyMagicLink);
+
+// POST /api/auth/refresh - New access token from the refresh cookie (rotates it)
+router.post("/refresh", refreshSession);
+
+// POST /api/auth/logout - Logout user (ends this session only)
+router.post("/logout", optionalAuth, logout);
 
 // POST /api/auth/forgot-password - Request password reset
 router.post("/forgot-password", forgotPassword);
@@ -43,4 +68,40 @@ router.get("/me", authenticate, getCurrentUser);
 // POST /api/auth/emergency-session - Emergency session sync (syncs payments for user)
 router.post("/emergency-session", authenticate, emergencySessionSync);
 
+// Two-factor authentication (optional for customers)
+// POST /api/auth/2fa/verify - Second login step: { challengeToken, code | recoveryCode }
+router.post("/2fa/verify", verifyTwoFactorLogin);
+
+// POST /api/auth/2fa/setup - Start enrollment (secret + otpauth URL)
+router.post("/2fa/setup", authenticate, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm with a first code; returns recovery codes
+router.post("/2fa/enable", authenticate, enableTwoFactor);
+
+// POST /api/auth/2fa/disable - { password, code | recoveryCode }
+router.post("/2fa/disable", authenticate, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes: { code }
+router.post("/2fa/recovery-codes", authenticate, regenerateTwoFactorRecoveryCodes);
+
+// Signed-in devices
+// GET /api/auth/sessions - List sessions (device, IP, created, last seen)
+router.get("/sessions", authenticate, getSessions);
+
+// DELETE /api/auth/sessions - Sign out every other device
+router.delete("/sessions", authenticate, endOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete("/sessions/:sessionId", authenticate, endSession);
+
+// Organization single sign-on (OIDC)
+// POST /api/auth/sso/discover - Does this email use SSO? { email }
+router.post("/sso/discover", discoverSso);
+
+// GET /api/auth/sso/login?email=&returnTo= - Redirect to the organization's IdP
+router.get("/sso/login", startSsoLogin);
+
+// GET /api/auth/sso/callback - IdP redirect target; sets the session cookie
+router.get("/sso/callback", ssoCallback);
+
 export default router;
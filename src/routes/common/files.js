@@ -2,47 +2,161 @@
 //
 // Plan reference: C-6, L-6.
 //
-// Today this is just an authentication gate (any logged-in user can fetch any
-// upload by name). That is strictly stronger than the previous public static
-// directory, but it is NOT a per-owner ACL.
+// Per-file ACL (C-6 follow-up): every upload is recorded in the Upload
+// collection with its owner and linked entity. A file is served only to an
+// admin, its uploader, or the customer on the linked ManagedService/Feedback
+// (see utils/uploadUtils.js#canAccessUpload). Denials return 404 so the
+// endpoint can't be used to probe which filenames exist.
 //
-// TODO(C-6 follow-up): add an Upload model with ownerId and check
-//   `upload.ownerId === req.user._id` before sendFile, or move to S3 with
-//   short-lived signed URLs.
+// Downloads go through short-lived signed URLs (services/storageService.js):
+// the authenticated routes below run the ACL and then either redirect to, or
+// return, a URL valid for FILE_URL_TTL_SECONDS. With the S3 driver that URL
+// points straight at the bucket, so any API instance can serve any file.
 
 import express from "express";
-import path from "path";
-import fs from "fs";
-import { authenticate } from "../../middleware/auth.js";
+import { optionalAuth } from "../../middleware/auth.js";
+import {
+  optionalAdminAuth,
+  requireUserOrAdmin,
+} from "../../middleware/adminAuth.js";
+import { canAccessUpload } from "../../utils/uploadUtils.js";
+import Upload from "../../models/common/Upload.js";
+import {
+  getStorage,
+  isValidKey,
+  verifyLocalSignature,
+  FILE_URL_TTL_SECONDS,
+} from "../../services/storageService.js";
 
 const router = express.Router();
-const UPLOADS_DIR = path.resolve("uploads");
 
-router.get("/:filename", authenticate, (req, res) => {
+/**
+ * Shared ACL gate for the authenticated routes. Resolves the upload, checks
+ * access and existence, and leaves `req.fileAccess = { upload, driver }`.
+ */
+const authorizeFile = async (req, res, next) => {
   const name = req.params.filename;
 
   // Whitelist: only safe filename characters; reject any traversal sequence.
-  if (!/^[A-Za-z0-9_.-]+$/.test(name) || name.includes("..")) {
+  if (!isValidKey(name)) {
     return res.status(400).end();
   }
 
-  const full = path.join(UPLOADS_DIR, name);
+  try {
+    const access = await canAccessUpload(name, {
+      user: req.user,
+      admin: req.admin,
+    });
+    if (!access.allowed) {
+      return res.status(404).end();
+    }
 
-  // Belt-and-suspenders path traversal guard: resolved path must live inside
-  // the uploads dir.
-  if (!full.startsWith(UPLOADS_DIR + path.sep)) {
-    return res.status(400).end();
+    // Files written before the Upload collection existed have no record and
+    // always live on local disk.
+    const driver = await getStorage(access.upload?.storageDriver || "local");
+    if (!(await driver.exists(name))) {
+      return res.status(404).end();
+    }
+
+    req.fileAccess = { upload: access.upload, driver };
+    next();
+  } catch (error) {
+    console.error("Error checking file access:", error);
+    return res.status(500).end();
+  }
+};
+
+const signedUrlFor = (name, { upload, driver }) =>
+  driver.getSignedUrl(name, {
+    expiresIn: FILE_URL_TTL_SECONDS,
+    downloadName: upload?.originalName || name,
+    contentType: upload?.mimeType,
+  });
+
+// GET /api/files/:filename/url - Signed download URL as JSON (for SPA fetches)
+router.get(
+  "/:filename/url",
+  optionalAuth,
+  optionalAdminAuth,
+  requireUserOrAdmin,
+  authorizeFile,
+  async (req, res) => {
+    try {
+      const url = await signedUrlFor(req.params.filename, req.fileAccess);
+      res.setHeader("Cache-Control", "no-store");
+      res.json({
+        success: true,
+        data: {
+          url,
+          expiresAt: new Date(Date.now() + FILE_URL_TTL_SECONDS * 1000),
+        },
+      });
+    } catch (error) {
+      console.error("Error signing file URL:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   }
+);
+
+// GET /api/files/:filename/signed - Local-driver download. The HMAC signature
+// in the query string is the credential, so no session is required here.
+router.get("/:filename/signed", async (req, res) => {
+  const name = req.params.filename;
+  const { expires, sig } = req.query;
 
-  if (!fs.existsSync(full)) {
-    return res.status(404).end();
+  if (!verifyLocalSignature(name, expires, sig)) {
+    return res.status(403).end();
   }
 
-  // Force download semantics + stop browsers from MIME-sniffing into something
-  // executable (mitigates stored-XSS via uploaded HTML/SVG polyglots).
-  res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.sendFile(full);
+  try {
+    const upload = await Upload.findOne({ filename: name });
+    const driver = await getStorage("local");
+    if (!(await driver.exists(name))) {
+      return res.status(404).end();
+    }
+
+    // Force download semantics + stop browsers from MIME-sniffing into
+    // something executable (mitigates stored-XSS via uploaded HTML/SVG
+    // polyglots).
+    res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, no-store");
+    res.type(upload?.mimeType || "application/octet-stream");
+
+    const stream = driver.createReadStream(name);
+    stream.on("error", (err) => {
+      console.error("Error streaming file:", err);
+      if (!res.headersSent) res.status(500);
+      res.end();
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Error serving signed file:", error);
+    res.status(500).end();
+  }
 });
 
+// GET /api/files/:filename - ACL check, then redirect to a signed URL. Keeps
+// existing `<a href="/api/files/...">` links working.
+router.get(
+  "/:filename",
+  optionalAuth,
+  optionalAdminAuth,
+  requireUserOrAdmin,
+  authorizeFile,
+  async (req, res) => {
+    try {
+      const url = await signedUrlFor(req.params.filename, req.fileAccess);
+      res.setHeader("Cache-Control", "no-store");
+      res.redirect(302, url);
+    } catch (error) {
+      console.error("Error signing file URL:", error);
+      res.status(500).end();
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { optionalAuth, apiKeyScope } from "../../middleware/auth.js";
+import { getJob } from "../../controllers/common/jobController.js";
+
+const router = express.Router();
+
+// GET /api/jobs/:id - Poll a background job (matching, Call 2 explanations).
+// Optional auth: anonymous intake submissions poll their own scoring job.
+router.get("/:id", apiKeyScope("reports:read"), optionalAuth, getJob);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  MAX_QUOTE_ATTACHMENTS,
+  loadRfqInvitation,
+  requireOpenRfq,
+  getRfq,
+  submitQuote,
+} from "../../controllers/common/rfqController.js";
+import {
+  documentUpload,
+  storeDocuments,
+} from "../../middleware/documentUpload.js";
+
+const router = express.Router();
+
+// Public: the token from the supplier's RFQ email is the credential.
+
+// GET /api/rfq/:token - RFQ package and the supplier's current quote
+router.get("/:token", loadRfqInvitation, getRfq);
+
+// POST /api/rfq/:token/quote - Submit or revise a quote (multipart; files in
+// `attachments`)
+router.post(
+  "/:token/quote",
+  loadRfqInvitation,
+  requireOpenRfq,
+  documentUpload.array("attachments", MAX_QUOTE_ATTACHMENTS),
+  storeDocuments,
+  submitQuote
+);
+
+export default router;
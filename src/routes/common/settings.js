@@ -1,5 +1,6 @@
 import express from "express";
 import { getSettings } from "../../controllers/admin/settingsController.js";
+import { getFxRates } from "../../services/fxService.js";
 
 const router = express.Router();
 
@@ -52,6 +53,8 @@ router.get("/public", async (req, res) => {
         savingsFeePercentage: settingsObj.savingsFeePercentage || 8,
         extraCreditPrice: settingsObj.extraCreditPrice || 10,
         currency: settingsObj.currency || "USD",
+        // Currencies buyers can price requests and pay in (FX rate table)
+        supportedCurrencies: Object.keys(await getFxRates()).sort(),
         gradePrices: settingsObj.gradePrices || {
           low: 750,
           medium: 1500,
@@ -0,0 +1,32 @@
+import express from "express";
+import { authenticateSupplier } from "../../middleware/supplierAuth.js";
+import {
+  requestClaimLink,
+  verifyClaimLink,
+  logoutSupplier,
+  getMyProfile,
+  submitProfileEdit,
+  getMyEdits,
+} from "../../controllers/common/supplierPortalController.js";
+
+const router = express.Router();
+
+// POST /api/supplier-portal/claim - Email a sign-in link to a supplier contact
+router.post("/claim", requestClaimLink);
+
+// POST /api/supplier-portal/claim/verify - Exchange the link for a session
+router.post("/claim/verify", verifyClaimLink);
+
+// POST /api/supplier-portal/logout
+router.post("/logout", authenticateSupplier, logoutSupplier);
+
+// GET /api/supplier-portal/me - Live profile + edit pending review
+router.get("/me", authenticateSupplier, getMyProfile);
+
+// PUT /api/supplier-portal/me - Propose profile changes (admin-reviewed)
+router.put("/me", authenticateSupplier, submitProfileEdit);
+
+// GET /api/supplier-portal/me/edits - Edit history and review outcomes
+router.get("/me/edits", authenticateSupplier, getMyEdits);
+
+export default router;
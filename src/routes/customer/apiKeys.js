@@ -0,0 +1,24 @@
+import express from "express";
+import { authenticate } from "../../middleware/auth.js";
+import {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../../controllers/customer/apiKeyController.js";
+
+const router = express.Router();
+
+// Key management is session-only: no apiKeyScope() here, so `authenticate`
+// rejects API keys and a leaked key can't mint or revoke others.
+router.use(authenticate);
+
+// GET /api/api-keys - List the caller's keys
+router.get("/", listApiKeys);
+
+// POST /api/api-keys - Create a key (plaintext returned once)
+router.post("/", createApiKey);
+
+// DELETE /api/api-keys/:id - Revoke a key
+router.delete("/:id", revokeApiKey);
+
+export default router;
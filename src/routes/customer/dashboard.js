@@ -2,26 +2,56 @@ import express from "express";
 import {
   getUserRequests,
   getRequestDetails,
+  exportRequestReportPdf,
   getSubscriptionStatus,
   getCreditTransactions,
 } from "../../controllers/customer/dashboardController.js";
-import { authenticate } from "../../middleware/auth.js";
+import { authenticate, apiKeyScope } from "../../middleware/auth.js";
 
 const router = express.Router();
 
-// All dashboard routes require authentication
-router.use(authenticate);
+// All dashboard routes require authentication. `authenticate` is mounted per
+// route (not via router.use) because apiKeyScope() has to run before it to
+// let personal API keys in.
 
 // GET /api/dashboard/requests - Get user's requests
-router.get("/requests", getUserRequests);
+router.get(
+  "/requests",
+  apiKeyScope("reports:read"),
+  authenticate,
+  getUserRequests
+);
 
 // GET /api/dashboard/requests/:id - Get single request with matches
-router.get("/requests/:id", getRequestDetails);
+router.get(
+  "/requests/:id",
+  apiKeyScope("reports:read"),
+  authenticate,
+  getRequestDetails
+);
+
+// GET /api/dashboard/requests/:id/report/pdf - Download unlocked report as PDF
+router.get(
+  "/requests/:id/report/pdf",
+  apiKeyScope("reports:read"),
+  authenticate,
+  exportRequestReportPdf
+);
 
 // GET /api/dashboard/subscription - Get subscription status
-router.get("/subscription", getSubscriptionStatus);
+router.get(
+  "/subscription",
+  apiKeyScope("credits:read"),
+  authenticate,
+  getSubscriptionStatus
+);
 
 // GET /api/dashboard/credit-transactions - Get credit transactions
-router.get("/credit-transactions", getCreditTransactions);
+router.get(
+  "/credit-transactions",
+  apiKeyScope("credits:read"),
+  authenticate,
+  getCreditTransactions
+);
 
 export default router;
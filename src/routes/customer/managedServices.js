@@ -11,6 +11,11 @@ import {
   updateRequest,
   deleteRequest,
 } from "../../controllers/customer/managedServiceController.js";
+import {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+} from "../../controllers/customer/managedServiceMessageController.js";
 
 const router = express.Router();
 
@@ -37,6 +42,15 @@ router.post("/:id/sync-payment", syncPaymentStatus);
 // POST /api/managed-services/:id/savings-fee/payment - Create Stripe session for savings fee payment
 router.post("/:id/savings-fee/payment", createSavingsFeePaymentSession);
 
+// GET /api/managed-services/:id/messages - Thread with the admin team
+router.get("/:id/messages", getMessages);
+
+// POST /api/managed-services/:id/messages - Message the admin team
+router.post("/:id/messages", sendMessage);
+
+// POST /api/managed-services/:id/messages/read - Mark admin messages read
+router.post("/:id/messages/read", markMessagesRead);
+
 // GET /api/managed-services/:id - Get details
 router.get("/:id", getRequestDetails);
 
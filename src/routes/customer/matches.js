@@ -4,14 +4,22 @@ import {
   getPreview,
   getFullReport,
 } from "../../controllers/customer/matchController.js";
+import { optionalAuth, apiKeyScope } from "../../middleware/auth.js";
 
 const router = express.Router();
 
 // GET /api/matches/:id/preview - Get free preview (requestId)
 router.get("/:id/preview", getPreview);
 
-// GET /api/matches/:id/report - Get full report (paid/unlocked) (requestId)
-router.get("/:id/report", getFullReport);
+// GET /api/matches/:id/report - Get full report (paid/unlocked) (requestId).
+// Browsers use the emailed token link; integrations send a personal API key
+// with reports:read instead (ownership is checked in the controller).
+router.get(
+  "/:id/report",
+  apiKeyScope("reports:read"),
+  optionalAuth,
+  getFullReport
+);
 
 export default router;
 
@@ -0,0 +1,60 @@
+import express from "express";
+import { authenticate } from "../../middleware/auth.js";
+import {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  getSsoConnection,
+  updateSsoConnection,
+  verifySsoDomain,
+  deleteSsoConnection,
+} from "../../controllers/customer/organizationController.js";
+
+const router = express.Router();
+
+// All organization routes require authentication
+router.use(authenticate);
+
+// POST /api/organizations - Create a team account (caller becomes owner)
+router.post("/", createOrganization);
+
+// POST /api/organizations/invitations/accept - Accept an emailed invitation
+router.post("/invitations/accept", acceptInvitation);
+
+// GET /api/organizations/me - Current organization, members and credit pool
+router.get("/me", getMyOrganization);
+
+// PATCH /api/organizations/me - Rename (owner)
+router.patch("/me", updateOrganization);
+
+// POST /api/organizations/me/invitations - Invite by email (owner)
+router.post("/me/invitations", inviteMember);
+
+// DELETE /api/organizations/me/invitations/:invitationId - Revoke (owner)
+router.delete("/me/invitations/:invitationId", revokeInvitation);
+
+// PATCH /api/organizations/me/members/:userId - Change role (owner)
+router.patch("/me/members/:userId", updateMemberRole);
+
+// DELETE /api/organizations/me/members/:userId - Remove member (owner) or leave (self)
+router.delete("/me/members/:userId", removeMember);
+
+// Single sign-on (owner)
+// GET /api/organizations/me/sso - SSO connection, domains and DNS records
+router.get("/me/sso", getSsoConnection);
+
+// PUT /api/organizations/me/sso - Create or update the OIDC connection
+router.put("/me/sso", updateSsoConnection);
+
+// POST /api/organizations/me/sso/domains/verify - Check a domain's TXT record
+router.post("/me/sso/domains/verify", verifySsoDomain);
+
+// DELETE /api/organizations/me/sso - Remove the connection
+router.delete("/me/sso", deleteSsoConnection);
+
+export default router;
@@ -8,7 +8,11 @@ import {
 } from "../../controllers/customer/requestController.js";
 import { getRequestDetails, unlockRequest } from "../../controllers/customer/dashboardController.js";
 import { processMatching, generateAIMatch } from "../../controllers/customer/matchController.js";
-import { optionalAuth, authenticate } from "../../middleware/auth.js";
+import {
+  optionalAuth,
+  authenticate,
+  apiKeyScope,
+} from "../../middleware/auth.js";
 
 const router = express.Router();
 
@@ -29,8 +33,11 @@ const aiLimiter = rateLimit({
   message: { success: false, message: "Too many requests" },
 });
 
+// Personal API keys are accepted on every route below; apiKeyScope() names
+// the scope each one needs (see middleware/auth.js).
+
 // POST /api/requests - Submit buyer intake form (optional auth for dashboard users)
-router.post("/", optionalAuth, createRequest);
+router.post("/", apiKeyScope("requests:write"), optionalAuth, createRequest);
 
 // C-3: REMOVED `router.get("/", getAllRequests)` — this dumped every buyer
 // request in the system (PII: email, item, quantity, budget, location) to any
@@ -38,20 +45,42 @@ router.post("/", optionalAuth, createRequest);
 // when needed.
 
 // POST /api/requests/:id/match - Process request and match suppliers (AI-bound)
-router.post("/:id/match", aiLimiter, optionalAuth, processMatching);
+router.post(
+  "/:id/match",
+  aiLimiter,
+  apiKeyScope("requests:write"),
+  optionalAuth,
+  processMatching
+);
 
 // POST /api/requests/:id/generate-match - Generate AI match for pending reports (AI-bound, authenticated only)
-router.post("/:id/generate-match", aiLimiter, authenticate, generateAIMatch);
+router.post(
+  "/:id/generate-match",
+  aiLimiter,
+  apiKeyScope("requests:write"),
+  authenticate,
+  generateAIMatch
+);
 
 // POST /api/requests/:id/unlock - Unlock request using credits
-router.post("/:id/unlock", authenticate, unlockRequest);
+router.post(
+  "/:id/unlock",
+  apiKeyScope("requests:write"),
+  authenticate,
+  unlockRequest
+);
 
 // GET /api/requests/:id/details - Get request with match details (authenticated)
 // This must come before /:id to avoid route conflicts
-router.get("/:id/details", authenticate, getRequestDetails);
+router.get(
+  "/:id/details",
+  apiKeyScope("reports:read"),
+  authenticate,
+  getRequestDetails
+);
 
 // GET /api/requests/:id - Get a specific request (C-3: now requires auth +
 // ownership check enforced inside the controller).
-router.get("/:id", authenticate, getRequestById);
+router.get("/:id", apiKeyScope("reports:read"), authenticate, getRequestById);
 
 export default router;
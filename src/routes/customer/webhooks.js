@@ -0,0 +1,49 @@
+import express from "express";
+import { authenticate } from "../../middleware/auth.js";
+import {
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  pingWebhookEndpoint,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+} from "../../controllers/customer/webhookController.js";
+
+const router = express.Router();
+
+// All webhook routes require authentication (session only — API keys can't
+// register endpoints or read signing secrets)
+router.use(authenticate);
+
+// GET /api/webhooks - List endpoints and the events they can subscribe to
+router.get("/", listWebhookEndpoints);
+
+// POST /api/webhooks - Register an endpoint (signing secret returned once)
+router.post("/", createWebhookEndpoint);
+
+// GET /api/webhooks/deliveries/:deliveryId - Delivery with payload and attempts
+// Must come before /:id routes to avoid route conflicts
+router.get("/deliveries/:deliveryId", getWebhookDelivery);
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Send the event again
+router.post("/deliveries/:deliveryId/redeliver", redeliverWebhook);
+
+// PATCH /api/webhooks/:id - Update url, events, description or active flag
+router.patch("/:id", updateWebhookEndpoint);
+
+// DELETE /api/webhooks/:id - Delete an endpoint (cancels pending retries)
+router.delete("/:id", deleteWebhookEndpoint);
+
+// POST /api/webhooks/:id/rotate-secret - Issue a new signing secret
+router.post("/:id/rotate-secret", rotateWebhookSecret);
+
+// POST /api/webhooks/:id/ping - Send a test event
+router.post("/:id/ping", pingWebhookEndpoint);
+
+// GET /api/webhooks/:id/deliveries - Delivery log for an endpoint
+router.get("/:id/deliveries", listWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,41 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { connectDB } from "../config/database.js";
+import { parseFxRatesFile, saveFxRates } from "../services/fxService.js";
+
+// Load the FX rate table from a local CSV or JSON file (formats: see
+// parseFxRatesFile in services/fxService.js).
+const importFxRates = async () => {
+  try {
+    const filePath = process.argv[2];
+    if (!filePath) {
+      console.error("Usage: node src/scripts/importFxRates.js <rates.csv|rates.json>");
+      process.exit(1);
+    }
+
+    const content = fs.readFileSync(path.resolve(filePath), "utf8");
+    const { rates, asOf, error } = parseFxRatesFile(content, filePath);
+    if (error) {
+      console.error(`Invalid rate file: ${error}`);
+      process.exit(1);
+    }
+
+    await connectDB();
+    const imported = await saveFxRates(rates, { source: "import", asOf });
+
+    console.log(`Imported ${imported} FX rate(s):`);
+    for (const [currency, rate] of Object.entries(rates)) {
+      console.log(`  ${currency}: ${rate} per USD`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error importing FX rates:", error);
+    process.exit(1);
+  }
+};
+
+importFxRates();
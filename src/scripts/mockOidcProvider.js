@@ -0,0 +1,167 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID Connect provider for trying organization SSO locally
+// (services/ssoService.js). Never deploy it: anyone can sign in as anyone.
+//
+//   npm run mock-idp
+//
+// Then, as an organization owner, PUT /api/organizations/me/sso with
+//   { "issuer": "http://localhost:5055", "clientId": "optiverifi-local",
+//     "clientSecret": "mock-idp-secret", "domains": ["example.test"],
+//     "enabled": true }
+// and set SSO_ALLOW_UNVERIFIED_DOMAINS=true on the API (the domain has no
+// DNS record). The sign-in page lets you pick any email, and whether the
+// IdP reports it as verified.
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 5055;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || "optiverifi-local";
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || "mock-idp-secret";
+const CODE_TTL_MS = 60 * 1000;
+
+// Fresh signing key per run
+const KID = crypto.randomBytes(8).toString("hex");
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// code -> { redirectUri, nonce, codeChallenge, email, emailVerified, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }],
+  });
+});
+
+// Sign-in page
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge_method } = req.query;
+  if (client_id !== CLIENT_ID || response_type !== "code" || !redirect_uri) {
+    return res.status(400).send("Invalid authorization request");
+  }
+  if (code_challenge_method !== "S256") {
+    return res.status(400).send("PKCE (S256) is required");
+  }
+
+  const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`
+    )
+    .join("");
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<h1>Mock IdP sign-in</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <label>Email <input name="email" value="${escapeHtml(req.query.login_hint)}" required></label>
+  <label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, email, email_verified } = req.body;
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email: String(email || "").toLowerCase().trim(),
+    emailVerified: email_verified === "true",
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+  res.redirect(url.toString());
+});
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || "");
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], "base64").toString().split(":");
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || "");
+  }
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(req.body.code_verifier || ""))
+    .digest("base64url");
+  if (
+    req.body.grant_type !== "authorization_code" ||
+    !entry ||
+    entry.expiresAt < Date.now() ||
+    entry.redirectUri !== req.body.redirect_uri ||
+    entry.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const idToken = jwt.sign(
+    {
+      // Stable per email, like a real IdP's user id
+      sub: crypto.createHash("sha256").update(entry.email).digest("hex").slice(0, 24),
+      email: entry.email,
+      email_verified: entry.emailVerified,
+      nonce: entry.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }
+  );
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider at ${ISSUER}`);
+  console.log(`  client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
@@ -28,6 +28,7 @@ import adminAuthRouter from "./routes/admin/auth.js";
 import managedServicesRouter from "./routes/customer/managedServices.js";
 import adminManagedServicesRouter from "./routes/admin/managedServices.js";
 import settingsRouter from "./routes/admin/settings.js";
+import fxRatesRouter from "./routes/admin/fxRates.js";
 import publicSettingsRouter from "./routes/common/settings.js";
 import plansRouter from "./routes/admin/plans.js";
 import publicPlansRouter from "./routes/common/plans.js";
@@ -37,8 +38,26 @@ import matchReportsRouter from "./routes/admin/matchReports.js";
 import receiptsRouter from "./routes/customer/receipts.js";
 import contactRouter from "./routes/common/contact.js";
 import uploadRouter from "./routes/common/upload.js";
+import rfqRouter from "./routes/common/rfq.js";
 import filesRouter from "./routes/common/files.js";
+import organizationsRouter from "./routes/customer/organizations.js";
+import apiKeysRouter from "./routes/customer/apiKeys.js";
+import webhooksRouter from "./routes/customer/webhooks.js";
+import jobsRouter from "./routes/common/jobs.js";
+import supplierPortalRouter from "./routes/common/supplierPortal.js";
+import {
+  getPresentedApiKey,
+  hashApiKey,
+} from "./services/apiKeyService.js";
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  refreshTokenSessionId,
+} from "./services/sessionService.js";
 import { handleWebhook } from "./controllers/customer/paymentController.js";
+import { startWebhookWorker } from "./services/webhookService.js";
+import { startSlaScheduler } from "./services/slaService.js";
+import "./jobs/index.js";
+import { startJobWorker } from "./services/jobQueue.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -123,7 +142,13 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-API-Key",
+      // 2FA step-up for sensitive admin actions (middleware/twoFactor.js)
+      "X-Step-Up-Token",
+    ],
     // Plan ref: L-8 — preflight cache.
     maxAge: 600,
   }),
@@ -131,12 +156,44 @@ app.use(
 
 // Plan ref: H-1 — per-route rate limiters. Tighter buckets where brute-force
 // or cost-amplification matters; a generous general bucket elsewhere.
+const isTokenRefresh = (req) => req.method === "POST" && req.path === "/refresh";
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 20,
   standardHeaders: true,
   legacyHeaders: false,
   message: { success: false, message: "Too many requests" },
+  // Token refreshes are counted in refreshLimiter instead.
+  skip: isTokenRefresh,
+});
+// Every open tab refreshes its access token each ACCESS_TOKEN_TTL_SECONDS,
+// which would drain a shared office IP's authLimiter bucket. Refreshes get
+// their own buckets: one per session the refresh cookie names (IP when
+// there's none), and a much larger one per IP, since the session id is read
+// before the token is verified and made-up ids would each get a fresh
+// bucket. Guessing a refresh token is infeasible, so these only cap request
+// volume.
+const refreshIpLimiter = rateLimit({
+  windowMs: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  max: parseInt(process.env.REFRESH_RATE_LIMIT_PER_IP || "600", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: "Too many requests" },
+  skip: (req) => !isTokenRefresh(req),
+});
+const refreshLimiter = rateLimit({
+  windowMs: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: "Too many requests" },
+  skip: (req) => !isTokenRefresh(req),
+  keyGenerator: (req) => {
+    const sid = refreshTokenSessionId(
+      req.cookies?.["cd-refresh"] || req.cookies?.["ad-refresh"]
+    );
+    return sid ? `session:${sid}` : `ip:${req.ip}`;
+  },
 });
 const contactLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -162,6 +219,20 @@ const generalLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: { success: false, message: "Too many requests" },
+  // Personal API key traffic is counted in apiKeyLimiter instead.
+  skip: (req) => Boolean(getPresentedApiKey(req)),
+});
+// Personal API keys get their own bucket, keyed by the key rather than the
+// IP, so an ERP integration behind a shared egress IP neither starves nor is
+// starved by browser users. Only counts requests that present a key.
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || "60", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: "Too many requests" },
+  skip: (req) => !getPresentedApiKey(req),
+  keyGenerator: (req) => `apikey:${hashApiKey(getPresentedApiKey(req))}`,
 });
 
 // Webhook route needs raw body, so we handle it before JSON parser
@@ -185,7 +256,10 @@ app.use(cookieParser(process.env.COOKIE_SECRET));
 
 // Plan ref: C-6, L-6 — replaces public `app.use("/uploads", express.static)`
 // with an authentication-gated route that adds Content-Disposition: attachment
-// and X-Content-Type-Options: nosniff.
+// and X-Content-Type-Options: nosniff. Access is per file: owner, admin, or
+// the customer on the linked ManagedService/Feedback (Upload model). Bytes
+// live behind services/storageService.js (local disk or S3) and are handed
+// out via short-lived signed URLs.
 //
 // BREAKING: any URL of the form `/uploads/<name>` previously stored in the
 // database (e.g. uploadController.js returns `url: "/uploads/<filename>"`)
@@ -209,17 +283,38 @@ app.use("/api/upload", uploadRouter);
 // At the router level we apply the generous generalLimiter so non-AI
 // endpoints (GET /:id/details, POST create, unlock) get a sane 300/15min
 // ceiling rather than sharing the AI bucket.
-app.use("/api/requests", generalLimiter, requestsRouter);
-app.use("/api/matches", matchesRouter);
+app.use("/api/requests", generalLimiter, apiKeyLimiter, requestsRouter);
+app.use("/api/matches", apiKeyLimiter, matchesRouter);
 app.use("/api/payments", generalLimiter, paymentsRouter);
-app.use("/api/auth", authLimiter, authRouter);
-app.use("/api/dashboard", dashboardRouter);
+app.use(
+  "/api/auth",
+  authLimiter,
+  refreshIpLimiter,
+  refreshLimiter,
+  authRouter
+);
+app.use("/api/dashboard", apiKeyLimiter, dashboardRouter);
+app.use("/api/organizations", generalLimiter, organizationsRouter);
+app.use("/api/api-keys", generalLimiter, apiKeysRouter);
+app.use("/api/webhooks", generalLimiter, webhooksRouter);
+// Polled by clients after POST /api/requests/:id/match — generous bucket.
+app.use("/api/jobs", generalLimiter, apiKeyLimiter, jobsRouter);
 app.use("/api/feedback", feedbackRouter);
-app.use("/api/admin/auth", authLimiter, adminAuthRouter);
+app.use(
+  "/api/admin/auth",
+  authLimiter,
+  refreshIpLimiter,
+  refreshLimiter,
+  adminAuthRouter
+);
+app.use("/api/supplier-portal/claim", authLimiter);
+app.use("/api/supplier-portal", generalLimiter, supplierPortalRouter);
+app.use("/api/rfq", generalLimiter, rfqRouter);
 app.use("/api/admin", adminRouter);
 app.use("/api/managed-services", generalLimiter, managedServicesRouter);
 app.use("/api/admin/managed-services", adminManagedServicesRouter);
 app.use("/api/admin/settings", settingsRouter);
+app.use("/api/admin/fx-rates", fxRatesRouter);
 app.use("/api/admin/plans", plansRouter);
 app.use("/api/plans", publicPlansRouter);
 app.use("/api/settings", publicSettingsRouter);
@@ -256,6 +351,22 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Retry loop for outbound customer webhooks (pending deliveries)
+    startWebhookWorker();
+
+    // Managed service SLA sweep (at-risk / breach alerts). Safe to run on
+    // several instances; set SLA_SCHEDULER_ENABLED=false to keep it off one.
+    if (process.env.SLA_SCHEDULER_ENABLED !== "false") {
+      startSlaScheduler();
+    }
+
+    // Background jobs (AI scoring, Call 2). On by default so a single
+    // instance works out of the box; set JOB_WORKER_ENABLED=false when
+    // running dedicated `npm run worker` processes.
+    if (process.env.JOB_WORKER_ENABLED !== "false") {
+      startJobWorker();
+    }
+
     // Start Express server
     app.listen(PORT, () => {
       logger.info(
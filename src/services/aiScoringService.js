@@ -19,7 +19,14 @@ import { sendEmail } from "./emailService.js";
 // Shared sanitizer — NFKC-normalized, strips zero-width chars + data tags +
 // injection keywords. Used by both AI Call 1 and Call 2. See aiService.js
 // for the hardening rationale.
-import { sanitizeForPrompt } from "./aiService.js";
+import {
+  sanitizeForPrompt,
+  getRequestQuantity,
+  getSupplierMoq,
+  describeLineItemsForPrompt,
+} from "./aiService.js";
+import { formatQuantity } from "../utils/quantityParser.js";
+import { getRequestLines } from "../utils/lineItems.js";
 
 dotenv.config();
 
@@ -294,7 +301,9 @@ CONSTRAINTS:
 - internalNotes and buyerMatchRecommendation are admin-curated — use them but do NOT quote verbatim.
 - Do not invent capabilities the supplier does not list.
 
-The buyer's subCategory is a hint, not a constraint — a supplier whose subCategory differs may still score 80+ if their capabilities cover the request.`;
+The buyer's category and subCategory are hints, not constraints — candidates are shortlisted by semantic similarity, so a supplier filed under a different category or subCategory may still score 80+ if their capabilities cover the request.
+
+quantity and minOrderQuantity are normalized to common units (pieces, kg, pallets, hours, SqFt) where possible. MOQ compatibility is checked separately — do not lower fit_score for MOQ alone.`;
 
 const SCORE_SINGLE_SCHEMA = {
   type: "object",
@@ -306,6 +315,23 @@ const SCORE_SINGLE_SCHEMA = {
   additionalProperties: false,
 };
 
+// Multi-line requests (bill of materials): the model also reports which
+// numbered lines the supplier covers, and fit_score reflects coverage.
+const SCORE_LINES_PROMPT_ADDENDUM = `
+
+MULTI-LINE REQUEST: <buyer_request> includes numbered line_items. Also output covered_lines — the line numbers this supplier can CREDIBLY supply (empty array if none). fit_score must reflect coverage across lines: apply the rubric to the lines covered, then scale down by the share of lines NOT covered. A supplier covering every line at core-specialty level scores 90+; one covering a single line of ten scores well below 55 however strong that line is. Name the covered lines in reason.`;
+
+const SCORE_LINES_SCHEMA = {
+  type: "object",
+  properties: {
+    fit_score: { type: "integer" },
+    reason: { type: "string" },
+    covered_lines: { type: "array", items: { type: "integer" } },
+  },
+  required: ["fit_score", "reason", "covered_lines"],
+  additionalProperties: false,
+};
+
 function buildSanitizedRequestPayload(buyerRequest) {
   return {
     name: sanitizeForPrompt(buyerRequest.name, 200),
@@ -317,7 +343,12 @@ function buildSanitizedRequestPayload(buyerRequest) {
         buyerRequest.subCategory ?? buyerRequest.subcategory,
         200,
       ) || null,
-    quantity: sanitizeForPrompt(buyerRequest.quantity, 50),
+    // Normalized ("2,000 pieces") when parseable, so the model compares
+    // quantities in the same units as the supplier's minOrderQuantity.
+    quantity:
+      formatQuantity(getRequestQuantity(buyerRequest)) ||
+      sanitizeForPrompt(buyerRequest.quantity, 50),
+    lineItems: describeLineItemsForPrompt(buyerRequest),
   };
 }
 
@@ -328,8 +359,13 @@ function buildSanitizedSupplierPayload(supplier) {
     positioning: sanitizeForPrompt(supplier.positioning, 500),
     capabilities: sanitizeArray(supplier.capabilities, 100, 20),
     tags: sanitizeArray(supplier.tags, 100, 20),
+    category: sanitizeForPrompt(supplier.category, 200),
     subCategory: sanitizeForPrompt(supplier.subCategory, 200),
     certifications: sanitizeArray(supplier.certifications, 100, 20),
+    minOrderQuantity:
+      formatQuantity(getSupplierMoq(supplier)) ||
+      sanitizeForPrompt(supplier.minOrderQuantity, 50) ||
+      null,
     // Admin-curated context — usually the richest fit signal (often describes
     // what the supplier ACTUALLY does in plain language). AI uses these to
     // inform scoring; the prompt forbids quoting them verbatim in output, so
@@ -349,7 +385,11 @@ description: ${req.description}
 requirements: ${req.requirements}
 category: ${req.category}
 subCategory: ${req.subCategory ?? ""}
-quantity: ${req.quantity ?? ""}
+quantity: ${req.quantity ?? ""}${
+    req.lineItems?.length > 0
+      ? `\nline_items:\n${req.lineItems.join("\n")}`
+      : ""
+  }
 </buyer_request>`;
 }
 
@@ -357,13 +397,18 @@ quantity: ${req.quantity ?? ""}
  * Score ONE supplier against the buyer's request. Internal helper used by
  * scoreCandidatesBatch.
  *
- * Returns { supplier_id, fit_score, reason, usage }. Throws on
+ * Returns { supplier_id, fit_score, reason, covered_lines, usage }
+ * (covered_lines only for multi-line requests). Throws on
  * API/parse/validation failure — the caller decides what to do (current
  * strategy: log + skip; if ALL fail, scoreCandidatesBatch throws).
  */
 async function scoreSingleCandidate(buyerRequest, supplier) {
   const sanitizedRequest = buildSanitizedRequestPayload(buyerRequest);
   const candidate = buildSanitizedSupplierPayload(supplier);
+  const lineNumbers = new Set(
+    getRequestLines(buyerRequest).map((line) => line.lineNumber),
+  );
+  const isMultiLine = lineNumbers.size > 0;
 
   const userMessage = `${buildBuyerRequestBlock(sanitizedRequest)}
 
@@ -382,17 +427,23 @@ ${JSON.stringify(candidate, null, 2)}
           model: MODEL,
           temperature: 0,
           seed,
-          max_tokens: 250,
+          // covered_lines adds up to ~100 tokens on a 50-line request
+          max_tokens: isMultiLine ? 400 : 250,
           messages: [
-            { role: "system", content: SCORE_SINGLE_SYSTEM_PROMPT },
+            {
+              role: "system",
+              content: isMultiLine
+                ? SCORE_SINGLE_SYSTEM_PROMPT + SCORE_LINES_PROMPT_ADDENDUM
+                : SCORE_SINGLE_SYSTEM_PROMPT,
+            },
             { role: "user", content: userMessage },
           ],
           response_format: {
             type: "json_schema",
             json_schema: {
-              name: "single_score",
+              name: isMultiLine ? "line_coverage_score" : "single_score",
               strict: true,
-              schema: SCORE_SINGLE_SCHEMA,
+              schema: isMultiLine ? SCORE_LINES_SCHEMA : SCORE_SINGLE_SCHEMA,
             },
           },
         },
@@ -422,6 +473,18 @@ ${JSON.stringify(candidate, null, 2)}
     // Slice under schema max (280) — security audit M6 buffer
     reason:
       typeof parsed.reason === "string" ? parsed.reason.slice(0, 270) : "",
+    // Drop hallucinated line numbers; dedupe + sort the rest.
+    ...(isMultiLine
+      ? {
+          covered_lines: [
+            ...new Set(
+              (Array.isArray(parsed.covered_lines) ? parsed.covered_lines : [])
+                .map(Number)
+                .filter((n) => lineNumbers.has(n)),
+            ),
+          ].sort((a, b) => a - b),
+        }
+      : {}),
     usage: {
       tokensIn: completion.usage?.prompt_tokens ?? 0,
       tokensOut: completion.usage?.completion_tokens ?? 0,
@@ -439,7 +502,8 @@ ${JSON.stringify(candidate, null, 2)}
  * Per-supplier failures are tolerated: if 23/25 succeed, returns 23 scored
  * suppliers and logs the 2 failures. Only throws if ALL fail.
  *
- * Returns { requestSummary, scores: [{ supplier_id, fit_score, reason }], usage }.
+ * Returns { requestSummary, scores: [{ supplier_id, fit_score, reason,
+ * covered_lines? }], usage }.
  * Throws on total failure — caller treats as ai_unavailable.
  */
 export async function scoreCandidatesBatch(buyerRequest, suppliers) {
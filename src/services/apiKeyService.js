@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import ApiKey from "../models/common/ApiKey.js";
+import User from "../models/common/User.js";
+
+/**
+ * Personal API keys — generation, lookup and usage tracking.
+ *
+ * Key format: `sai_<8 hex id>_<43 char base64url secret>`. The `sai_<id>`
+ * part is stored in clear as `prefix`; the whole key is stored only as a
+ * SHA-256 hash. Keys carry 256 bits of randomness, so a fast unsalted hash is
+ * sufficient here (unlike passwords, there is nothing to brute-force).
+ */
+
+const KEY_PREFIX = "sai_";
+const KEY_PATTERN = /^sai_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/;
+
+// Don't write lastUsedAt on every request — one write per key per minute is
+// plenty for the dashboard and keeps hot integrations off the primary.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+export const MAX_ACTIVE_KEYS_PER_USER = 10;
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create a new random key.
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+export const generateApiKey = () => {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString("hex")}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+};
+
+/**
+ * Pull an API key off the request, if the caller sent one. Accepted as
+ * `X-API-Key: <key>` or `Authorization: Bearer <key>`; a Bearer value that
+ * isn't shaped like an API key is left for JWT auth.
+ *
+ * @returns {string|null}
+ */
+export const getPresentedApiKey = (req) => {
+  const header = req.headers?.["x-api-key"];
+  if (typeof header === "string" && header.startsWith(KEY_PREFIX)) {
+    return header.trim();
+  }
+  const bearer = req.headers?.authorization?.replace("Bearer ", "");
+  if (typeof bearer === "string" && bearer.startsWith(KEY_PREFIX)) {
+    return bearer.trim();
+  }
+  return null;
+};
+
+/**
+ * Look up an active key and its owner, and record usage.
+ *
+ * @param {string} rawKey - Plaintext key from the request
+ * @param {string} [ip] - Caller IP, stored as lastUsedIp
+ * @returns {Promise<{ apiKey: Object, user: Object }|null>}
+ */
+export const resolveApiKey = async (rawKey, ip) => {
+  if (!KEY_PATTERN.test(rawKey || "")) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(rawKey) });
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const user = await User.findById(apiKey.user).select("-password");
+  if (!user) return null;
+
+  const now = Date.now();
+  if (
+    !apiKey.lastUsedAt ||
+    now - apiKey.lastUsedAt.getTime() > LAST_USED_WRITE_INTERVAL_MS
+  ) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(now), lastUsedIp: ip || null } }
+    ).catch((err) => console.error("Error recording API key usage:", err));
+  }
+
+  return { apiKey, user };
+};
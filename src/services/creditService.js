@@ -0,0 +1,35 @@
+import { convertAmount, getFxRates } from "./fxService.js";
+
+/**
+ * Match credits bought by extra_credit payments.
+ *
+ * Top-ups are charged in the buyer's currency, so the charged amount says
+ * nothing about the credit count on its own. Checkout records the count on
+ * the Payment (creditQuantity) and in the Stripe session metadata (quantity).
+ * Payments from before either was recorded were USD at $10 per credit.
+ */
+
+const LEGACY_CREDIT_PRICE_USD = 10;
+
+/**
+ * Number of credits `payment` bought.
+ *
+ * @param {Object} payment - Payment (extra_credit)
+ * @param {string|number} [metadataQuantity] - Stripe session metadata.quantity,
+ *   for payments saved without creditQuantity
+ * @returns {Promise<number>}
+ * @throws {FxRateMissingError} for a legacy non-USD payment without a rate
+ */
+export async function getPurchasedCredits(payment, metadataQuantity) {
+  if (payment.creditQuantity > 0) return payment.creditQuantity;
+
+  const fromMetadata = parseInt(metadataQuantity, 10);
+  if (fromMetadata > 0) return fromMetadata;
+
+  const currency = payment.currency || "usd";
+  const amountUsd =
+    currency.toUpperCase() === "USD"
+      ? payment.amount
+      : convertAmount(payment.amount, currency, "USD", await getFxRates());
+  return Math.floor(amountUsd / LEGACY_CREDIT_PRICE_USD);
+}
@@ -1,23 +1,21 @@
 import { Resend } from "resend";
 import dotenv from "dotenv";
+import {
+  FRONTEND_URL,
+  BRAND_NAME,
+  BRAND_PRIMARY,
+  EMAIL_LOGO_URL,
+  SUPPORT_EMAIL,
+} from "../config/brand.js";
 
 dotenv.config();
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
 const FROM_EMAIL = process.env.RESEND_FROM_EMAIL || "support@optiverifi.com";
-const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3002";
 const CUSTOMER_DASHBOARD_URL =
   process.env.CUSTOMER_DASHBOARD_URL || "http://localhost:3004";
 
-const BRAND_NAME = process.env.BRAND_NAME || "Optiverifi";
-const BRAND_TAGLINE =
-  process.env.BRAND_TAGLINE || "AI-powered supplier matching";
-const BRAND_PRIMARY = process.env.BRAND_PRIMARY_COLOR || "#2563eb"; // blue-600
-const BRAND_PRIMARY_DARK = process.env.BRAND_PRIMARY_DARK_COLOR || "#1d4ed8"; // blue-700
-const EMAIL_LOGO_URL = process.env.EMAIL_LOGO_URL || `${FRONTEND_URL}/logo.jpg`;
-const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@optiverifi.com";
-
 function renderTransactionalEmail({
   preheader = "",
   heading,
@@ -485,6 +483,326 @@ export const sendPasswordResetEmail = async ({ email, resetToken }) => {
   }
 };
 
+/**
+ * Send a passwordless sign-in link for the customer dashboard
+ */
+export const sendMagicLinkEmail = async ({ email, token }) => {
+  try {
+    const loginUrl = `${CUSTOMER_DASHBOARD_URL}/login/magic-link?token=${token}&email=${encodeURIComponent(
+      email,
+    )}`;
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `Your ${BRAND_NAME} sign-in link`,
+      html: renderTransactionalEmail({
+        preheader: "Click the button to sign in — no password needed.",
+        heading: "Sign in to your dashboard",
+        intro: `Click the button below to sign in to your ${BRAND_NAME} dashboard. You don't need a password.`,
+        ctaText: "Sign in",
+        ctaUrl: loginUrl,
+        securityNote: `This link expires in 15 minutes and works once. If you didn't ask for it, you can safely ignore this email.`,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ Sign-in link email sent to ${email}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending sign-in link email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Send organization (team account) invitation email
+ */
+export const sendOrganizationInvitationEmail = async ({
+  email,
+  organizationName,
+  inviterEmail,
+  role,
+  inviteToken,
+  organizationId,
+  invitationId,
+}) => {
+  try {
+    const acceptUrl = `${CUSTOMER_DASHBOARD_URL}/team/accept?org=${organizationId}&invite=${invitationId}&token=${inviteToken}&email=${encodeURIComponent(
+      email,
+    )}`;
+    const safeOrg = escapeHtml(organizationName);
+    const safeInviter = escapeHtml(inviterEmail);
+    const roleLabel = role === "viewer" ? "a viewer" : "a member";
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `You've been invited to join ${organizationName} on ${BRAND_NAME}`,
+      html: renderTransactionalEmail({
+        preheader: `${safeInviter} invited you to their ${BRAND_NAME} team.`,
+        heading: `Join ${safeOrg}`,
+        intro: `${safeInviter} has invited you to join <strong>${safeOrg}</strong> on ${BRAND_NAME} as ${roleLabel}. Team members share sourcing requests, match reports and a single credit balance.`,
+        ctaText: "Accept invitation",
+        ctaUrl: acceptUrl,
+        securityNote: `This invitation expires in 7 days. Sign in (or create an account) with ${escapeHtml(
+          email,
+        )} to accept it. If you weren't expecting this, you can ignore this email.`,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ Organization invitation email sent to ${email}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending organization invitation email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Send a supplier portal sign-in link. One link per supplier profile that
+ * lists this address (a contact can manage several).
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {Array<{ name: string, url: string }>} params.links
+ */
+export const sendSupplierClaimEmail = async ({ email, links }) => {
+  try {
+    const single = links.length === 1;
+    const bodyHtml = single
+      ? ""
+      : `<p style="margin:0 0 12px;">Choose the profile to manage:</p><ul style="margin:0 0 16px;padding-left:20px;">${links
+          .map(
+            (link) =>
+              `<li style="margin:0 0 6px;"><a href="${link.url}" style="color:${BRAND_PRIMARY};">${escapeHtml(
+                link.name
+              )}</a></li>`
+          )
+          .join("")}</ul>`;
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `Your ${BRAND_NAME} supplier portal sign-in link`,
+      html: renderTransactionalEmail({
+        preheader: `Sign in to update your supplier profile.`,
+        heading: "Manage your supplier profile",
+        intro: single
+          ? `Use the button below to sign in and update <strong>${escapeHtml(
+              links[0].name
+            )}</strong>'s capabilities, certifications, lead time and minimum order. Changes are reviewed by our team before they go live.`
+          : `Your address is listed on more than one supplier profile. Changes are reviewed by our team before they go live.`,
+        ctaText: single ? "Sign in" : undefined,
+        ctaUrl: single ? links[0].url : undefined,
+        bodyHtml,
+        securityNote: `This link expires in 30 minutes and works once. If you didn't ask for it, you can ignore this email.`,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ Supplier portal sign-in email sent to ${email}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending supplier claim email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Send a request for quotation to a supplier, with its private response link
+ */
+export const sendRfqInvitationEmail = async ({
+  email,
+  supplierName,
+  itemName,
+  quantity,
+  responseDeadline,
+  responseUrl,
+}) => {
+  try {
+    const safeItem = escapeHtml(itemName);
+    const deadline = new Date(responseDeadline).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `Request for quotation: ${itemName}`,
+      html: renderTransactionalEmail({
+        preheader: `Quote by ${deadline}.`,
+        heading: "Request for quotation",
+        intro: `Hi ${escapeHtml(
+          supplierName || "there"
+        )}, we're sourcing <strong>${safeItem}</strong>${
+          quantity ? ` (quantity: ${escapeHtml(quantity)})` : ""
+        } on behalf of a ${BRAND_NAME} customer and would like your quote. Use the button below to see the full specification and submit your price, lead time and minimum order.`,
+        ctaText: "View RFQ and quote",
+        ctaUrl: responseUrl,
+        securityNote: `Please respond by ${deadline}. This link is unique to your company; you can use it to revise your quote until then.`,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ RFQ invitation email sent to ${email}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending RFQ invitation email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Internal alert: a managed service is close to (at_risk) or past (breached)
+ * its urgency-tier SLA deadline. Sent to the assigned admin and the
+ * escalation address.
+ */
+export const sendSlaAlertEmail = async ({
+  to,
+  managedService,
+  state,
+  deadline,
+}) => {
+  try {
+    const breached = state === "breached";
+    const deadlineText = new Date(deadline).toLocaleString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZoneName: "short",
+    });
+    const safeItem = escapeHtml(managedService.itemName);
+    const adminUrl = process.env.ADMIN_DASHBOARD_URL
+      ? `${process.env.ADMIN_DASHBOARD_URL}/managed-services/${managedService._id}`
+      : undefined;
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to,
+      subject: breached
+        ? `SLA breached: ${managedService.itemName}`
+        : `SLA at risk: ${managedService.itemName}`,
+      html: renderTransactionalEmail({
+        preheader: breached
+          ? `Deadline passed ${deadlineText}.`
+          : `Due ${deadlineText}.`,
+        heading: breached
+          ? "Managed service SLA breached"
+          : "Managed service SLA at risk",
+        intro: `<strong>${safeItem}</strong> (${escapeHtml(
+          managedService.urgency
+        )} urgency, stage ${escapeHtml(managedService.stage)}) ${
+          breached ? "missed" : "is due by"
+        } its deadline of ${escapeHtml(deadlineText)}.`,
+        ctaText: adminUrl ? "Open request" : undefined,
+        ctaUrl: adminUrl,
+        securityNote: `Request ID: ${managedService._id}`,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(
+      `✅ SLA ${state} alert sent for managed service ${managedService._id}`
+    );
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending SLA alert email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the other side of a managed service thread about a new message.
+ * `recipient` is "customer" (link to the customer dashboard) or "admin".
+ */
+export const sendManagedServiceMessageEmail = async ({
+  to,
+  recipient,
+  managedService,
+  body,
+  attachmentCount = 0,
+}) => {
+  try {
+    const toCustomer = recipient === "customer";
+    const url = toCustomer
+      ? `${CUSTOMER_DASHBOARD_URL}/managed-services/${managedService._id}`
+      : process.env.ADMIN_DASHBOARD_URL
+        ? `${process.env.ADMIN_DASHBOARD_URL}/managed-services/${managedService._id}`
+        : undefined;
+    const safeItem = escapeHtml(managedService.itemName);
+    const preview = String(body || "").slice(0, 500);
+    const files =
+      attachmentCount > 0
+        ? `<p style="margin:0 0 16px;font-size:14px;color:#6b7280;">${attachmentCount} attachment${
+            attachmentCount === 1 ? "" : "s"
+          }</p>`
+        : "";
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to,
+      subject: toCustomer
+        ? `New message about your ${BRAND_NAME} request: ${managedService.itemName}`
+        : `Customer message: ${managedService.itemName}`,
+      html: renderTransactionalEmail({
+        preheader: preview.slice(0, 100),
+        heading: toCustomer ? "You have a new message" : "New customer message",
+        intro: toCustomer
+          ? `Our sourcing team sent you a message about <strong>${safeItem}</strong>.`
+          : `The customer (${escapeHtml(
+              managedService.email
+            )}) sent a message about <strong>${safeItem}</strong>.`,
+        bodyHtml: `${
+          preview
+            ? `<p style="margin:0 0 16px;padding:16px;background-color:#f9fafb;border-radius:8px;font-size:15px;line-height:1.6;color:#111827;white-space:pre-wrap;">${escapeHtml(
+                preview
+              )}${body.length > preview.length ? "…" : ""}</p>`
+            : ""
+        }${files}`,
+        ctaText: url ? "View conversation" : undefined,
+        ctaUrl: url,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ Managed service message email sent to ${to}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending managed service message email:", error);
+    throw error;
+  }
+};
+
 /**
  * Send managed service payment receipt email
  * For users who are already verified - shows payment details instead of verification
@@ -676,6 +994,115 @@ export const sendMatchPaymentReceiptEmail = async ({
   }
 };
 
+/**
+ * Send refund receipt email
+ * Sent whenever a refund (full or partial) is recorded against a payment,
+ * whether issued from the admin console or directly in Stripe
+ */
+export const sendRefundReceiptEmail = async ({
+  email,
+  transactionId,
+  refundId,
+  amountRefunded,
+  totalRefunded,
+  originalAmount,
+  currency = "usd",
+  refundedAt,
+  creditsReversed = 0,
+  reportRelocked = false,
+}) => {
+  const formatMoney = (value) =>
+    Number(value).toLocaleString("en-US", {
+      style: "currency",
+      currency: String(currency || "usd").toUpperCase(),
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  const formattedRefund = formatMoney(amountRefunded);
+  const isFullRefund = totalRefunded >= originalAmount;
+
+  const formattedDate = new Date(refundedAt || Date.now()).toLocaleDateString(
+    "en-US",
+    {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    }
+  );
+
+  const safeTransactionId = escapeHtml(transactionId);
+  const safeRefundId = escapeHtml(refundId);
+
+  const effects = [];
+  if (creditsReversed > 0) {
+    effects.push(
+      `${creditsReversed} match credit${creditsReversed > 1 ? "s have" : " has"} been removed from your balance.`
+    );
+  }
+  if (reportRelocked) {
+    effects.push("The match report purchased with this payment is locked again.");
+  }
+
+  try {
+    const detailRows = [
+      `<tr><td style="padding: 8px 0; font-size: 14px; color: #6b7280; width: 45%;">Transaction ID</td><td style="padding: 8px 0; font-size: 14px; color: #111827; font-family: monospace;">${safeTransactionId}</td></tr>`,
+      refundId
+        ? `<tr style="border-top: 1px solid #e5e7eb;"><td style="padding: 8px 0; font-size: 14px; color: #6b7280;">Refund reference</td><td style="padding: 8px 0; font-size: 14px; color: #111827; font-family: monospace;">${safeRefundId}</td></tr>`
+        : "",
+      `<tr style="border-top: 1px solid #e5e7eb;"><td style="padding: 8px 0; font-size: 14px; color: #6b7280;">Refund date</td><td style="padding: 8px 0; font-size: 14px; color: #111827;">${formattedDate}</td></tr>`,
+      `<tr style="border-top: 1px solid #e5e7eb;"><td style="padding: 8px 0; font-size: 14px; color: #6b7280;">Original amount</td><td style="padding: 8px 0; font-size: 14px; color: #111827;">${formatMoney(originalAmount)}</td></tr>`,
+      `<tr style="border-top: 1px solid #e5e7eb;"><td style="padding: 8px 0; font-size: 14px; color: #6b7280;">Total refunded to date</td><td style="padding: 8px 0; font-size: 14px; color: #111827;">${formatMoney(totalRefunded)}</td></tr>`,
+      `<tr style="border-top: 1px solid #e5e7eb;"><td style="padding: 8px 0; font-size: 14px; color: #6b7280;">Amount refunded</td><td style="padding: 8px 0; font-size: 16px; font-weight: 700; color: #111827;">${formattedRefund}</td></tr>`,
+    ]
+      .filter(Boolean)
+      .join("");
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `Refund receipt: ${formattedRefund} from ${BRAND_NAME}`,
+      html: renderTransactionalEmail({
+        preheader: `We've refunded ${formattedRefund} to your original payment method.`,
+        heading: isFullRefund ? "Refund issued" : "Partial refund issued",
+        intro: `We've refunded ${formattedRefund} to your original payment method. It can take 5–10 business days to appear on your statement.`,
+        bodyHtml: `
+          <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color:#f9fafb;border:1px solid #e5e7eb;border-radius:8px;margin: 24px 0;">
+            <tr>
+              <td style="padding: 20px 24px;">
+                <p style="margin: 0 0 12px 0; font-size: 13px; font-weight: 600; color: #111827; text-transform: uppercase; letter-spacing: 0.05em;">Refund details</p>
+                <table style="width:100%;border-collapse:collapse;">
+                  ${detailRows}
+                </table>
+              </td>
+            </tr>
+          </table>
+          ${
+            effects.length
+              ? `<p style="margin: 16px 0 0 0; font-size: 14px; color: #374151; line-height: 1.5;">${effects.join(" ")}</p>`
+              : ""
+          }
+          <p style="margin: 16px 0 0 0; font-size: 13px; color: #6b7280; line-height: 1.5;">
+            Please keep this email for your records.
+          </p>
+        `,
+      }),
+    });
+
+    if (error) {
+      console.error("Resend error:", error);
+      throw error;
+    }
+
+    console.log(`✅ Refund receipt email sent to ${email}`);
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error sending refund receipt email:", error);
+    throw error;
+  }
+};
+
 /**
  * Internal notification to sourcing@optiverifi.com when a managed service payment is received
  */
@@ -854,8 +1281,20 @@ export const sendInternalMatchNotification = async (
   // in case the schema ever loosens.
   const safeUnitPrice =
     buyerRequest.unitPrice != null
-      ? `$${escapeHtml(buyerRequest.unitPrice)}`
+      ? !buyerRequest.currency || buyerRequest.currency === "USD"
+        ? `$${escapeHtml(buyerRequest.unitPrice)}`
+        : `${escapeHtml(buyerRequest.currency)} ${escapeHtml(buyerRequest.unitPrice)}`
       : null;
+  // Multi-line requests: one row per line, numbered
+  const safeLineItems = buyerRequest.lineItems?.length
+    ? buyerRequest.lineItems
+        .map(
+          (line) =>
+            `${line.lineNumber}. ${escapeHtml(line.name)}` +
+            (line.quantity ? ` (${escapeHtml(line.quantity)})` : "")
+        )
+        .join("<br>")
+    : null;
 
   try {
     const { data, error } = await resend.emails.send({
@@ -905,6 +1344,7 @@ export const sendInternalMatchNotification = async (
                   ${row("Category", brCategoryDisplay)}
                   ${row("Quantity", safeBR.quantity)}
                   ${row("Unit price", safeUnitPrice)}
+                  ${row("Line items", safeLineItems)}
                   ${row("Timeline / deadline", safeBR.timeline)}
                   ${row("Delivery location", safeBR.location)}
                   ${row("Requirements", safeBR.requirements)}
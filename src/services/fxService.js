@@ -0,0 +1,227 @@
+import FxRate from "../models/admin/FxRate.js";
+import SystemSettings from "../models/admin/SystemSettings.js";
+
+/**
+ * Currency conversion for buyer budgets, supplier quotes and fees.
+ *
+ * Rates live in the FxRate collection, one document per currency, quoted as
+ * units of that currency per 1 USD. Any pair converts through USD. Admins
+ * maintain the table from the console (PUT /api/admin/fx-rates/:currency) or
+ * import it from a file (POST /api/admin/fx-rates/import, or
+ * `npm run import-fx-rates -- <file>`).
+ *
+ * Amounts are stored in major units (dollars, euros) throughout the app.
+ * toMinorUnits / fromMinorUnits translate for Stripe, which counts cents
+ * except for zero-decimal currencies such as JPY.
+ */
+
+export const FX_PIVOT_CURRENCY = "USD";
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+]);
+
+// Rates change rarely (admin edits / imports); a short cache keeps checkout
+// and quote math off the database. Writes through this module invalidate it.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+export class FxRateMissingError extends Error {
+  constructor(currency) {
+    super(`No exchange rate configured for ${currency}`);
+    this.name = "FxRateMissingError";
+    this.currency = currency;
+  }
+}
+
+/**
+ * "eur " → "EUR". Returns null for anything that isn't a 3-letter code.
+ */
+export function normalizeCurrency(code) {
+  if (typeof code !== "string") return null;
+  const upper = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(upper) ? upper : null;
+}
+
+export const currencyDecimals = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.has(normalizeCurrency(currency)) ? 0 : 2;
+
+export function roundMoney(amount, currency) {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(Number(amount) * factor) / factor;
+}
+
+export const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** currencyDecimals(currency));
+
+export const fromMinorUnits = (minor, currency) =>
+  Number(minor) / 10 ** currencyDecimals(currency);
+
+// Stripe wants lower-case ISO codes
+export const toStripeCurrency = (currency) =>
+  (normalizeCurrency(currency) || FX_PIVOT_CURRENCY).toLowerCase();
+
+export function invalidateFxRates() {
+  cache = null;
+}
+
+/**
+ * { USD: 1, EUR: 0.92, ... } — units per 1 USD.
+ */
+export async function getFxRates() {
+  if (cache && cache.expiresAt > Date.now()) return cache.rates;
+  const docs = await FxRate.find().select("currency rate").lean();
+  const rates = { [FX_PIVOT_CURRENCY]: 1 };
+  for (const doc of docs) rates[doc.currency] = doc.rate;
+  cache = { rates, expiresAt: Date.now() + CACHE_TTL_MS };
+  return rates;
+}
+
+/**
+ * The platform's price-list currency (SystemSettings.currency). Grade prices,
+ * urgency fees and credit prices are all in this currency.
+ */
+export async function getBaseCurrency() {
+  const settings = await SystemSettings.findOne({ key: "pricing_config" })
+    .select("currency")
+    .lean();
+  return normalizeCurrency(settings?.currency) || FX_PIVOT_CURRENCY;
+}
+
+export const isSupportedCurrency = (currency, rates) =>
+  rates[normalizeCurrency(currency)] > 0;
+
+/**
+ * Multiplier that turns an amount in `from` into `to`.
+ *
+ * @throws {FxRateMissingError}
+ */
+export function getRate(from, to, rates) {
+  const fromCode = normalizeCurrency(from) || FX_PIVOT_CURRENCY;
+  const toCode = normalizeCurrency(to) || FX_PIVOT_CURRENCY;
+  if (fromCode === toCode) return 1;
+  if (!(rates[fromCode] > 0)) throw new FxRateMissingError(fromCode);
+  if (!(rates[toCode] > 0)) throw new FxRateMissingError(toCode);
+  return rates[toCode] / rates[fromCode];
+}
+
+/**
+ * Convert and round to the target currency's minor unit.
+ *
+ * @throws {FxRateMissingError}
+ */
+export function convertAmount(amount, from, to, rates) {
+  return roundMoney(Number(amount) * getRate(from, to, rates), to);
+}
+
+/**
+ * Record of a conversion, stored next to amounts that were converted so the
+ * figure can be explained after the rate table moves on.
+ */
+export const fxSnapshot = (from, to, rates) => ({
+  from: normalizeCurrency(from) || FX_PIVOT_CURRENCY,
+  to: normalizeCurrency(to) || FX_PIVOT_CURRENCY,
+  rate: getRate(from, to, rates),
+  at: new Date(),
+});
+
+/**
+ * Parse an FX rate file.
+ *
+ *   CSV:  currency,rate            (rates per 1 USD; header row optional)
+ *         EUR,0.92
+ *   JSON: { "base": "EUR", "asOf": "2026-10-01", "rates": { "USD": 1.09, ... } }
+ *         or a bare { "EUR": 0.92, ... } map (per 1 USD)
+ *
+ * A JSON file with a non-USD base must include a USD rate; everything is
+ * rebased to USD.
+ *
+ * @returns {{ rates?: Object, asOf?: Date, error?: string }}
+ */
+export function parseFxRatesFile(content, fileName = "") {
+  const text = String(content || "").replace(/^\uFEFF/, "").trim();
+  if (!text) return { error: "File is empty" };
+
+  let base = FX_PIVOT_CURRENCY;
+  let asOf;
+  let entries;
+
+  const looksJson = fileName.toLowerCase().endsWith(".json") || /^[{[]/.test(text);
+  if (looksJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { error: "File is not valid JSON" };
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { error: "JSON must be an object of currency → rate" };
+    }
+    const ratesObj = parsed.rates && typeof parsed.rates === "object" ? parsed.rates : parsed;
+    if (parsed.rates) {
+      base = normalizeCurrency(parsed.base) || FX_PIVOT_CURRENCY;
+      asOf = parsed.asOf || parsed.date;
+    }
+    entries = Object.entries(ratesObj);
+  } else {
+    entries = text
+      .split(/\r?\n/)
+      .map((line) => line.split(",").map((cell) => cell.trim()))
+      .filter((cells) => cells[0] && !/^currency$/i.test(cells[0]));
+  }
+
+  const rates = {};
+  for (const [code, value] of entries) {
+    const currency = normalizeCurrency(code);
+    const rate = Number(value);
+    if (!currency) return { error: `Invalid currency code "${code}"` };
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return { error: `Invalid rate for ${currency}` };
+    }
+    rates[currency] = rate;
+  }
+
+  if (base !== FX_PIVOT_CURRENCY) {
+    const usdRate = rates[FX_PIVOT_CURRENCY];
+    if (!usdRate) {
+      return { error: `Files based on ${base} must include a USD rate` };
+    }
+    rates[base] = 1;
+    for (const currency of Object.keys(rates)) {
+      rates[currency] = rates[currency] / usdRate;
+    }
+  }
+  delete rates[FX_PIVOT_CURRENCY];
+
+  if (Object.keys(rates).length === 0) return { error: "File contains no rates" };
+
+  let asOfDate;
+  if (asOf) {
+    asOfDate = new Date(asOf);
+    if (isNaN(asOfDate.getTime())) return { error: "asOf must be a valid date" };
+  }
+  return { rates, asOf: asOfDate };
+}
+
+/**
+ * Upsert rates ({ EUR: 0.92, ... }, per 1 USD) and drop the cache.
+ *
+ * @returns {Promise<number>} Number of currencies written
+ */
+export async function saveFxRates(rates, { source = "manual", updatedBy, asOf } = {}) {
+  const now = asOf || new Date();
+  const ops = Object.entries(rates).map(([currency, rate]) => ({
+    updateOne: {
+      filter: { currency },
+      update: {
+        $set: { rate, asOf: now, source, ...(updatedBy ? { updatedBy } : {}) },
+      },
+      upsert: true,
+    },
+  }));
+  if (ops.length) await FxRate.bulkWrite(ops);
+  invalidateFxRates();
+  return ops.length;
+}
@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import os from "os";
+import Job from "../models/common/Job.js";
+
+/**
+ * Mongo-backed job queue.
+ *
+ * Producers call `enqueueJob(type, payload, opts)`; handlers are registered
+ * per type with `registerJobHandler` (see jobs/index.js) and run by
+ * `startJobWorker()` in every process that should do background work — the
+ * API server by default (JOB_WORKER_ENABLED) and/or dedicated `npm run
+ * worker` processes.
+ *
+ * Guarantees: at-least-once execution. A job is claimed atomically with a
+ * lease; the worker renews the lease while the handler runs, and a job whose
+ * lease lapses (worker crashed or was redeployed) is reclaimed by another
+ * worker. Handlers must therefore be idempotent.
+ */
+
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || "120000", 10);
+const POLL_INTERVAL_MS = parseInt(
+  process.env.JOB_POLL_INTERVAL_MS || "2000",
+  10
+);
+const CONCURRENCY = Math.max(
+  parseInt(process.env.JOB_WORKER_CONCURRENCY || "2", 10) || 1,
+  1
+);
+// Retry backoff: 15s, 30s, 1m, 2m, ... capped at 15 min.
+const BACKOFF_BASE_MS = 15 * 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+const handlers = new Map();
+
+/**
+ * Throw from a handler when retrying cannot help (bad input, hard cost cap).
+ * The job goes straight to "failed"; `result` is stored for pollers.
+ */
+export class PermanentJobError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = "PermanentJobError";
+    this.result = result;
+  }
+}
+
+/**
+ * Register the function that runs jobs of `type`.
+ * @param {string} type - One of JOB_TYPES
+ * @param {(job: Object) => Promise<any>} handler - Return value becomes job.result
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job. With `dedupeKey`, returns the existing live (queued/running)
+ * job for that key instead of creating a duplicate.
+ *
+ * @param {string} type
+ * @param {Object} payload
+ * @param {Object} [opts] - { dedupeKey, maxAttempts, delayMs, requestedBy,
+ *   requestId, matchReportId }
+ * @returns {Promise<Object>} Job doc
+ */
+export const enqueueJob = async (type, payload = {}, opts = {}) => {
+  const {
+    dedupeKey,
+    maxAttempts,
+    delayMs = 0,
+    requestedBy,
+    requestId,
+    matchReportId,
+  } = opts;
+
+  if (dedupeKey) {
+    const existing = await Job.findOne({ activeKey: dedupeKey });
+    if (existing) return existing;
+  }
+
+  try {
+    return await Job.create({
+      type,
+      payload,
+      dedupeKey,
+      activeKey: dedupeKey,
+      maxAttempts,
+      runAt: new Date(Date.now() + delayMs),
+      requestedBy: requestedBy || null,
+      requestId,
+      matchReportId,
+    });
+  } catch (error) {
+    // Lost a race with another instance enqueueing the same key.
+    if (error.code === 11000 && dedupeKey) {
+      const existing = await Job.findOne({ activeKey: dedupeKey });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Poll until the job reaches a terminal state or `timeoutMs` passes.
+ * For the few callers that genuinely need the result inline (PDF export).
+ *
+ * @returns {Promise<Object|null>} Latest job doc
+ */
+export const waitForJob = async (jobId, { timeoutMs = 30000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  let job = await Job.findById(jobId);
+  while (job && ["queued", "running"].includes(job.status)) {
+    if (Date.now() >= deadline) break;
+    await new Promise((r) => setTimeout(r, 500));
+    job = await Job.findById(jobId);
+  }
+  return job;
+};
+
+/**
+ * Put a dead or failed job back on the queue with a fresh attempt budget.
+ * @returns {Promise<Object|null>} The requeued job, or null if not requeueable
+ */
+export const requeueJob = async (jobId) => {
+  const job = await Job.findOne({
+    _id: jobId,
+    status: { $in: ["dead", "failed"] },
+  });
+  if (!job) return null;
+  if (job.dedupeKey) {
+    const live = await Job.findOne({ activeKey: job.dedupeKey });
+    if (live) return live;
+  }
+  job.status = "queued";
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.lockedBy = null;
+  job.lockedUntil = null;
+  job.finishedAt = undefined;
+  if (job.dedupeKey) job.activeKey = job.dedupeKey;
+  await job.save();
+  return job;
+};
+
+// ========== Worker ==========
+
+const LEASE_EXPIRED_MESSAGE = "Lease expired (worker crashed or stalled)";
+
+/**
+ * Dead-letter running jobs whose lease lapsed on their last attempt. Each
+ * claim counts as an attempt, so these crashed their worker maxAttempts
+ * times; reclaiming them again would retry forever.
+ */
+const retireExhaustedJobs = async (now) => {
+  for (;;) {
+    const job = await Job.findOne({
+      type: { $in: [...handlers.keys()] },
+      status: "running",
+      lockedUntil: { $lt: now },
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    }).select("_id type attempts");
+    if (!job) return;
+
+    const retired = await Job.updateOne(
+      { _id: job._id, status: "running", lockedUntil: { $lt: now } },
+      {
+        $set: {
+          status: "dead",
+          lastError: LEASE_EXPIRED_MESSAGE,
+          finishedAt: now,
+          lockedBy: null,
+          lockedUntil: null,
+        },
+        $unset: { activeKey: "" },
+        $push: {
+          errorLog: {
+            attempt: job.attempts,
+            message: LEASE_EXPIRED_MESSAGE,
+            at: now,
+          },
+        },
+      }
+    );
+    if (retired.modifiedCount > 0) {
+      console.error(
+        `[jobs] ${job.type} ${job._id} dead after attempt ${job.attempts}: ${LEASE_EXPIRED_MESSAGE}`
+      );
+    }
+  }
+};
+
+/**
+ * Atomically claim the next runnable job: a queued job that is due, or a
+ * running job whose lease has expired and that has attempts left.
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  await retireExhaustedJobs(now);
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedUntil: { $lt: now },
+          $expr: { $lt: ["$attempts", "$maxAttempts"] },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const backoffMs = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+/**
+ * Run one claimed job and record the outcome. Updates are conditioned on
+ * still holding the lease so a worker that stalled past its lease can't
+ * overwrite the result of the worker that reclaimed the job.
+ */
+const runJob = async (job) => {
+  const owned = { _id: job._id, lockedBy: WORKER_ID };
+  const heartbeat = setInterval(() => {
+    Job.updateOne(owned, {
+      $set: { lockedUntil: new Date(Date.now() + LEASE_MS) },
+    }).catch((err) =>
+      console.error(`Error renewing job lease ${job._id}:`, err)
+    );
+  }, Math.floor(LEASE_MS / 3));
+  heartbeat.unref();
+
+  try {
+    const result = await handlers.get(job.type)(job);
+    await Job.updateOne(owned, {
+      $set: {
+        status: "succeeded",
+        result: result ?? null,
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+      $unset: { activeKey: "" },
+    });
+  } catch (error) {
+    const message = error?.message || String(error);
+    const permanent = error instanceof PermanentJobError;
+    const exhausted = job.attempts >= job.maxAttempts;
+    const logEntry = { attempt: job.attempts, message, at: new Date() };
+
+    if (permanent || exhausted) {
+      console.error(
+        `[jobs] ${job.type} ${job._id} ${permanent ? "failed" : "dead"} after attempt ${job.attempts}: ${message}`
+      );
+      await Job.updateOne(owned, {
+        $set: {
+          status: permanent ? "failed" : "dead",
+          lastError: message,
+          result: error?.result ?? null,
+          finishedAt: new Date(),
+          lockedBy: null,
+          lockedUntil: null,
+        },
+        $unset: { activeKey: "" },
+        $push: { errorLog: logEntry },
+      });
+    } else {
+      console.warn(
+        `[jobs] ${job.type} ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed, retrying: ${message}`
+      );
+      await Job.updateOne(owned, {
+        $set: {
+          status: "queued",
+          lastError: message,
+          runAt: new Date(Date.now() + backoffMs(job.attempts)),
+          lockedBy: null,
+          lockedUntil: null,
+        },
+        $push: { errorLog: logEntry },
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+let started = false;
+
+/**
+ * Start CONCURRENCY polling loops in this process. Safe to call once per
+ * process; later calls are ignored.
+ */
+export const startJobWorker = () => {
+  if (started) return;
+  if (handlers.size === 0) {
+    console.warn("[jobs] No job handlers registered; worker not started");
+    return;
+  }
+  started = true;
+
+  const loop = async () => {
+    let job = null;
+    try {
+      job = await claimNextJob();
+      if (job) await runJob(job);
+    } catch (error) {
+      console.error("[jobs] Worker loop error:", error);
+    }
+    // Drain back-to-back while there's work; otherwise wait a poll interval.
+    setTimeout(loop, job ? 0 : POLL_INTERVAL_MS);
+  };
+
+  for (let i = 0; i < CONCURRENCY; i++) loop();
+  console.log(
+    `[jobs] Worker ${WORKER_ID} started (concurrency ${CONCURRENCY}, types: ${[
+      ...handlers.keys(),
+    ].join(", ")})`
+  );
+};
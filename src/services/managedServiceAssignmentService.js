@@ -0,0 +1,298 @@
+import mongoose from "mongoose";
+import ManagedService from "../models/customer/ManagedService.js";
+import SystemSettings from "../models/admin/SystemSettings.js";
+import Admin from "../models/admin/Admin.js";
+
+/**
+ * Admin assignment for managed services.
+ *
+ * When the service fee is paid the request is auto-assigned according to
+ * SystemSettings.assignmentStrategy:
+ *   least_loaded — the eligible admin with the fewest open requests (ties go
+ *                  to whoever was assigned least recently)
+ *   round_robin  — the next eligible admin after the last one picked
+ *   off          — left unassigned for someone to claim
+ * Eligible admins are active with acceptsAssignments on. Manual assignment
+ * and reassignment go through assignManagedService; every change is
+ * appended to assignmentHistory.
+ */
+
+export const ASSIGNMENT_STRATEGIES = ["least_loaded", "round_robin", "off"];
+export const OPEN_STATUSES = ["in_progress", "action_required"];
+export const MAX_ASSIGNMENT_REASON_LENGTH = 500;
+const BACKFILL_BATCH_SIZE = 200;
+
+const eligibleAdmins = () =>
+  Admin.find({ isActive: true, acceptsAssignments: { $ne: false } })
+    .sort({ _id: 1 })
+    .select("_id email");
+
+async function pickLeastLoaded(admins) {
+  const rows = await ManagedService.aggregate([
+    {
+      $match: {
+        assignedAdmin: { $in: admins.map((a) => a._id) },
+        status: { $in: OPEN_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: "$assignedAdmin",
+        open: { $sum: 1 },
+        lastAssignedAt: { $max: "$assignedAt" },
+      },
+    },
+  ]);
+  const load = new Map(rows.map((row) => [String(row._id), row]));
+  const openOf = (a) => load.get(String(a._id))?.open || 0;
+  const lastOf = (a) => load.get(String(a._id))?.lastAssignedAt?.getTime() || 0;
+
+  return admins.reduce((best, admin) =>
+    openOf(admin) < openOf(best) ||
+    (openOf(admin) === openOf(best) && lastOf(admin) < lastOf(best))
+      ? admin
+      : best
+  );
+}
+
+function pickRoundRobin(admins, lastAdminId) {
+  const last = admins.findIndex((a) => String(a._id) === String(lastAdminId));
+  return admins[(last + 1) % admins.length];
+}
+
+/**
+ * Auto-assign an unassigned, paid, open request. No-op when the strategy
+ * is off, nobody is eligible, or the request already has an admin.
+ * @returns {Promise<Object|null>} the updated request
+ */
+export async function autoAssignManagedService(id) {
+  const settings = await SystemSettings.findOne({ key: "pricing_config" })
+    .select("assignmentStrategy lastAutoAssignedAdmin")
+    .lean();
+  const strategy = settings?.assignmentStrategy || "least_loaded";
+  if (strategy === "off") return null;
+
+  const admins = await eligibleAdmins();
+  if (admins.length === 0) return null;
+  const admin =
+    strategy === "round_robin"
+      ? pickRoundRobin(admins, settings?.lastAutoAssignedAdmin)
+      : await pickLeastLoaded(admins);
+
+  const at = new Date();
+  const request = await ManagedService.findOneAndUpdate(
+    {
+      _id: id,
+      assignedAdmin: null,
+      serviceFeeStatus: "paid",
+      status: { $in: OPEN_STATUSES },
+    },
+    {
+      $set: { assignedAdmin: admin._id, assignedAt: at },
+      $push: { assignmentHistory: { admin: admin._id, source: "auto", at } },
+    },
+    { new: true }
+  );
+  if (request && strategy === "round_robin") {
+    await SystemSettings.updateOne(
+      { key: "pricing_config" },
+      { $set: { lastAutoAssignedAdmin: admin._id } }
+    );
+  }
+  return request;
+}
+
+/**
+ * Fire-and-forget auto-assignment for the payment flows; never fails them.
+ */
+export const scheduleAutoAssignment = (id) => {
+  autoAssignManagedService(id).catch((error) => {
+    console.error(`Error auto-assigning managed service ${id}:`, error);
+  });
+};
+
+/**
+ * Auto-assign every open, paid request that has no admin (e.g. after
+ * switching the strategy on).
+ * @returns {Promise<number>} requests assigned
+ */
+export async function autoAssignUnassigned() {
+  const pending = await ManagedService.find({
+    assignedAdmin: null,
+    serviceFeeStatus: "paid",
+    status: { $in: OPEN_STATUSES },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BACKFILL_BATCH_SIZE)
+    .select("_id");
+
+  let assigned = 0;
+  for (const { _id } of pending) {
+    if (await autoAssignManagedService(_id)) assigned += 1;
+  }
+  return assigned;
+}
+
+/**
+ * Assign, reassign or (adminId null) unassign a request. Taking a request
+ * off another admin needs a reason. Conditional on the assignee read, so a
+ * concurrent change is reported rather than overwritten. Permissions are
+ * the caller's job.
+ *
+ * @param {Object} ms - ManagedService document
+ * @param {string|null} adminId
+ * @param {Object} meta - { assignedBy, reason? }
+ * @returns {Promise<{ request?: Object, error?: string, status?: number }>}
+ */
+export async function assignManagedService(ms, adminId, { assignedBy, reason }) {
+  const previous = ms.assignedAdmin || null;
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+  if (trimmedReason.length > MAX_ASSIGNMENT_REASON_LENGTH) {
+    return {
+      status: 400,
+      error: `reason must be ${MAX_ASSIGNMENT_REASON_LENGTH} characters or less`,
+    };
+  }
+
+  let admin = null;
+  if (adminId) {
+    if (!mongoose.isValidObjectId(adminId)) {
+      return { status: 400, error: "Invalid adminId" };
+    }
+    admin = await Admin.findOne({ _id: adminId, isActive: true }).select(
+      "_id email"
+    );
+    if (!admin) return { status: 400, error: "Admin not found or inactive" };
+  }
+  if (String(previous) === String(admin?._id ?? null)) {
+    return { status: 400, error: "Request already has this assignee" };
+  }
+  if (previous && !trimmedReason) {
+    return {
+      status: 400,
+      error: "A reason is required to reassign or unassign a request",
+    };
+  }
+
+  const at = new Date();
+  const request = await ManagedService.findOneAndUpdate(
+    { _id: ms._id, assignedAdmin: previous },
+    {
+      ...(admin
+        ? { $set: { assignedAdmin: admin._id, assignedAt: at } }
+        : { $unset: { assignedAdmin: 1, assignedAt: 1 } }),
+      $push: {
+        assignmentHistory: {
+          admin: admin?._id,
+          previousAdmin: previous || undefined,
+          source: "manual",
+          assignedBy,
+          reason: trimmedReason || undefined,
+          at,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!request) {
+    return {
+      status: 409,
+      error: "The request was reassigned in the meantime; reload and retry",
+    };
+  }
+  return { request };
+}
+
+/**
+ * Open workload per active admin, plus the unassigned backlog.
+ * @returns {Promise<{ admins: Object[], unassigned: number }>}
+ */
+export async function getAdminWorkloads() {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const [admins, rows, unassigned] = await Promise.all([
+    Admin.find({ isActive: true })
+      .sort({ email: 1 })
+      .select("email role acceptsAssignments")
+      .lean(),
+    ManagedService.aggregate([
+      { $match: { assignedAdmin: { $ne: null } } },
+      {
+        $group: {
+          _id: "$assignedAdmin",
+          open: {
+            $sum: { $cond: [{ $in: ["$status", OPEN_STATUSES] }, 1, 0] },
+          },
+          actionRequired: {
+            $sum: { $cond: [{ $eq: ["$status", "action_required"] }, 1, 0] },
+          },
+          atRisk: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "in_progress"] },
+                    { $eq: ["$sla.state", "at_risk"] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          breached: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $in: ["$status", OPEN_STATUSES] },
+                    { $eq: ["$sla.state", "breached"] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          completedLast30Days: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "completed"] },
+                    { $gte: ["$updatedAt", since] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]),
+    ManagedService.countDocuments({
+      assignedAdmin: null,
+      serviceFeeStatus: "paid",
+      status: { $in: OPEN_STATUSES },
+    }),
+  ]);
+
+  const byAdmin = new Map(rows.map((row) => [String(row._id), row]));
+  return {
+    admins: admins.map((admin) => {
+      const { _id, ...counts } = byAdmin.get(String(admin._id)) || {};
+      return {
+        adminId: admin._id,
+        email: admin.email,
+        role: admin.role,
+        acceptsAssignments: admin.acceptsAssignments !== false,
+        open: counts.open || 0,
+        actionRequired: counts.actionRequired || 0,
+        atRisk: counts.atRisk || 0,
+        breached: counts.breached || 0,
+        completedLast30Days: counts.completedLast30Days || 0,
+      };
+    }),
+    unassigned,
+  };
+}
@@ -0,0 +1,189 @@
+import ManagedServiceMessage from "../models/customer/ManagedServiceMessage.js";
+import Upload from "../models/common/Upload.js";
+import Admin from "../models/admin/Admin.js";
+import { filenameFromUrl, linkUploads } from "../utils/uploadUtils.js";
+import { sendManagedServiceMessageEmail } from "./emailService.js";
+
+/**
+ * Customer ↔ admin message threads on managed services.
+ *
+ * Customers post on requests they own (userOwnsManagedService); teammates
+ * can read. Admins post only on requests assigned to them (or unassigned
+ * ones); super admins can always post. Each message emails the other side:
+ * the customer on the request, or the assigned admin (the sourcing inbox
+ * when nobody is assigned).
+ */
+
+export const MAX_MESSAGE_LENGTH = 5000;
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+export const THREAD_PAGE_SIZE = 100;
+
+const sourcingTeamEmail = () =>
+  process.env.SOURCING_TEAM_EMAIL || "sourcing@optiverifi.com";
+
+/**
+ * May this admin post on the request?
+ */
+export const adminCanMessage = (admin, ms) =>
+  admin?.role === "superAdmin" ||
+  !ms.assignedAdmin ||
+  String(ms.assignedAdmin) === String(admin._id);
+
+/**
+ * The latest THREAD_PAGE_SIZE messages (oldest first), plus how many of
+ * the other side's messages `viewerType` ("User" | "Admin") hasn't read.
+ */
+export async function getThread(managedServiceId, viewerType) {
+  const [latest, unread] = await Promise.all([
+    ManagedServiceMessage.find({ managedService: managedServiceId })
+      .sort({ createdAt: -1 })
+      .limit(THREAD_PAGE_SIZE)
+      .lean(),
+    ManagedServiceMessage.countDocuments({
+      managedService: managedServiceId,
+      senderType: { $ne: viewerType },
+      readAt: { $exists: false },
+    }),
+  ]);
+  return { messages: latest.reverse(), unread };
+}
+
+/**
+ * Mark the other side's messages as read by `viewerType`.
+ * @returns {Promise<number>} messages newly marked
+ */
+export async function markThreadRead(managedServiceId, viewerType) {
+  const result = await ManagedServiceMessage.updateMany(
+    {
+      managedService: managedServiceId,
+      senderType: { $ne: viewerType },
+      readAt: { $exists: false },
+    },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Validate attachments: `/api/files/` uploads made by the sender that are
+ * unlinked or already linked to this request.
+ * @returns {Promise<{ value?: Object[], error?: string }>}
+ */
+async function parseAttachments(raw, ms, senderId) {
+  if (raw === undefined || raw === null) return { value: [] };
+  if (!Array.isArray(raw) || raw.length > MAX_MESSAGE_ATTACHMENTS) {
+    return {
+      error: `attachments must be a list of at most ${MAX_MESSAGE_ATTACHMENTS} files`,
+    };
+  }
+
+  const value = [];
+  for (const item of raw) {
+    const filename = filenameFromUrl(item?.url);
+    if (!filename) {
+      return { error: "Each attachment needs an /api/files/ url" };
+    }
+    const text = (v, max) =>
+      typeof v === "string" ? v.slice(0, max) : undefined;
+    value.push({
+      name: text(item.name, 200),
+      fileName: text(item.fileName, 255),
+      type: text(item.type, 100),
+      url: `/api/files/${filename}`,
+      filename,
+    });
+  }
+
+  const owned = await Upload.countDocuments({
+    filename: { $in: value.map((a) => a.filename) },
+    owner: senderId,
+    $or: [
+      { relatedId: { $exists: false } },
+      { relatedType: "ManagedService", relatedId: ms._id },
+    ],
+  });
+  if (owned !== new Set(value.map((a) => a.filename)).size) {
+    return { error: "Attachment not found" };
+  }
+  return { value: value.map(({ filename, ...a }) => a) };
+}
+
+async function notifyRecipient(ms, message) {
+  let to;
+  let recipient;
+  if (message.senderType === "Admin") {
+    to = ms.email;
+    recipient = "customer";
+  } else {
+    const admin = ms.assignedAdmin
+      ? await Admin.findOne({ _id: ms.assignedAdmin, isActive: true }).select(
+          "email"
+        )
+      : null;
+    to = admin?.email || sourcingTeamEmail();
+    recipient = "admin";
+  }
+  if (!to) return;
+
+  await sendManagedServiceMessageEmail({
+    to,
+    recipient,
+    managedService: ms,
+    body: message.body,
+    attachmentCount: message.attachments.length,
+  });
+}
+
+/**
+ * Post a message. Access checks are the caller's job.
+ *
+ * @param {Object} ms - ManagedService document
+ * @param {Object} sender - { type: "User"|"Admin", id, email }
+ * @param {Object} input - { body, attachments }
+ * @returns {Promise<{ message?: Object, error?: string }>}
+ */
+export async function postMessage(ms, sender, { body, attachments }) {
+  if (body !== undefined && body !== null && typeof body !== "string") {
+    return { error: "body must be a string" };
+  }
+  const text = (body || "").trim();
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return {
+      error: `Message must be ${MAX_MESSAGE_LENGTH} characters or less`,
+    };
+  }
+
+  const parsed = await parseAttachments(attachments, ms, sender.id);
+  if (parsed.error) return { error: parsed.error };
+  if (!text && parsed.value.length === 0) {
+    return { error: "Message needs text or an attachment" };
+  }
+
+  const message = await ManagedServiceMessage.create({
+    managedService: ms._id,
+    senderType: sender.type,
+    sender: sender.id,
+    senderEmail: sender.email,
+    body: text || undefined,
+    attachments: parsed.value,
+  });
+
+  // C-6 follow-up: link the files so the other side passes /api/files
+  await linkUploads(
+    parsed.value.map((a) => a.url),
+    {
+      relatedType: "ManagedService",
+      relatedId: ms._id,
+      context: "message_attachment",
+      owner: sender.id,
+    }
+  );
+
+  try {
+    await notifyRecipient(ms, message);
+  } catch (error) {
+    // Logged in emailService; the message is saved either way
+  }
+
+  return { message };
+}
@@ -0,0 +1,174 @@
+import ManagedService from "../models/customer/ManagedService.js";
+import { emitWebhookEvent } from "./webhookService.js";
+
+/**
+ * Managed service workflow — which stage may follow which, the payment
+ * guards, and the stageHistory every transition appends to.
+ *
+ * The workflow runs forward one step at a time. The RFQ flow may skip a step
+ * (sending the RFQ from `review`, a quote arriving during `rfq_prep`), and
+ * admins may step back once to correct a mistake. Guards:
+ *   - nothing past `payment_pending` until the service fee is paid
+ *   - no `final_report` until the savings fee is paid or waived (or there
+ *     is no savings fee)
+ * Status follows the stage (statusForStage).
+ */
+
+export const STAGE_TRANSITIONS = {
+  payment_pending: ["review"],
+  review: ["rfq_prep", "supplier_outreach"],
+  rfq_prep: ["supplier_outreach", "collecting_quotes", "review"],
+  supplier_outreach: ["collecting_quotes", "rfq_prep"],
+  collecting_quotes: ["negotiating", "supplier_outreach"],
+  negotiating: ["report_ready", "collecting_quotes"],
+  report_ready: ["final_report", "negotiating"],
+  final_report: [],
+};
+
+const SAVINGS_FEE_SETTLED = ["paid", "waived", "not_applicable"];
+
+export const MAX_STAGE_NOTE_LENGTH = 1000;
+
+export const statusForStage = (stage) => {
+  if (stage === "payment_pending") return "pending_payment";
+  if (stage === "report_ready") return "action_required"; // Needs customer to pay/view
+  if (stage === "final_report") return "completed";
+  return "in_progress";
+};
+
+/**
+ * Why `ms` can't move to `stage`, or null when it can.
+ */
+export function stageTransitionError(ms, stage) {
+  if (!STAGE_TRANSITIONS[stage]) return `Unknown stage "${stage}"`;
+  if (ms.status === "cancelled") return "This request has been cancelled";
+  if (ms.stage === stage) return `Request is already in ${stage}`;
+  if (!(STAGE_TRANSITIONS[ms.stage] || []).includes(stage)) {
+    const allowed = STAGE_TRANSITIONS[ms.stage] || [];
+    return `Cannot move from ${ms.stage} to ${stage}${
+      allowed.length ? ` (allowed: ${allowed.join(", ")})` : ""
+    }`;
+  }
+  if (stage !== "payment_pending" && ms.serviceFeeStatus !== "paid") {
+    return "The service fee has not been paid";
+  }
+  if (
+    stage === "final_report" &&
+    !SAVINGS_FEE_SETTLED.includes(ms.savingsFeeStatus || "not_applicable")
+  ) {
+    return "The savings fee must be paid or waived first";
+  }
+  return null;
+}
+
+const historyEntry = (from, stage, { source, changedBy, note }) => ({
+  from,
+  to: stage,
+  status: statusForStage(stage),
+  source,
+  changedBy: changedBy || undefined,
+  note: note || undefined,
+  at: new Date(),
+});
+
+/**
+ * Set the stage on a loaded document (no checks, not saved). For the
+ * payment flows, which save the document with other fields.
+ */
+export function applyStageTransition(ms, stage, meta) {
+  ms.stageHistory.push(historyEntry(ms.stage, stage, meta));
+  ms.stage = stage;
+  ms.status = statusForStage(stage);
+}
+
+/**
+ * The service fee was paid: move a `payment_pending` request into review.
+ * No-op for requests already past it, so re-syncing a payment never moves a
+ * request backwards.
+ */
+export function applyServiceFeePaidStage(ms) {
+  if (ms.stage === "payment_pending") {
+    applyStageTransition(ms, "review", { source: "payment" });
+  }
+}
+
+/**
+ * applyServiceFeePaidStage as a conditional update, for paths that don't
+ * load the document: mark the fee paid and move a `payment_pending` request
+ * into review. Only applies while the fee is unpaid, so concurrent syncs
+ * and webhook retries mark it once.
+ *
+ * @param {string} id - ManagedService id
+ * @param {Object} [opts] - { paidAt }
+ * @returns {Promise<Object|null>} the updated request, or null if the fee
+ *   was already paid
+ */
+export async function markServiceFeePaid(id, { paidAt } = {}) {
+  const fee = { serviceFeeStatus: "paid", serviceFeePaidAt: paidAt || new Date() };
+  const entry = historyEntry("payment_pending", "review", { source: "payment" });
+  const moved = await ManagedService.findOneAndUpdate(
+    { _id: id, serviceFeeStatus: { $ne: "paid" }, stage: "payment_pending" },
+    {
+      $set: { ...fee, stage: "review", status: entry.status },
+      $push: { stageHistory: entry },
+    },
+    { new: true }
+  );
+  if (moved) return moved;
+  return ManagedService.findOneAndUpdate(
+    { _id: id, serviceFeeStatus: { $ne: "paid" } },
+    { $set: fee },
+    { new: true }
+  );
+}
+
+/**
+ * Validate and persist a transition. The update is conditional on the
+ * stage read and on the guards, so two admins (or an admin and the RFQ
+ * flow) can't both move the request from the same stage.
+ *
+ * @param {Object} ms - ManagedService document
+ * @param {string} stage - target stage
+ * @param {Object} meta - { source: "admin"|"payment"|"rfq", changedBy?, note? }
+ * @returns {Promise<{ request?: Object, error?: string }>}
+ */
+export async function transitionStage(ms, stage, meta) {
+  const error = stageTransitionError(ms, stage);
+  if (error) return { error };
+
+  const entry = historyEntry(ms.stage, stage, meta);
+  const request = await ManagedService.findOneAndUpdate(
+    {
+      _id: ms._id,
+      stage: ms.stage,
+      status: { $ne: "cancelled" },
+      serviceFeeStatus: "paid",
+      ...(stage === "final_report" && {
+        savingsFeeStatus: { $in: SAVINGS_FEE_SETTLED },
+      }),
+    },
+    {
+      $set: { stage, status: entry.status },
+      $push: { stageHistory: entry },
+    },
+    { new: true }
+  );
+  if (!request) {
+    return { error: "The request changed in the meantime; reload and retry" };
+  }
+
+  // Outbound webhooks (fire-and-forget; never fails the transition)
+  const owner = { email: request.email, organizationId: request.organizationId };
+  const data = {
+    managedServiceId: request._id,
+    previousStage: entry.from,
+    stage,
+    status: request.status,
+  };
+  emitWebhookEvent("managed_service.stage_changed", owner, data);
+  if (stage === "report_ready") {
+    emitWebhookEvent("managed_service.report_ready", owner, data);
+  }
+
+  return { request };
+}
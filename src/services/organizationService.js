@@ -0,0 +1,77 @@
+import Organization from "../models/common/Organization.js";
+import User from "../models/common/User.js";
+
+/**
+ * Organizations (team accounts) — shared helpers for scoping and the credit
+ * pool. A user belongs to at most one organization (User.organizationId);
+ * their role lives on Organization.members.
+ */
+
+/**
+ * Load the caller's organization and role.
+ * @param {Object} user - User doc (needs _id and organizationId)
+ * @returns {Promise<{ organization: Object, role: string }|null>}
+ */
+export const getMembership = async (user) => {
+  if (!user?.organizationId) return null;
+  const organization = await Organization.findById(user.organizationId);
+  if (!organization) return null;
+  const role = organization.roleOf(user._id);
+  if (!role) return null;
+  return { organization, role };
+};
+
+/**
+ * Viewers are read-only: they can open reports the team already unlocked but
+ * cannot spend pool credits or start paid work.
+ */
+export const canSpendCredits = (membership) =>
+  !membership || membership.role !== "viewer";
+
+/**
+ * Return the User doc whose subscription and matchCredits fund `user`.
+ *
+ * Personal accounts fund themselves. Team members draw on the organization
+ * owner's balance — the shared pool — so top-ups and subscription renewals
+ * paid by the owner are visible to everyone on the team. The payment flows
+ * resolve the buyer through here before granting credits, so a member's
+ * top-up funds the pool too, and every unlock spends from it.
+ *
+ * @param {Object} user - User doc
+ * @returns {Promise<Object>} User doc to read/write credits on
+ */
+export const resolveCreditAccount = async (user) => {
+  if (!user?.organizationId) return user;
+  const organization = await Organization.findById(user.organizationId).select(
+    "owner"
+  );
+  if (!organization || organization.owner.equals(user._id)) return user;
+  const owner = await User.findById(organization.owner);
+  return owner || user;
+};
+
+/**
+ * Mongo filter for BuyerRequests (and other email-keyed records) the user
+ * may see: their own, plus anything stamped with their organization.
+ *
+ * @param {Object} user - User doc
+ * @param {string} [emailField="email"]
+ */
+export const ownershipFilter = (user, emailField = "email") => {
+  const email = (user.email || "").toLowerCase().trim();
+  if (!user.organizationId) return { [emailField]: email };
+  return {
+    $or: [{ [emailField]: email }, { organizationId: user.organizationId }],
+  };
+};
+
+/**
+ * True when `record` (anything with organizationId) belongs to the user's
+ * organization.
+ */
+export const sharesOrganization = (user, record) =>
+  Boolean(
+    user?.organizationId &&
+      record?.organizationId &&
+      record.organizationId.equals?.(user.organizationId)
+  );
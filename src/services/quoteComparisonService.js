@@ -0,0 +1,353 @@
+import ExcelJS from "exceljs";
+import { convertAmount, roundMoney } from "./fxService.js";
+import { meetsMinimumOrder, parseQuantity } from "../utils/quantityParser.js";
+import { parseLeadTimeDays } from "../utils/leadTimeParser.js";
+
+/**
+ * Side-by-side comparison of the quotes on a managed service.
+ *
+ * Every `suppliers` / `finalReport.supplierDetails` entry is normalized on
+ * four criteria, each scored 0–1:
+ *   cost       — total landed cost (best price + shipping + duties, in the
+ *                billing currency); cheapest = 1, others cheapest / theirs
+ *   leadTime   — quoted lead time in days; fastest = 1, others by ratio
+ *   moqFit     — does the requested quantity meet the supplier's MOQ
+ *                (1 yes, 0 no, 0.5 unknown)
+ *   compliance — verification, certifications and risk flags of the linked
+ *                Supplier record, against the request's complianceLevel
+ * The weighted sum (0–100) ranks the matrix. The top entry with a price is
+ * the suggested recommendation, with negotiatedPrice / savingsAmount
+ * computed exactly as saving the report with it recommended would.
+ */
+
+export const QUOTE_CRITERIA = ["cost", "leadTime", "moqFit", "compliance"];
+
+export const DEFAULT_QUOTE_WEIGHTS = {
+  cost: 40,
+  leadTime: 25,
+  moqFit: 15,
+  compliance: 20,
+};
+
+// Used when a criterion can't be evaluated for an entry
+const UNKNOWN_SCORE = 0.5;
+
+/**
+ * Normalize weights to fractions summing to 1. Missing criteria fall back to
+ * `base`.
+ * @returns {{ value?: Object, error?: string }}
+ */
+export function resolveWeights(overrides = {}, base = DEFAULT_QUOTE_WEIGHTS) {
+  const raw = {};
+  for (const key of QUOTE_CRITERIA) {
+    const value = Number(
+      overrides[key] ?? base?.[key] ?? DEFAULT_QUOTE_WEIGHTS[key]
+    );
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Weight for ${key} must be a non-negative number` };
+    }
+    raw[key] = value;
+  }
+  const total = QUOTE_CRITERIA.reduce((sum, key) => sum + raw[key], 0);
+  if (total <= 0) {
+    return { error: "At least one weight must be greater than zero" };
+  }
+  const value = {};
+  for (const key of QUOTE_CRITERIA) value[key] = raw[key] / total;
+  return { value };
+}
+
+/**
+ * Parse `cost:40,leadTime:30,...` (the export/query form of weights).
+ * @returns {Object} criterion → raw value (unvalidated)
+ */
+export function parseWeightsParam(param) {
+  const overrides = {};
+  if (typeof param !== "string" || !param.trim()) return overrides;
+  for (const pair of param.split(",")) {
+    const [key, value] = pair.split(":").map((s) => s?.trim());
+    if (QUOTE_CRITERIA.includes(key)) overrides[key] = value;
+  }
+  return overrides;
+}
+
+function complianceScore(level, supplier) {
+  if (!supplier) return { score: null, note: "No linked supplier record" };
+
+  const certified = (supplier.certifications || []).length > 0;
+  let score;
+  if (level === "government" || level === "regulated") {
+    score = (certified ? 0.6 : 0) + (supplier.verified ? 0.4 : 0);
+  } else {
+    score = supplier.verified ? 1 : 0.75;
+  }
+  const flagged = Boolean(supplier.riskFlags?.trim());
+  if (flagged) score *= 0.5;
+
+  const notes = [
+    supplier.verified ? "verified" : "unverified",
+    certified ? supplier.certifications.join(", ") : "no certifications",
+  ];
+  if (flagged) notes.push(`risk: ${supplier.riskFlags}`);
+  return { score, note: notes.join("; ") };
+}
+
+// Pull both quote lists into one shape. Legacy `suppliers` entries that
+// duplicate a report entry (same name) are dropped.
+function collectEntries(ms) {
+  const billing = ms.currency || "USD";
+  const details = (ms.finalReport?.supplierDetails || []).map((s, index) => ({
+    source: "supplierDetails",
+    index,
+    supplierId: s.supplierId || null,
+    supplierName: s.supplierName,
+    location: s.location,
+    currency: s.currency || billing,
+    quoteAmount: s.quoteAmount,
+    negotiatedAmount: s.negotiatedAmount,
+    shippingCost: s.shippingCost,
+    dutiesCost: s.dutiesCost,
+    leadTime: s.leadTime,
+    minimumOrderQuantity: s.minimumOrderQuantity,
+    isRecommended: Boolean(s.isRecommended),
+  }));
+  const names = new Set(
+    details.map((d) => d.supplierName?.trim().toLowerCase()).filter(Boolean)
+  );
+  const legacy = (ms.suppliers || [])
+    .map((s, index) => ({
+      source: "suppliers",
+      index,
+      supplierId: null,
+      supplierName: s.name,
+      location: s.location,
+      currency: s.currency || billing,
+      quoteAmount: s.price,
+      negotiatedAmount: undefined,
+      shippingCost: s.shippingCost,
+      dutiesCost: s.dutiesCost,
+      leadTime: s.leadTime,
+      minimumOrderQuantity: s.moq,
+      isRecommended: Boolean(s.isRecommended),
+    }))
+    .filter((s) => !names.has(s.supplierName?.trim().toLowerCase()));
+  return [...details, ...legacy];
+}
+
+/**
+ * What saving the report with `entry` recommended would record
+ * (see applySavings in managedServiceAdminController.js).
+ */
+function projectSavings(entry, ms, rates, savingsFeePercentage) {
+  const billing = ms.currency || "USD";
+  const quoteAmount = entry.quoteAmount || 0;
+  const negotiatedAmount = entry.negotiatedAmount || 0;
+  const hasSavings = negotiatedAmount > 0 && quoteAmount > negotiatedAmount;
+  const savingsAmount = hasSavings
+    ? convertAmount(
+        quoteAmount - negotiatedAmount,
+        entry.currency,
+        billing,
+        rates
+      )
+    : 0;
+  return {
+    negotiatedPrice: hasSavings
+      ? negotiatedAmount
+      : negotiatedAmount || quoteAmount,
+    priceCurrency: entry.currency,
+    savingsAmount,
+    savingsFeePercentage,
+    savingsFeeAmount: roundMoney(
+      savingsAmount * (savingsFeePercentage / 100),
+      billing
+    ),
+    currency: billing,
+  };
+}
+
+/**
+ * Build the ranked comparison matrix.
+ *
+ * @param {Object} ms - ManagedService (plain or document)
+ * @param {Object} opts
+ * @param {Object} opts.weights - normalized weights (resolveWeights)
+ * @param {Object} opts.rates - FX rate table (getFxRates)
+ * @param {Map<string, Object>} opts.suppliersById - linked Supplier records
+ * @param {number} opts.savingsFeePercentage - the request's locked fee %
+ */
+export function compareQuotes(
+  ms,
+  { weights, rates, suppliersById, savingsFeePercentage }
+) {
+  const billing = ms.currency || "USD";
+  const quantity = parseQuantity(ms.quantity);
+
+  const rows = collectEntries(ms).map((entry) => {
+    const warnings = [];
+    const price =
+      entry.negotiatedAmount > 0 ? entry.negotiatedAmount : entry.quoteAmount;
+
+    let landedCost = null;
+    if (price > 0) {
+      try {
+        landedCost = convertAmount(
+          price + (entry.shippingCost || 0) + (entry.dutiesCost || 0),
+          entry.currency,
+          billing,
+          rates
+        );
+      } catch (error) {
+        warnings.push(error.message);
+      }
+    } else {
+      warnings.push("No quote amount");
+    }
+
+    const leadTimeDays = parseLeadTimeDays(entry.leadTime);
+    if (leadTimeDays === null) warnings.push("Lead time not recognized");
+
+    const moqFit = meetsMinimumOrder(
+      quantity,
+      parseQuantity(entry.minimumOrderQuantity)
+    );
+
+    const supplier = entry.supplierId
+      ? suppliersById.get(String(entry.supplierId))
+      : null;
+    const compliance = complianceScore(ms.complianceLevel, supplier);
+
+    return {
+      ...entry,
+      landedCost,
+      leadTimeDays,
+      moqFit,
+      complianceNote: compliance.note,
+      scores: {
+        moqFit: moqFit === null ? UNKNOWN_SCORE : moqFit ? 1 : 0,
+        compliance: compliance.score ?? UNKNOWN_SCORE,
+      },
+      warnings,
+    };
+  });
+
+  const costs = rows.map((r) => r.landedCost).filter((c) => c !== null);
+  const minCost = costs.length ? Math.min(...costs) : null;
+  const days = rows.map((r) => r.leadTimeDays).filter((d) => d !== null);
+  const minDays = days.length ? Math.min(...days) : null;
+
+  for (const row of rows) {
+    row.scores.cost = row.landedCost === null ? 0 : minCost / row.landedCost;
+    // +1 so "in stock" (0 days) doesn't divide by zero
+    row.scores.leadTime =
+      row.leadTimeDays === null
+        ? UNKNOWN_SCORE
+        : (minDays + 1) / (row.leadTimeDays + 1);
+    row.totalScore =
+      Math.round(
+        QUOTE_CRITERIA.reduce(
+          (sum, key) => sum + weights[key] * row.scores[key],
+          0
+        ) * 1000
+      ) / 10;
+  }
+
+  rows.sort(
+    (a, b) =>
+      b.totalScore - a.totalScore ||
+      (a.landedCost ?? Infinity) - (b.landedCost ?? Infinity)
+  );
+  rows.forEach((row, i) => {
+    row.rank = i + 1;
+  });
+
+  const best = rows.find((row) => row.landedCost !== null);
+  let suggestion = null;
+  if (best) {
+    best.suggested = true;
+    suggestion = {
+      source: best.source,
+      index: best.index,
+      supplierId: best.supplierId,
+      supplierName: best.supplierName,
+      totalScore: best.totalScore,
+      ...projectSavings(best, ms, rates, savingsFeePercentage),
+    };
+  }
+
+  return {
+    currency: billing,
+    complianceLevel: ms.complianceLevel,
+    quantity: ms.quantity,
+    weights,
+    rows,
+    suggestion,
+  };
+}
+
+const pct = (n) => Math.round(n * 1000) / 10;
+
+/**
+ * XLSX export of a comparison: the ranked matrix plus the weights used.
+ * @returns {Promise<Buffer>}
+ */
+export async function buildComparisonWorkbook(comparison, ms) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Comparison");
+  sheet.columns = [
+    { header: "Rank", key: "rank", width: 6 },
+    { header: "Supplier", key: "supplierName", width: 28 },
+    { header: "Location", key: "location", width: 20 },
+    { header: "Currency", key: "currency", width: 9 },
+    { header: "Quote", key: "quoteAmount", width: 12 },
+    { header: "Negotiated", key: "negotiatedAmount", width: 12 },
+    { header: "Shipping", key: "shippingCost", width: 10 },
+    { header: "Duties", key: "dutiesCost", width: 10 },
+    { header: `Landed cost (${comparison.currency})`, key: "landedCost", width: 16 },
+    { header: "Lead time", key: "leadTime", width: 14 },
+    { header: "Lead time (days)", key: "leadTimeDays", width: 10 },
+    { header: "MOQ", key: "minimumOrderQuantity", width: 14 },
+    { header: "MOQ fit", key: "moqFitLabel", width: 9 },
+    { header: "Compliance", key: "complianceNote", width: 30 },
+    { header: "Cost score", key: "costScore", width: 10 },
+    { header: "Lead time score", key: "leadTimeScore", width: 10 },
+    { header: "MOQ score", key: "moqFitScore", width: 10 },
+    { header: "Compliance score", key: "complianceScore", width: 10 },
+    { header: "Total score", key: "totalScore", width: 10 },
+    { header: "Suggested", key: "suggestedLabel", width: 10 },
+    { header: "Warnings", key: "warningsText", width: 30 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  for (const row of comparison.rows) {
+    sheet.addRow({
+      ...row,
+      moqFitLabel: row.moqFit === null ? "Unknown" : row.moqFit ? "Yes" : "No",
+      costScore: pct(row.scores.cost),
+      leadTimeScore: pct(row.scores.leadTime),
+      moqFitScore: pct(row.scores.moqFit),
+      complianceScore: pct(row.scores.compliance),
+      suggestedLabel: row.suggested ? "Yes" : "",
+      warningsText: row.warnings.join("; "),
+    });
+  }
+
+  const info = workbook.addWorksheet("Weights");
+  info.columns = [
+    { header: "Item", key: "item", width: 22 },
+    { header: "Value", key: "value", width: 30 },
+  ];
+  info.getRow(1).font = { bold: true };
+  for (const key of QUOTE_CRITERIA) {
+    info.addRow({ item: `Weight: ${key} (%)`, value: pct(comparison.weights[key]) });
+  }
+  info.addRow({ item: "Request", value: ms.itemName });
+  info.addRow({ item: "Quantity", value: ms.quantity });
+  info.addRow({ item: "Compliance level", value: ms.complianceLevel });
+  info.addRow({ item: "Currency", value: comparison.currency });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
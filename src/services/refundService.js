@@ -0,0 +1,408 @@
+import Stripe from "stripe";
+import Payment from "../models/customer/Payment.js";
+import MatchReport from "../models/customer/MatchReport.js";
+import User from "../models/common/User.js";
+import CreditTransaction from "../models/customer/CreditTransaction.js";
+import { resolveCreditAccount } from "./organizationService.js";
+import { getPurchasedCredits } from "./creditService.js";
+import { sendRefundReceiptEmail } from "./emailService.js";
+import { fromMinorUnits, roundMoney, toMinorUnits } from "./fxService.js";
+
+/**
+ * Stripe refunds — issuing them from the admin console and applying their
+ * side effects, whichever way they were issued.
+ *
+ * A refund can reach us twice: once from the admin endpoint right after
+ * stripe.refunds.create, and again from the charge.refunded webhook (which
+ * is also the only path for refunds issued in the Stripe dashboard).
+ * recordRefund claims each Stripe refund id atomically on the Payment, so
+ * side effects (credit reversal, report re-lock, receipt email) run once.
+ */
+
+// Initialize Stripe only if valid key is provided
+const getStripeInstance = () => {
+  const stripeKey = process.env.STRIPE_SECRET_KEY;
+  if (
+    !stripeKey ||
+    stripeKey.includes("dummy") ||
+    stripeKey === "sk_test_dummy_key_replace_with_real_key"
+  ) {
+    return null;
+  }
+  try {
+    return new Stripe(stripeKey, {
+      apiVersion: "2024-12-18.acacia",
+    });
+  } catch (error) {
+    console.error("Failed to initialize Stripe:", error);
+    return null;
+  }
+};
+
+const stripe = getStripeInstance();
+
+export const STRIPE_REFUND_REASONS = [
+  "duplicate",
+  "fraudulent",
+  "requested_by_customer",
+];
+
+export const isStripeConfigured = () => !!stripe;
+
+/**
+ * Amount still refundable on `payment`, in the same unit (and currency) as
+ * payment.amount.
+ */
+export const getRefundableAmount = (payment) =>
+  Math.max(
+    roundMoney(payment.amount - (payment.amountRefunded || 0), payment.currency),
+    0
+  );
+
+/**
+ * Find the PaymentIntent behind a Payment. Older records only carry the
+ * Checkout Session id; subscription checkouts pay through the first invoice.
+ * Stores the id on the Payment once found.
+ */
+export async function resolvePaymentIntentId(payment) {
+  if (payment.stripePaymentIntentId) return payment.stripePaymentIntentId;
+  if (!stripe || !payment.stripeSessionId) return null;
+
+  const session = await stripe.checkout.sessions.retrieve(
+    payment.stripeSessionId
+  );
+  let paymentIntentId =
+    typeof session.payment_intent === "string"
+      ? session.payment_intent
+      : session.payment_intent?.id;
+
+  if (!paymentIntentId && session.invoice) {
+    const invoice = await stripe.invoices.retrieve(
+      typeof session.invoice === "string" ? session.invoice : session.invoice.id
+    );
+    paymentIntentId =
+      typeof invoice.payment_intent === "string"
+        ? invoice.payment_intent
+        : invoice.payment_intent?.id;
+  }
+
+  if (paymentIntentId) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { stripePaymentIntentId: paymentIntentId } }
+    );
+  }
+  return paymentIntentId || null;
+}
+
+/**
+ * What a refund undoes by default, given the payment state AFTER the refund
+ * has been counted in amountRefunded:
+ *   - extra_credit: take back the credits the refunded amount bought
+ *     (all of them on a full refund), minus any already reversed
+ *   - any payment that unlocked a match report: re-lock it on a full refund
+ * Subscriptions and managed services have no automatic reversal; an admin
+ * can pass creditsToReverse explicitly.
+ */
+async function defaultRefundEffects(payment) {
+  const fullyRefunded = getRefundableAmount(payment) === 0;
+  let creditsToReverse = 0;
+
+  if (payment.planType === "extra_credit") {
+    // Top-ups can be charged in any supported currency, so refunded credits
+    // are pro rata of the credits bought, not of a per-credit price.
+    const granted = await getPurchasedCredits(payment);
+    const covered = fullyRefunded
+      ? granted
+      : Math.min(
+          Math.floor(
+            (granted * (payment.amountRefunded || 0)) / payment.amount
+          ),
+          granted
+        );
+    const alreadyReversed = (payment.refunds || []).reduce(
+      (sum, r) => sum + (r.creditsReversed || 0),
+      0
+    );
+    creditsToReverse = Math.max(covered - alreadyReversed, 0);
+  }
+
+  return { creditsToReverse, relockReport: fullyRefunded };
+}
+
+/**
+ * Deduct up to `credits` from the payer's balance (the team pool for
+ * organization members) and write the reversing CreditTransaction. Credits
+ * already spent can't be clawed back, so the balance never goes negative.
+ *
+ * @returns {Promise<number>} Credits actually reversed
+ */
+async function reverseCredits(payment, credits, stripeRefundId) {
+  let user = await User.findOne({ email: payment.email.toLowerCase().trim() });
+  if (!user) return 0;
+  user = await resolveCreditAccount(user);
+
+  // Conditional $inc so a credit spent (or granted) between the read and the
+  // write can't be overwritten or push the balance below 0. If the balance
+  // dropped under `reversed` in between, re-read and take what's left.
+  let reversed = 0;
+  let updated = null;
+  for (let attempt = 0; attempt < 3 && !updated; attempt++) {
+    const balance =
+      attempt === 0
+        ? user.matchCredits || 0
+        : (await User.findById(user._id).select("matchCredits"))?.matchCredits ||
+          0;
+    reversed = Math.min(credits, balance);
+    if (reversed <= 0) break;
+    updated = await User.findOneAndUpdate(
+      { _id: user._id, matchCredits: { $gte: reversed } },
+      { $inc: { matchCredits: -reversed } },
+      { new: true }
+    );
+  }
+  if (!updated) {
+    console.warn(
+      `[Refund] ${credits} credit(s) to reverse for payment ${payment._id}, but user ${user._id} has no credits left`
+    );
+    return 0;
+  }
+  const creditsBefore = updated.matchCredits + reversed;
+
+  await CreditTransaction.create({
+    userId: user._id,
+    paymentId: payment._id,
+    requestId: payment.requestId || null,
+    matchReportId: payment.matchReportId || null,
+    email: user.email,
+    creditsUsed: reversed,
+    creditsBefore,
+    creditsAfter: updated.matchCredits,
+    transactionType: "reversed",
+    reason: "refund",
+    notes:
+      `Reversed for refund ${stripeRefundId}` +
+      (reversed < credits
+        ? ` (${credits - reversed} of ${credits} credit(s) were already spent)`
+        : ""),
+  });
+
+  return reversed;
+}
+
+/**
+ * Put the match report this payment unlocked back into its pre-payment
+ * state: "completed" (scored preview awaiting unlock) for AI-scored reports,
+ * "pending" for legacy rule-based ones. Uses updateOne so the status change
+ * doesn't emit a match_report.completed webhook. `relockedAt` tells the
+ * dashboard's access check (hasPurchasedReport) which purchases are spent.
+ *
+ * @returns {Promise<boolean>} Whether a report was re-locked
+ */
+async function relockMatchReport(payment) {
+  const matchReport =
+    (await MatchReport.findOne({ paymentId: payment._id.toString() })) ||
+    (payment.matchReportId
+      ? await MatchReport.findById(payment.matchReportId)
+      : null);
+  if (!matchReport || !["paid", "unlocked", "completed"].includes(matchReport.status)) {
+    return false;
+  }
+
+  const wasAiScored = matchReport.scoringMeta?.call1?.method === "ai";
+  await MatchReport.updateOne(
+    { _id: matchReport._id },
+    {
+      $set: {
+        status: wasAiScored ? "completed" : "pending",
+        relockedAt: new Date(),
+      },
+      $unset: { paymentId: "", unlockedAt: "" },
+    }
+  );
+  return true;
+}
+
+/**
+ * Record a Stripe refund on its Payment and apply its side effects once.
+ *
+ * @param {Object} payment - Payment doc
+ * @param {Object} stripeRefund - Stripe Refund object
+ * @param {Object} opts - { source: "admin"|"stripe", issuedBy, note,
+ *   creditsToReverse, relockReport } — the last two override the defaults
+ * @returns {Promise<{ applied: boolean, payment: Object, refund: Object|null }>}
+ */
+export async function recordRefund(payment, stripeRefund, opts = {}) {
+  const { source, issuedBy, note, creditsToReverse, relockReport } = opts;
+  const amount = roundMoney(
+    fromMinorUnits(stripeRefund.amount, payment.currency),
+    payment.currency
+  );
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, "refunds.stripeRefundId": { $ne: stripeRefund.id } },
+    {
+      $push: {
+        refunds: {
+          stripeRefundId: stripeRefund.id,
+          amount,
+          reason: stripeRefund.reason || undefined,
+          note,
+          source,
+          issuedBy,
+        },
+      },
+      $inc: { amountRefunded: amount },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return {
+      applied: false,
+      payment: await Payment.findById(payment._id),
+      refund: null,
+    };
+  }
+
+  const defaults = await defaultRefundEffects(claimed);
+  const effects = {
+    creditsToReverse: creditsToReverse ?? defaults.creditsToReverse,
+    relockReport: relockReport ?? defaults.relockReport,
+  };
+
+  const creditsReversed =
+    effects.creditsToReverse > 0
+      ? await reverseCredits(claimed, effects.creditsToReverse, stripeRefund.id)
+      : 0;
+  const reportRelocked = effects.relockReport
+    ? await relockMatchReport(claimed)
+    : false;
+
+  const fullyRefunded = getRefundableAmount(claimed) === 0;
+  const refundedAt = new Date();
+  await Payment.updateOne(
+    { _id: claimed._id, "refunds.stripeRefundId": stripeRefund.id },
+    {
+      $set: {
+        "refunds.$.creditsReversed": creditsReversed,
+        "refunds.$.reportRelocked": reportRelocked,
+        refundedAt,
+        ...(fullyRefunded ? { status: "refunded" } : {}),
+      },
+    }
+  );
+
+  console.log(
+    `[Refund] Recorded ${source} refund ${stripeRefund.id} of ${amount} on payment ${claimed._id} (credits reversed: ${creditsReversed}, report re-locked: ${reportRelocked})`
+  );
+
+  try {
+    await sendRefundReceiptEmail({
+      email: claimed.email,
+      transactionId: claimed._id.toString(),
+      refundId: stripeRefund.id,
+      amountRefunded: amount,
+      totalRefunded: claimed.amountRefunded,
+      originalAmount: claimed.amount,
+      currency: claimed.currency,
+      refundedAt,
+      creditsReversed,
+      reportRelocked,
+    });
+  } catch (emailError) {
+    console.error("[Refund] Failed to send refund receipt email:", emailError);
+  }
+
+  const updated = await Payment.findById(claimed._id);
+  return {
+    applied: true,
+    payment: updated,
+    refund: updated.refunds.find((r) => r.stripeRefundId === stripeRefund.id),
+  };
+}
+
+/**
+ * Issue a refund in Stripe for `amount` and record it.
+ *
+ * The idempotency key covers double-submits: the same amount requested
+ * against the same refunded-so-far total returns the original Stripe refund.
+ *
+ * @param {Object} payment - Payment doc with status "succeeded"
+ * @param {Object} opts - { amount, reason, note, issuedBy, creditsToReverse,
+ *   relockReport }
+ */
+export async function issueRefund(payment, opts) {
+  const { amount, reason, note, issuedBy, creditsToReverse, relockReport } =
+    opts;
+  const paymentIntentId = await resolvePaymentIntentId(payment);
+  if (!paymentIntentId) return null;
+
+  const stripeRefund = await stripe.refunds.create(
+    {
+      payment_intent: paymentIntentId,
+      amount: toMinorUnits(amount, payment.currency),
+      ...(reason ? { reason } : {}),
+      metadata: {
+        paymentId: payment._id.toString(),
+        issuedBy: issuedBy ? issuedBy.toString() : "",
+      },
+    },
+    {
+      idempotencyKey: `refund:${payment._id}:${toMinorUnits(
+        payment.amountRefunded || 0,
+        payment.currency
+      )}:${toMinorUnits(amount, payment.currency)}`,
+    }
+  );
+
+  const result = await recordRefund(payment, stripeRefund, {
+    source: "admin",
+    issuedBy,
+    note,
+    creditsToReverse,
+    relockReport,
+  });
+  // Lost the race to the charge.refunded webhook — already recorded.
+  if (!result.refund) {
+    result.refund =
+      result.payment.refunds.find(
+        (r) => r.stripeRefundId === stripeRefund.id
+      ) || null;
+  }
+  return result;
+}
+
+/**
+ * charge.refunded: record every refund on the PaymentIntent we haven't seen
+ * yet (covers refunds issued directly in the Stripe dashboard).
+ *
+ * @returns {Promise<number>} Number of newly recorded refunds
+ */
+export async function syncRefundsFromStripe(paymentIntentId) {
+  if (!stripe || !paymentIntentId) return 0;
+
+  const payment = await Payment.findOne({
+    stripePaymentIntentId: paymentIntentId,
+  });
+  if (!payment) {
+    console.warn(
+      `[Refund] No payment found for refunded PaymentIntent ${paymentIntentId}`
+    );
+    return 0;
+  }
+
+  const refunds = await stripe.refunds.list({
+    payment_intent: paymentIntentId,
+    limit: 100,
+  });
+
+  let recorded = 0;
+  for (const stripeRefund of refunds.data) {
+    if (!["succeeded", "pending"].includes(stripeRefund.status)) continue;
+    const result = await recordRefund(payment, stripeRefund, {
+      source: "stripe",
+    });
+    if (result.applied) recorded += 1;
+  }
+  return recorded;
+}
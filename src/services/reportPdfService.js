@@ -0,0 +1,426 @@
+import PDFDocument from "pdfkit";
+import {
+  BRAND_NAME,
+  BRAND_TAGLINE,
+  BRAND_PRIMARY,
+  SUPPORT_EMAIL,
+  FRONTEND_URL,
+} from "../config/brand.js";
+
+/**
+ * Server-rendered PDF export of an unlocked MatchReport.
+ *
+ * Procurement leads forward these to finance as audit evidence, so the
+ * document is self-contained: request summary, ranked suppliers with their
+ * fit score and AI prose, and full supplier contact details. Branding comes
+ * from config/brand.js — the same source renderTransactionalEmail uses — so
+ * the PDF and the "your report is ready" email look like one product.
+ *
+ * Access control is the caller's job. This module only renders whatever it
+ * is handed; it never decides whether the viewer has paid.
+ */
+
+const MATCH_THRESHOLD = parseInt(
+  process.env.MATCH_THRESHOLD_DEFAULT || "80",
+  10
+);
+
+const TEXT_DARK = "#111827";
+const TEXT_MUTED = "#6b7280";
+const TEXT_BODY = "#374151";
+const RULE = "#e5e7eb";
+const PANEL = "#f9fafb";
+
+/**
+ * Flatten a MatchReport into the ranked supplier rows the PDF renders.
+ *
+ * Expects `fullReport.suppliers.supplierId` and `scoredSuppliers.supplierId`
+ * to be populated. Applies the same below-threshold filter as getFullReport
+ * (MATCHING_REDESIGN_SPEC.md §5.4) so the export can never show a supplier
+ * the buyer couldn't see in the dashboard.
+ */
+export function buildReportSuppliers(matchReport) {
+  const scoredById = new Map();
+  for (const s of matchReport.scoredSuppliers || []) {
+    const sid = s.supplierId?._id
+      ? s.supplierId._id.toString()
+      : s.supplierId?.toString();
+    if (sid) scoredById.set(sid, s);
+  }
+
+  return (matchReport.fullReport?.suppliers || [])
+    .filter((item) => (item?.matchScore ?? 0) >= MATCH_THRESHOLD)
+    .filter((item) => item?.supplierId && typeof item.supplierId === "object")
+    .map((item) => {
+      const supplier = item.supplierId;
+      const scored = scoredById.get(supplier._id.toString());
+      return {
+        ranking: item.ranking,
+        name: supplier.name,
+        supplierNumber: supplier.supplierNumber,
+        category: supplier.category,
+        subCategory: supplier.subCategory,
+        location: [supplier.city, supplier.stateRegion, supplier.country]
+          .filter(Boolean)
+          .join(", "),
+        contactName: supplier.contactName,
+        email: supplier.email,
+        phone: supplier.phone,
+        website: supplier.website,
+        certifications: supplier.certifications || [],
+        leadTime: supplier.leadTime,
+        minOrderQuantity: supplier.minOrderQuantity,
+        fitScore: scored?.fitScore ?? item.matchScore ?? null,
+        meetsMoq: scored?.meetsMoq ?? null,
+        meetsCompliance: scored?.meetsCompliance ?? null,
+        coveredLines: scored?.coveredLines?.length
+          ? scored.coveredLines
+          : item.coveredLines || [],
+        whyTheyMatch:
+          scored?.whyTheyMatch || item.whyTheyMatch || item.aiExplanation || "",
+        strengths: scored?.strengths?.length
+          ? scored.strengths
+          : item.strengths || [],
+        concerns: scored?.concerns?.length
+          ? scored.concerns
+          : item.concerns || [],
+      };
+    })
+    .sort((a, b) => (a.ranking ?? 0) - (b.ranking ?? 0));
+}
+
+function formatDate(d) {
+  if (!d) return "";
+  return new Date(d).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function formatMoney(n, currency = "USD") {
+  if (n === null || n === undefined || Number.isNaN(Number(n))) return "";
+  return Number(n).toLocaleString("en-US", {
+    style: "currency",
+    currency: currency || "USD",
+  });
+}
+
+function drawHeader(doc) {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  doc.rect(0, 0, doc.page.width, 6).fill(BRAND_PRIMARY);
+  doc
+    .fillColor(BRAND_PRIMARY)
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .text(BRAND_NAME, left, 32, { width });
+  doc
+    .fillColor(TEXT_MUTED)
+    .font("Helvetica")
+    .fontSize(10)
+    .text(BRAND_TAGLINE, left, doc.y + 2, { width });
+  doc
+    .moveTo(left, doc.y + 12)
+    .lineTo(left + width, doc.y + 12)
+    .strokeColor(RULE)
+    .lineWidth(1)
+    .stroke();
+  doc.y += 24;
+}
+
+function sectionTitle(doc, title) {
+  const { left } = doc.page.margins;
+  doc.moveDown(0.8);
+  doc
+    .fillColor(TEXT_DARK)
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .text(title.toUpperCase(), left, doc.y, { characterSpacing: 0.5 });
+  doc.moveDown(0.4);
+}
+
+function labelValueRows(doc, rows) {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const labelWidth = width * 0.32;
+
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined || value === "") continue;
+    const y = doc.y;
+    doc
+      .fillColor(TEXT_MUTED)
+      .font("Helvetica")
+      .fontSize(10)
+      .text(label, left, y, { width: labelWidth });
+    const labelBottom = doc.y;
+    doc
+      .fillColor(TEXT_DARK)
+      .text(String(value), left + labelWidth, y, { width: width - labelWidth });
+    doc.y = Math.max(doc.y, labelBottom) + 3;
+  }
+}
+
+function bulletList(doc, heading, items, color) {
+  if (!items || items.length === 0) return;
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  doc
+    .fillColor(color)
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .text(heading, left, doc.y + 2, { width });
+  doc.font("Helvetica").fillColor(TEXT_BODY);
+  doc.list(items.map(String), left + 8, doc.y + 2, {
+    width: width - 8,
+    bulletRadius: 1.5,
+    textIndent: 10,
+  });
+}
+
+function drawSupplier(doc, s) {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  // Keep the supplier heading with at least the first few lines of its body.
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 140) {
+    doc.addPage();
+  }
+
+  doc.moveDown(0.6);
+  const top = doc.y;
+  doc.rect(left, top, width, 26).fill(PANEL);
+  doc
+    .fillColor(TEXT_DARK)
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .text(`#${s.ranking ?? "-"}  ${s.name || "Supplier"}`, left + 10, top + 8, {
+      width: width - 130,
+      lineBreak: false,
+      ellipsis: true,
+    });
+  if (s.fitScore !== null && s.fitScore !== undefined) {
+    doc
+      .fillColor(BRAND_PRIMARY)
+      .text(`Fit score ${s.fitScore}/100`, left + width - 120, top + 8, {
+        width: 110,
+        align: "right",
+      });
+  }
+  doc.y = top + 34;
+
+  if (s.whyTheyMatch) {
+    doc
+      .fillColor(TEXT_BODY)
+      .font("Helvetica")
+      .fontSize(10)
+      .text(s.whyTheyMatch, left, doc.y, { width, lineGap: 2 });
+    doc.moveDown(0.4);
+  }
+
+  bulletList(doc, "Strengths", s.strengths, "#065f46");
+  bulletList(doc, "Concerns", s.concerns, "#92400e");
+
+  doc.moveDown(0.4);
+  labelValueRows(doc, [
+    ["Supplier no.", s.supplierNumber],
+    [
+      "Category",
+      s.subCategory ? `${s.category} > ${s.subCategory}` : s.category,
+    ],
+    ["Location", s.location],
+    ["Contact", s.contactName],
+    ["Email", s.email],
+    ["Phone", s.phone],
+    ["Website", s.website],
+    ["Certifications", s.certifications.join(", ")],
+    ["Lead time", s.leadTime],
+    ["Minimum order", s.minOrderQuantity],
+    [
+      "Line items covered",
+      s.coveredLines.length ? s.coveredLines.join(", ") : "",
+    ],
+    ["Meets MOQ", s.meetsMoq === null ? "" : s.meetsMoq ? "Yes" : "No"],
+    [
+      "Meets compliance",
+      s.meetsCompliance === null ? "" : s.meetsCompliance ? "Yes" : "No",
+    ],
+  ]);
+}
+
+function drawFooters(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    // Writing inside the bottom margin would otherwise trigger an auto page
+    // break; zero it while stamping the footer.
+    doc.page.margins.bottom = 0;
+    doc
+      .fillColor("#9ca3af")
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        `© ${new Date().getFullYear()} ${BRAND_NAME}. Need help? ${SUPPORT_EMAIL}`,
+        left,
+        doc.page.height - bottom + 16,
+        { width: width - 80, lineBreak: false }
+      )
+      .text(
+        `Page ${i - range.start + 1} of ${range.count}`,
+        left + width - 80,
+        doc.page.height - bottom + 16,
+        { width: 80, align: "right", lineBreak: false }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a match report to a PDF buffer.
+ *
+ * @param {Object} params
+ * @param {Object} params.buyerRequest - BuyerRequest document
+ * @param {Object} params.matchReport - MatchReport with suppliers populated
+ * @param {string} [params.exportedBy] - Email of the customer/admin exporting
+ * @returns {Promise<Buffer>}
+ */
+export const renderMatchReportPdf = ({
+  buyerRequest,
+  matchReport,
+  exportedBy,
+}) =>
+  new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: "A4",
+        margins: { top: 50, bottom: 60, left: 50, right: 50 },
+        bufferPages: true,
+        info: {
+          Title: `${BRAND_NAME} supplier match report — ${buyerRequest.name || ""}`,
+          Author: BRAND_NAME,
+          Subject: "Supplier match report",
+          Creator: FRONTEND_URL,
+        },
+      });
+
+      const chunks = [];
+      doc.on("data", (c) => chunks.push(c));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      drawHeader(doc);
+
+      const { left, right } = doc.page.margins;
+      const width = doc.page.width - left - right;
+      doc
+        .fillColor(TEXT_DARK)
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .text("Supplier match report", left, doc.y, { width });
+      doc
+        .fillColor(TEXT_MUTED)
+        .font("Helvetica")
+        .fontSize(10)
+        .text(
+          `Generated ${formatDate(matchReport.fullReport?.generatedAt || matchReport.updatedAt)}` +
+            ` · Exported ${formatDate(new Date())}` +
+            (exportedBy ? ` by ${exportedBy}` : ""),
+          left,
+          doc.y + 2,
+          { width }
+        );
+
+      const summary =
+        matchReport.requestSummary || matchReport.preview?.summary;
+      if (summary) {
+        doc.moveDown(0.8);
+        doc
+          .fillColor(TEXT_BODY)
+          .fontSize(11)
+          .text(summary, left, doc.y, { width, lineGap: 2 });
+      }
+
+      const subCategory = buyerRequest.subCategory ?? buyerRequest.subcategory;
+      sectionTitle(doc, "Request");
+      labelValueRows(doc, [
+        ["Item", buyerRequest.name],
+        [
+          "Category",
+          subCategory
+            ? `${buyerRequest.category} > ${subCategory}`
+            : buyerRequest.category,
+        ],
+        ["Quantity", buyerRequest.quantity],
+        ["Unit price", formatMoney(buyerRequest.unitPrice, buyerRequest.currency)],
+        ["Total amount", formatMoney(buyerRequest.totalAmount, buyerRequest.currency)],
+        ["Timeline", buyerRequest.timeline],
+        ["Delivery location", buyerRequest.location],
+        ["Requirements", buyerRequest.requirements],
+        ["Description", buyerRequest.description],
+        ["Request ID", buyerRequest._id?.toString()],
+        ["Report ID", matchReport._id?.toString()],
+        ["Unlocked", formatDate(matchReport.unlockedAt)],
+      ]);
+
+      if (buyerRequest.lineItems?.length) {
+        sectionTitle(doc, `Line items (${buyerRequest.lineItems.length})`);
+        labelValueRows(
+          doc,
+          buyerRequest.lineItems.map((line) => [
+            `${line.lineNumber}. ${line.name}`,
+            [
+              line.subCategory
+                ? `${line.category} > ${line.subCategory}`
+                : line.category,
+              line.quantity,
+              line.unitPrice ? `${formatMoney(line.unitPrice, buyerRequest.currency)} / unit` : "",
+              line.specs,
+            ]
+              .filter(Boolean)
+              .join(" · "),
+          ])
+        );
+      }
+
+      const suppliers = buildReportSuppliers(matchReport);
+      sectionTitle(
+        doc,
+        `Matched suppliers (${suppliers.length} of ${
+          matchReport.preview?.matchedCount ?? suppliers.length
+        } in network)`
+      );
+      if (suppliers.length === 0) {
+        doc
+          .fillColor(TEXT_MUTED)
+          .font("Helvetica")
+          .fontSize(10)
+          .text("No suppliers met the match threshold for this request.", {
+            width,
+          });
+      }
+      for (const s of suppliers) {
+        drawSupplier(doc, s);
+      }
+
+      drawFooters(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+/**
+ * Filename used for Content-Disposition. Only safe characters — the item
+ * name is buyer-controlled.
+ */
+export const matchReportPdfFilename = (buyerRequest) => {
+  const slug = String(buyerRequest?.name || "request")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+  return `match-report-${slug || "request"}-${String(buyerRequest?._id || "").slice(-8)}.pdf`;
+};
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import ManagedService from "../models/customer/ManagedService.js";
+import { transitionStage } from "./managedServiceStageService.js";
+
+/**
+ * RFQ distribution for managed services — response tokens, package
+ * snapshots, and copying supplier quotes into the final report.
+ *
+ * Response links carry 256 bits of randomness and are stored only as a
+ * SHA-256 hash (same scheme as personal API keys, see apiKeyService.js).
+ */
+
+export const DEFAULT_RFQ_RESPONSE_DAYS = 7;
+
+export const hashRfqToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export const generateRfqToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashRfqToken(token) };
+};
+
+export const rfqResponseUrl = (token) =>
+  `${
+    process.env.SUPPLIER_PORTAL_URL ||
+    process.env.FRONTEND_URL ||
+    "http://localhost:3002"
+  }/rfq/respond?token=${token}`;
+
+/**
+ * What suppliers are asked to price. Customer identity (email, user,
+ * organization) and budget are deliberately left out.
+ */
+export const buildRfqPackage = (ms, instructions) => ({
+  itemName: ms.itemName,
+  category: ms.category,
+  subCategory: ms.subCategory || ms.subcategory,
+  quantity: ms.quantity,
+  description: ms.description || ms.specifications,
+  deliveryLocation: ms.deliveryLocation,
+  complianceLevel: ms.complianceLevel,
+  deadline: ms.deadline,
+  currency: ms.currency || "USD",
+  instructions: instructions || undefined,
+});
+
+/**
+ * Move a managed service forward to `stage`, but only from one of
+ * `fromStages` — never backwards over an admin's manual stage change. Goes
+ * through the workflow guards and records stageHistory (source "rfq").
+ * @param {Object} [meta] - { changedBy?, note? }
+ */
+export const advanceManagedServiceStage = async (
+  id,
+  fromStages,
+  stage,
+  meta = {}
+) => {
+  const ms = await ManagedService.findOne({
+    _id: id,
+    stage: { $in: fromStages },
+  });
+  if (!ms) return;
+  await transitionStage(ms, stage, { ...meta, source: "rfq" });
+};
+
+/**
+ * Upsert a supplier's quote into finalReport.supplierDetails, keyed by
+ * supplierId. Revisions update the quote fields and add any new documents;
+ * what the admin owns (negotiatedAmount, isRecommended, notes) is left
+ * alone. Both paths are single atomic updates so concurrent submissions from
+ * different suppliers can't overwrite each other.
+ *
+ * @param {ObjectId} managedServiceId
+ * @param {Object} supplier - Supplier document (name, city, country)
+ * @param {Object} quote - { price, shippingCost, currency, leadTime,
+ *   minimumOrderQuantity, notes }
+ * @param {Object[]} documents - [{ name, fileName, type, url }]
+ * @param {string} contactEmail
+ */
+export const recordSupplierQuote = async (
+  managedServiceId,
+  supplier,
+  quote,
+  documents,
+  contactEmail
+) => {
+  const fields = {
+    supplierName: supplier.name,
+    location: [supplier.city, supplier.country].filter(Boolean).join(", "),
+    contactEmail,
+    quoteAmount: quote.price,
+    shippingCost: quote.shippingCost,
+    currency: quote.currency,
+    leadTime: quote.leadTime,
+    minimumOrderQuantity: quote.minimumOrderQuantity,
+  };
+
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    $set[`finalReport.supplierDetails.$.${key}`] = value;
+  }
+  const updated = await ManagedService.updateOne(
+    {
+      _id: managedServiceId,
+      "finalReport.supplierDetails.supplierId": supplier._id,
+    },
+    {
+      $set,
+      ...(documents.length > 0 && {
+        $push: {
+          "finalReport.supplierDetails.$.uploadedDocuments": {
+            $each: documents,
+          },
+        },
+      }),
+    }
+  );
+  if (updated.matchedCount > 0) return;
+
+  await ManagedService.updateOne(
+    {
+      _id: managedServiceId,
+      "finalReport.supplierDetails.supplierId": { $ne: supplier._id },
+    },
+    {
+      $push: {
+        "finalReport.supplierDetails": {
+          supplierId: supplier._id,
+          ...fields,
+          notes: quote.notes,
+          uploadedDocuments: documents,
+        },
+      },
+    }
+  );
+};
@@ -0,0 +1,339 @@
+import crypto from "crypto";
+import Session from "../models/common/Session.js";
+import User from "../models/common/User.js";
+import Admin from "../models/admin/Admin.js";
+
+/**
+ * Login sessions for customers ("User") and admins ("Admin").
+ *
+ * Each login creates a Session and embeds its id in the access JWT as
+ * `sid`. The auth middleware resolves the session on every request, so one
+ * device can be signed out (by its owner, or by an admin for a customer)
+ * without touching the others. `lastSeenAt` is refreshed at most every few
+ * minutes to keep request overhead down.
+ *
+ * Access tokens live ACCESS_TOKEN_TTL_SECONDS. The session also holds a
+ * rotating refresh token (stored as a SHA-256 hash): each refresh swaps it
+ * for a new one and issues a fresh access token. A rotated-out token coming
+ * back means it was copied, so the whole session (the token family) is
+ * revoked. The token replaced within the last few seconds is exempt, so two
+ * tabs refreshing at once don't sign the user out.
+ */
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+// Idle limit: a session nobody refreshes for this long expires
+export const SESSION_IDLE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Absolute limit, however often it's refreshed
+export const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_GRACE_MS = 30 * 1000;
+const MAX_ROTATED_HASHES = 1000;
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 500;
+const MAX_LISTED_SESSIONS = 100;
+
+const MODELS = { User, Admin };
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/;
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\/|FxiOS/, "Firefox"],
+  [/Chrome\/|CriOS/, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/PostmanRuntime/, "Postman"],
+  [/curl\//, "curl"],
+];
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * Short device label from a User-Agent, e.g. "Firefox on Windows".
+ */
+export const describeDevice = (userAgent) => {
+  const ua = String(userAgent || "");
+  const browser = BROWSERS.find(([re]) => re.test(ua))?.[1];
+  const platform = PLATFORMS.find(([re]) => re.test(ua))?.[1];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+};
+
+const liveFilter = (principalType, principalId) => ({
+  principalType,
+  principal: principalId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+const tokenVersionOf = (account) =>
+  typeof account.tokenVersion === "number" ? account.tokenVersion : 0;
+
+const hashRefreshToken = (raw) =>
+  crypto.createHash("sha256").update(raw).digest("hex");
+
+// "<sessionId>.<secret>" — the id locates the family, the secret proves it
+const newRefreshToken = (sessionId) => {
+  const raw = `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+  return { raw, hash: hashRefreshToken(raw) };
+};
+
+const parseRefreshToken = (raw) => {
+  if (typeof raw !== "string" || raw.length > 200) return null;
+  const [sid, secret] = raw.split(".");
+  return OBJECT_ID_RE.test(sid) && secret ? sid : null;
+};
+
+/**
+ * Session id a refresh token names, unverified (null if malformed). For
+ * bucketing refresh requests only, never for authorization.
+ */
+export const refreshTokenSessionId = (raw) => parseRefreshToken(raw);
+
+const nextExpiry = (createdAt) =>
+  new Date(
+    Math.min(
+      Date.now() + SESSION_IDLE_TTL_MS,
+      new Date(createdAt).getTime() + SESSION_MAX_AGE_MS
+    )
+  );
+
+/**
+ * Record a new login.
+ * @param {"User"|"Admin"} principalType
+ * @param {Object} account - User or Admin doc
+ * @param {Object} req - for IP and User-Agent
+ * @param {string} method - password | password_setup | two_factor | sso |
+ *   magic_link
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+export async function createSession(principalType, account, req, method) {
+  const userAgent = String(req.headers?.["user-agent"] || "").slice(
+    0,
+    MAX_USER_AGENT_LENGTH
+  );
+  const session = new Session({
+    principalType,
+    principal: account._id,
+    tokenVersion: tokenVersionOf(account),
+    method,
+    device: describeDevice(userAgent),
+    userAgent: userAgent || undefined,
+    ip: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt: new Date(Date.now() + SESSION_IDLE_TTL_MS),
+  });
+  const refresh = newRefreshToken(session._id);
+  session.refreshTokenHash = refresh.hash;
+  await session.save();
+  return { session, refreshToken: refresh.raw };
+}
+
+/**
+ * The live session `sid` of this account, or null if it was revoked,
+ * expired or belongs to someone else. Refreshes lastSeenAt.
+ */
+export async function resolveSession(principalType, account, sid, req) {
+  if (!sid || typeof sid !== "string" || !OBJECT_ID_RE.test(sid)) {
+    return null;
+  }
+  const session = await Session.findOne({
+    _id: sid,
+    ...liveFilter(principalType, account._id),
+  })
+    .select("_id lastSeenAt")
+    .lean();
+  if (!session) return null;
+
+  if (session.lastSeenAt?.getTime() < Date.now() - LAST_SEEN_THROTTLE_MS) {
+    Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date(), lastSeenIp: req?.ip } }
+    ).catch((error) => {
+      console.error(`Error updating session ${session._id}:`, error);
+    });
+  }
+  return session;
+}
+
+/**
+ * Trade a refresh token for a new one. The caller issues the access token.
+ * @returns {Promise<{ session?: Object, account?: Object, refreshToken?: string,
+ *   error?: string, status?: number }>}
+ */
+export async function rotateRefreshToken(principalType, raw, req) {
+  const sid = parseRefreshToken(raw);
+  if (!sid) return { status: 401, error: "Invalid refresh token" };
+
+  const session = await Session.findOne({ _id: sid, principalType }).select(
+    "+refreshTokenHash +previousRefreshTokenHash +rotatedRefreshTokenHashes"
+  );
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { status: 401, error: "Session expired or revoked" };
+  }
+
+  const hash = hashRefreshToken(raw);
+  if (hash !== session.refreshTokenHash) {
+    if (
+      hash === session.previousRefreshTokenHash &&
+      session.rotatedAt?.getTime() > Date.now() - REFRESH_GRACE_MS
+    ) {
+      // Another tab just rotated it; its response carries the new cookie
+      return { status: 409, error: "Session was just refreshed; retry the request" };
+    }
+    if (session.rotatedRefreshTokenHashes?.includes(hash)) {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        {
+          $set: {
+            revokedAt: new Date(),
+            revokedBy: { type: "system" },
+            revokeReason: "refresh_token_reuse",
+          },
+        }
+      );
+      console.warn(
+        `[Session] Refresh token reuse on ${principalType} session ${session._id} (principal ${session.principal}); session revoked`
+      );
+      return { status: 401, error: "Session revoked" };
+    }
+    return { status: 401, error: "Invalid refresh token" };
+  }
+
+  const account = await MODELS[principalType]
+    .findById(session.principal)
+    .select("-password");
+  if (
+    !account ||
+    account.isActive === false ||
+    tokenVersionOf(account) !== session.tokenVersion
+  ) {
+    return { status: 401, error: "Session expired or revoked" };
+  }
+
+  const next = newRefreshToken(session._id);
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, revokedAt: null, refreshTokenHash: hash },
+    {
+      $set: {
+        refreshTokenHash: next.hash,
+        previousRefreshTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        lastSeenIp: req?.ip,
+        expiresAt: nextExpiry(session.createdAt),
+      },
+      $push: {
+        rotatedRefreshTokenHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES },
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // Lost a race with a concurrent refresh of the same token
+    return { status: 409, error: "Session was just refreshed; retry the request" };
+  }
+  return { session: rotated, account, refreshToken: next.raw };
+}
+
+/**
+ * Live sessions of an account, most recently used first. Sessions from
+ * before the account's last tokenVersion bump are dead and left out.
+ */
+export async function listSessions(principalType, account) {
+  return Session.find({
+    ...liveFilter(principalType, account._id),
+    tokenVersion: tokenVersionOf(account),
+  })
+    .sort({ lastSeenAt: -1 })
+    .limit(MAX_LISTED_SESSIONS)
+    .lean();
+}
+
+/**
+ * Revoke one session of an account.
+ * @param {Object} revokedBy - { type: "self"|"admin"|"system", id? }
+ * @param {string} [reason] - "logout" | "revoked"
+ * @returns {Promise<Object|null>} the revoked session, or null if not found
+ *   or already dead
+ */
+export async function revokeSession(
+  principalType,
+  principalId,
+  sid,
+  revokedBy,
+  reason = "revoked"
+) {
+  return Session.findOneAndUpdate(
+    { _id: sid, ...liveFilter(principalType, principalId) },
+    { $set: { revokedAt: new Date(), revokedBy, revokeReason: reason } },
+    { new: true }
+  );
+}
+
+/**
+ * Log out the session a refresh token belongs to (when the access token
+ * has already expired). Only the current token counts, so a stale or
+ * guessed one can't end someone's session.
+ * @returns {Promise<boolean>}
+ */
+export async function revokeSessionByRefreshToken(principalType, raw) {
+  const sid = parseRefreshToken(raw);
+  if (!sid) return false;
+  const result = await Session.updateOne(
+    {
+      _id: sid,
+      principalType,
+      revokedAt: null,
+      refreshTokenHash: hashRefreshToken(raw),
+    },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedBy: { type: "self" },
+        revokeReason: "logout",
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every live session of an account, optionally keeping `exceptSid`.
+ * @returns {Promise<number>} sessions revoked
+ */
+export async function revokeAllSessions(
+  principalType,
+  principalId,
+  { exceptSid, revokedBy } = {}
+) {
+  const result = await Session.updateMany(
+    {
+      ...liveFilter(principalType, principalId),
+      ...(exceptSid && { _id: { $ne: exceptSid } }),
+    },
+    { $set: { revokedAt: new Date(), revokedBy, revokeReason: "revoked" } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * API shape of a session. `currentSid` flags the caller's own.
+ */
+export const formatSession = (session, currentSid) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent || null,
+  ip: session.ip || null,
+  lastSeenIp: session.lastSeenIp || null,
+  method: session.method,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSid) && String(session._id) === String(currentSid),
+});
@@ -0,0 +1,227 @@
+import ManagedService from "../models/customer/ManagedService.js";
+import SystemSettings from "../models/admin/SystemSettings.js";
+import Admin from "../models/admin/Admin.js";
+import { calculateDaysLeft } from "../utils/managedServiceUtils.js";
+import { sendSlaAlertEmail } from "./emailService.js";
+
+/**
+ * SLA tracking for managed services.
+ *
+ * The deadline is the one customers see (calculateDaysLeft: createdAt + the
+ * upper bound of the urgency tier's duration). A periodic sweep evaluates
+ * every in-progress request:
+ *   on_track — more than SLA_AT_RISK_FRACTION of the window left
+ *   at_risk  — inside that final stretch; alerts the assigned admin and the
+ *              escalation address once
+ *   breached — past the deadline; alerts again and records a breach event
+ * Transitions are conditional updates on the previous state, so several API
+ * instances can run the sweep without sending duplicate alerts.
+ */
+
+export const SLA_STATES = ["on_track", "at_risk", "breached"];
+
+const SWEEP_INTERVAL_MS =
+  parseInt(process.env.SLA_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const AT_RISK_FRACTION = Number(process.env.SLA_AT_RISK_FRACTION) || 0.25;
+const SWEEP_BATCH_SIZE = 500;
+
+const escalationEmail = () =>
+  process.env.SLA_ESCALATION_EMAIL || "sourcing@optiverifi.com";
+
+/**
+ * SLA state of a request at `now`.
+ * @returns {"on_track"|"at_risk"|"breached"}
+ */
+export function slaStateFor(createdAt, deadline, now = new Date()) {
+  const remaining = deadline.getTime() - now.getTime();
+  if (remaining <= 0) return "breached";
+  const window = deadline.getTime() - new Date(createdAt).getTime();
+  return remaining <= window * AT_RISK_FRACTION ? "at_risk" : "on_track";
+}
+
+async function alertRecipients(assignedAdminId) {
+  const recipients = [escalationEmail()];
+  if (assignedAdminId) {
+    const admin = await Admin.findOne({
+      _id: assignedAdminId,
+      isActive: true,
+    }).select("email");
+    if (admin?.email && !recipients.includes(admin.email)) {
+      recipients.unshift(admin.email);
+    }
+  }
+  return recipients;
+}
+
+/**
+ * Evaluate one request and apply its transition. Alerts fire only on the
+ * move into at_risk or breached; later sweeps just refresh evaluatedAt.
+ */
+export async function evaluateManagedServiceSla(
+  ms,
+  settings,
+  now = new Date()
+) {
+  const { deadline } = await calculateDaysLeft(
+    ms.urgency,
+    ms.createdAt,
+    settings
+  );
+  const state = slaStateFor(ms.createdAt, deadline, now);
+  const previous = ms.sla?.state;
+
+  // A breach is final for the request; on_track ← at_risk only happens if
+  // the deadline moved (urgency or tier duration changed).
+  if (previous === "breached" || state === previous) {
+    await ManagedService.updateOne(
+      { _id: ms._id },
+      { $set: { "sla.deadline": deadline, "sla.evaluatedAt": now } }
+    );
+    return previous || state;
+  }
+
+  const $set = {
+    "sla.state": state,
+    "sla.deadline": deadline,
+    "sla.evaluatedAt": now,
+  };
+  if (state === "at_risk") $set["sla.atRiskAt"] = now;
+  if (state === "breached") $set["sla.breachedAt"] = now;
+
+  const notify = state !== "on_track";
+  const notified = notify ? await alertRecipients(ms.assignedAdmin) : [];
+
+  const claimed = await ManagedService.findOneAndUpdate(
+    { _id: ms._id, "sla.state": previous ?? { $exists: false } },
+    {
+      $set,
+      ...(notify && {
+        $push: {
+          "sla.events": {
+            type: state,
+            at: now,
+            deadline,
+            stage: ms.stage,
+            assignedAdmin: ms.assignedAdmin,
+            notified,
+          },
+        },
+      }),
+    }
+  );
+  // Another instance got there first
+  if (!claimed || !notify) return state;
+
+  try {
+    await sendSlaAlertEmail({
+      to: notified,
+      managedService: ms,
+      state,
+      deadline,
+    });
+  } catch (error) {
+    // Logged in emailService; the state change and event stand
+  }
+  return state;
+}
+
+/**
+ * Evaluate every in-progress managed service once.
+ * @returns {Promise<Object>} counts: evaluated, on_track, at_risk, breached
+ */
+export async function runSlaSweep(now = new Date()) {
+  const settings = await SystemSettings.findOne({ key: "pricing_config" });
+  const counts = { evaluated: 0, on_track: 0, at_risk: 0, breached: 0 };
+
+  let lastId = null;
+  for (;;) {
+    const batch = await ManagedService.find({
+      status: "in_progress",
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .limit(SWEEP_BATCH_SIZE)
+      .select("_id urgency createdAt stage itemName assignedAdmin sla.state");
+    if (batch.length === 0) break;
+
+    for (const ms of batch) {
+      try {
+        const state = await evaluateManagedServiceSla(ms, settings, now);
+        counts.evaluated += 1;
+        counts[state] += 1;
+      } catch (error) {
+        console.error(
+          `Error evaluating SLA for managed service ${ms._id}:`,
+          error
+        );
+      }
+    }
+    lastId = batch[batch.length - 1]._id;
+  }
+  return counts;
+}
+
+let sweepTimer = null;
+
+/**
+ * Start the periodic SLA sweep. Called once from server.js after the
+ * database connects.
+ */
+export const startSlaScheduler = () => {
+  if (sweepTimer) return;
+  let running = false;
+  sweepTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSlaSweep();
+    } catch (error) {
+      console.error("Error in SLA sweep:", error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+};
+
+/**
+ * SLA compliance across every request the scheduler has evaluated, grouped
+ * by `groupBy` ("assignedAdmin" or "urgency"). A request counts as compliant
+ * unless it breached; `complianceRate` is compliant / tracked. onTrack and
+ * atRisk count only requests still in progress.
+ */
+export async function getSlaStats(groupBy) {
+  const activeIn = (state) => ({
+    $and: [
+      { $eq: ["$status", "in_progress"] },
+      { $eq: ["$sla.state", state] },
+    ],
+  });
+  const rows = await ManagedService.aggregate([
+    { $match: { "sla.state": { $in: SLA_STATES } } },
+    {
+      $group: {
+        _id: `$${groupBy}`,
+        tracked: { $sum: 1 },
+        active: {
+          $sum: { $cond: [{ $eq: ["$status", "in_progress"] }, 1, 0] },
+        },
+        onTrack: { $sum: { $cond: [activeIn("on_track"), 1, 0] } },
+        atRisk: { $sum: { $cond: [activeIn("at_risk"), 1, 0] } },
+        breached: {
+          $sum: { $cond: [{ $eq: ["$sla.state", "breached"] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { tracked: -1 } },
+  ]);
+
+  return rows.map(({ _id, ...row }) => ({
+    [groupBy]: _id ?? null,
+    ...row,
+    complianceRate:
+      row.tracked > 0
+        ? Math.round(((row.tracked - row.breached) / row.tracked) * 1000) / 10
+        : null,
+  }));
+}
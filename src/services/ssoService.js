@@ -0,0 +1,711 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import jwt from "jsonwebtoken";
+import SsoConnection from "../models/common/SsoConnection.js";
+import Organization from "../models/common/Organization.js";
+import User from "../models/common/User.js";
+import { assertPublicHost, isPrivateAddress } from "./webhookService.js";
+
+/**
+ * Per-organization single sign-on over OpenID Connect (authorization code
+ * flow with PKCE).
+ *
+ * An organization owner registers the IdP (issuer, client id/secret) and the
+ * email domains it covers; each domain is proven with a DNS TXT record
+ * before it routes logins. At login the user is sent to the IdP, and the
+ * callback verifies the id_token (signature against the IdP's JWKS, issuer,
+ * audience, expiry, nonce). The user is then matched by IdP subject, or
+ * linked to an existing account when the IdP asserts a verified email, or
+ * provisioned just in time, and added to the organization with the
+ * connection's default role.
+ *
+ * SAML is not supported: verifying XML signatures safely needs a dedicated
+ * library, and OIDC covers the IdPs customers have asked for.
+ */
+
+// ========== C-2: fail-closed secret resolution ==========
+const KNOWN_DEFAULTS = new Set([
+  "your-jwt-secret-key-change-in-production",
+  "your-secret-key-change-in-production",
+  "change-me",
+  "secret",
+  "jwt-secret",
+]);
+
+function requireSecret(name) {
+  const v = process.env[name];
+  if (!v || v.length < 32 || KNOWN_DEFAULTS.has(v)) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `[SECURITY] ${name} must be set to a strong (>=32 char) non-default secret in production`
+      );
+    }
+    console.warn(
+      `⚠️  [SECURITY] ${name} is missing/weak/default — failing closed in non-production mode is OFF, but DEPLOY WILL FAIL. Set ${name} to a strong random value.`
+    );
+    return v || `dev-only-insecure-${name}-${Date.now()}`;
+  }
+  return v;
+}
+
+// Signs the login state cookie; derived so it can't be replayed as a session
+const STATE_KEY = crypto
+  .createHmac("sha256", requireSecret("JWT_SECRET"))
+  .update("sso-state")
+  .digest();
+
+export const SSO_STATE_COOKIE = "sso-state";
+export const SSO_STATE_TTL_MS = 10 * 60 * 1000;
+export const DOMAIN_VERIFICATION_PREFIX = "optiverifi-domain-verification=";
+export const MAX_SSO_DOMAINS = 20;
+const HTTP_TIMEOUT_MS = 10000;
+// Re-read the discovery document at most daily
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+const DOMAIN_RE = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+// Anyone can sign up at these, so no organization may claim them
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "msn.com",
+  "yahoo.com",
+  "icloud.com",
+  "me.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "mail.com",
+]);
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Local testing against a mock IdP: route logins for domains that can't
+// carry a DNS record. Never honoured in production.
+const allowUnverifiedDomains = () =>
+  !isProduction() && process.env.SSO_ALLOW_UNVERIFIED_DOMAINS === "true";
+
+export const ssoRedirectUri = () =>
+  `${(
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/$/, "")}/api/auth/sso/callback`;
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+const emailDomain = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .trim()
+    .split("@")[1] || "";
+
+// ========== Validation ==========
+
+/**
+ * Validate an IdP URL (issuer or endpoint from its discovery document).
+ * @returns {string|null} Error message, or null if acceptable
+ */
+export const validateProviderUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "URL is not valid";
+  }
+  const allowHttp = url.protocol === "http:" && !isProduction();
+  if (url.protocol !== "https:" && !allowHttp) {
+    return "Identity provider URLs must use https";
+  }
+  if (url.username || url.password || url.hash) {
+    return "Identity provider URLs must not contain credentials or a fragment";
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (
+    isProduction() &&
+    (host === "localhost" ||
+      host.endsWith(".localhost") ||
+      (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    return "Identity provider URLs must point to a public host";
+  }
+  return null;
+};
+
+/**
+ * Normalize an email domain an organization wants to route to its IdP.
+ * @returns {{ value?: string, error?: string }}
+ */
+export const parseSsoDomain = (raw) => {
+  const value =
+    typeof raw === "string" ? raw.toLowerCase().trim().replace(/^@/, "") : "";
+  if (!DOMAIN_RE.test(value)) {
+    return { error: `"${String(raw).slice(0, 100)}" is not a valid domain` };
+  }
+  if (PUBLIC_EMAIL_DOMAINS.has(value)) {
+    return { error: `${value} is a public email domain and can't use SSO` };
+  }
+  return { value };
+};
+
+// Does the domain route logins for this connection?
+const domainIsActive = (domain) =>
+  Boolean(domain.verifiedAt) || allowUnverifiedDomains();
+
+// ========== IdP calls ==========
+
+async function fetchJson(url, init = {}) {
+  await assertPublicHost(url);
+  const response = await fetch(url, {
+    ...init,
+    redirect: "error",
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    headers: { Accept: "application/json", ...init.headers },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.status;
+    throw new Error(`Identity provider returned ${detail}`);
+  }
+  if (!body || typeof body !== "object") {
+    throw new Error("Identity provider returned an invalid response");
+  }
+  return body;
+}
+
+const trimSlash = (value) => String(value || "").replace(/\/+$/, "");
+
+/**
+ * Read the issuer's OpenID discovery document.
+ * @returns {Promise<{ authorizationEndpoint, tokenEndpoint, jwksUri }>}
+ */
+export async function discoverProvider(issuer) {
+  const doc = await fetchJson(
+    `${trimSlash(issuer)}/.well-known/openid-configuration`
+  );
+  if (trimSlash(doc.issuer) !== trimSlash(issuer)) {
+    throw new Error("Discovery document is for a different issuer");
+  }
+  const endpoints = {
+    authorizationEndpoint: doc.authorization_endpoint,
+    tokenEndpoint: doc.token_endpoint,
+    jwksUri: doc.jwks_uri,
+  };
+  for (const [name, value] of Object.entries(endpoints)) {
+    const error = typeof value === "string" ? validateProviderUrl(value) : "missing";
+    if (error) throw new Error(`Discovery document ${name} is invalid: ${error}`);
+  }
+  return endpoints;
+}
+
+/**
+ * Make sure the connection's endpoints are loaded and not stale; persists
+ * a refresh.
+ */
+async function ensureDiscovered(connection) {
+  const { oidc } = connection;
+  if (
+    oidc.authorizationEndpoint &&
+    oidc.tokenEndpoint &&
+    oidc.jwksUri &&
+    oidc.discoveredAt?.getTime() > Date.now() - DISCOVERY_TTL_MS
+  ) {
+    return;
+  }
+  const endpoints = await discoverProvider(oidc.issuer);
+  const update = {
+    "oidc.authorizationEndpoint": endpoints.authorizationEndpoint,
+    "oidc.tokenEndpoint": endpoints.tokenEndpoint,
+    "oidc.jwksUri": endpoints.jwksUri,
+    "oidc.discoveredAt": new Date(),
+  };
+  connection.set(update);
+  if (!connection.isNew) {
+    await SsoConnection.updateOne({ _id: connection._id }, { $set: update });
+  }
+}
+
+// jwksUri -> { keys: Map<kid, KeyObject>, fetchedAt }
+const jwksCache = new Map();
+
+async function loadJwks(jwksUri) {
+  const { keys } = await fetchJson(jwksUri);
+  const byKid = new Map();
+  for (const jwk of Array.isArray(keys) ? keys : []) {
+    if (jwk.use && jwk.use !== "sig") continue;
+    try {
+      byKid.set(jwk.kid || "", crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    } catch {
+      // Skip key types Node can't import
+    }
+  }
+  const entry = { keys: byKid, fetchedAt: Date.now() };
+  jwksCache.set(jwksUri, entry);
+  return entry;
+}
+
+// Signing key for `kid`; refetches once on an unknown kid (key rotation)
+async function getSigningKey(jwksUri, kid) {
+  let entry = jwksCache.get(jwksUri);
+  if (!entry || entry.fetchedAt < Date.now() - JWKS_TTL_MS) {
+    entry = await loadJwks(jwksUri);
+  }
+  const pick = (e) =>
+    kid ? e.keys.get(kid) : e.keys.size === 1 ? [...e.keys.values()][0] : null;
+  let key = pick(entry);
+  if (!key && entry.fetchedAt < Date.now() - 10 * 1000) {
+    key = pick(await loadJwks(jwksUri));
+  }
+  return key || null;
+}
+
+async function exchangeCode(connection, code, codeVerifier) {
+  const { oidc } = connection;
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: ssoRedirectUri(),
+    client_id: oidc.clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (oidc.clientSecret) {
+    // client_secret_basic (RFC 6749 §2.3.1: form-encode, then base64)
+    const credentials = `${encodeURIComponent(oidc.clientId)}:${encodeURIComponent(
+      oidc.clientSecret
+    )}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+  return fetchJson(oidc.tokenEndpoint, {
+    method: "POST",
+    headers,
+    body: body.toString(),
+  });
+}
+
+/**
+ * Verify an id_token for the connection and return its claims.
+ * @returns {Promise<{ claims?: Object, error?: string }>}
+ */
+export async function verifyIdToken(connection, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header?.alg)) {
+    return { error: "id_token is missing or not signed with a supported algorithm" };
+  }
+  const key = await getSigningKey(connection.oidc.jwksUri, decoded.header.kid);
+  if (!key) return { error: "id_token signing key not found" };
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: [connection.oidc.issuer, trimSlash(connection.oidc.issuer)],
+      audience: connection.oidc.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    return { error: `id_token rejected: ${error.message}` };
+  }
+  if (!claims.sub || !nonce || claims.nonce !== nonce) {
+    return { error: "id_token nonce mismatch" };
+  }
+  if (
+    Array.isArray(claims.aud) &&
+    claims.aud.length > 1 &&
+    claims.azp !== connection.oidc.clientId
+  ) {
+    return { error: "id_token was issued to another client" };
+  }
+  return { claims };
+}
+
+// ========== Lookup ==========
+
+/**
+ * The enabled connection routing logins for this email's domain, or null.
+ */
+export async function findConnectionForEmail(email) {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+  const verified = await SsoConnection.findOne({
+    enabled: true,
+    domains: { $elemMatch: { name: domain, verifiedAt: { $exists: true } } },
+  });
+  if (verified || !allowUnverifiedDomains()) return verified;
+  return SsoConnection.findOne({ enabled: true, "domains.name": domain });
+}
+
+/**
+ * The connection that forbids password login for this email, or null. The
+ * organization owner is exempt so a broken IdP setup can't lock the
+ * organization out of its own settings.
+ */
+export async function findEnforcedConnection(email) {
+  const connection = await findConnectionForEmail(email);
+  if (!connection?.enforced) return null;
+  const [organization, user] = await Promise.all([
+    Organization.findById(connection.organization).select("owner"),
+    User.findOne({ email: String(email).toLowerCase().trim() }).select("_id"),
+  ]);
+  if (organization && user && organization.owner.equals(user._id)) return null;
+  return connection;
+}
+
+// ========== Login flow ==========
+
+/**
+ * Start a login: the IdP authorization URL and the signed state to keep in
+ * the SSO_STATE_COOKIE until the callback.
+ * @param {Object} options - { email?, returnTo? }
+ * @returns {Promise<{ url: string, stateToken: string }>}
+ */
+export async function beginSsoLogin(connection, { email, returnTo } = {}) {
+  await ensureDiscovered(connection);
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+
+  const url = new URL(connection.oidc.authorizationEndpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", connection.oidc.clientId);
+  url.searchParams.set("redirect_uri", ssoRedirectUri());
+  url.searchParams.set("scope", connection.oidc.scopes || "openid email profile");
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  if (email) url.searchParams.set("login_hint", email);
+
+  const stateToken = jwt.sign(
+    {
+      cid: String(connection._id),
+      state,
+      nonce,
+      cv: codeVerifier,
+      rt: returnTo || undefined,
+    },
+    STATE_KEY,
+    { expiresIn: SSO_STATE_TTL_MS / 1000, audience: "sso-state" }
+  );
+  return { url: url.toString(), stateToken };
+}
+
+/**
+ * Read the state cookie back. Null if missing, expired, or its state
+ * doesn't match the callback's.
+ */
+export function readSsoState(stateToken, state) {
+  if (!stateToken || typeof state !== "string") return null;
+  let decoded;
+  try {
+    decoded = jwt.verify(stateToken, STATE_KEY, { audience: "sso-state" });
+  } catch {
+    return null;
+  }
+  const a = Buffer.from(String(decoded.state));
+  const b = Buffer.from(state);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return decoded;
+}
+
+/**
+ * Add the user to the connection's organization unless already a member.
+ * @returns {Promise<string|null>} Error message, or null
+ */
+async function ensureMembership(connection, user) {
+  if (user.organizationId) {
+    return user.organizationId.equals(connection.organization)
+      ? null
+      : "This account belongs to another organization";
+  }
+  const organization = await Organization.findById(connection.organization);
+  if (!organization) return "Organization not found";
+
+  await Organization.updateOne(
+    { _id: organization._id, "members.user": { $ne: user._id } },
+    { $push: { members: { user: user._id, role: connection.defaultRole } } }
+  );
+  const joined = await User.updateOne(
+    { _id: user._id, organizationId: null },
+    { $set: { organizationId: organization._id } }
+  );
+  if (joined.modifiedCount === 0) {
+    // Joined another team in the meantime; undo our membership row
+    await Organization.updateOne(
+      { _id: organization._id },
+      { $pull: { members: { user: user._id, role: { $ne: "owner" } } } }
+    );
+    return "This account belongs to another organization";
+  }
+  user.organizationId = organization._id;
+  return null;
+}
+
+/**
+ * Find, link or create the user for verified id_token claims.
+ * @returns {Promise<{ user?: Object, error?: string, status?: number }>}
+ */
+async function provisionUser(connection, claims) {
+  const subject = String(claims.sub);
+  let user = await User.findOne({
+    "sso.connection": connection._id,
+    "sso.subject": subject,
+  });
+
+  if (!user) {
+    // Linking to (or creating) an account by email needs the IdP to vouch
+    // for the address and the address to be on one of the org's domains.
+    const email =
+      typeof claims.email === "string" ? claims.email.toLowerCase().trim() : "";
+    if (claims.email_verified !== true && claims.email_verified !== "true") {
+      return { status: 403, error: "Your identity provider did not verify your email" };
+    }
+    const domain = connection.domains.find((d) => d.name === emailDomain(email));
+    if (!domain || !domainIsActive(domain)) {
+      return {
+        status: 403,
+        error: "Your email domain is not configured for this organization's SSO",
+      };
+    }
+
+    const sso = { connection: connection._id, subject, linkedAt: new Date() };
+    user = await User.findOneAndUpdate(
+      { email, "sso.subject": { $exists: false } },
+      { $set: { sso, isVerified: true } },
+      { new: true }
+    );
+    if (!user) {
+      if (await User.exists({ email })) {
+        return {
+          status: 409,
+          error: "This account is linked to a different identity",
+        };
+      }
+      try {
+        user = await User.create({ email, isVerified: true, sso });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { status: 409, error: "Account was created concurrently; try again" };
+      }
+    }
+  }
+
+  const membershipError = await ensureMembership(connection, user);
+  if (membershipError) return { status: 409, error: membershipError };
+
+  const now = new Date();
+  await Promise.all([
+    User.updateOne({ _id: user._id }, { $set: { "sso.lastLoginAt": now } }),
+    SsoConnection.updateOne({ _id: connection._id }, { $set: { lastLoginAt: now } }),
+  ]);
+  return { user };
+}
+
+/**
+ * Finish a login at the callback: exchange the code, verify the id_token
+ * and resolve the user.
+ * @param {Object} decodedState - from readSsoState
+ * @returns {Promise<{ user?: Object, returnTo?: string, error?: string, status?: number }>}
+ */
+export async function completeSsoLogin(decodedState, code) {
+  if (!code || typeof code !== "string") {
+    return { status: 400, error: "Missing authorization code" };
+  }
+  const connection = await SsoConnection.findOne({
+    _id: decodedState.cid,
+    enabled: true,
+  }).select("+oidc.clientSecret");
+  if (!connection) return { status: 404, error: "SSO is not enabled" };
+
+  await ensureDiscovered(connection);
+  const tokens = await exchangeCode(connection, code, decodedState.cv);
+  const verified = await verifyIdToken(connection, tokens.id_token, decodedState.nonce);
+  if (verified.error) return { status: 401, error: verified.error };
+
+  const result = await provisionUser(connection, verified.claims);
+  return { ...result, returnTo: decodedState.rt };
+}
+
+// ========== Configuration ==========
+
+/**
+ * Verify ownership of one of the connection's domains through its DNS TXT
+ * record. A domain can only be verified by one organization.
+ * @returns {Promise<{ connection?: Object, error?: string, status?: number }>}
+ */
+export async function verifySsoDomain(connection, rawName) {
+  const { value: name, error } = parseSsoDomain(rawName);
+  if (error) return { status: 400, error };
+  const domain = connection.domains.find((d) => d.name === name);
+  if (!domain) return { status: 404, error: "Domain is not on this connection" };
+  if (domain.verifiedAt) return { connection };
+
+  const claimed = await SsoConnection.exists({
+    _id: { $ne: connection._id },
+    domains: { $elemMatch: { name, verifiedAt: { $exists: true } } },
+  });
+  if (claimed) {
+    return { status: 409, error: "Domain is already verified by another organization" };
+  }
+
+  let records = [];
+  try {
+    records = (await dns.promises.resolveTxt(name)).map((chunks) => chunks.join(""));
+  } catch (dnsError) {
+    // ENOTFOUND / ENODATA: no records yet
+  }
+  if (!records.includes(`${DOMAIN_VERIFICATION_PREFIX}${domain.verificationToken}`)) {
+    return {
+      status: 400,
+      error: "Verification TXT record not found; DNS changes can take a while to appear",
+    };
+  }
+
+  const updated = await SsoConnection.findOneAndUpdate(
+    { _id: connection._id, "domains.name": name },
+    { $set: { "domains.$.verifiedAt": new Date() } },
+    { new: true }
+  );
+  return { connection: updated };
+}
+
+/**
+ * Apply owner edits to a connection (new document when none exists).
+ * Discovery runs when the issuer changes or the connection is enabled, so
+ * a bad configuration is reported here rather than at login.
+ * @param {Object} input - { issuer, clientId, clientSecret, scopes, domains,
+ *   enabled, enforced, defaultRole }
+ * @returns {Promise<{ value?: Object, error?: string }>}
+ */
+export async function applySsoSettings(connection, input) {
+  const { issuer, clientId, clientSecret, scopes, domains } = input;
+
+  if (issuer !== undefined) {
+    const error = typeof issuer === "string" ? validateProviderUrl(issuer) : "required";
+    if (error) return { error: `issuer: ${error}` };
+    if (trimSlash(issuer) !== trimSlash(connection.oidc?.issuer)) {
+      connection.set("oidc.issuer", issuer.trim());
+      connection.set("oidc.discoveredAt", undefined);
+    }
+  }
+  if (clientId !== undefined) {
+    if (typeof clientId !== "string" || !clientId.trim() || clientId.length > 500) {
+      return { error: "clientId is required" };
+    }
+    connection.set("oidc.clientId", clientId.trim());
+  }
+  if (clientSecret !== undefined) {
+    if (clientSecret !== null && (typeof clientSecret !== "string" || clientSecret.length > 1000)) {
+      return { error: "clientSecret must be a string" };
+    }
+    // null clears it (public client relying on PKCE alone)
+    connection.set("oidc.clientSecret", clientSecret || undefined);
+  }
+  if (scopes !== undefined) {
+    const list = typeof scopes === "string" ? scopes.split(/\s+/).filter(Boolean) : [];
+    if (!list.includes("openid") || !list.includes("email") || list.length > 20) {
+      return { error: 'scopes must include "openid" and "email"' };
+    }
+    connection.set("oidc.scopes", list.join(" "));
+  }
+
+  if (domains !== undefined) {
+    if (!Array.isArray(domains) || domains.length === 0 || domains.length > MAX_SSO_DOMAINS) {
+      return { error: `domains must list 1 to ${MAX_SSO_DOMAINS} email domains` };
+    }
+    const names = [];
+    for (const raw of domains) {
+      const parsed = parseSsoDomain(raw);
+      if (parsed.error) return { error: parsed.error };
+      if (!names.includes(parsed.value)) names.push(parsed.value);
+    }
+    // Keep tokens and verification for domains that stay
+    connection.domains = names.map(
+      (name) =>
+        connection.domains.find((d) => d.name === name) || {
+          name,
+          verificationToken: crypto.randomBytes(16).toString("hex"),
+        }
+    );
+  }
+
+  for (const flag of ["enabled", "enforced"]) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== "boolean") return { error: `${flag} must be a boolean` };
+    connection[flag] = input[flag];
+  }
+  if (input.defaultRole !== undefined) {
+    if (!["member", "viewer"].includes(input.defaultRole)) {
+      return { error: 'defaultRole must be "member" or "viewer"' };
+    }
+    connection.defaultRole = input.defaultRole;
+  }
+
+  if (!connection.oidc?.issuer || !connection.oidc?.clientId) {
+    return { error: "issuer and clientId are required" };
+  }
+  if (connection.domains.length === 0) {
+    return { error: "Add at least one email domain" };
+  }
+  if (connection.enabled && (connection.isModified("enabled") || !connection.oidc.discoveredAt)) {
+    try {
+      connection.set("oidc.discoveredAt", undefined);
+      await ensureDiscovered(connection);
+    } catch (error) {
+      return { error: `Could not load the issuer's OpenID configuration: ${error.message}` };
+    }
+  }
+  return { value: connection };
+}
+
+/**
+ * API shape of a connection for its organization's owner. Never includes
+ * the client secret.
+ */
+export const formatSsoConnection = (connection) => ({
+  id: connection._id,
+  protocol: connection.protocol,
+  enabled: connection.enabled,
+  enforced: connection.enforced,
+  defaultRole: connection.defaultRole,
+  oidc: {
+    issuer: connection.oidc?.issuer,
+    clientId: connection.oidc?.clientId,
+    scopes: connection.oidc?.scopes,
+    discoveredAt: connection.oidc?.discoveredAt || null,
+  },
+  // Register this at the IdP as the allowed redirect URI
+  redirectUri: ssoRedirectUri(),
+  domains: connection.domains.map((d) => ({
+    name: d.name,
+    verified: Boolean(d.verifiedAt),
+    verifiedAt: d.verifiedAt || null,
+    txtRecord: d.verifiedAt
+      ? undefined
+      : {
+          name: d.name,
+          value: `${DOMAIN_VERIFICATION_PREFIX}${d.verificationToken}`,
+        },
+  })),
+  lastLoginAt: connection.lastLoginAt || null,
+  createdAt: connection.createdAt,
+  updatedAt: connection.updatedAt,
+});
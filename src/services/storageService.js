@@ -0,0 +1,277 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Storage abstraction for uploaded documents.
+ *
+ * Two drivers behind one interface:
+ *   - "local" (default): files on disk under UPLOADS_DIR. Fine for a single
+ *     instance with a persistent volume.
+ *   - "s3": any S3-compatible object store (AWS S3, MinIO, R2). Set
+ *     S3_ENDPOINT + S3_FORCE_PATH_STYLE=true to point at a local MinIO.
+ *
+ * Every driver exposes:
+ *   put(key, buffer, { contentType })  -> Promise<void>
+ *   createReadStream(key)               -> Readable   (local only)
+ *   exists(key)                         -> Promise<boolean>
+ *   remove(key)                         -> Promise<void>
+ *   getSignedUrl(key, { expiresIn, downloadName, contentType })
+ *                                       -> Promise<string>
+ *
+ * Downloads never stream through a long-lived URL: /api/files runs the ACL
+ * and then hands out a signed URL valid for FILE_URL_TTL_SECONDS. For S3 this
+ * is a presigned GetObject; for local disk it is an HMAC-signed
+ * /api/files/:key/signed link served by routes/common/files.js.
+ */
+
+export const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || "local")
+  .toLowerCase()
+  .trim();
+
+export const FILE_URL_TTL_SECONDS = parseInt(
+  process.env.FILE_URL_TTL_SECONDS || "300",
+  10
+);
+
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || "uploads");
+
+// ========== C-2: fail-closed secret resolution ==========
+const KNOWN_DEFAULTS = new Set([
+  "your-jwt-secret-key-change-in-production",
+  "your-secret-key-change-in-production",
+  "change-me",
+  "secret",
+  "jwt-secret",
+]);
+
+function requireSecret(name) {
+  const v = process.env[name];
+  if (!v || v.length < 32 || KNOWN_DEFAULTS.has(v)) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `[SECURITY] ${name} must be set to a strong (>=32 char) non-default secret in production`
+      );
+    }
+    console.warn(
+      `⚠️  [SECURITY] ${name} is missing/weak/default — failing closed in non-production mode is OFF, but DEPLOY WILL FAIL. Set ${name} to a strong random value.`
+    );
+    return v || `dev-only-insecure-${name}-${Date.now()}`;
+  }
+  return v;
+}
+
+// Signing secret for local-driver download links. Must be the same on every
+// instance and across restarts, or issued links stop verifying.
+const FILE_URL_SECRET = requireSecret("FILE_URL_SECRET");
+
+// Storage keys are the generated upload filenames. Same whitelist the files
+// route has always enforced.
+export const isValidKey = (key) =>
+  typeof key === "string" && /^[A-Za-z0-9_.-]+$/.test(key) && !key.includes("..");
+
+const contentDispositionFor = (downloadName) => {
+  const safe = String(downloadName || "download").replace(/[^A-Za-z0-9_.-]/g, "_");
+  return `attachment; filename="${safe}"`;
+};
+
+// ========== Local disk driver ==========
+
+const signLocal = (key, expires) =>
+  crypto
+    .createHmac("sha256", FILE_URL_SECRET)
+    .update(`${key}.${expires}`)
+    .digest("hex");
+
+/**
+ * Verify a local-driver signed download link.
+ * @returns {boolean}
+ */
+export const verifyLocalSignature = (key, expires, sig) => {
+  const exp = parseInt(expires, 10);
+  if (!isValidKey(key) || !exp || typeof sig !== "string") return false;
+  if (Date.now() > exp * 1000) return false;
+  const expected = signLocal(key, exp);
+  if (expected.length !== sig.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sig));
+};
+
+const createLocalDriver = () => {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+  const resolveKey = (key) => {
+    if (!isValidKey(key)) throw new Error("Invalid storage key");
+    const full = path.join(UPLOADS_DIR, key);
+    // Belt-and-suspenders path traversal guard: resolved path must live
+    // inside the uploads dir.
+    if (!full.startsWith(UPLOADS_DIR + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return full;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      await fs.promises.writeFile(resolveKey(key), buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (_) {
+        // best-effort cleanup
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn = FILE_URL_TTL_SECONDS } = {}) {
+      resolveKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const sig = signLocal(key, expires);
+      return `/api/files/${key}/signed?expires=${expires}&sig=${sig}`;
+    },
+  };
+};
+
+// ========== S3-compatible driver ==========
+
+const createS3Driver = async () => {
+  // Loaded lazily so local-only deployments don't pay for the SDK at boot.
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+  } = await import("@aws-sdk/client-s3");
+  const { getSignedUrl } = await import("@aws-sdk/s3-request-presigner");
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set when STORAGE_DRIVER=s3");
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials:
+      process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+  });
+
+  const prefix = process.env.S3_KEY_PREFIX || "uploads/";
+  const objectKey = (key) => {
+    if (!isValidKey(key)) throw new Error("Invalid storage key");
+    return `${prefix}${key}`;
+  };
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: buffer,
+          ContentType: contentType,
+          ServerSideEncryption:
+            process.env.S3_SSE === "false" ? undefined : "AES256",
+        })
+      );
+    },
+
+    createReadStream() {
+      throw new Error("S3 driver serves downloads via signed URLs only");
+    },
+
+    async exists(key) {
+      try {
+        await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+        return true;
+      } catch (err) {
+        if (err?.$metadata?.httpStatusCode === 404 || err?.name === "NotFound") {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await client.send(
+          new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+      } catch (_) {
+        // best-effort cleanup
+      }
+    },
+
+    async getSignedUrl(
+      key,
+      { expiresIn = FILE_URL_TTL_SECONDS, downloadName, contentType } = {}
+    ) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          ResponseContentDisposition: contentDispositionFor(
+            downloadName || key
+          ),
+          ResponseContentType: contentType,
+        }),
+        { expiresIn }
+      );
+    },
+  };
+};
+
+// ========== Driver registry ==========
+
+const drivers = new Map();
+
+/**
+ * Get a storage driver. Defaults to STORAGE_DRIVER; pass a name to reach the
+ * backend a specific Upload was written to (Upload.storageDriver).
+ *
+ * @param {string} [name]
+ */
+export const getStorage = async (name = STORAGE_DRIVER) => {
+  if (drivers.has(name)) return drivers.get(name);
+
+  let driver;
+  if (name === "local") {
+    driver = createLocalDriver();
+  } else if (name === "s3") {
+    driver = await createS3Driver();
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected local or s3)`);
+  }
+  drivers.set(name, driver);
+  return driver;
+};
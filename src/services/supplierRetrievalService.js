@@ -0,0 +1,348 @@
+// Semantic supplier retrieval — shortlists candidates for AI Call 1.
+//
+// Exact category equality used to be a hard gate, so a supplier filed under
+// a sibling category/subCategory was never scored even when its profile
+// clearly covered the request. Instead we embed each supplier's profile
+// (name, positioning, capabilities, tags) and the buyer's request, rank by
+// cosine similarity, and pass the top N to scoreCandidatesBatch. Exact
+// category / subCategory agreement is an additive boost (set the weights to
+// 0 to rank on similarity alone).
+//
+// Two embedding backends:
+//   - openai: text-embedding-3-small. Supplier vectors are cached in the
+//     SupplierEmbedding collection keyed by a hash of the embedded text, so
+//     only new or edited suppliers are re-embedded.
+//   - local:  hashed TF-IDF over unigrams + bigrams, IDF computed across the
+//     active supplier pool at query time. Used when OPENAI_API_KEY is unset
+//     or the embeddings call fails. Nothing is stored.
+
+import crypto from "crypto";
+import OpenAI from "openai";
+import dotenv from "dotenv";
+import SupplierEmbedding from "../models/admin/SupplierEmbedding.js";
+import { getCategoryMatch } from "./aiService.js";
+import { getRequestLines } from "../utils/lineItems.js";
+
+dotenv.config();
+
+// ========== CONSTANTS ==========
+
+const EMBEDDING_MODEL = "text-embedding-3-small";
+const EMBED_BATCH_SIZE = 100;
+const EMBED_TIMEOUT_MS = 30000;
+// Keeps one verbose supplier profile from dominating the token budget.
+const MAX_EMBED_TEXT_CHARS = 4000;
+
+const LOCAL_DIMENSIONS = 1024;
+const LOCAL_MODEL = `hashing-tfidf-${LOCAL_DIMENSIONS}`;
+
+const TOP_N = parseInt(process.env.SUPPLIER_RETRIEVAL_TOP_N || "25", 10);
+const CATEGORY_BOOST = parseFloat(
+  process.env.SUPPLIER_RETRIEVAL_CATEGORY_BOOST ?? "0.15"
+);
+const SUBCATEGORY_BOOST = parseFloat(
+  process.env.SUPPLIER_RETRIEVAL_SUBCATEGORY_BOOST ?? "0.05"
+);
+// Candidates at or below this similarity are dropped unless they match the
+// buyer's category. 0 drops only suppliers with no overlap at all.
+const MIN_SIMILARITY = parseFloat(
+  process.env.SUPPLIER_RETRIEVAL_MIN_SIMILARITY ?? "0"
+);
+
+const isDev = process.env.NODE_ENV === "development";
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in",
+  "into", "is", "it", "its", "of", "on", "or", "our", "the", "to", "we",
+  "with", "you", "your", "need", "needs", "looking", "require", "required",
+]);
+
+// ========== CLIENT ==========
+
+// Only built when a key is configured — the local backend needs no client.
+const client = process.env.OPENAI_API_KEY
+  ? new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: EMBED_TIMEOUT_MS,
+    })
+  : null;
+
+// ========== TEXT ==========
+
+const joinList = (arr) =>
+  Array.isArray(arr)
+    ? arr.filter((s) => typeof s === "string" && s.trim()).join(", ")
+    : "";
+
+/**
+ * Profile text that represents a supplier in the embedding index.
+ */
+export function buildSupplierEmbeddingText(supplier) {
+  return [
+    supplier.name,
+    supplier.positioning,
+    joinList(supplier.capabilities),
+    joinList(supplier.tags),
+  ]
+    .filter((s) => s && String(s).trim())
+    .join("\n")
+    .slice(0, MAX_EMBED_TEXT_CHARS);
+}
+
+/**
+ * Query text for a buyer request.
+ */
+export function buildRequestEmbeddingText(request) {
+  // Multi-line requests: every line's name, category and specs, so a
+  // supplier covering any part of the bill of materials can surface.
+  const lines = getRequestLines(request).map((line) =>
+    [line.name, line.category, line.subCategory, line.description]
+      .filter((s) => s && String(s).trim())
+      .join(" ")
+  );
+  return [
+    request.name,
+    request.category,
+    request.subCategory ?? request.subcategory,
+    request.description,
+    request.requirements,
+    ...lines,
+  ]
+    .filter((s) => s && String(s).trim())
+    .join("\n")
+    .slice(0, MAX_EMBED_TEXT_CHARS);
+}
+
+const hashText = (text) =>
+  crypto.createHash("sha256").update(text).digest("hex");
+
+// ========== LOCAL BACKEND (hashed TF-IDF) ==========
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) => {
+      // Light plural folding so "printers" meets "printer".
+      if (t.length > 4 && t.endsWith("ies")) return `${t.slice(0, -3)}y`;
+      if (t.length > 3 && t.endsWith("s") && !t.endsWith("ss")) {
+        return t.slice(0, -1);
+      }
+      return t;
+    });
+}
+
+// FNV-1a, 32-bit
+function bucketOf(feature) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % LOCAL_DIMENSIONS;
+}
+
+/**
+ * Term counts per hash bucket; features are unigrams plus adjacent bigrams.
+ */
+function hashedTermCounts(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  const add = (feature) => {
+    const b = bucketOf(feature);
+    counts.set(b, (counts.get(b) || 0) + 1);
+  };
+  tokens.forEach((t, i) => {
+    add(t);
+    if (i > 0) add(`${tokens[i - 1]} ${t}`);
+  });
+  return counts;
+}
+
+function tfidfVector(counts, idf) {
+  const vec = new Float64Array(LOCAL_DIMENSIONS);
+  for (const [b, tf] of counts) vec[b] = (1 + Math.log(tf)) * idf[b];
+  return vec;
+}
+
+/**
+ * Cosine similarity of the request against each supplier text, using IDF
+ * weights learned from the supplier pool itself.
+ */
+function localSimilarities(requestText, supplierTexts) {
+  const docs = supplierTexts.map(hashedTermCounts);
+  const df = new Float64Array(LOCAL_DIMENSIONS);
+  for (const doc of docs) for (const b of doc.keys()) df[b] += 1;
+  const n = docs.length;
+  const idf = df.map((d) => Math.log((1 + n) / (1 + d)) + 1);
+
+  const query = tfidfVector(hashedTermCounts(requestText), idf);
+  return docs.map((doc) => cosine(query, tfidfVector(doc, idf)));
+}
+
+// ========== OPENAI BACKEND ==========
+
+async function embedTexts(texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const response = await client.embeddings.create({
+      model: EMBEDDING_MODEL,
+      input: texts.slice(i, i + EMBED_BATCH_SIZE),
+    });
+    const batch = [...response.data].sort((a, b) => a.index - b.index);
+    vectors.push(...batch.map((d) => d.embedding));
+  }
+  return vectors;
+}
+
+/**
+ * Supplier vectors aligned with `suppliers`, embedding only the ones whose
+ * cached vector is missing or was computed from different text.
+ */
+async function getSupplierVectors(suppliers, supplierTexts) {
+  const hashes = supplierTexts.map(hashText);
+  const cached = await SupplierEmbedding.find({
+    supplier: { $in: suppliers.map((s) => s._id) },
+    model: EMBEDDING_MODEL,
+  });
+  const byId = new Map(cached.map((e) => [e.supplier.toString(), e]));
+
+  const vectors = suppliers.map((s, i) => {
+    const entry = byId.get(s._id.toString());
+    return entry && entry.textHash === hashes[i] ? entry.vector : null;
+  });
+
+  const stale = vectors
+    .map((v, i) => (v ? null : i))
+    .filter((i) => i !== null);
+  if (stale.length === 0) return vectors;
+
+  if (isDev) {
+    console.log(
+      `[RETRIEVAL] Embedding ${stale.length}/${suppliers.length} new or edited suppliers`
+    );
+  }
+  const fresh = await embedTexts(stale.map((i) => supplierTexts[i]));
+  stale.forEach((supplierIdx, j) => {
+    vectors[supplierIdx] = fresh[j];
+  });
+
+  await SupplierEmbedding.bulkWrite(
+    stale.map((supplierIdx, j) => ({
+      updateOne: {
+        filter: {
+          supplier: suppliers[supplierIdx]._id,
+          model: EMBEDDING_MODEL,
+        },
+        update: {
+          $set: { textHash: hashes[supplierIdx], vector: fresh[j] },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return vectors;
+}
+
+async function openAiSimilarities(requestText, suppliers, supplierTexts) {
+  const [[query], vectors] = await Promise.all([
+    embedTexts([requestText]),
+    getSupplierVectors(suppliers, supplierTexts),
+  ]);
+  return vectors.map((v) => cosine(query, v));
+}
+
+// ========== RETRIEVAL ==========
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Rank `suppliers` by semantic similarity to `request` (plus the category
+ * boost) and return the top N.
+ *
+ * @param {Object} request - BuyerRequest
+ * @param {Array<Object>} suppliers - Active Supplier docs (the full pool)
+ * @param {Object} [opts] - { topN }
+ * @returns {Promise<{ candidates: Array<{ supplier, similarity, categoryMatch,
+ *   subCategoryMatch, score }>, method: "openai"|"local", model: string,
+ *   poolSize: number }>}
+ */
+export async function retrieveCandidateSuppliers(
+  request,
+  suppliers,
+  { topN = TOP_N } = {}
+) {
+  const requestText = buildRequestEmbeddingText(request);
+  const supplierTexts = suppliers.map(buildSupplierEmbeddingText);
+
+  let method = "local";
+  let model = LOCAL_MODEL;
+  let similarities = null;
+
+  if (client && suppliers.length > 0) {
+    try {
+      similarities = await openAiSimilarities(
+        requestText,
+        suppliers,
+        supplierTexts
+      );
+      method = "openai";
+      model = EMBEDDING_MODEL;
+    } catch (err) {
+      console.warn(
+        `[RETRIEVAL] OpenAI embeddings failed, using local fallback: ${err.message}`
+      );
+    }
+  }
+  if (!similarities) {
+    similarities = localSimilarities(requestText, supplierTexts);
+  }
+
+  const candidates = suppliers
+    .map((supplier, i) => {
+      const match = getCategoryMatch(request, supplier);
+      const boost =
+        (match.category ? CATEGORY_BOOST : 0) +
+        (match.subCategory ? SUBCATEGORY_BOOST : 0);
+      return {
+        supplier,
+        similarity: similarities[i],
+        categoryMatch: match.category,
+        subCategoryMatch: match.subCategory,
+        score: similarities[i] + boost,
+      };
+    })
+    .filter((c) => c.similarity > MIN_SIMILARITY || c.categoryMatch)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(topN, 1));
+
+  if (isDev) {
+    console.log(
+      `[RETRIEVAL] ${method} (${model}): ${candidates.length} of ${suppliers.length} suppliers shortlisted`
+    );
+    candidates.forEach((c, i) => {
+      console.log(
+        `  #${i + 1} "${c.supplier.name}" sim=${c.similarity.toFixed(3)}` +
+          `${c.categoryMatch ? ` +cat${c.subCategoryMatch ? "+sub" : ""}` : ""}` +
+          ` → ${c.score.toFixed(3)}`
+      );
+    });
+  }
+
+  return { candidates, method, model, poolSize: suppliers.length };
+}
@@ -31,13 +31,17 @@ const TOKEN_EXPIRY = {
   verification: 24 * 60 * 60 * 1000, // 24 hours
   accountSetup: 7 * 24 * 60 * 60 * 1000, // 7 days
   passwordReset: 1 * 60 * 60 * 1000, // 1 hour
+  orgInvite: 7 * 24 * 60 * 60 * 1000, // 7 days
+  supplierClaim: 30 * 60 * 1000, // 30 minutes
+  magicLink: 15 * 60 * 1000, // 15 minutes
 };
 
 /**
  * Generate a secure token for email links
  * @param {string} email - User's email address
  * @param {string} requestId - Request ID (optional for account setup)
- * @param {string} type - Token type: 'payment', 'verification', or 'accountSetup'
+ * @param {string} type - Token type: 'payment', 'verification', 'accountSetup',
+ *   'orgInvite', 'supplierClaim' or 'magicLink'
  * @returns {string} Secure token
  */
 export const generateToken = (email, requestId, type = "payment") => {
@@ -120,6 +124,8 @@ export const verifyToken = (token, expectedEmail, expectedRequestId, type = "pay
         email: payload.email,
         requestId: payload.requestId,
         type: payload.type,
+        // Lets single-use flows reject links issued before their last use
+        issuedAt: payload.timestamp,
       },
     };
   } catch (error) {
@@ -0,0 +1,366 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Two-factor authentication for admins and customers — TOTP (RFC 6238,
+ * SHA-1, 6 digits, 30 s steps; what every authenticator app speaks) plus
+ * single-use recovery codes.
+ *
+ * TOTP secrets are stored AES-256-GCM encrypted; recovery codes only as
+ * SHA-256 hashes (they are high-entropy, like API keys). A code is accepted
+ * once: the matched time step is recorded with a conditional update, so a
+ * replayed or concurrently reused code fails.
+ *
+ * Login is two-step. After the password checks out, accounts with 2FA get a
+ * short-lived challenge token instead of a session, and trade it plus a code
+ * for the session (POST .../2fa/verify). Super admins without 2FA get a
+ * "setup" challenge and must enroll before a session is issued.
+ */
+
+// ========== C-2: fail-closed secret resolution ==========
+const KNOWN_DEFAULTS = new Set([
+  "your-jwt-secret-key-change-in-production",
+  "your-secret-key-change-in-production",
+  "change-me",
+  "secret",
+  "jwt-secret",
+]);
+
+function requireSecret(name) {
+  const v = process.env[name];
+  if (!v || v.length < 32 || KNOWN_DEFAULTS.has(v)) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `[SECURITY] ${name} must be set to a strong (>=32 char) non-default secret in production`
+      );
+    }
+    console.warn(
+      `⚠️  [SECURITY] ${name} is missing/weak/default — failing closed in non-production mode is OFF, but DEPLOY WILL FAIL. Set ${name} to a strong random value.`
+    );
+    return v || `dev-only-insecure-${name}-${Date.now()}`;
+  }
+  return v;
+}
+
+const SECRET = requireSecret("TWO_FACTOR_SECRET");
+// Separate keys for encrypting TOTP secrets and signing challenges
+const deriveKey = (label) =>
+  crypto.createHmac("sha256", SECRET).update(label).digest();
+const ENCRYPTION_KEY = deriveKey("totp-secret-encryption");
+const CHALLENGE_KEY = deriveKey("2fa-challenge");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "OptiVerifi";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too (clock drift)
+const DRIFT_STEPS = 1;
+export const RECOVERY_CODE_COUNT = 10;
+export const CHALLENGE_TTL = "5m";
+export const STEP_UP_TTL = "5m";
+
+// ========== Base32 (RFC 4648, no padding) ==========
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/=+$|\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ========== TOTP ==========
+
+/**
+ * The code for one time step (RFC 4226 HOTP over the step counter).
+ */
+export function totpCode(base32Secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(base32Secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export const currentStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The time step `code` matches (within the drift window), or null.
+ */
+export function matchTotpStep(base32Secret, code, now = Date.now()) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = totpCode(base32Secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const otpauthUrl = (base32Secret, accountName) =>
+  `otpauth://totp/${encodeURIComponent(`${ISSUER}:${accountName}`)}?secret=${base32Secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// ========== Secret encryption ==========
+
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, data] = String(stored)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+// ========== Recovery codes ==========
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+
+/**
+ * @returns {{ codes: string[], records: Object[] }} codes to show once and
+ *   the hashed records to store
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    records: codes.map((code) => ({ hash: hashRecoveryCode(code) })),
+  };
+}
+
+// ========== Verification ==========
+
+// Fields verification needs that are select: false on the models
+export const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+/**
+ * Check a second factor for an account with 2FA enabled and consume it.
+ * `account` must be loaded with TWO_FACTOR_SECRET_FIELDS.
+ *
+ * @param {mongoose.Model} Model - Admin or User
+ * @param {Object} input - { code } (TOTP) or { recoveryCode }
+ * @returns {Promise<{ ok: boolean, method?: "totp"|"recovery_code",
+ *   recoveryCodesRemaining?: number }>}
+ */
+export async function verifySecondFactor(Model, account, { code, recoveryCode }) {
+  if (!account?.twoFactor?.enabled || !account.twoFactor.secret) {
+    return { ok: false };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await Model.updateOne(
+      {
+        _id: account._id,
+        "twoFactor.recoveryCodes": { $elemMatch: { hash, usedAt: null } },
+      },
+      { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+    );
+    if (result.modifiedCount !== 1) return { ok: false };
+    const remaining = (account.twoFactor.recoveryCodes || []).filter(
+      (record) => !record.usedAt && record.hash !== hash
+    ).length;
+    return { ok: true, method: "recovery_code", recoveryCodesRemaining: remaining };
+  }
+
+  const step = matchTotpStep(decryptSecret(account.twoFactor.secret), code);
+  if (step === null) return { ok: false };
+  // Single use: claim the step only if it's newer than the last one used
+  const result = await Model.updateOne(
+    {
+      _id: account._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": null },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1 ? { ok: true, method: "totp" } : { ok: false };
+}
+
+/**
+ * Start (or restart) enrollment: a new pending secret, not active until
+ * confirmed with a code.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+export async function beginEnrollment(Model, account) {
+  const secret = generateTotpSecret();
+  await Model.updateOne(
+    { _id: account._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+  );
+  return { secret, otpauthUrl: otpauthUrl(secret, account.email) };
+}
+
+/**
+ * Confirm enrollment with a code from the app. Activates 2FA and issues
+ * fresh recovery codes. `account` loaded with TWO_FACTOR_SECRET_FIELDS.
+ * @returns {Promise<{ recoveryCodes?: string[], error?: string }>}
+ */
+export async function completeEnrollment(Model, account, code) {
+  const pending = account.twoFactor?.pendingSecret;
+  if (!pending) return { error: "Start two-factor setup first" };
+
+  const step = matchTotpStep(decryptSecret(pending), code);
+  if (step === null) return { error: "Invalid verification code" };
+
+  const { codes, records } = generateRecoveryCodes();
+  const result = await Model.updateOne(
+    { _id: account._id, "twoFactor.pendingSecret": pending },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": pending,
+        "twoFactor.recoveryCodes": records,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.enabledAt": new Date(),
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    }
+  );
+  if (result.modifiedCount !== 1) {
+    return { error: "Two-factor setup changed; start again" };
+  }
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Replace all recovery codes.
+ * @returns {Promise<string[]>} the new codes, to show once
+ */
+export async function regenerateRecoveryCodes(Model, account) {
+  const { codes, records } = generateRecoveryCodes();
+  await Model.updateOne(
+    { _id: account._id },
+    { $set: { "twoFactor.recoveryCodes": records } }
+  );
+  return codes;
+}
+
+export async function disableTwoFactor(Model, account) {
+  await Model.updateOne(
+    { _id: account._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.enabledAt": 1,
+      },
+    }
+  );
+}
+
+/**
+ * Public 2FA status for /me responses.
+ */
+export const twoFactorStatus = (account) => ({
+  enabled: Boolean(account?.twoFactor?.enabled),
+  enabledAt: account?.twoFactor?.enabledAt || null,
+});
+
+// ========== Challenge and step-up tokens ==========
+// Signed with CHALLENGE_KEY and carrying neither userId nor adminId, so they
+// can never pass authenticate()/authenticateAdmin() as a session. `v` is the
+// account's tokenVersion, so a password change voids them. Step-up tokens
+// are only honoured alongside a live session (middleware/twoFactor.js).
+
+/**
+ * @param {"admin"|"user"} kind
+ * @param {"login"|"setup"|"step_up"} purpose
+ */
+export const signTwoFactorToken = (account, kind, purpose) =>
+  jwt.sign(
+    {
+      sub: String(account._id),
+      kind,
+      purpose,
+      v: typeof account.tokenVersion === "number" ? account.tokenVersion : 0,
+    },
+    CHALLENGE_KEY,
+    { expiresIn: purpose === "step_up" ? STEP_UP_TTL : CHALLENGE_TTL }
+  );
+
+/**
+ * Load the account a challenge token was issued for, or null if the token
+ * is invalid, expired, for another kind/purpose, or revoked.
+ * @param {string[]} purposes - accepted purposes
+ */
+export async function resolveTwoFactorToken(Model, token, kind, purposes, select) {
+  if (!token || typeof token !== "string") return null;
+  let decoded;
+  try {
+    decoded = jwt.verify(token, CHALLENGE_KEY);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.kind !== kind || !purposes.includes(decoded.purpose)) return null;
+
+  const account = await Model.findById(decoded.sub).select(select || "");
+  if (!account) return null;
+  const v = typeof account.tokenVersion === "number" ? account.tokenVersion : 0;
+  if (decoded.v !== v) return null;
+  return { account, purpose: decoded.purpose };
+}
@@ -0,0 +1,339 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import User from "../models/common/User.js";
+import WebhookEndpoint from "../models/customer/WebhookEndpoint.js";
+import WebhookDelivery from "../models/customer/WebhookDelivery.js";
+
+/**
+ * Outbound webhooks — fan-out, signing, delivery and retries.
+ *
+ * Every request is a JSON POST of `{ id, type, createdAt, data }` with:
+ *   X-Webhook-Id         event id (stable across retries and redeliveries)
+ *   X-Webhook-Event      event type, e.g. "match_report.completed"
+ *   X-Webhook-Delivery   delivery id (changes on manual redelivery)
+ *   X-Webhook-Signature  `t=<unix seconds>,v1=<hex>` where v1 is
+ *                        HMAC-SHA256(secret, `${t}.${rawBody}`)
+ *
+ * Receivers should recompute v1 over the raw body, compare in constant time
+ * and reject stale timestamps. Any 2xx marks the delivery succeeded;
+ * anything else (including timeouts) is retried per RETRY_DELAYS_MS.
+ *
+ * Emitting never throws into the caller: a webhook problem must not fail the
+ * payment, report or stage change that triggered it.
+ */
+
+// Delay before attempt N+1 after N failures. Length + 1 = max attempts.
+const RETRY_DELAYS_MS = [
+  60 * 1000, // 1 min
+  5 * 60 * 1000, // 5 min
+  30 * 60 * 1000, // 30 min
+  2 * 60 * 60 * 1000, // 2 h
+  6 * 60 * 60 * 1000, // 6 h
+  12 * 60 * 60 * 1000, // 12 h
+];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const WORKER_BATCH_SIZE = 20;
+// While one worker is sending a delivery, other instances skip it until the
+// claim expires (covers a crash mid-send).
+const CLAIM_TTL_MS = 2 * 60 * 1000;
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Build the X-Webhook-Signature header value for `body`.
+ */
+export const signWebhookPayload = (secret, body, timestamp) => {
+  const t = timestamp || Math.floor(Date.now() / 1000);
+  const v1 = crypto
+    .createHmac("sha256", secret)
+    .update(`${t}.${body}`)
+    .digest("hex");
+  return `t=${t},v1=${v1}`;
+};
+
+// ========== SSRF guard ==========
+
+export const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+  const v6 = address.toLowerCase();
+  if (v6.startsWith("::ffff:")) return isPrivateAddress(v6.slice(7));
+  return (
+    v6 === "::" ||
+    v6 === "::1" ||
+    v6.startsWith("fc") ||
+    v6.startsWith("fd") ||
+    v6.startsWith("fe80")
+  );
+};
+
+/**
+ * Validate an endpoint URL at registration time.
+ * @returns {string|null} Error message, or null if acceptable
+ */
+export const validateWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "URL is not valid";
+  }
+  const allowHttp = url.protocol === "http:" && !isProduction();
+  if (url.protocol !== "https:" && !allowHttp) {
+    return "Webhook URLs must use https";
+  }
+  if (url.username || url.password) {
+    return "Webhook URLs must not contain credentials";
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (
+    isProduction() &&
+    (host === "localhost" ||
+      host.endsWith(".localhost") ||
+      (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    return "Webhook URLs must point to a public host";
+  }
+  return null;
+};
+
+/**
+ * Delivery-time check that the hostname doesn't resolve to an internal
+ * address (DNS can change after registration). Skipped outside production
+ * so local receivers work in development. Also used for SSO issuer calls.
+ */
+export const assertPublicHost = async (value) => {
+  if (!isProduction()) return;
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some((a) => isPrivateAddress(a.address))) {
+    throw new Error("Endpoint resolves to a private address");
+  }
+};
+
+// ========== Delivery ==========
+
+/**
+ * Send one attempt for `delivery` and record the outcome on it.
+ * @param {Object} delivery - WebhookDelivery doc
+ * @returns {Promise<Object>} The updated delivery
+ */
+export const attemptDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select(
+    "+secret"
+  );
+
+  const attempt = { attemptedAt: new Date() };
+  const started = Date.now();
+
+  if (!endpoint || !endpoint.active) {
+    attempt.error = endpoint ? "Endpoint is disabled" : "Endpoint was deleted";
+    delivery.attempts.push(attempt);
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    await assertPublicHost(endpoint.url);
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Optiverifi-Webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Signature": signWebhookPayload(endpoint.secret, body),
+      },
+      body,
+      // Don't follow redirects: a 3xx could bounce us to an internal host.
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text().catch(() => "")).slice(
+      0,
+      RESPONSE_BODY_LIMIT
+    );
+  } catch (error) {
+    attempt.error =
+      error.name === "TimeoutError"
+        ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+        : error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  const ok = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  if (ok) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attemptCount >= MAX_DELIVERY_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(
+      Date.now() + RETRY_DELAYS_MS[delivery.attemptCount - 1]
+    );
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Endpoints subscribed to `event` whose owner can see the record: the
+ * account with `email`, and every member of the record's organization.
+ */
+const findSubscribedEndpoints = async (event, { email, organizationId }) => {
+  const or = [];
+  const normalizedEmail = email ? email.toLowerCase().trim() : null;
+  if (normalizedEmail) {
+    const owner = await User.findOne({ email: normalizedEmail }).select(
+      "_id organizationId"
+    );
+    if (owner) {
+      or.push({ _id: owner._id });
+      organizationId = organizationId || owner.organizationId;
+    }
+  }
+  if (organizationId) or.push({ organizationId });
+  if (or.length === 0) return [];
+
+  const users = await User.find({ $or: or }).select("_id");
+  if (users.length === 0) return [];
+
+  return WebhookEndpoint.find({
+    user: { $in: users.map((u) => u._id) },
+    active: true,
+    events: event,
+  });
+};
+
+/**
+ * Queue a delivery of `payload` to `endpoint` and send the first attempt in
+ * the background.
+ */
+export const enqueueDelivery = async (endpoint, payload, extra = {}) => {
+  const delivery = await WebhookDelivery.create({
+    endpoint: endpoint._id,
+    user: endpoint.user,
+    event: payload.type,
+    eventId: payload.id,
+    payload,
+    // Claimed by this process for the first attempt; if we crash before
+    // it finishes, the worker picks it up once the claim expires.
+    nextAttemptAt: new Date(Date.now() + CLAIM_TTL_MS),
+    ...extra,
+  });
+  attemptDelivery(delivery).catch((err) =>
+    console.error(`Error delivering webhook ${delivery._id}:`, err)
+  );
+  return delivery;
+};
+
+/**
+ * Fan an event out to every subscribed endpoint. Fire-and-forget: never
+ * throws, never blocks the caller on HTTP.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {{ email?: string, organizationId?: Object }} owner - Record owner
+ * @param {Object} data - Event payload `data`
+ */
+export const emitWebhookEvent = async (event, owner, data) => {
+  try {
+    const endpoints = await findSubscribedEndpoints(event, owner || {});
+    if (endpoints.length === 0) return;
+
+    const payload = {
+      id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      type: event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    await Promise.all(endpoints.map((ep) => enqueueDelivery(ep, payload)));
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error);
+  }
+};
+
+/**
+ * Send every due pending delivery once. Each delivery is claimed by pushing
+ * its nextAttemptAt forward first, so concurrent workers don't double-send.
+ */
+export const processDueDeliveries = async () => {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WORKER_BATCH_SIZE)
+    .select("_id");
+
+  for (const { _id } of due) {
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(Date.now() + CLAIM_TTL_MS) } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    try {
+      await attemptDelivery(claimed);
+    } catch (error) {
+      console.error(`Error retrying webhook ${_id}:`, error);
+    }
+  }
+};
+
+let workerTimer = null;
+
+/**
+ * Start the background retry loop. Called once from server.js after the
+ * database connects.
+ */
+export const startWebhookWorker = () => {
+  if (workerTimer) return;
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error("Error in webhook retry worker:", error);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+};
@@ -0,0 +1,43 @@
+// Free-text lead times ("2-3 weeks", "30 days", "6 wks ARO", "in stock")
+// converted to calendar days so quotes can be compared.
+
+const DAYS_PER_UNIT = [
+  [/^(?:business|working)\s*days?/, 7 / 5],
+  [/^(?:days?|d\b)/, 1],
+  [/^(?:weeks?|wks?|w\b)/, 7],
+  [/^(?:months?|mos?\b|mths?)/, 30],
+];
+const IMMEDIATE = /\b(?:in\s*stock|immediate(?:ly)?|same\s*day|ex[-\s]?stock)\b/i;
+const NUMBER_RE = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?))?/;
+
+/**
+ * Parse a lead time into days. Ranges resolve to their upper bound (the
+ * supplier's commitment); a number without a unit is taken as days.
+ *
+ * Examples:
+ *   "2-3 weeks"      → 21
+ *   "30 days"        → 30
+ *   "10 business days" → 14
+ *   "In stock"       → 0
+ *
+ * @param {string} text
+ * @returns {number|null} null when the text has no recognizable duration
+ */
+export function parseLeadTimeDays(text) {
+  if (text === null || text === undefined) return null;
+  const source = String(text).normalize("NFKC");
+  if (IMMEDIATE.test(source)) return 0;
+
+  const match = source.match(NUMBER_RE);
+  if (!match) return null;
+
+  const value = parseFloat(match[2] ?? match[1]);
+  const after = source
+    .slice(match.index + match[0].length)
+    .trimStart()
+    .toLowerCase();
+  const factor =
+    DAYS_PER_UNIT.find(([pattern]) => pattern.test(after))?.[1] ?? 1;
+
+  return Math.round(value * factor);
+}
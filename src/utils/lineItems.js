@@ -0,0 +1,148 @@
+// Multi-line buyer requests (a bill of materials). A BuyerRequest either
+// describes one item through its top-level name / category / quantity /
+// unitPrice, or carries `lineItems`, each with its own category, quantity,
+// target unit price and specs. The top-level fields stay populated on
+// multi-line requests (title, primary category) so list views and older
+// clients keep working.
+
+import { parseQuantity } from "./quantityParser.js";
+
+export const MAX_LINE_ITEMS = 50;
+
+const LINE_LIMITS = {
+  name: 200,
+  category: 200,
+  subCategory: 200,
+  quantity: 100,
+  specs: 1000,
+};
+
+export const hasLineItems = (request) =>
+  Array.isArray(request?.lineItems) && request.lineItems.length > 0;
+
+/**
+ * Parse a "$1,200.50" / "€950"-style price. Returns null when missing, NaN
+ * when present but not a positive number. The currency itself comes from the
+ * request's `currency` field, not the symbol.
+ */
+export function parsePrice(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const num = parseFloat(String(value).replace(/[$€£¥,\s]/g, ""));
+  return Number.isFinite(num) && num > 0 ? num : NaN;
+}
+
+/**
+ * unitPrice × quantity, using the lower bound of the parsed quantity
+ * ("2k units" → 2000). The unit price is per the buyer's own unit, so the
+ * quantity is not unit-converted ("2 tons" at 100 → 200, not 200,000).
+ * Falls back to the unit price alone when the quantity can't be parsed.
+ */
+export function calculateLineTotal(unitPrice, quantity) {
+  if (!unitPrice) return 0;
+  const parsed = quantity
+    ? parseQuantity(quantity, { convertUnits: false })
+    : null;
+  const quantityNum = parsed?.min ?? parsed?.max;
+  return quantityNum > 0 ? unitPrice * quantityNum : unitPrice;
+}
+
+/**
+ * Request total across lines. Lines without a target unit price add 0.
+ */
+export function calculateLineItemsTotal(lineItems) {
+  const total = (lineItems || []).reduce(
+    (sum, line) => sum + calculateLineTotal(line.unitPrice, line.quantity),
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+const asText = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+/**
+ * Validate and normalize `lineItems` from a request body.
+ *
+ * @param {Array} raw - [{ name, category?, subCategory?, quantity?,
+ *   unitPrice?, specs? }]
+ * @param {Object} defaults - { category, subCategory } applied to lines
+ *   without their own category
+ * @returns {{ lineItems?: Array, error?: string }}
+ */
+export function parseLineItems(raw, defaults = {}) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: "lineItems must be a non-empty array" };
+  }
+  if (raw.length > MAX_LINE_ITEMS) {
+    return { error: `A request can have at most ${MAX_LINE_ITEMS} line items` };
+  }
+
+  const lineItems = [];
+  for (const [i, item] of raw.entries()) {
+    const lineNumber = i + 1;
+    if (!item || typeof item !== "object") {
+      return { error: `Line ${lineNumber} must be an object` };
+    }
+
+    const line = {
+      lineNumber,
+      name: asText(item.name),
+      category: asText(item.category),
+      subCategory: asText(item.subCategory ?? item.subcategory),
+      quantity: asText(item.quantity),
+      specs: asText(item.specs),
+    };
+    if (!line.name) {
+      return { error: `Line ${lineNumber}: name is required` };
+    }
+    if (!line.category) {
+      line.category = asText(defaults.category);
+      if (!line.subCategory) line.subCategory = asText(defaults.subCategory);
+    }
+    if (!line.category) {
+      return { error: `Line ${lineNumber}: category is required` };
+    }
+    for (const [field, max] of Object.entries(LINE_LIMITS)) {
+      if (line[field].length > max) {
+        return {
+          error: `Line ${lineNumber}: ${field} must be ${max} characters or less`,
+        };
+      }
+    }
+
+    const unitPrice = parsePrice(item.unitPrice);
+    if (Number.isNaN(unitPrice)) {
+      return {
+        error: `Line ${lineNumber}: unit price must be a valid positive number`,
+      };
+    }
+    if (unitPrice !== null) line.unitPrice = unitPrice;
+
+    for (const field of ["subCategory", "quantity", "specs"]) {
+      if (!line[field]) delete line[field];
+    }
+    lineItems.push(line);
+  }
+
+  return { lineItems };
+}
+
+/**
+ * Each line as a request-shaped object, so the single-item scorers
+ * (passesHardFilter, calculatePreviewScore, MOQ checks) can score it.
+ * Request-wide requirements apply to every line.
+ */
+export function getRequestLines(request) {
+  if (!hasLineItems(request)) return [];
+  return request.lineItems.map((line, i) => ({
+    lineNumber: line.lineNumber ?? i + 1,
+    name: line.name,
+    category: line.category || request.category,
+    subCategory: line.subCategory,
+    quantity: line.quantity,
+    quantityNormalized: line.quantityNormalized,
+    unitPrice: line.unitPrice,
+    description: line.specs,
+    requirements: request.requirements,
+  }));
+}
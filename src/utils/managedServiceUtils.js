@@ -1,5 +1,35 @@
 import SystemSettings from "../models/admin/SystemSettings.js";
 
+// C-7 + H-3 — Ownership check for managed service records. Returns true if
+// the authenticated user (req.user) owns the record. When req.user is unset,
+// returns false (caller decides whether anonymous access is acceptable for
+// the route — most routes here MUST require auth).
+// Shared by managedServiceController and the /api/files ACL.
+// TODO(H-7): drop email fallback once userId is required on every record.
+export function userOwnsManagedService(reqUser, ms) {
+  if (!reqUser || !ms) return false;
+  const ownsByUserId =
+    ms.userId && reqUser._id && ms.userId.equals?.(reqUser._id);
+  const ownsByEmail =
+    !ms.userId &&
+    ms.email &&
+    reqUser.email &&
+    ms.email.toLowerCase().trim() ===
+      reqUser.email.toLowerCase().trim();
+  return Boolean(ownsByUserId || ownsByEmail);
+}
+
+// Organizations: teammates may view (not mutate) each other's managed
+// services. Read paths use this; mutations stay on userOwnsManagedService.
+export function userCanViewManagedService(reqUser, ms) {
+  if (userOwnsManagedService(reqUser, ms)) return true;
+  return Boolean(
+    reqUser?.organizationId &&
+      ms?.organizationId &&
+      ms.organizationId.equals?.(reqUser.organizationId)
+  );
+}
+
 /**
  * Calculate days left for a managed service based on urgency and created date
  * @param {string} urgency - The urgency level (e.g., "standard", "expedited", "emergency")
@@ -36,17 +66,16 @@ export const calculateDaysLeft = async (urgency, createdAt, settings = null) =>
     // Parse duration to get max days
     let maxDays = 7; // Default
     if (duration) {
-      // Parse formats like "5-7 days", "2-3 days", "24-48 hrs"
+      // Parse formats like "5-7 days", "2-3 days", "24-48 hrs". Hours are
+      // checked first: the plain range pattern also matches "24-48" and
+      // would read it as 48 days.
+      const hrsMatch = duration.match(/(\d+)\s*-\s*(\d+)\s*(?:hrs?|hours?)/i);
       const match = duration.match(/(\d+)\s*-\s*(\d+)/);
-      if (match) {
+      if (hrsMatch) {
+        const maxHrs = parseInt(hrsMatch[2]);
+        maxDays = Math.ceil(maxHrs / 24); // Convert hours to days (round up)
+      } else if (match) {
         maxDays = parseInt(match[2]); // Use the higher number
-      } else {
-        // Handle "24-48 hrs" - convert to days
-        const hrsMatch = duration.match(/(\d+)\s*-\s*(\d+)\s*hrs?/i);
-        if (hrsMatch) {
-          const maxHrs = parseInt(hrsMatch[2]);
-          maxDays = Math.ceil(maxHrs / 24); // Convert hours to days (round up)
-        }
       }
     }
 
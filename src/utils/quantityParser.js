@@ -0,0 +1,187 @@
+// Structured quantities for buyer requests ("2k pcs", "5 pallets",
+// "500-1,000 units") and supplier MOQs ("MOQ 500 units", "min 1 ton").
+//
+// Both fields are free text. parseQuantity turns them into
+// { min, max, unit } in a small set of normalized units so MOQ checks compare
+// like with like instead of grabbing the first digit run. Unit conversion only
+// happens within a dimension (tons → kg, m² → SqFt, dozen → pieces); pallets
+// and hours never convert to anything else.
+
+export const QUANTITY_UNITS = ["pieces", "kg", "pallets", "hours", "sqft"];
+
+const UNIT_LABELS = {
+  pieces: "pieces",
+  kg: "kg",
+  pallets: "pallets",
+  hours: "hours",
+  sqft: "SqFt",
+};
+
+// [pattern, normalized unit, factor]. Longer spellings come first so "sq ft"
+// wins over "ft", "tons" over "t", and so on. Matched against lower-cased text.
+const UNIT_PATTERNS = [
+  [/^(?:square\s*f(?:ee|oo)t|sq\.?\s*f(?:ee|oo)?t\.?|sqft|ft2|ft²)/, "sqft", 1],
+  [/^(?:square\s*met(?:er|re)s?|sq\.?\s*m\b|sqm|m2|m²)/, "sqft", 10.7639],
+  [/^(?:metric\s*tons?|tonnes?|tons?|mt\b|t\b)/, "kg", 1000],
+  [/^(?:kilograms?|kilos?|kgs?)/, "kg", 1],
+  [/^(?:grams?|g\b)/, "kg", 0.001],
+  [/^(?:pounds?|lbs?)/, "kg", 0.45359237],
+  [/^(?:pallets?|plts?)/, "pallets", 1],
+  [/^(?:hours?|hrs?|h\b)/, "hours", 1],
+  [/^(?:dozens?|doz\b)/, "pieces", 12],
+  [/^(?:pieces?|pcs?|units?|items?|nos?\b|ea\b|each|qty|pairs?|sets?|boxes|box|cartons?|ctns?|bottles?|bags?|rolls?|sheets?|licen[cs]es?|seats?|users?)/, "pieces", 1],
+];
+
+// 1,000 / 1.5 / 2k / 2K / 3M / 2 million / 10 thousand
+const NUMBER = String.raw`(\d[\d,]*(?:\.\d+)?|\.\d+)(?:\s*(k|K|M|mn|million|thousand)\b)?`;
+const NUMBER_RE = new RegExp(NUMBER, "g");
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to|~|and)\s*$/i;
+const UPPER_BOUND_PREFIX = /(?:up\s*to|max(?:imum)?|at\s*most|no\s*more\s*than|<=?)\s*$/i;
+
+const SUFFIX_MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  M: 1e6,
+  mn: 1e6,
+  million: 1e6,
+};
+
+function toNumber(digits, suffix) {
+  const value = parseFloat(digits.replace(/,/g, ""));
+  if (!Number.isFinite(value)) return null;
+  if (!suffix) return value;
+  return value * SUFFIX_MULTIPLIERS[suffix === "K" ? "k" : suffix];
+}
+
+function matchUnit(text) {
+  const lower = text.trimStart().toLowerCase();
+  for (const [pattern, unit, factor] of UNIT_PATTERNS) {
+    if (pattern.test(lower)) return { unit, factor };
+  }
+  return null;
+}
+
+const round = (n) => (n === null ? null : Math.round(n * 1000) / 1000);
+
+/**
+ * Parse a free-text quantity.
+ *
+ * Examples:
+ *   "2k pcs"            → { min: 2000, max: 2000, unit: "pieces" }
+ *   "500-1,000 units"   → { min: 500, max: 1000, unit: "pieces" }
+ *   "MOQ 500"           → { min: 500, max: 500, unit: null }
+ *   "5 pallets"         → { min: 5, max: 5, unit: "pallets" }
+ *   "2 tons"            → { min: 2000, max: 2000, unit: "kg" }
+ *   "500+"              → { min: 500, max: null, unit: null }
+ *   "up to 40 hours"    → { min: null, max: 40, unit: "hours" }
+ *
+ * `unit` is null when the text names no recognizable unit. `max` is null for
+ * open-ended quantities. Returns null when the text contains no number.
+ *
+ * With `convertUnits: false` the numbers stay in the unit the buyer wrote
+ * ("2 tons" → 2) and `unit` is null — for pricing, where the unit price is
+ * per that unit. MOQ comparisons need the default.
+ *
+ * @param {string} text
+ * @param {Object} [opts] - { convertUnits = true }
+ * @returns {{ min: number|null, max: number|null, unit: string|null }|null}
+ */
+export function parseQuantity(text, { convertUnits = true } = {}) {
+  if (text === null || text === undefined) return null;
+  const source = String(text).normalize("NFKC");
+
+  const numbers = [...source.matchAll(NUMBER_RE)].map((m) => ({
+    value: toNumber(m[1], m[2]),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+  if (numbers.length === 0 || numbers[0].value === null) return null;
+
+  const first = numbers[0];
+  const second = numbers[1];
+  const isRange =
+    second &&
+    second.value !== null &&
+    RANGE_SEPARATOR.test(source.slice(first.end, second.start));
+  const last = isRange ? second : first;
+
+  // Unit after the (last) number, e.g. "500 units"; otherwise one before the
+  // first number, e.g. "pallets: 5".
+  let unitMatch = matchUnit(source.slice(last.end));
+  if (!unitMatch) {
+    const before = source.slice(0, first.start).trim().split(/\s+/).pop() || "";
+    unitMatch = matchUnit(before.replace(/[:=]$/, ""));
+  }
+  // Range units may sit after the first number only: "2 tons - 3".
+  if (!unitMatch && isRange) {
+    unitMatch = matchUnit(source.slice(first.end, second.start).replace(RANGE_SEPARATOR, ""));
+  }
+  const factor = convertUnits ? unitMatch?.factor ?? 1 : 1;
+
+  let min = first.value * factor;
+  let max = isRange ? second.value * factor : min;
+  if (isRange && max < min) [min, max] = [max, min];
+
+  const tail = source.slice(last.end);
+  if (!isRange && /^\s*\+/.test(tail)) max = null;
+  if (!isRange && UPPER_BOUND_PREFIX.test(source.slice(0, first.start))) {
+    min = null;
+  }
+
+  return {
+    min: round(min),
+    max: round(max),
+    unit: convertUnits ? unitMatch?.unit ?? null : null,
+  };
+}
+
+/**
+ * Human-readable form of a parsed quantity, e.g. "500–1,000 pieces".
+ */
+export function formatQuantity(q) {
+  if (!q || (q.min === null && q.max === null)) return "";
+  const n = (v) => Number(v).toLocaleString("en-US", { maximumFractionDigits: 3 });
+  let amount;
+  if (q.min === null) amount = `up to ${n(q.max)}`;
+  else if (q.max === null) amount = `${n(q.min)}+`;
+  else if (q.min === q.max) amount = n(q.min);
+  else amount = `${n(q.min)}–${n(q.max)}`;
+  return q.unit ? `${amount} ${UNIT_LABELS[q.unit] || q.unit}` : amount;
+}
+
+/**
+ * Stored structured quantity, or a parse of the raw text for records saved
+ * before the structured fields existed.
+ */
+export function getStructuredQuantity(structured, raw) {
+  if (structured && (structured.min != null || structured.max != null)) {
+    return {
+      min: structured.min ?? null,
+      max: structured.max ?? null,
+      unit: structured.unit ?? null,
+    };
+  }
+  return parseQuantity(raw);
+}
+
+/**
+ * Does the buyer's quantity satisfy the supplier's minimum order?
+ *
+ * A quantity without a unit is assumed to be in the other side's unit. The
+ * buyer's upper bound is compared, so "500-1,000" meets an MOQ of 800.
+ *
+ * @returns {boolean|null} null when either side is missing or the units
+ *   can't be compared (e.g. pallets vs pieces)
+ */
+export function meetsMinimumOrder(quantity, moq) {
+  if (!quantity || !moq) return null;
+  if (quantity.unit && moq.unit && quantity.unit !== moq.unit) return null;
+
+  const required = moq.min ?? moq.max;
+  if (required === null) return null;
+  // Open-ended buyer quantity ("500+") can always reach the minimum.
+  if (quantity.min !== null && quantity.max === null) return true;
+  const offered = quantity.max ?? quantity.min;
+  if (offered === null) return null;
+  return offered >= required;
+}
@@ -0,0 +1,118 @@
+import Upload from "../models/common/Upload.js";
+import ManagedService from "../models/customer/ManagedService.js";
+import Feedback from "../models/customer/Feedback.js";
+import { userCanViewManagedService } from "./managedServiceUtils.js";
+
+// Plan ref: C-6 follow-up — per-file ACL for /api/files.
+
+const FILE_URL_PREFIX = "/api/files/";
+
+/**
+ * Extract the on-disk filename from a stored `/api/files/<name>` URL.
+ * Returns null for anything else (external links, legacy `/uploads/` paths).
+ */
+export const filenameFromUrl = (url) => {
+  if (typeof url !== "string") return null;
+  const idx = url.indexOf(FILE_URL_PREFIX);
+  if (idx === -1) return null;
+  const name = url.slice(idx + FILE_URL_PREFIX.length).split(/[?#]/)[0];
+  return /^[A-Za-z0-9_.-]+$/.test(name) ? name : null;
+};
+
+/**
+ * Link previously uploaded files to the entity that now references them.
+ *
+ * Only claims uploads that aren't linked yet, so a URL copied from another
+ * request can't be used to re-parent someone else's file. When `owner` is
+ * given, only that principal's own uploads are claimed.
+ *
+ * @param {string[]} urls - `/api/files/<name>` URLs stored on the entity
+ * @param {Object} link - { relatedType, relatedId, context, owner? }
+ */
+export const linkUploads = async (
+  urls,
+  { relatedType, relatedId, context, owner }
+) => {
+  const filenames = (urls || []).map(filenameFromUrl).filter(Boolean);
+  if (filenames.length === 0) return;
+
+  const filter = {
+    filename: { $in: filenames },
+    relatedId: { $exists: false },
+  };
+  if (owner) filter.owner = owner;
+
+  const update = { relatedType, relatedId };
+  if (context) update.context = context;
+
+  await Upload.updateMany(filter, { $set: update });
+};
+
+/**
+ * All upload URLs stored on a managed service: customer attachments plus
+ * final report supplier documents.
+ */
+export const managedServiceUploadUrls = (ms) => {
+  const urls = (ms?.attachments || []).map((a) => a?.url);
+  for (const s of ms?.finalReport?.supplierDetails || []) {
+    for (const d of s?.uploadedDocuments || []) {
+      urls.push(d?.url);
+    }
+  }
+  return urls.filter(Boolean);
+};
+
+/**
+ * Decide whether the caller may download `filename`.
+ *
+ * Allowed: any admin, the uploader, the customer (or their organization) on
+ * the linked ManagedService, or the customer on the linked Feedback. Files
+ * uploaded before the Upload collection existed have no record; for those we
+ * fall back to finding a managed service that references the URL and
+ * applying the same ownership check.
+ *
+ * @returns {Promise<{ allowed: boolean, upload: Object|null }>}
+ */
+export const canAccessUpload = async (filename, { user, admin }) => {
+  const upload = await Upload.findOne({ filename });
+
+  if (admin) return { allowed: true, upload };
+  if (!user) return { allowed: false, upload };
+
+  if (!upload) {
+    const url = `${FILE_URL_PREFIX}${filename}`;
+    const legacy = await ManagedService.find({
+      $or: [
+        { "attachments.url": url },
+        { "finalReport.supplierDetails.uploadedDocuments.url": url },
+      ],
+    }).select("userId email organizationId");
+    return {
+      allowed: legacy.some((ms) => userCanViewManagedService(user, ms)),
+      upload: null,
+    };
+  }
+
+  if (upload.ownerType === "User" && upload.owner.equals(user._id)) {
+    return { allowed: true, upload };
+  }
+
+  if (upload.relatedType === "ManagedService" && upload.relatedId) {
+    const ms = await ManagedService.findById(upload.relatedId).select(
+      "userId email organizationId"
+    );
+    return { allowed: userCanViewManagedService(user, ms), upload };
+  }
+
+  if (upload.relatedType === "Feedback" && upload.relatedId) {
+    const feedback = await Feedback.findById(upload.relatedId).select(
+      "userId"
+    );
+    return {
+      allowed: Boolean(feedback?.userId?.equals(user._id)),
+      upload,
+    };
+  }
+
+  return { allowed: false, upload };
+};
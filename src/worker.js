@@ -0,0 +1,27 @@
+// Standalone background worker: runs queued jobs (AI scoring, Call 2
+// explanations) without serving HTTP. Scale these independently of the API;
+// set JOB_WORKER_ENABLED=false on API instances to keep AI work off them.
+//
+//   npm run worker
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { validateEnv } from "./config/validateEnv.js";
+validateEnv();
+
+import { connectDB } from "./config/database.js";
+import "./jobs/index.js";
+import { startJobWorker } from "./services/jobQueue.js";
+
+const startWorker = async () => {
+  try {
+    await connectDB();
+    startJobWorker();
+  } catch (error) {
+    console.error("Failed to start worker:", error);
+    process.exit(1);
+  }
+};
+
+startWorker();